@@ -30,6 +30,10 @@ const STATIC_ASSETS = [
     './src/js/data-loader.js',
     './src/js/filters.js',
     './src/js/filter-worker.js',
+    './src/js/filter-registry.js',
+    './src/js/filter-matching.js',
+    './src/js/filter-expression.js',
+    './src/js/query-language.js',
     './src/js/map-renderer.js',
     './src/js/state.js',
     './src/js/ui.js',
@@ -38,7 +42,24 @@ const STATIC_ASSETS = [
     './src/js/pdf-generator.js',
     './src/js/error-handler.js',
     './src/js/modals-content.js',
-    './src/js/inline-handlers.js'
+    './src/js/inline-handlers.js',
+    './src/js/hotspots.js',
+    './src/js/hotspot-worker.js',
+    './src/js/road-network.js',
+    './src/js/road-network-worker.js',
+    './src/js/treatment-evaluation.js',
+    './src/js/compare.js',
+    './src/js/saved-views.js',
+    './src/js/gis-export.js',
+    './src/js/shapefile.js',
+    './src/js/custom-boundaries.js',
+    './src/js/boundary-worker.js',
+    './src/js/overlays.js',
+    './src/js/gif-encoder.js',
+    './src/js/timelapse.js',
+    './src/js/calendar.js',
+    './src/js/trends.js',
+    './src/js/crosstab.js'
 ];
 
 // CDN resources to cache lazily (only essential core libraries)
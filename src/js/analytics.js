@@ -3,8 +3,12 @@
  * Handles crash statistics and data visualizations
  */
 
-import { dataState } from './state.js';
+import { dataState, filterState } from './state.js';
 import { domCache, perfMonitor } from './performance.js';
+import { CHOROPLETH_NORMALIZATION, CRASH_COST_MODEL, COUNT_UNITS } from './config.js';
+import { normalizeLGAName } from './utils.js';
+import { countDayTypes } from './calendar.js';
+import { filterMatchingCasualties, filterMatchingUnits } from './filter-matching.js';
 
 const MONTH_NAMES = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun',
                      'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'];
@@ -12,15 +16,22 @@ const DAY_NAMES = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Frid
 
 /**
  * Update crash statistics display
+ * Breakdowns count crashes, or the casualties / units in them when countUnit is
+ * 'casualties' or 'units'; injury totals then come from the counted casualties.
  * @param {Array} data - Crash data array
+ * @param {string} countUnit - Key in COUNT_UNITS
  * @returns {Object} All analytics data
  */
-export function computeAllAnalytics(data = dataState.filteredData) {
+export function computeAllAnalytics(data = dataState.filteredData, countUnit = filterState.countUnit) {
+    if (!COUNT_UNITS[countUnit]) countUnit = 'crashes';
     const stats = {
+        countUnit,
         totalCrashes: data.length,
+        totalCounted: 0,
         totalFatalities: 0,
         totalSerious: 0,
         totalMinor: 0,
+        totalCost: 0,
         byYear: {},
         bySeverity: {},
         byType: {},
@@ -30,6 +41,10 @@ export function computeAllAnalytics(data = dataState.filteredData) {
             'Thursday': 0, 'Friday': 0, 'Saturday': 0
         },
         byHour: {},
+        // 7 × 24 counts: byDayHour[dayOfWeek][hour], Sunday first
+        byDayHour: Array.from({ length: 7 }, () => new Array(24).fill(0)),
+        // Keyed by CALENDAR.DAY_TYPES; crashes outside the calendar are not counted
+        byDayType: { public: 0, school: 0, none: 0 },
         byArea: {},
         byWeather: {}
     };
@@ -44,41 +59,67 @@ export function computeAllAnalytics(data = dataState.filteredData) {
         stats.byHour[i] = 0;
     }
 
+    const costModel = getCostModel();
+
     // Single pass through all data
     data.forEach(crash => {
-        // Casualties
-        stats.totalFatalities += parseInt(crash['Total Fats'] || 0);
-        stats.totalSerious += parseInt(crash['Total SI'] || 0);
-        stats.totalMinor += parseInt(crash['Total MI'] || 0);
+        // Casualties: injury extent of each counted casualty, otherwise the crash totals
+        let weight = 1;
+        if (countUnit === 'casualties') {
+            const casualties = getCountedRecords(crash, countUnit);
+            weight = casualties.length;
+            casualties.forEach(casualty => {
+                const injury = casualty['Injury Extent'];
+                if (injury === 'Fatal') stats.totalFatalities++;
+                else if (injury === 'Admitted to Hospital') stats.totalSerious++;
+                else stats.totalMinor++;
+            });
+        } else {
+            if (countUnit === 'units') weight = getCountWeight(crash, countUnit);
+            stats.totalFatalities += parseInt(crash['Total Fats'] || 0);
+            stats.totalSerious += parseInt(crash['Total SI'] || 0);
+            stats.totalMinor += parseInt(crash['Total MI'] || 0);
+        }
+
+        // Severity-weighted cost (always per crash)
+        stats.totalCost += costModel.weights[crash['CSEF Severity']] || 0;
+
+        if (weight === 0) return;
+        stats.totalCounted += weight;
 
         // Year
         const year = parseInt(crash.Year);
         if (!isNaN(year)) {
-            stats.byYear[year] = (stats.byYear[year] || 0) + 1;
+            stats.byYear[year] = (stats.byYear[year] || 0) + weight;
+        }
+
+        // Public/school holiday (set by annotateDayTypes)
+        if (crash._dayType) {
+            stats.byDayType[crash._dayType] += weight;
         }
 
         // Severity
         const severity = crash['CSEF Severity'];
         if (severity) {
-            stats.bySeverity[severity] = (stats.bySeverity[severity] || 0) + 1;
+            stats.bySeverity[severity] = (stats.bySeverity[severity] || 0) + weight;
         }
 
         // Crash Type
         const type = crash['Crash Type'];
         if (type && type !== 'N/A') {
-            stats.byType[type] = (stats.byType[type] || 0) + 1;
+            stats.byType[type] = (stats.byType[type] || 0) + weight;
         }
 
         // Area
         const area = crash.LGA;
         if (area && area !== 'N/A') {
-            stats.byArea[area] = (stats.byArea[area] || 0) + 1;
+            stats.byArea[area] = (stats.byArea[area] || 0) + weight;
         }
 
         // Weather
         const weather = crash['Weather Cond'];
         if (weather) {
-            stats.byWeather[weather] = (stats.byWeather[weather] || 0) + 1;
+            stats.byWeather[weather] = (stats.byWeather[weather] || 0) + weight;
         }
 
         // Date/Time parsing (month, day, hour)
@@ -88,6 +129,8 @@ export function computeAllAnalytics(data = dataState.filteredData) {
             if (parts.length >= 2) {
                 const datePart = parts[0];
                 const timePart = parts[1];
+                let dayOfWeek = -1;
+                let hour = -1;
 
                 // Parse date
                 const dateParts = datePart.split('/');
@@ -98,25 +141,30 @@ export function computeAllAnalytics(data = dataState.filteredData) {
 
                     // Month
                     if (month >= 0 && month < 12) {
-                        stats.byMonth[MONTH_NAMES[month]]++;
+                        stats.byMonth[MONTH_NAMES[month]] += weight;
                     }
 
                     // Day of week
                     const date = new Date(year, month, day);
-                    const dayOfWeek = date.getDay();
+                    dayOfWeek = date.getDay();
                     if (dayOfWeek >= 0 && dayOfWeek < 7) {
-                        stats.byDayOfWeek[DAY_NAMES[dayOfWeek]]++;
+                        stats.byDayOfWeek[DAY_NAMES[dayOfWeek]] += weight;
                     }
                 }
 
                 // Parse time (hour)
                 const timeParts = timePart.split(':');
                 if (timeParts.length >= 1) {
-                    const hour = parseInt(timeParts[0]);
+                    hour = parseInt(timeParts[0]);
                     if (hour >= 0 && hour < 24) {
-                        stats.byHour[hour]++;
+                        stats.byHour[hour] += weight;
                     }
                 }
+
+                // Day × hour (NaN fails both range checks)
+                if (dayOfWeek >= 0 && dayOfWeek < 7 && hour >= 0 && hour < 24) {
+                    stats.byDayHour[dayOfWeek][hour] += weight;
+                }
             }
         }
     });
@@ -138,32 +186,45 @@ export function updateStatistics() {
     const fatalitiesEl = domCache.get('totalFatalities');
     const seriousEl = domCache.get('totalSerious');
     const minorEl = domCache.get('totalMinor');
+    const costEl = domCache.get('totalCost');
+    const costLabelEl = domCache.get('totalCostLabel');
+    const countedRowEl = domCache.get('totalCountedRow');
+    const countedEl = domCache.get('totalCounted');
+    const countedLabelEl = domCache.get('totalCountedLabel');
 
     // Update DOM elements
     if (crashesEl) crashesEl.textContent = stats.totalCrashes.toLocaleString();
+    if (countedRowEl) countedRowEl.style.display = stats.countUnit === 'crashes' ? 'none' : '';
+    if (countedEl) countedEl.textContent = stats.totalCounted.toLocaleString();
+    if (countedLabelEl) countedLabelEl.textContent = getCountUnit(stats.countUnit).label + ':';
     if (fatalitiesEl) fatalitiesEl.textContent = stats.totalFatalities.toLocaleString();
     if (seriousEl) seriousEl.textContent = stats.totalSerious.toLocaleString();
     if (minorEl) minorEl.textContent = stats.totalMinor.toLocaleString();
+    if (costEl) costEl.textContent = formatCost(stats.totalCost);
+    if (costLabelEl) costLabelEl.textContent = getCostModel().shortLabel + ':';
 
     // Store in global state for charts to use
     dataState.analyticsCache = stats;
 
     return {
         totalCrashes: stats.totalCrashes,
+        totalCounted: stats.totalCounted,
         totalFatalities: stats.totalFatalities,
         totalSerious: stats.totalSerious,
-        totalMinor: stats.totalMinor
+        totalMinor: stats.totalMinor,
+        totalCost: stats.totalCost
     };
 }
 
 /**
  * Get crash counts by year (optimized - uses cache if available)
  * @param {Array} data - Crash data array
+ * @param {string} countUnit - Key in COUNT_UNITS (what to count)
  * @returns {Object} Year-to-count mapping
  */
-export function getCrashCountsByYear(data = dataState.filteredData) {
+export function getCrashCountsByYear(data = dataState.filteredData, countUnit = filterState.countUnit) {
     // Use cached analytics if available and data matches
-    if (dataState.analyticsCache && data === dataState.filteredData) {
+    if (isCached(data, countUnit)) {
         return dataState.analyticsCache.byYear;
     }
 
@@ -172,7 +233,7 @@ export function getCrashCountsByYear(data = dataState.filteredData) {
     data.forEach(crash => {
         const year = parseInt(crash.Year);
         if (!isNaN(year)) {
-            yearCounts[year] = (yearCounts[year] || 0) + 1;
+            yearCounts[year] = (yearCounts[year] || 0) + getCountWeight(crash, countUnit);
         }
     });
 
@@ -182,10 +243,11 @@ export function getCrashCountsByYear(data = dataState.filteredData) {
 /**
  * Get crash counts by severity (optimized - uses cache if available)
  * @param {Array} data - Crash data array
+ * @param {string} countUnit - Key in COUNT_UNITS (what to count)
  * @returns {Object} Severity-to-count mapping
  */
-export function getCrashCountsBySeverity(data = dataState.filteredData) {
-    if (dataState.analyticsCache && data === dataState.filteredData) {
+export function getCrashCountsBySeverity(data = dataState.filteredData, countUnit = filterState.countUnit) {
+    if (isCached(data, countUnit)) {
         return dataState.analyticsCache.bySeverity;
     }
 
@@ -194,7 +256,7 @@ export function getCrashCountsBySeverity(data = dataState.filteredData) {
     data.forEach(crash => {
         const severity = crash['CSEF Severity'];
         if (severity) {
-            severityCounts[severity] = (severityCounts[severity] || 0) + 1;
+            severityCounts[severity] = (severityCounts[severity] || 0) + getCountWeight(crash, countUnit);
         }
     });
 
@@ -204,10 +266,11 @@ export function getCrashCountsBySeverity(data = dataState.filteredData) {
 /**
  * Get crash counts by crash type (optimized - uses cache if available)
  * @param {Array} data - Crash data array
+ * @param {string} countUnit - Key in COUNT_UNITS (what to count)
  * @returns {Object} CrashType-to-count mapping
  */
-export function getCrashCountsByCrashType(data = dataState.filteredData) {
-    if (dataState.analyticsCache && data === dataState.filteredData) {
+export function getCrashCountsByCrashType(data = dataState.filteredData, countUnit = filterState.countUnit) {
+    if (isCached(data, countUnit)) {
         return dataState.analyticsCache.byType;
     }
 
@@ -216,7 +279,7 @@ export function getCrashCountsByCrashType(data = dataState.filteredData) {
     data.forEach(crash => {
         const type = crash['Crash Type'];
         if (type && type !== 'N/A') {
-            typeCounts[type] = (typeCounts[type] || 0) + 1;
+            typeCounts[type] = (typeCounts[type] || 0) + getCountWeight(crash, countUnit);
         }
     });
 
@@ -226,9 +289,10 @@ export function getCrashCountsByCrashType(data = dataState.filteredData) {
 /**
  * Get crash counts by month
  * @param {Array} data - Crash data array
+ * @param {string} countUnit - Key in COUNT_UNITS (what to count)
  * @returns {Object} Month-to-count mapping (1-12)
  */
-export function getCrashCountsByMonth(data = dataState.filteredData) {
+export function getCrashCountsByMonth(data = dataState.filteredData, countUnit = filterState.countUnit) {
     const monthCounts = {};
 
     // Initialize all months to 0
@@ -244,7 +308,7 @@ export function getCrashCountsByMonth(data = dataState.filteredData) {
             if (parts.length >= 2) {
                 const month = parseInt(parts[1]) - 1; // 0-indexed
                 if (month >= 0 && month < 12) {
-                    monthCounts[MONTH_NAMES[month]]++;
+                    monthCounts[MONTH_NAMES[month]] += getCountWeight(crash, countUnit);
                 }
             }
         }
@@ -256,9 +320,10 @@ export function getCrashCountsByMonth(data = dataState.filteredData) {
 /**
  * Get crash counts by day of week
  * @param {Array} data - Crash data array
+ * @param {string} countUnit - Key in COUNT_UNITS (what to count)
  * @returns {Object} DayOfWeek-to-count mapping
  */
-export function getCrashCountsByDayOfWeek(data = dataState.filteredData) {
+export function getCrashCountsByDayOfWeek(data = dataState.filteredData, countUnit = filterState.countUnit) {
     const dayCounts = {
         'Sunday': 0,
         'Monday': 0,
@@ -281,7 +346,7 @@ export function getCrashCountsByDayOfWeek(data = dataState.filteredData) {
 
                 const date = new Date(year, month, day);
                 const dayOfWeek = date.getDay();
-                dayCounts[DAY_NAMES[dayOfWeek]]++;
+                dayCounts[DAY_NAMES[dayOfWeek]] += getCountWeight(crash, countUnit);
             }
         }
     });
@@ -289,12 +354,39 @@ export function getCrashCountsByDayOfWeek(data = dataState.filteredData) {
     return dayCounts;
 }
 
+/**
+ * Get crash counts by calendar month (a time series, unlike getCrashCountsByMonth)
+ * @param {Array} data - Crash data array
+ * @param {string} countUnit - Key in COUNT_UNITS (what to count)
+ * @returns {Object} 'yyyy-mm' to count mapping (months without crashes are absent)
+ */
+export function getCrashCountsByYearMonth(data = dataState.filteredData, countUnit = filterState.countUnit) {
+    const monthCounts = {};
+
+    data.forEach(crash => {
+        const dt = crash['Crash Date Time'];
+        if (dt) {
+            const parts = dt.split(' ')[0].split('/');
+            if (parts.length === 3) {
+                const month = parseInt(parts[1]);
+                if (month >= 1 && month <= 12) {
+                    const key = parts[2] + '-' + String(month).padStart(2, '0');
+                    monthCounts[key] = (monthCounts[key] || 0) + getCountWeight(crash, countUnit);
+                }
+            }
+        }
+    });
+
+    return monthCounts;
+}
+
 /**
  * Get crash counts by hour of day
  * @param {Array} data - Crash data array
+ * @param {string} countUnit - Key in COUNT_UNITS (what to count)
  * @returns {Object} Hour-to-count mapping (0-23)
  */
-export function getCrashCountsByHour(data = dataState.filteredData) {
+export function getCrashCountsByHour(data = dataState.filteredData, countUnit = filterState.countUnit) {
     const hourCounts = {};
 
     // Initialize all hours to 0
@@ -312,7 +404,7 @@ export function getCrashCountsByHour(data = dataState.filteredData) {
                 if (timeParts.length >= 1) {
                     const hour = parseInt(timeParts[0]);
                     if (hour >= 0 && hour < 24) {
-                        hourCounts[hour]++;
+                        hourCounts[hour] += getCountWeight(crash, countUnit);
                     }
                 }
             }
@@ -322,18 +414,59 @@ export function getCrashCountsByHour(data = dataState.filteredData) {
     return hourCounts;
 }
 
+/**
+ * Get crash counts by day of week and hour of day (uses cache if available)
+ * @param {Array} data - Crash data array
+ * @param {string} countUnit - Key in COUNT_UNITS (what to count)
+ * @returns {Array<Array<number>>} 7 rows (Sunday first) of 24 hourly counts
+ */
+export function getCrashCountsByDayHour(data = dataState.filteredData, countUnit = filterState.countUnit) {
+    if (isCached(data, countUnit)) {
+        return dataState.analyticsCache.byDayHour;
+    }
+    return computeAllAnalytics(data, countUnit).byDayHour;
+}
+
+/**
+ * Get crashes per day on public holidays, school holidays and other days
+ * Day counts cover the years spanned by the data and the days the month,
+ * day-of-week and date range filters allow, so the rates are comparable even
+ * though there are far fewer holidays than other days.
+ * @param {Array} data - Crash data array
+ * @param {string} countUnit - Key in COUNT_UNITS (what to count)
+ * @param {Object|null} filters - Filter values the data was filtered with
+ * @returns {Object} { public|school|none: { crashes, days, perDay } }
+ */
+export function getCrashRatesByDayType(data = dataState.filteredData, countUnit = filterState.countUnit, filters = filterState.appliedFilters) {
+    const stats = isCached(data, countUnit)
+        ? dataState.analyticsCache
+        : computeAllAnalytics(data, countUnit);
+    const years = Object.keys(stats.byYear).map(Number);
+    const days = years.length > 0
+        ? countDayTypes(Math.min(...years), Math.max(...years), filters)
+        : { public: 0, school: 0, none: 0 };
+
+    const rates = {};
+    Object.keys(stats.byDayType).forEach(type => {
+        const crashes = stats.byDayType[type];
+        rates[type] = { crashes, days: days[type], perDay: days[type] > 0 ? crashes / days[type] : 0 };
+    });
+    return rates;
+}
+
 /**
  * Get crash counts by LGA
  * @param {Array} data - Crash data array
+ * @param {string} countUnit - Key in COUNT_UNITS (what to count)
  * @returns {Object} LGA-to-count mapping
  */
-export function getCrashCountsByLGA(data = dataState.filteredData) {
+export function getCrashCountsByLGA(data = dataState.filteredData, countUnit = filterState.countUnit) {
     const lgaCounts = {};
 
     data.forEach(crash => {
         const lga = crash.LGA;
         if (lga && lga !== 'N/A') {
-            lgaCounts[lga] = (lgaCounts[lga] || 0) + 1;
+            lgaCounts[lga] = (lgaCounts[lga] || 0) + getCountWeight(crash, countUnit);
         }
     });
 
@@ -352,6 +485,243 @@ export function getTopN(counts, n = 10) {
         .slice(0, n);
 }
 
+// ============================================================================
+// RATE NORMALISATION
+// ============================================================================
+
+/**
+ * Get the active choropleth normalisation mode config
+ * @returns {Object} Mode entry from CHOROPLETH_NORMALIZATION.MODES
+ */
+export function getNormalizationMode() {
+    return CHOROPLETH_NORMALIZATION.MODES[filterState.choroplethNormalization] ||
+        CHOROPLETH_NORMALIZATION.MODES.none;
+}
+
+/**
+ * Check whether counts are currently being shown as rates
+ * @returns {boolean}
+ */
+export function isRateMode() {
+    return !!getNormalizationMode().field;
+}
+
+/**
+ * Convert a crash count into a rate for an LGA using the loaded denominators
+ * @param {number} count - Crash count
+ * @param {string} lgaName - LGA name (raw or normalised)
+ * @returns {number|null} Rate, the count itself when no mode is active, or null if no denominator
+ */
+export function getAreaRate(count, lgaName) {
+    const mode = getNormalizationMode();
+    if (!mode.field) return count;
+
+    const entry = dataState.areaDenominators?.[normalizeLGAName(lgaName)];
+    const denominator = entry ? entry[mode.field] : null;
+    if (!denominator || denominator <= 0) return null;
+
+    return (count / denominator) * mode.per;
+}
+
+/**
+ * Format a count or rate for display in popups, legends and tooltips
+ * @param {number|null} value - Count or rate
+ * @returns {string} Formatted value
+ */
+export function formatAreaValue(value) {
+    if (value === null || value === undefined) return 'n/a';
+    if (!isRateMode()) return Math.round(value).toLocaleString();
+    return value.toLocaleString(undefined, { maximumFractionDigits: value < 10 ? 2 : 1 });
+}
+
+/**
+ * Format a value shaded on the map (crash count or cost, optionally as a rate)
+ * @param {number|null} value - Value to format
+ * @returns {string} Formatted value
+ */
+export function formatMapValue(value) {
+    if (value === null || value === undefined) return 'n/a';
+    return isCostWeighted() ? formatCost(value) : formatAreaValue(value);
+}
+
+/**
+ * Describe what the map is currently shading, e.g. "Social cost ($) per km²"
+ * @param {Object} mode - Normalisation mode config (defaults to the active mode)
+ * @returns {string} Measure label
+ */
+export function getMapMeasureLabel(mode = getNormalizationMode()) {
+    const noun = isCostWeighted() ? getCostModel().label : 'Crashes';
+    const unit = mode.unit;
+    return unit ? `${noun} ${unit}` : noun;
+}
+
+/**
+ * Get crash rates by LGA for the active normalisation mode
+ * LGAs without a denominator are omitted.
+ * @param {Array} data - Crash data array
+ * @returns {Object} LGA-to-rate mapping
+ */
+export function getCrashRatesByLGA(data = dataState.filteredData) {
+    const rates = {};
+
+    Object.entries(getCrashCountsByLGA(data)).forEach(([lga, count]) => {
+        const rate = getAreaRate(count, lga);
+        if (rate !== null) rates[lga] = rate;
+    });
+
+    return rates;
+}
+
+// ============================================================================
+// CRASH COST WEIGHTING
+// ============================================================================
+
+/**
+ * Get a cost model config
+ * Falls back to the default model when weighting is off, so cost figures
+ * (statistics, table, PDF) are always available.
+ * @param {string} modelKey - Key in CRASH_COST_MODEL.MODELS
+ * @returns {Object} Cost model config
+ */
+export function getCostModel(modelKey = filterState.costModel) {
+    return CRASH_COST_MODEL.MODELS[modelKey] ||
+        CRASH_COST_MODEL.MODELS[CRASH_COST_MODEL.DEFAULT_MODEL];
+}
+
+/**
+ * Check whether map layers should weight crashes by cost
+ * @returns {boolean}
+ */
+export function isCostWeighted() {
+    return !!CRASH_COST_MODEL.MODELS[filterState.costModel];
+}
+
+/**
+ * Get the cost of a single crash under a cost model
+ * @param {Object} crash - Crash record
+ * @param {string} modelKey - Key in CRASH_COST_MODEL.MODELS
+ * @returns {number} Cost (dollars or EPDO units)
+ */
+export function getCrashCost(crash, modelKey) {
+    return getCostModel(modelKey).weights[crash['CSEF Severity']] || 0;
+}
+
+/**
+ * Get the value a crash contributes to map layers: its cost when cost
+ * weighting is on, otherwise 1
+ * @param {Object} crash - Crash record
+ * @returns {number}
+ */
+export function getCrashMapWeight(crash) {
+    return isCostWeighted() ? getCrashCost(crash) : 1;
+}
+
+/**
+ * Format a cost for display
+ * @param {number} value - Cost value
+ * @param {string} modelKey - Key in CRASH_COST_MODEL.MODELS
+ * @returns {string} e.g. "$12.4M" or "1,234 EPDO"
+ */
+export function formatCost(value, modelKey) {
+    const model = getCostModel(modelKey);
+    if (!model.currency) {
+        return `${value.toLocaleString(undefined, { maximumFractionDigits: value < 10 ? 2 : 0 })} ${model.shortLabel}`;
+    }
+    const abs = Math.abs(value);
+    if (abs >= 1e9) return `$${(value / 1e9).toFixed(2)}B`;
+    if (abs >= 1e6) return `$${(value / 1e6).toFixed(1)}M`;
+    if (abs >= 1e3) return `$${(value / 1e3).toFixed(0)}K`;
+    return `$${Math.round(value).toLocaleString()}`;
+}
+
+/**
+ * Get total crash cost by LGA
+ * @param {Array} data - Crash data array
+ * @param {string} modelKey - Key in CRASH_COST_MODEL.MODELS
+ * @returns {Object} LGA-to-cost mapping
+ */
+export function getCrashCostByLGA(data = dataState.filteredData, modelKey) {
+    const weights = getCostModel(modelKey).weights;
+    const lgaCosts = {};
+
+    data.forEach(crash => {
+        const lga = crash.LGA;
+        if (lga && lga !== 'N/A') {
+            lgaCosts[lga] = (lgaCosts[lga] || 0) + (weights[crash['CSEF Severity']] || 0);
+        }
+    });
+
+    return lgaCosts;
+}
+
+// ============================================================================
+// COUNTING UNIT
+// ============================================================================
+
+/**
+ * Get a counting unit config
+ * @param {string} unitKey - Key in COUNT_UNITS
+ * @returns {Object} Counting unit config with its key
+ */
+export function getCountUnit(unitKey = filterState.countUnit) {
+    const key = COUNT_UNITS[unitKey] ? unitKey : 'crashes';
+    return { key, ...COUNT_UNITS[key] };
+}
+
+/**
+ * Get the casualties or units of a crash that the casualty / unit filters describe
+ * Each record is matched on its own, unlike crash filtering where one matching
+ * casualty or unit keeps the whole crash (see filterMatchingCasualties for the
+ * 'any' match mode).
+ * @param {Object} crash - Crash record with linked _casualties and _units
+ * @param {string} unitKey - 'casualties' or 'units' ('crashes' returns the crash itself)
+ * @param {Object} filters - Filter values (defaults to those of the current filtered data)
+ * @returns {Array} Matching casualty or unit records
+ */
+export function getCountedRecords(crash, unitKey, filters = filterState.appliedFilters) {
+    if (unitKey === 'casualties') {
+        const casualties = crash._casualties || [];
+        return filters ? filterMatchingCasualties(casualties, filters) : casualties;
+    }
+    if (unitKey === 'units') {
+        const units = crash._units || [];
+        return filters ? filterMatchingUnits(units, filters) : units;
+    }
+    return [crash];
+}
+
+// Counts per crash for the applied filters and unit; reset when either changes
+let countWeightCache = { filters: null, unitKey: null, weights: new WeakMap() };
+
+/**
+ * Get how many of the counting unit a crash contributes: 1 when counting
+ * crashes, otherwise its number of matching casualties or units
+ * @param {Object} crash - Crash record
+ * @param {string} unitKey - Key in COUNT_UNITS
+ * @returns {number}
+ */
+export function getCountWeight(crash, unitKey = filterState.countUnit) {
+    if (unitKey !== 'casualties' && unitKey !== 'units') return 1;
+
+    if (countWeightCache.filters !== filterState.appliedFilters || countWeightCache.unitKey !== unitKey) {
+        countWeightCache = { filters: filterState.appliedFilters, unitKey, weights: new WeakMap() };
+    }
+    let weight = countWeightCache.weights.get(crash);
+    if (weight === undefined) {
+        weight = getCountedRecords(crash, unitKey).length;
+        countWeightCache.weights.set(crash, weight);
+    }
+    return weight;
+}
+
+/**
+ * Helper: Check whether the statistics cache holds the counts asked for
+ */
+function isCached(data, countUnit) {
+    return !!dataState.analyticsCache && data === dataState.filteredData &&
+        dataState.analyticsCache.countUnit === countUnit;
+}
+
 /**
  * Generate summary statistics object
  * @returns {Object} Comprehensive statistics summary
@@ -367,6 +737,8 @@ export function generateSummaryStats() {
         byMonth: getCrashCountsByMonth(data),
         byDayOfWeek: getCrashCountsByDayOfWeek(data),
         byHour: getCrashCountsByHour(data),
+        byDayHour: getCrashCountsByDayHour(data),
+        byDayType: getCrashRatesByDayType(data),
         byLGA: getCrashCountsByLGA(data),
         topCrashTypes: getTopN(getCrashCountsByCrashType(data), 10),
         topLGAs: getTopN(getCrashCountsByLGA(data), 10)
@@ -0,0 +1,149 @@
+/**
+ * Boundary Worker
+ * Assigns crash points to user-supplied boundary polygons off the main thread.
+ *
+ * Protocol:
+ *   INIT   { type:'INIT', geometries } → READY { type:'READY', count }
+ *   ASSIGN { type:'ASSIGN', id, coordsBuffer } → RESULT { type:'RESULT', id, assignmentsBuffer }
+ *
+ * geometries is an array of GeoJSON Polygon / MultiPolygon geometries (WGS84),
+ * one per area, in the order the areas are numbered.
+ *
+ * coordsBuffer is a transferred Float64Array.buffer of [lat0, lng0, lat1, lng1, ...].
+ * assignmentsBuffer is a transferred Int32Array.buffer holding, for each point,
+ * the index of the first area that contains it, or -1 when it is in none.
+ * Points on a shared edge go to whichever area the ray test picks first.
+ */
+
+// Spatial index cell size in degrees (about 5 km)
+const INDEX_CELL_DEG = 0.05;
+
+let areas = null; // [{ bbox: [minLng, minLat, maxLng, maxLat], polygons: [[ring, ...], ...] }]
+let grid = null;  // Map cellKey → area indices whose bbox overlaps the cell
+
+self.onmessage = function (e) {
+    const { type } = e.data;
+
+    if (type === 'INIT') {
+        try {
+            buildIndex(e.data.geometries);
+            self.postMessage({ type: 'READY', count: areas.length });
+        } catch (err) {
+            self.postMessage({ type: 'ERROR', message: err.message });
+        }
+        return;
+    }
+
+    if (type === 'ASSIGN') {
+        const { id, coordsBuffer } = e.data;
+        try {
+            const coords = new Float64Array(coordsBuffer);
+            const assignments = assignPoints(coords);
+            self.postMessage({ type: 'RESULT', id, assignmentsBuffer: assignments.buffer }, [assignments.buffer]);
+        } catch (err) {
+            self.postMessage({ type: 'ERROR', id, message: err.message });
+        }
+    }
+};
+
+// ─── Index ───────────────────────────────────────────────────────────────────
+
+function cellKey(cx, cy) {
+    return cx + ',' + cy;
+}
+
+function buildIndex(geometries) {
+    areas = [];
+    grid = new Map();
+
+    geometries.forEach((geometry, index) => {
+        const polygons = !geometry ? []
+            : geometry.type === 'Polygon' ? [geometry.coordinates]
+            : geometry.type === 'MultiPolygon' ? geometry.coordinates
+            : [];
+
+        const bbox = [Infinity, Infinity, -Infinity, -Infinity];
+        polygons.forEach(rings => {
+            (rings[0] || []).forEach(([lng, lat]) => {
+                if (lng < bbox[0]) bbox[0] = lng;
+                if (lat < bbox[1]) bbox[1] = lat;
+                if (lng > bbox[2]) bbox[2] = lng;
+                if (lat > bbox[3]) bbox[3] = lat;
+            });
+        });
+        areas.push({ bbox, polygons });
+        if (bbox[0] === Infinity) return;
+
+        const x0 = Math.floor(bbox[0] / INDEX_CELL_DEG), x1 = Math.floor(bbox[2] / INDEX_CELL_DEG);
+        const y0 = Math.floor(bbox[1] / INDEX_CELL_DEG), y1 = Math.floor(bbox[3] / INDEX_CELL_DEG);
+        for (let cx = x0; cx <= x1; cx++) {
+            for (let cy = y0; cy <= y1; cy++) {
+                const key = cellKey(cx, cy);
+                let list = grid.get(key);
+                if (!list) {
+                    list = [];
+                    grid.set(key, list);
+                }
+                list.push(index);
+            }
+        }
+    });
+}
+
+// ─── Point in polygon ────────────────────────────────────────────────────────
+
+function assignPoints(coords) {
+    const count = coords.length / 2;
+    const assignments = new Int32Array(count).fill(-1);
+    if (!areas) return assignments;
+
+    for (let i = 0; i < count; i++) {
+        const lat = coords[i * 2], lng = coords[i * 2 + 1];
+        if (!isFinite(lat) || !isFinite(lng)) continue;
+
+        const candidates = grid.get(cellKey(Math.floor(lng / INDEX_CELL_DEG), Math.floor(lat / INDEX_CELL_DEG)));
+        if (!candidates) continue;
+
+        for (let c = 0; c < candidates.length; c++) {
+            const area = areas[candidates[c]];
+            const b = area.bbox;
+            if (lng < b[0] || lng > b[2] || lat < b[1] || lat > b[3]) continue;
+            if (inArea(area, lng, lat)) {
+                assignments[i] = candidates[c];
+                break;
+            }
+        }
+    }
+    return assignments;
+}
+
+function inArea(area, x, y) {
+    for (let p = 0; p < area.polygons.length; p++) {
+        const rings = area.polygons[p];
+        if (!inRing(rings[0], x, y)) continue;
+
+        // Inside the outer ring; excluded if inside any hole
+        let inHole = false;
+        for (let h = 1; h < rings.length; h++) {
+            if (inRing(rings[h], x, y)) {
+                inHole = true;
+                break;
+            }
+        }
+        if (!inHole) return true;
+    }
+    return false;
+}
+
+// Even-odd ray casting
+function inRing(ring, x, y) {
+    let inside = false;
+    for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+        const xi = ring[i][0], yi = ring[i][1];
+        const xj = ring[j][0], yj = ring[j][1];
+        if ((yi > y) !== (yj > y) && x < ((xj - xi) * (y - yi)) / (yj - yi) + xi) {
+            inside = !inside;
+        }
+    }
+    return inside;
+}
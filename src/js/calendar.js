@@ -0,0 +1,155 @@
+/**
+ * Calendar Module
+ * Classifies crash dates as SA public holidays, school holidays or other days
+ */
+
+import { dataState, updateDataState } from './state.js';
+import { CALENDAR } from './config.js';
+
+// ============================================================================
+// LOADING
+// ============================================================================
+
+/**
+ * Load the holiday reference table and classify every day it covers
+ * Failure leaves dataState.calendar null; crashes are then left unclassified.
+ * @param {string} filePath - Reference JSON (see data/reference/sa_holidays.json)
+ * @returns {Promise<Object|undefined>} The calendar, or undefined on failure
+ */
+export function loadCalendar(filePath = CALENDAR.REFERENCE_FILE) {
+    return fetch(filePath)
+        .then(response => {
+            if (!response.ok) throw new Error(`HTTP ${response.status}`);
+            return response.json();
+        })
+        .then(data => {
+            const calendar = buildCalendar(data);
+            updateDataState({ calendar });
+            return calendar;
+        })
+        .catch(error => {
+            console.warn('Could not load holiday calendar:', error);
+            const select = document.getElementById('dayTypeFilter');
+            if (select) {
+                select.disabled = true;
+                select.title = 'Holiday filter unavailable — calendar data failed to load';
+            }
+        });
+}
+
+/**
+ * Build the day lookup from the reference table
+ * Every day in the covered years gets a type: public holidays as listed, days
+ * outside the school terms as school holidays, and the rest as other days.
+ * @param {Object} data - { publicHolidays: { 'yyyy-mm-dd': name }, schoolTerms: [[start, end]] }
+ * @returns {{days: Map<string, string>, holidays: Object, years: Array<number>}}
+ */
+function buildCalendar(data) {
+    const holidays = data.publicHolidays || {};
+    const terms = (data.schoolTerms || []).slice().sort((a, b) => a[0].localeCompare(b[0]));
+    if (terms.length === 0) throw new Error('No school terms in calendar');
+
+    const years = [parseInt(terms[0][0]), parseInt(terms[terms.length - 1][1])];
+    const days = new Map();
+    const date = new Date(Date.UTC(years[0], 0, 1));
+    const end = Date.UTC(years[1], 11, 31);
+    let termIndex = 0;
+
+    for (; date.getTime() <= end; date.setUTCDate(date.getUTCDate() + 1)) {
+        const key = date.toISOString().slice(0, 10);
+        while (termIndex < terms.length && terms[termIndex][1] < key) termIndex++;
+        const inTerm = termIndex < terms.length && terms[termIndex][0] <= key;
+        days.set(key, holidays[key] ? 'public' : inTerm ? 'none' : 'school');
+    }
+
+    return { days, holidays, years };
+}
+
+// ============================================================================
+// CLASSIFICATION
+// ============================================================================
+
+/**
+ * ISO date (yyyy-mm-dd) of a crash date time
+ * @param {string} dateTime - 'dd/mm/yyyy hh:mm'
+ * @returns {string|null}
+ */
+export function getDateKey(dateTime) {
+    if (!dateTime) return null;
+    const parts = dateTime.split(' ')[0].split('/');
+    if (parts.length !== 3) return null;
+    return `${parts[2]}-${parts[1].padStart(2, '0')}-${parts[0].padStart(2, '0')}`;
+}
+
+/**
+ * Day type of a crash date time
+ * @param {string} dateTime - 'dd/mm/yyyy hh:mm'
+ * @returns {string|null} Key of CALENDAR.DAY_TYPES, or null when unknown or outside the calendar
+ */
+export function getDayType(dateTime) {
+    const calendar = dataState.calendar;
+    if (!calendar) return null;
+    return calendar.days.get(getDateKey(dateTime)) || null;
+}
+
+/**
+ * Public holiday name for a crash date time
+ * @param {string} dateTime - 'dd/mm/yyyy hh:mm'
+ * @returns {string|null}
+ */
+export function getHolidayName(dateTime) {
+    const calendar = dataState.calendar;
+    if (!calendar) return null;
+    return calendar.holidays[getDateKey(dateTime)] || null;
+}
+
+/**
+ * Store each crash's day type as crash._dayType so filters (including the
+ * filter worker, which receives the linked data) can test it cheaply
+ * @param {Array} crashes - Crash records
+ */
+export function annotateDayTypes(crashes) {
+    crashes.forEach(crash => {
+        crash._dayType = getDayType(crash['Crash Date Time']);
+    });
+}
+
+/**
+ * Number of calendar days of each type in a range of years
+ * Years outside the calendar are ignored. With filter values, only the days the
+ * month, day-of-week and date range filters let through are counted, so the
+ * counts match crashes filtered the same way.
+ * @param {number} yearFrom - First year
+ * @param {number} yearTo - Last year
+ * @param {Object|null} filters - getFilterValues() result (selectedMonths, selectedDaysOfWeek, dateFrom and dateTo are read)
+ * @returns {Object} { public, school, none } day counts
+ */
+export function countDayTypes(yearFrom, yearTo, filters = null) {
+    const counts = { public: 0, school: 0, none: 0 };
+    const calendar = dataState.calendar;
+    if (!calendar) return counts;
+
+    const months = getActiveValues(filters && filters.selectedMonths);
+    const daysOfWeek = getActiveValues(filters && filters.selectedDaysOfWeek);
+    const dateFrom = (filters && filters.dateFrom) || '';
+    const dateTo = (filters && filters.dateTo) || '';
+
+    calendar.days.forEach((type, key) => {
+        const year = parseInt(key);
+        if (year < yearFrom || year > yearTo) return;
+        if ((dateFrom && key < dateFrom) || (dateTo && key > dateTo)) return;
+        if (months && !months.has(String(parseInt(key.slice(5, 7), 10)))) return;
+        if (daysOfWeek && !daysOfWeek.has(String(new Date(`${key}T00:00:00Z`).getUTCDay()))) return;
+        counts[type]++;
+    });
+    return counts;
+}
+
+/**
+ * Helper: Selected values of a multi-select filter
+ * @param {Array|undefined} values - Filter values ('all' when unfiltered)
+ * @returns {Set<string>|null} The values, or null when the filter is off
+ */
+function getActiveValues(values) {
+    return Array.isArray(values) && values.length > 0 && !values.includes('all') ? new Set(values) : null;
+}
@@ -0,0 +1,625 @@
+/**
+ * Compare Mode Module
+ * Applies two saved filter sets at once and shows them side by side (split or swipe maps, paired statistics, overlaid charts)
+ */
+
+import { mapState, dataState, filterState, uiState, updateUiState } from './state.js';
+import { YEAR_RANGE, MAP_CONFIG, COMPARE_CONFIG } from './config.js';
+import { escapeHtml, showLoading, hideLoading } from './utils.js';
+import { showNotification } from './ui.js';
+import { getFilterValues, getSpatialFilters, applySpatialFilters } from './filters.js';
+import { matchesFilters } from './filter-matching.js';
+import { computeAllAnalytics, isCostWeighted, getCostModel, formatCost } from './analytics.js';
+import { getDrawnAreas, createAreaMatcher } from './map-renderer.js';
+import { getBoundaryLabel } from './custom-boundaries.js';
+import { getOverlayProximityLabel } from './overlays.js';
+
+const SLOTS = ['a', 'b'];
+
+const SEVERITY_LABELS = {
+    '4: Fatal': 'Fatal',
+    '3: SI': 'Serious injury',
+    '2: MI': 'Minor injury',
+    '1: PDO': 'Property damage'
+};
+
+const DAY_LABELS = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+
+// Compare view maps, layers and charts (created on first open)
+const compareMaps = { a: null, b: null };
+const compareLayers = { a: null, b: null };
+const compareAreaLayers = { a: null, b: null };
+const compareCharts = {};
+let compareResults = null;
+let swipePosition = 50;
+let syncingMaps = false;
+
+// ============================================================================
+// POINT LAYER
+// ============================================================================
+
+/**
+ * Lightweight canvas layer that draws crash points in a single colour
+ * Faster than one Leaflet vector per crash, and its canvas can be clipped for the swipe view.
+ */
+const ComparePointLayer = L.Layer.extend({
+    initialize(points, options) {
+        this._points = points;
+        this._clip = null;
+        L.setOptions(this, options);
+    },
+
+    onAdd(map) {
+        this._canvas = L.DomUtil.create('canvas', 'compare-point-canvas leaflet-zoom-hide');
+        this.getPane().appendChild(this._canvas);
+        map.on('moveend zoomend resize', this._redraw, this);
+        map.on('move', this._updateClip, this);
+        this._redraw();
+    },
+
+    onRemove(map) {
+        map.off('moveend zoomend resize', this._redraw, this);
+        map.off('move', this._updateClip, this);
+        L.DomUtil.remove(this._canvas);
+        this._canvas = null;
+    },
+
+    /**
+     * Show only the part of the layer left or right of a container x position
+     * @param {string|null} side - 'left', 'right' or null for no clipping
+     * @param {number} x - Divider position in container pixels
+     */
+    setClip(side, x) {
+        this._clip = side ? { side, x } : null;
+        this._updateClip();
+    },
+
+    _redraw() {
+        const map = this._map;
+        if (!map || !this._canvas) return;
+
+        const size = map.getSize();
+        const ratio = window.devicePixelRatio || 1;
+        this._origin = map.containerPointToLayerPoint([0, 0]);
+        L.DomUtil.setPosition(this._canvas, this._origin);
+        this._canvas.width = size.x * ratio;
+        this._canvas.height = size.y * ratio;
+        this._canvas.style.width = size.x + 'px';
+        this._canvas.style.height = size.y + 'px';
+
+        const ctx = this._canvas.getContext('2d');
+        ctx.setTransform(ratio, 0, 0, ratio, 0, 0);
+        ctx.clearRect(0, 0, size.x, size.y);
+        ctx.fillStyle = this.options.color;
+        ctx.globalAlpha = COMPARE_CONFIG.POINT_OPACITY;
+
+        const bounds = map.getBounds().pad(0.05);
+        const south = bounds.getSouth(), north = bounds.getNorth();
+        const west = bounds.getWest(), east = bounds.getEast();
+        const r = COMPARE_CONFIG.POINT_RADIUS;
+
+        ctx.beginPath();
+        this._points.forEach(([lat, lng]) => {
+            if (lat < south || lat > north || lng < west || lng > east) return;
+            const p = map.latLngToContainerPoint([lat, lng]);
+            ctx.moveTo(p.x + r, p.y);
+            ctx.arc(p.x, p.y, r, 0, Math.PI * 2);
+        });
+        ctx.fill();
+
+        this._updateClip();
+    },
+
+    _updateClip() {
+        if (!this._canvas) return;
+        if (!this._clip || !this._origin) {
+            this._canvas.style.clipPath = '';
+            return;
+        }
+        // The canvas moves with the map pane while dragging; keep the divider fixed on screen
+        const shift = this._map.containerPointToLayerPoint([0, 0]).subtract(this._origin);
+        const x = this._clip.x + shift.x;
+        const width = parseFloat(this._canvas.style.width) || 0;
+        this._canvas.style.clipPath = this._clip.side === 'left'
+            ? `inset(0 ${Math.max(0, width - x)}px 0 0)`
+            : `inset(0 0 0 ${Math.max(0, x)}px)`;
+    }
+});
+
+// ============================================================================
+// FILTER SETS
+// ============================================================================
+
+/**
+ * Save the current filters (and drawn areas) as compare set A or B
+ * @param {string} slot - 'a' or 'b'
+ */
+export function saveCompareSet(slot) {
+    if (!SLOTS.includes(slot)) return;
+
+    const filters = getFilterValues();
+    const drawnAreas = getDrawnAreas().map(({ name, mode, geometry }) => ({ name, mode, geometry }));
+    const spatial = getSpatialFilters();
+    filterState.compareSets[slot] = {
+        label: describeFilterSet(filters, drawnAreas, spatial),
+        filters,
+        drawnAreas,
+        spatial
+    };
+
+    updateCompareControls();
+    showNotification(`Set ${slot.toUpperCase()} saved: ${filterState.compareSets[slot].label}`, 'success');
+}
+
+/**
+ * Build a short default name for a filter set
+ * @param {Object} filters - Filter values from getFilterValues()
+ * @param {Array<Object>} drawnAreas - Drawn areas { name, mode, geometry }
+ * @param {Object} spatial - Spatial filters from getSpatialFilters()
+ * @returns {string}
+ */
+function describeFilterSet(filters, drawnAreas, spatial) {
+    const parts = [];
+
+    parts.push(filters.yearFrom === filters.yearTo
+        ? String(filters.yearFrom)
+        : `${filters.yearFrom}–${filters.yearTo}`);
+
+    // Multi-selects return ['all'] when nothing is narrowed down
+    const isSet = values => values.length > 0 && !values.includes('all');
+    const listOrCount = (values, noun) => values.length <= 2 ? values.join(', ') : `${values.length} ${noun}`;
+    if (isSet(filters.selectedAreas)) parts.push(listOrCount(filters.selectedAreas, 'areas'));
+    if (isSet(filters.selectedSuburbs)) parts.push(listOrCount(filters.selectedSuburbs, 'suburbs'));
+    if (isSet(filters.selectedSeverities)) {
+        parts.push(filters.selectedSeverities.map(s => SEVERITY_LABELS[s] || s).join(', '));
+    }
+    if (filters.dateFrom || filters.dateTo) parts.push(`${filters.dateFrom || '…'} to ${filters.dateTo || '…'}`);
+    if (drawnAreas.length === 1) parts.push(drawnAreas[0].name);
+    else if (drawnAreas.length > 1) parts.push(`${drawnAreas.length} drawn areas`);
+    if (spatial.boundaryRegion !== null && dataState.customBoundaries) parts.push(getBoundaryLabel(spatial.boundaryRegion));
+    const proximityLabel = getOverlayProximityLabel();
+    if (proximityLabel) parts.push(proximityLabel);
+    if (spatial.gpsRadius) parts.push(`within ${spatial.gpsRadius.radiusKm} km of your location`);
+
+    return parts.join(' · ');
+}
+
+/**
+ * Refresh the set A/B buttons and the Compare button in the sidebar
+ */
+function updateCompareControls() {
+    SLOTS.forEach(slot => {
+        const set = filterState.compareSets[slot];
+        const label = document.getElementById(`compareSet${slot.toUpperCase()}Label`);
+        if (label) {
+            label.textContent = set ? set.label : 'not set';
+            label.title = set ? set.label : '';
+        }
+    });
+
+    const openBtn = document.getElementById('compareOpenBtn');
+    if (openBtn) openBtn.disabled = !(filterState.compareSets.a && filterState.compareSets.b);
+}
+
+/**
+ * Apply a saved set's filters to the full dataset
+ * @param {Object} set - Compare set
+ * @returns {Array} Matching crashes
+ */
+function getSetCrashes(set) {
+    const { filters, drawnAreas, spatial } = set;
+    const inAreas = createAreaMatcher(drawnAreas);
+    const crashes = applySpatialFilters(dataState.crashData.filter(row => matchesFilters(row, filters)), spatial);
+    return inAreas ? crashes.filter(row => inAreas(row._coords)) : crashes;
+}
+
+/**
+ * Length of the period a filter set covers, in years
+ * @param {Object} filters - Filter values
+ * @returns {number}
+ */
+function getSetYears(filters) {
+    let from = `${filters.yearFrom}-01-01`;
+    let to = `${filters.yearTo}-12-31`;
+    if (filters.dateFrom && filters.dateFrom > from) from = filters.dateFrom;
+    if (filters.dateTo && filters.dateTo < to) to = filters.dateTo;
+    const days = (Date.parse(to) - Date.parse(from)) / 86400000 + 1;
+    return Math.max(days, 1) / 365.25;
+}
+
+// ============================================================================
+// COMPARE VIEW
+// ============================================================================
+
+/**
+ * Open the compare view for the saved sets A and B
+ */
+export async function openCompareView() {
+    const { a, b } = filterState.compareSets;
+    if (!a || !b) {
+        showNotification('Save filter sets A and B first.', 'warning');
+        return;
+    }
+
+    showLoading('Comparing filter sets...');
+    await new Promise(resolve => setTimeout(resolve, 0));
+
+    try {
+        compareResults = {};
+        SLOTS.forEach(slot => {
+            const set = filterState.compareSets[slot];
+            const crashes = getSetCrashes(set);
+            compareResults[slot] = {
+                crashes,
+                stats: computeAllAnalytics(crashes, 'crashes'),
+                years: getSetYears(set.filters)
+            };
+        });
+
+        SLOTS.forEach(slot => {
+            const input = document.getElementById(`compareName${slot.toUpperCase()}`);
+            if (input) input.value = filterState.compareSets[slot].label;
+        });
+
+        const view = document.getElementById('compareView');
+        view.style.display = 'flex';
+        document.getElementById('compareShareToggle').checked = uiState.compareShare;
+
+        initCompareMaps();
+        setCompareMode(uiState.compareMode);
+        renderCompareStats();
+        renderCompareCharts();
+    } catch (error) {
+        console.error('Compare view failed:', error);
+        showNotification('Could not compare the filter sets. Please try again.', 'error');
+    } finally {
+        hideLoading();
+    }
+}
+
+/**
+ * Close the compare view
+ */
+export function closeCompareView() {
+    const view = document.getElementById('compareView');
+    if (view) view.style.display = 'none';
+}
+
+/**
+ * Rename a compare set from the view header
+ * @param {string} slot - 'a' or 'b'
+ * @param {string} name - New name
+ */
+export function renameCompareSet(slot, name) {
+    const set = filterState.compareSets[slot];
+    if (!set || !name.trim()) return;
+    set.label = name.trim();
+    updateCompareControls();
+    renderCompareStats();
+    renderCompareCharts();
+}
+
+/**
+ * Switch between split-screen and swipe maps
+ * @param {string} mode - 'split' or 'swipe'
+ */
+export function setCompareMode(mode) {
+    if (mode !== 'split' && mode !== 'swipe') return;
+    updateUiState({ compareMode: mode });
+
+    document.getElementById('compareMaps').classList.toggle('swipe', mode === 'swipe');
+    document.querySelectorAll('.compare-mode-btn').forEach(btn => {
+        btn.classList.toggle('active', btn.dataset.mode === mode);
+    });
+
+    compareMaps.a.invalidateSize();
+    compareMaps.b.invalidateSize();
+    if (mode === 'split') compareMaps.b.setView(compareMaps.a.getCenter(), compareMaps.a.getZoom(), { animate: false });
+
+    renderCompareLayers();
+}
+
+/**
+ * Move the swipe divider
+ * @param {number|string} value - Divider position, 0-100 (% of map width)
+ */
+export function setCompareSwipe(value) {
+    swipePosition = parseFloat(value);
+    updateSwipeClip();
+}
+
+/**
+ * Toggle the compare charts between % of each set and raw counts
+ * @param {boolean} share - Show shares
+ */
+export function setCompareShare(share) {
+    updateUiState({ compareShare: !!share });
+    renderCompareCharts();
+}
+
+/**
+ * Create the two compare maps on first use and keep them in sync
+ */
+function initCompareMaps() {
+    if (!compareMaps.a) {
+        SLOTS.forEach(slot => {
+            const map = L.map(`compareMap${slot.toUpperCase()}`, {
+                zoomAnimation: false,
+                fadeAnimation: true,
+                minZoom: 5,
+                maxZoom: 19
+            });
+            L.tileLayer('https://{s}.basemaps.cartocdn.com/dark_all/{z}/{x}/{y}{r}.png', {
+                attribution: '&copy; <a href="https://www.openstreetmap.org/copyright">OpenStreetMap</a> contributors &copy; <a href="https://carto.com/attributions">CARTO</a>',
+                subdomains: 'abcd',
+                maxZoom: 19
+            }).addTo(map);
+            compareMaps[slot] = map;
+        });
+
+        // Mirror pan/zoom between the split maps
+        const sync = (source, target) => {
+            source.on('move', () => {
+                if (syncingMaps || uiState.compareMode !== 'split') return;
+                syncingMaps = true;
+                target.setView(source.getCenter(), source.getZoom(), { animate: false });
+                syncingMaps = false;
+            });
+        };
+        sync(compareMaps.a, compareMaps.b);
+        sync(compareMaps.b, compareMaps.a);
+
+        compareMaps.a.on('resize', updateSwipeClip);
+    }
+
+    // Start from the main map's view
+    const center = mapState.map ? mapState.map.getCenter() : MAP_CONFIG.DEFAULT_CENTER;
+    const zoom = mapState.map ? mapState.map.getZoom() : MAP_CONFIG.DEFAULT_ZOOM;
+    SLOTS.forEach(slot => {
+        compareMaps[slot].invalidateSize();
+        compareMaps[slot].setView(center, zoom, { animate: false });
+    });
+}
+
+/**
+ * Draw both sets on the compare maps for the current mode
+ */
+function renderCompareLayers() {
+    SLOTS.forEach(slot => {
+        if (compareLayers[slot]) compareLayers[slot].remove();
+        if (compareAreaLayers[slot]) compareAreaLayers[slot].remove();
+        compareLayers[slot] = null;
+        compareAreaLayers[slot] = null;
+    });
+    if (!compareResults) return;
+
+    const swipe = uiState.compareMode === 'swipe';
+    SLOTS.forEach(slot => {
+        const map = swipe ? compareMaps.a : compareMaps[slot];
+        const color = COMPARE_CONFIG.COLORS[slot];
+        const points = compareResults[slot].crashes.filter(c => c._coords).map(c => c._coords);
+
+        compareLayers[slot] = new ComparePointLayer(points, { color }).addTo(map);
+
+        // Include areas dashed, exclude areas dotted, in the set's colour
+        const areas = filterState.compareSets[slot].drawnAreas;
+        if (areas.length > 0) {
+            compareAreaLayers[slot] = L.geoJSON(areas.map(area => ({
+                type: 'Feature',
+                geometry: area.geometry,
+                properties: { mode: area.mode }
+            })), {
+                style: feature => ({
+                    color,
+                    weight: 2,
+                    dashArray: feature.properties.mode === 'exclude' ? '2 4' : '6 4',
+                    fill: false
+                }),
+                interactive: false
+            }).addTo(map);
+        }
+    });
+
+    updateSwipeClip();
+}
+
+/**
+ * Clip set A to the left and set B to the right of the swipe divider
+ */
+function updateSwipeClip() {
+    const swipe = uiState.compareMode === 'swipe';
+    const divider = document.getElementById('compareSwipeDivider');
+    if (divider) divider.style.left = swipePosition + '%';
+    if (!compareMaps.a) return;
+
+    const x = compareMaps.a.getSize().x * swipePosition / 100;
+    if (compareLayers.a) compareLayers.a.setClip(swipe ? 'left' : null, x);
+    if (compareLayers.b) compareLayers.b.setClip(swipe ? 'right' : null, x);
+}
+
+// ============================================================================
+// PAIRED STATISTICS
+// ============================================================================
+
+/**
+ * Render the paired statistics table
+ */
+function renderCompareStats() {
+    const container = document.getElementById('compareStats');
+    if (!container || !compareResults) return;
+
+    const { a, b } = compareResults;
+    const fsi = stats => (stats.bySeverity['4: Fatal'] || 0) + (stats.bySeverity['3: SI'] || 0);
+    const share = (part, total) => total > 0 ? part / total * 100 : 0;
+
+    const rows = [
+        { label: 'Period (years)', a: a.years, b: b.years, format: v => v.toFixed(1), noDiff: true },
+        { label: 'Crashes', a: a.stats.totalCrashes, b: b.stats.totalCrashes },
+        { label: 'Crashes per year', a: a.stats.totalCrashes / a.years, b: b.stats.totalCrashes / b.years, format: v => v.toFixed(1) },
+        { label: 'Fatalities', a: a.stats.totalFatalities, b: b.stats.totalFatalities },
+        { label: 'Serious injuries', a: a.stats.totalSerious, b: b.stats.totalSerious },
+        { label: 'Minor injuries', a: a.stats.totalMinor, b: b.stats.totalMinor },
+        { label: 'Fatal + serious crashes', a: fsi(a.stats), b: fsi(b.stats) },
+        {
+            label: 'Fatal + serious share',
+            a: share(fsi(a.stats), a.stats.totalCrashes),
+            b: share(fsi(b.stats), b.stats.totalCrashes),
+            format: v => v.toFixed(1) + '%',
+            points: true
+        }
+    ];
+    if (isCostWeighted()) {
+        rows.push({ label: getCostModel().shortLabel, a: a.stats.totalCost, b: b.stats.totalCost, format: v => formatCost(v) });
+    }
+
+    const formatDiff = row => {
+        if (row.noDiff) return '';
+        const diff = row.b - row.a;
+        const cls = diff > 0 ? 'compare-diff-up' : diff < 0 ? 'compare-diff-down' : '';
+        if (row.points) return `<span class="${cls}">${diff > 0 ? '+' : ''}${diff.toFixed(1)} pts</span>`;
+        const pct = row.a > 0 ? ` (${diff > 0 ? '+' : ''}${(diff / row.a * 100).toFixed(0)}%)` : '';
+        const value = row.format ? row.format(Math.abs(diff)) : Math.abs(Math.round(diff)).toLocaleString();
+        return `<span class="${cls}">${diff < 0 ? '−' : diff > 0 ? '+' : ''}${value}${pct}</span>`;
+    };
+    const formatValue = (row, value) => row.format ? row.format(value) : Math.round(value).toLocaleString();
+
+    const name = slot => escapeHtml(filterState.compareSets[slot].label);
+    container.innerHTML = `
+        <table class="compare-stats-table">
+            <thead>
+                <tr>
+                    <th></th>
+                    <th><span class="compare-swatch" style="background:${COMPARE_CONFIG.COLORS.a}"></span>A<br><small>${name('a')}</small></th>
+                    <th><span class="compare-swatch" style="background:${COMPARE_CONFIG.COLORS.b}"></span>B<br><small>${name('b')}</small></th>
+                    <th>B vs A</th>
+                </tr>
+            </thead>
+            <tbody>
+                ${rows.map(row => `
+                    <tr>
+                        <td>${escapeHtml(row.label)}</td>
+                        <td>${formatValue(row, row.a)}</td>
+                        <td>${formatValue(row, row.b)}</td>
+                        <td>${formatDiff(row)}</td>
+                    </tr>`).join('')}
+            </tbody>
+        </table>
+    `;
+
+    SLOTS.forEach(slot => {
+        const label = document.getElementById(`compareMapLabel${slot.toUpperCase()}`);
+        if (label) label.textContent = `${slot.toUpperCase()}: ${filterState.compareSets[slot].label} (${compareResults[slot].stats.totalCrashes.toLocaleString()})`;
+    });
+}
+
+// ============================================================================
+// OVERLAID CHARTS
+// ============================================================================
+
+/**
+ * Render (or update) the overlaid A/B charts
+ */
+function renderCompareCharts() {
+    if (!compareResults) return;
+    const { a, b } = compareResults;
+
+    const years = [];
+    for (let y = Math.min(...yearsOf(a.stats), ...yearsOf(b.stats)); y <= Math.max(...yearsOf(a.stats), ...yearsOf(b.stats)); y++) {
+        years.push(y);
+    }
+
+    // Top crash types across both sets
+    const typeTotals = {};
+    [a, b].forEach(result => Object.entries(result.stats.byType).forEach(([type, count]) => {
+        typeTotals[type] = (typeTotals[type] || 0) + count;
+    }));
+    const types = Object.entries(typeTotals)
+        .sort((x, y) => y[1] - x[1])
+        .slice(0, COMPARE_CONFIG.CRASH_TYPE_LIMIT)
+        .map(([type]) => type);
+
+    const severities = Object.keys(SEVERITY_LABELS);
+    const hours = Array.from({ length: 24 }, (_, i) => i);
+
+    renderChart('compareYearChart', 'line', years.map(String), stats => years.map(y => stats.byYear[y] || 0));
+    renderChart('compareSeverityChart', 'bar', severities.map(s => SEVERITY_LABELS[s]), stats => severities.map(s => stats.bySeverity[s] || 0));
+    renderChart('compareHourChart', 'line', hours.map(h => `${h}:00`), stats => hours.map(h => stats.byHour[h] || 0));
+    renderChart('compareDayChart', 'bar', DAY_LABELS.map(d => d.slice(0, 3)), stats => DAY_LABELS.map(d => stats.byDayOfWeek[d] || 0));
+    renderChart('compareTypeChart', 'bar', types, stats => types.map(t => stats.byType[t] || 0), { indexAxis: 'y' });
+}
+
+/**
+ * Years present in a stats object
+ * @param {Object} stats - computeAllAnalytics result
+ * @returns {Array<number>}
+ */
+function yearsOf(stats) {
+    const years = Object.keys(stats.byYear).map(Number);
+    return years.length > 0 ? years : [YEAR_RANGE.MIN];
+}
+
+/**
+ * Create or update one overlaid chart
+ * @param {string} canvasId - Canvas element ID
+ * @param {string} type - Chart.js type ('bar' or 'line')
+ * @param {Array<string>} labels - Category labels
+ * @param {Function} valuesOf - stats → array of counts per label
+ * @param {Object} extraOptions - Extra Chart.js options
+ */
+function renderChart(canvasId, type, labels, valuesOf, extraOptions = {}) {
+    const canvas = document.getElementById(canvasId);
+    if (!canvas) return;
+
+    const share = uiState.compareShare;
+    const datasets = SLOTS.map(slot => {
+        const stats = compareResults[slot].stats;
+        const counts = valuesOf(stats);
+        const total = stats.totalCrashes;
+        const color = COMPARE_CONFIG.COLORS[slot];
+        return {
+            label: `${slot.toUpperCase()}: ${filterState.compareSets[slot].label}`,
+            data: share ? counts.map(c => total > 0 ? c / total * 100 : 0) : counts,
+            borderColor: color,
+            backgroundColor: type === 'line' ? color + '22' : color + 'cc',
+            fill: type === 'line',
+            tension: 0.3,
+            pointRadius: type === 'line' ? 2 : undefined
+        };
+    });
+
+    const formatValue = v => share ? v.toFixed(1) + '%' : Math.round(v).toLocaleString();
+    const valueAxis = extraOptions.indexAxis === 'y' ? 'x' : 'y';
+
+    if (compareCharts[canvasId]) compareCharts[canvasId].destroy();
+    compareCharts[canvasId] = new Chart(canvas, {
+        type,
+        data: { labels, datasets },
+        options: {
+            responsive: true,
+            maintainAspectRatio: false,
+            interaction: { mode: 'index', intersect: false },
+            plugins: {
+                legend: { display: false },
+                tooltip: {
+                    callbacks: {
+                        label: ctx => `${ctx.dataset.label}: ${formatValue(ctx.parsed[valueAxis])}`,
+                        // Difference between the two sets at this category
+                        footer: items => {
+                            if (items.length < 2) return '';
+                            const diff = items[1].parsed[valueAxis] - items[0].parsed[valueAxis];
+                            const sign = diff > 0 ? '+' : diff < 0 ? '−' : '';
+                            return `B − A: ${sign}${share ? Math.abs(diff).toFixed(1) + ' pts' : Math.abs(Math.round(diff)).toLocaleString()}`;
+                        }
+                    }
+                }
+            },
+            scales: {
+                [valueAxis]: {
+                    beginAtZero: true,
+                    ticks: { callback: v => share ? v + '%' : v.toLocaleString() }
+                }
+            },
+            ...extraOptions
+        }
+    });
+}
@@ -25,7 +25,37 @@ export const DATA_TABLE = {
         { key: 'Area Speed', label: 'Speed', sortable: true },
         { key: 'Total Fats', label: 'Fatalities', sortable: true },
         { key: 'Total SI', label: 'Serious Inj.', sortable: true },
-        { key: 'Total MI', label: 'Minor Inj.', sortable: true }
+        { key: 'Total MI', label: 'Minor Inj.', sortable: true },
+        { key: 'Cost', label: 'Cost', sortable: true }
+    ],
+    // Record tables listed alongside the crash table. Columns marked crash: true
+    // are read from the parent crash; numeric columns sort as numbers
+    RECORD_TYPES: {
+        crashes: { label: 'Crashes', singular: 'crash' },
+        casualties: { label: 'Casualties', singular: 'casualty' },
+        units: { label: 'Units', singular: 'unit' }
+    },
+    CASUALTY_COLUMNS: [
+        { key: 'Year', label: 'Year', crash: true, numeric: true },
+        { key: 'Crash Date Time', label: 'Date/Time', crash: true },
+        { key: 'Suburb', label: 'Suburb', crash: true },
+        { key: 'Casualty Type', label: 'Road User' },
+        { key: 'AGE', label: 'Age', numeric: true },
+        { key: 'Sex', label: 'Sex' },
+        { key: 'Injury Extent', label: 'Injury Extent' },
+        { key: 'Seat Belt', label: 'Seat Belt' },
+        { key: 'Helmet', label: 'Helmet' }
+    ],
+    UNIT_COLUMNS: [
+        { key: 'Year', label: 'Year', crash: true, numeric: true },
+        { key: 'Crash Date Time', label: 'Date/Time', crash: true },
+        { key: 'Suburb', label: 'Suburb', crash: true },
+        { key: 'Unit Type', label: 'Unit Type' },
+        { key: 'Veh Year', label: 'Vehicle Year', numeric: true },
+        { key: 'Licence Type', label: 'Licence Type' },
+        { key: 'Unit Movement', label: 'Movement' },
+        { key: 'Direction Of Travel', label: 'Direction' },
+        { key: 'Veh Reg State', label: 'Reg. State' }
     ]
 };
 
@@ -59,6 +89,22 @@ export const HEAVY_VEHICLE_TYPES = [
     'Light Truck LT 4.5T'
 ];
 
+// Crash configurations derived from a crash's units (see linkCrashData)
+// Units whose Unit Type contains a pedestrian or cyclist keyword count as that road
+// user; animals and objects struck are ignored; everything else is a motor vehicle.
+export const CRASH_CONFIGURATIONS = {
+    LABELS: {
+        single:     'Single vehicle',
+        two:        'Two vehicles',
+        multi:      'Multi-vehicle (3+)',
+        pedestrian: 'Vehicle vs pedestrian',
+        cyclist:    'Vehicle vs cyclist'
+    },
+    PEDESTRIAN_KEYWORDS: ['pedestrian'],
+    CYCLIST_KEYWORDS: ['pedal cycle', 'bicycle'],
+    NON_VEHICLE_KEYWORDS: ['animal', 'fixed object', 'obstruction', 'tree', 'pole', 'barrier']
+};
+
 // Tutorial tabs
 export const TUTORIAL_TABS = ['getting-started', 'filtering', 'analytics', 'tools', 'tips', 'quick-ref'];
 
@@ -162,8 +208,21 @@ export const FILTER_PRESETS = {
             severities: [],
             crashTypes: [],
             areas: [],
-            suburbs: []
-            // Note: Day of week filter not available in preset system
+            suburbs: [],
+            daysOfWeek: ['0', '6']
+        }
+    },
+    'holiday-periods': {
+        name: 'Holiday Period Crashes',
+        description: 'Crashes on SA public holidays and during school holidays',
+        filters: {
+            yearFrom: 2012,
+            yearTo: 2024,
+            severities: [],
+            crashTypes: [],
+            areas: [],
+            suburbs: [],
+            dayType: 'holiday'
         }
     },
     'hit-object': {
@@ -190,6 +249,32 @@ export const FILTER_PRESETS = {
             suburbs: [],
             ageGroups: ['0-17', '18-25']
         }
+    },
+    'single-vehicle': {
+        name: 'Single Vehicle Crashes',
+        description: 'Crashes involving only one vehicle and no pedestrians or cyclists (e.g. run-off-road)',
+        filters: {
+            yearFrom: 2012,
+            yearTo: 2024,
+            severities: [],
+            crashTypes: [],
+            areas: [],
+            suburbs: [],
+            configurations: ['single']
+        }
+    },
+    'multi-casualty': {
+        name: 'Multi-Casualty Crashes (3+)',
+        description: 'Crashes with three or more casualties',
+        filters: {
+            yearFrom: 2012,
+            yearTo: 2024,
+            severities: [],
+            crashTypes: [],
+            areas: [],
+            suburbs: [],
+            totalCasualties: [3, null]
+        }
     }
 };
 
@@ -256,6 +341,167 @@ export const MAP_CONFIG = {
     MAX_ZOOM: 18
 };
 
+// Choropleth rate normalisation
+// FIELD names the per-LGA denominator in data/reference/lga_denominators.json;
+// rates are expressed per PER units of that denominator. Road lengths missing from
+// the file are summed per LGA from the road network once one is loaded.
+export const CHOROPLETH_NORMALIZATION = {
+    REFERENCE_FILE: 'data/reference/lga_denominators.json',
+    MODES: {
+        none:       { label: 'Crash count',          unit: '',                     field: null,           per: 1 },
+        population: { label: 'Per 10,000 residents', unit: 'per 10,000 residents', field: 'population',   per: 10000 },
+        area:       { label: 'Per km²',              unit: 'per km²',              field: 'areaKm2',      per: 1 },
+        road:       { label: 'Per 100 km of road',   unit: 'per 100 km of road',   field: 'roadLengthKm', per: 100,
+                      unavailable: 'Load a road network (Road Segments layer) to enable this rate' }
+    }
+};
+
+// Holiday calendar
+// REFERENCE_FILE lists SA public holidays and school terms; each crash date is
+// classified as one of DAY_TYPES (public holidays take precedence over school holidays).
+export const CALENDAR = {
+    REFERENCE_FILE: 'data/reference/sa_holidays.json',
+    DAY_TYPES: {
+        public: 'Public holiday',
+        school: 'School holidays',
+        none:   'Other days'
+    },
+    // Choices of the Holidays filter ('holiday' matches either kind of holiday)
+    FILTER_LABELS: {
+        holiday: 'Public or school holidays',
+        public:  'Public holidays',
+        school:  'School holidays',
+        none:    'Outside holidays'
+    }
+};
+
+// Severity-weighted crash cost models
+// Dollar values are indicative average social costs per crash by CSEF severity;
+// replace them with the figures your agency has adopted. EPDO expresses each
+// severity as an equivalent number of property-damage-only crashes.
+export const CRASH_COST_MODEL = {
+    DEFAULT_MODEL: 'social',
+    MODELS: {
+        social: {
+            label: 'Social cost ($)',
+            shortLabel: 'Est. Cost',
+            currency: true,
+            weights: { '4: Fatal': 7800000, '3: SI': 820000, '2: MI': 45000, '1: PDO': 10000 }
+        },
+        epdo: {
+            label: 'EPDO index',
+            shortLabel: 'EPDO',
+            currency: false,
+            weights: { '4: Fatal': 12, '3: SI': 6, '2: MI': 3, '1: PDO': 1 }
+        }
+    }
+};
+
+// What statistics, charts and the data table count
+// Casualties and units are counted one by one against the casualty and unit
+// filters, so e.g. "cyclists aged 18-25" counts only casualties who are both.
+export const COUNT_UNITS = {
+    crashes:    { label: 'Crashes', singular: 'crash', plural: 'crashes' },
+    casualties: { label: 'Casualties', singular: 'casualty', plural: 'casualties' },
+    units:      { label: 'Units', singular: 'unit', plural: 'units' }
+};
+
+// Hotspot detection (Getis-Ord Gi* on a square grid)
+// Cells are CELL_SIZE_M metres across; a cell is a hotspot when its Gi* z-score
+// passes the chosen confidence level after false discovery rate correction.
+export const HOTSPOT_CONFIG = {
+    CELL_SIZE_M: 250,
+    CELL_SIZE_OPTIONS: [100, 250, 500, 1000],
+    CONFIDENCE: 0.95,
+    CONFIDENCE_OPTIONS: [0.90, 0.95, 0.99],
+    MIN_CRASHES: 5,      // Ignore hotspots with fewer crashes than this
+    MAX_RESULTS: 25      // Length of the ranked list
+};
+
+// Road network aggregation
+// DEFAULT_FILE is tried first; any LineString GeoJSON in WGS84 can also be
+// loaded from disk. Snap distances are capped at 100 m by the worker's index.
+export const ROAD_NETWORK = {
+    DEFAULT_FILE: 'data/reference/road_network.geojson',
+    NAME_PROPERTIES: ['name', 'NAME', 'road_name', 'ROAD_NAME', 'ROADNAME', 'street', 'STREET'],
+    SEGMENT_LENGTH_M: 200,
+    SEGMENT_LENGTH_OPTIONS: [100, 200, 500, 1000],
+    SNAP_DISTANCE_M: 30,
+    INTERSECTION_RADIUS_M: 30,
+    POPUP_CRASH_LIMIT: 5  // Crashes listed before the "Show more" link
+};
+
+// Custom choropleth boundaries (user-supplied Polygon / MultiPolygon GeoJSON)
+// The first NAME_PROPERTIES entry present on the features labels each area.
+// Files in SA Lambert (EPSG:3107) are reprojected; other projected CRSs are rejected.
+export const CUSTOM_BOUNDARIES = {
+    NAME_PROPERTIES: ['name', 'NAME', 'Name', 'label', 'LABEL', 'title', 'district', 'DISTRICT', 'region', 'REGION'],
+    MAX_FEATURES: 5000
+};
+
+// Buffer filter around a drawn or picked road corridor / set of points
+// Each buffered shape is added as a drawn area, so it filters like a drawn polygon.
+export const DRAW_BUFFER = {
+    DISTANCE_OPTIONS_M: [25, 50, 100, 200, 500],
+    DEFAULT_DISTANCE_M: 50
+};
+
+// User map overlays (point / line GeoJSON or CSV, e.g. speed cameras, bus stops)
+// CSV files need latitude/longitude columns, or SA Lambert X/Y; column names are
+// matched case-insensitively against the lists below. Layers take COLORS in turn.
+export const MAP_OVERLAYS = {
+    COLORS: ['#ffd166', '#06d6a0', '#ef476f', '#118ab2', '#f78c6b', '#c77dff'],
+    LAT_COLUMNS: ['lat', 'latitude', 'y_lat'],
+    LNG_COLUMNS: ['lng', 'lon', 'long', 'longitude', 'x_lon'],
+    X_COLUMNS: ['x', 'easting', 'accloc_x'],
+    Y_COLUMNS: ['y', 'northing', 'accloc_y'],
+    DISTANCE_OPTIONS_M: [50, 100, 200, 500, 1000],
+    DEFAULT_DISTANCE_M: 200,
+    MAX_FEATURES: 20000
+};
+
+// Compare mode (two filter sets side by side)
+// Set A and B colours are used for the map points, labels and chart series.
+export const COMPARE_CONFIG = {
+    COLORS: { a: '#4a90e2', b: '#e67e22' },
+    POINT_RADIUS: 2.5,
+    POINT_OPACITY: 0.7,
+    CRASH_TYPE_LIMIT: 8  // Crash types shown in the overlaid type chart
+};
+
+// Time-lapse playback of the filtered crashes by year, month or hour of day
+// Sliding windows are measured in steps (e.g. 3 months); speeds are ms per frame.
+export const TIMELAPSE = {
+    WINDOW_OPTIONS: { years: [1, 2, 3, 5], months: [1, 3, 6, 12], hours: [1, 2, 3, 6] },
+    SPEEDS_MS: { slow: 1500, normal: 800, fast: 300 },
+    DEFAULT_SPEED: 'normal',
+    POINT_RADIUS: 3,
+    POINT_OPACITY: 0.8,
+    RECORD_MAX_WIDTH: 960  // Recordings are scaled down to at most this many pixels wide
+};
+
+// Trend analysis on the Crashes Over Time and Severity Trend charts
+// Moving-average windows are in years (12× as many points in monthly mode).
+// Trend bands are 95% confidence intervals for the fitted mean.
+export const TREND_ANALYSIS = {
+    MOVING_AVERAGE_YEARS: [3, 5],
+    METHODS: { linear: 'Linear', poisson: 'Poisson' },
+    MIN_POINTS: 4,             // Fewer points than this and no trend line is fitted
+    POISSON_MAX_ITERATIONS: 25
+};
+
+// Cross-tabulation explorer (two or three crash, casualty or unit fields)
+// Less common categories beyond the limits are grouped as 'Other'. Stacked bar
+// segments take COLORS in turn.
+export const CROSSTAB = {
+    MAX_CATEGORIES: 12,
+    MAX_LAYERS: 6,
+    DEFAULT_ROW: 'crashType',
+    DEFAULT_COLUMN: 'speedZone',
+    COLORS: ['#4a90e2', '#ef5350', '#66bb6a', '#ffa726', '#ab47bc', '#26c6da',
+             '#8d6e63', '#ec407a', '#9ccc65', '#5c6bc0', '#ffca28', '#78909c', '#bdbdbd']
+};
+
 // Cache configuration
 export const CACHE_CONFIG = {
     MARKER_ICON_CACHE_SIZE: 1000,
@@ -0,0 +1,582 @@
+/**
+ * Cross-tabulation Module
+ * Pivot tables of two or three crash, casualty or unit fields with chi-square tests
+ */
+
+import { dataState } from './state.js';
+import { CROSSTAB, CALENDAR, HEAVY_VEHICLE_TYPES } from './config.js';
+import { escapeHtml, logGamma } from './utils.js';
+import { showNotification } from './ui.js';
+import { filterBySelections } from './filters.js';
+import { getCountedRecords, getCountUnit } from './analytics.js';
+
+const MONTH_NAMES = ['January', 'February', 'March', 'April', 'May', 'June', 'July',
+                     'August', 'September', 'October', 'November', 'December'];
+const DAY_NAMES = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+
+// Categories that don't correspond to a filter value
+const NOT_STATED = 'Not stated';
+const OTHER = 'Other';
+
+const yesNo = value => (value || '').trim() === 'Y' ? 'Yes' : 'No';
+
+/**
+ * Group a casualty's age like the Age Group filter
+ */
+function getAgeGroup(casualty) {
+    const age = parseInt(casualty.AGE);
+    if (isNaN(age) || age < 0) return null;
+    if (age <= 17) return '0-17';
+    if (age <= 25) return '18-25';
+    if (age <= 35) return '26-35';
+    if (age <= 50) return '36-50';
+    if (age <= 65) return '51-65';
+    return '66+';
+}
+
+/**
+ * Group a unit's vehicle year like the Vehicle Year filter
+ */
+function getVehicleAge(unit) {
+    const year = parseInt(unit['Veh Year']);
+    if (isNaN(year)) return null;
+    if (year < 2000) return 'pre-2000';
+    if (year <= 2010) return '2000-2010';
+    if (year <= 2020) return '2011-2020';
+    return '2021+';
+}
+
+/**
+ * Day of week (0 = Sunday) of a crash, as the Day of Week filter computes it
+ */
+function getDayOfWeek(crash) {
+    const dt = crash['Crash Date Time'];
+    if (!dt) return null;
+    const dp = dt.split(' ')[0].split('/');
+    if (dp.length !== 3) return null;
+    return new Date(parseInt(dp[2]), parseInt(dp[1]) - 1, parseInt(dp[0])).getDay();
+}
+
+/**
+ * Fields offered as rows, columns and layers
+ * level: what the value is read from ('crash', 'casualty' or 'unit')
+ * value: record → category value (must equal the filter control's option value)
+ * filter: ID of the filter control a clicked cell sets ('year' = year slider)
+ * format: category value → display label (optional)
+ * order: fixed category order, or 'numeric' (default: most frequent first)
+ */
+const FIELDS = {
+    // Crash
+    year:         { label: 'Year', level: 'crash', value: c => c.Year, filter: 'year', order: 'numeric' },
+    severity:     { label: 'Severity', level: 'crash', value: c => c['CSEF Severity'], filter: 'severity',
+                    order: ['1: PDO', '2: MI', '3: SI', '4: Fatal'] },
+    crashType:    { label: 'Crash Type', level: 'crash', value: c => c['Crash Type'], filter: 'crashType' },
+    area:         { label: 'Area (LGA)', level: 'crash', value: c => c.LGA, filter: 'area' },
+    speedZone:    { label: 'Speed Zone', level: 'crash', value: c => (c['Area Speed'] || '').trim(), filter: 'speedZoneFilter',
+                    format: v => `${v} km/h`, order: 'numeric' },
+    weather:      { label: 'Weather', level: 'crash', value: c => c['Weather Cond'], filter: 'weather' },
+    dayNight:     { label: 'Day/Night', level: 'crash', value: c => c.DayNight, filter: 'dayNight' },
+    roadSurface:  { label: 'Road Surface', level: 'crash', value: c => c['Road Surface'], filter: 'roadSurface' },
+    moisture:     { label: 'Moisture', level: 'crash', value: c => c['Moisture Cond'], filter: 'moistureCond' },
+    dui:          { label: 'DUI Involved', level: 'crash', value: c => yesNo(c['DUI Involved']), filter: 'duiInvolved' },
+    drugs:        { label: 'Drugs Involved', level: 'crash', value: c => yesNo(c['Drugs Involved']), filter: 'drugsInvolved' },
+    month:        { label: 'Month', level: 'crash', filter: 'monthFilter', order: 'numeric',
+                    value: c => {
+                        const dp = (c['Crash Date Time'] || '').split(' ')[0].split('/');
+                        return dp.length === 3 ? parseInt(dp[1]) : null;
+                    },
+                    format: v => MONTH_NAMES[v - 1] },
+    dayOfWeek:    { label: 'Day of Week', level: 'crash', value: getDayOfWeek, filter: 'dayOfWeekFilter',
+                    format: v => DAY_NAMES[v], order: ['1', '2', '3', '4', '5', '6', '0'] },
+    dayType:      { label: 'Holidays', level: 'crash', value: c => c._dayType, filter: 'dayTypeFilter',
+                    format: v => CALENDAR.DAY_TYPES[v], order: ['public', 'school', 'none'] },
+    // Casualty
+    roadUser:     { label: 'Road User', level: 'casualty', value: p => p['Casualty Type'], filter: 'roadUserType' },
+    ageGroup:     { label: 'Age Group', level: 'casualty', value: getAgeGroup, filter: 'ageGroup',
+                    order: ['0-17', '18-25', '26-35', '36-50', '51-65', '66+'] },
+    sex:          { label: 'Sex', level: 'casualty', value: p => p.Sex, filter: 'casualtySex' },
+    injury:       { label: 'Injury Extent', level: 'casualty', value: p => p['Injury Extent'], filter: 'injuryExtent' },
+    seatBelt:     { label: 'Seat Belt', level: 'casualty', value: p => p['Seat Belt'], filter: 'seatBelt' },
+    helmet:       { label: 'Helmet', level: 'casualty', value: p => p.Helmet, filter: 'helmet' },
+    // Unit
+    unitType:     { label: 'Vehicle Type', level: 'unit', value: u => u['Unit Type'], filter: 'vehicleType' },
+    heavyVehicle: { label: 'Heavy Vehicle', level: 'unit', filter: 'heavyVehicle',
+                    value: u => HEAVY_VEHICLE_TYPES.includes(u['Unit Type']) ? 'Yes' : 'No' },
+    vehicleAge:   { label: 'Vehicle Year', level: 'unit', value: getVehicleAge, filter: 'vehicleYear',
+                    order: ['pre-2000', '2000-2010', '2011-2020', '2021+'] },
+    licenceType:  { label: 'Licence Type', level: 'unit', value: u => u['Licence Type'], filter: 'licenseType' },
+    regState:     { label: 'Registration State', level: 'unit', value: u => u['Veh Reg State'], filter: 'vehRegState' },
+    direction:    { label: 'Direction of Travel', level: 'unit', value: u => u['Direction Of Travel'], filter: 'directionTravel' },
+    movement:     { label: 'Unit Movement', level: 'unit', value: u => u['Unit Movement'], filter: 'unitMovement' }
+};
+
+const LEVEL_LABELS = { crash: 'Crash', casualty: 'Casualty', unit: 'Unit / vehicle' };
+// Counting unit (COUNT_UNITS key) of each field level
+const LEVEL_COUNT_UNITS = { crash: 'crashes', casualty: 'casualties', unit: 'units' };
+
+// Last result, kept for re-rendering (percent mode) and cell clicks
+let lastResult = null;
+let crosstabChart = null;
+
+// ============================================================================
+// STATISTICS
+// ============================================================================
+
+/**
+ * Upper tail probability of the chi-square distribution
+ * Regularised upper incomplete gamma Q(df/2, x/2): series below a + 1,
+ * continued fraction (modified Lentz) above.
+ * @param {number} statistic - Chi-square statistic
+ * @param {number} df - Degrees of freedom
+ * @returns {number} p-value
+ */
+function chiSquarePValue(statistic, df) {
+    if (df <= 0 || statistic <= 0) return 1;
+    const a = df / 2;
+    const x = statistic / 2;
+    const logPrefix = a * Math.log(x) - x - logGamma(a);
+
+    if (x < a + 1) {
+        let term = 1 / a;
+        let sum = term;
+        for (let n = 1; n < 1000; n++) {
+            term *= x / (a + n);
+            sum += term;
+            if (term < sum * 1e-14) break;
+        }
+        return Math.max(0, 1 - sum * Math.exp(logPrefix));
+    }
+
+    const tiny = 1e-300;
+    let b = x + 1 - a;
+    let c = 1 / tiny;
+    let d = 1 / b;
+    let h = d;
+    for (let i = 1; i < 1000; i++) {
+        const an = -i * (i - a);
+        b += 2;
+        d = an * d + b;
+        if (Math.abs(d) < tiny) d = tiny;
+        c = b + an / c;
+        if (Math.abs(c) < tiny) c = tiny;
+        d = 1 / d;
+        const delta = d * c;
+        h *= delta;
+        if (Math.abs(delta - 1) < 1e-14) break;
+    }
+    return Math.min(1, Math.exp(logPrefix) * h);
+}
+
+/**
+ * Pearson chi-square test of independence for a contingency table
+ * Empty rows and columns are left out of the test.
+ * @param {Array<Array<number>>} cells - Counts, cells[row][column]
+ * @returns {Object|null} { statistic, df, pValue, cramersV, lowExpectedShare }, or null
+ *     when fewer than two non-empty rows or columns remain
+ */
+export function chiSquareTest(cells) {
+    const rowTotals = cells.map(row => row.reduce((sum, v) => sum + v, 0));
+    const colTotals = cells[0].map((_, c) => cells.reduce((sum, row) => sum + row[c], 0));
+    const total = rowTotals.reduce((sum, v) => sum + v, 0);
+    const rows = rowTotals.map((t, i) => t > 0 ? i : -1).filter(i => i >= 0);
+    const cols = colTotals.map((t, i) => t > 0 ? i : -1).filter(i => i >= 0);
+    if (rows.length < 2 || cols.length < 2) return null;
+
+    let statistic = 0;
+    let lowExpected = 0;
+    rows.forEach(r => cols.forEach(c => {
+        const expected = rowTotals[r] * colTotals[c] / total;
+        statistic += (cells[r][c] - expected) ** 2 / expected;
+        if (expected < 5) lowExpected++;
+    }));
+
+    const df = (rows.length - 1) * (cols.length - 1);
+    return {
+        statistic,
+        df,
+        pValue: chiSquarePValue(statistic, df),
+        cramersV: Math.sqrt(statistic / (total * (Math.min(rows.length, cols.length) - 1))),
+        lowExpectedShare: lowExpected / (rows.length * cols.length)
+    };
+}
+
+/**
+ * One-line description of a chi-square result
+ * @param {Object} test - Result of chiSquareTest
+ * @returns {string}
+ */
+function describeChiSquare(test) {
+    const p = test.pValue < 0.001 ? 'p < 0.001' : `p = ${test.pValue.toFixed(3)}`;
+    const v = test.cramersV;
+    const strength = v < 0.1 ? 'negligible' : v < 0.3 ? 'weak' : v < 0.5 ? 'moderate' : 'strong';
+    const verdict = test.pValue < 0.05
+        ? `The fields are associated (${strength} association).`
+        : 'No evidence that the fields are associated.';
+    return `χ² = ${test.statistic.toFixed(1)}, df = ${test.df}, ${p}; Cramér's V = ${v.toFixed(2)}. ${verdict}`;
+}
+
+// ============================================================================
+// TABULATION
+// ============================================================================
+
+/**
+ * Choose and order the categories shown for a field
+ * @param {Object} field - FIELDS entry
+ * @param {Map<string, number>} totals - Count per category value
+ * @param {number} limit - Most categories to show before grouping the rest as Other
+ * @returns {Array<string>} Category values (may end with NOT_STATED / OTHER)
+ */
+function pickCategories(field, totals, limit) {
+    const values = [...totals.keys()].filter(v => v !== NOT_STATED);
+    const kept = values.length > limit
+        ? new Set(values.sort((a, b) => totals.get(b) - totals.get(a)).slice(0, limit))
+        : new Set(values);
+
+    let ordered;
+    if (Array.isArray(field.order)) {
+        ordered = field.order.filter(v => kept.has(v));
+    } else if (field.order === 'numeric') {
+        ordered = [...kept].sort((a, b) => parseFloat(a) - parseFloat(b));
+    } else {
+        ordered = [...kept].sort((a, b) => totals.get(b) - totals.get(a));
+    }
+
+    if (kept.size < values.length) ordered.push(OTHER);
+    if (totals.has(NOT_STATED)) ordered.push(NOT_STATED);
+    return ordered;
+}
+
+/**
+ * Build a contingency table (plus margins and test) from counts
+ */
+function buildTable(label, layerValue, cells) {
+    const rowTotals = cells.map(row => row.reduce((sum, v) => sum + v, 0));
+    const colTotals = cells[0].map((_, c) => cells.reduce((sum, row) => sum + row[c], 0));
+    return {
+        label,
+        layerValue,
+        cells,
+        rowTotals,
+        colTotals,
+        total: rowTotals.reduce((sum, v) => sum + v, 0),
+        test: chiSquareTest(cells)
+    };
+}
+
+/**
+ * Cross-tabulate the filtered crashes by two or three fields
+ * Counts crashes when every field is a crash field, otherwise casualties or
+ * units (crash fields then describe each casualty's or unit's crash).
+ * @param {Array} data - Crash records (with linked _casualties / _units)
+ * @param {string} rowKey - FIELDS key for rows
+ * @param {string} columnKey - FIELDS key for columns
+ * @param {string|null} layerKey - FIELDS key splitting the table into layers
+ * @returns {Object} { level, fields, rows, columns, combined, layers }
+ * @throws {Error} When fields repeat or casualty and unit fields are mixed
+ */
+export function computeCrosstab(data, rowKey, columnKey, layerKey = null) {
+    const keys = [rowKey, columnKey, layerKey].filter(Boolean);
+    if (new Set(keys).size !== keys.length) {
+        throw new Error('Pick a different field for each dimension.');
+    }
+    const fields = keys.map(key => FIELDS[key]);
+    const levels = new Set(fields.map(field => field.level));
+    if (levels.has('casualty') && levels.has('unit')) {
+        throw new Error('Casualty and unit fields can\'t be combined: casualty records aren\'t linked to a vehicle.');
+    }
+    const level = levels.has('casualty') ? 'casualty' : levels.has('unit') ? 'unit' : 'crash';
+
+    // Count every combination of raw values; casualties and units must themselves
+    // match the casualty / unit filters, so cells count only the people or vehicles described
+    const combos = new Map();
+    const totals = fields.map(() => new Map());
+    data.forEach(crash => {
+        getCountedRecords(crash, LEVEL_COUNT_UNITS[level]).forEach(record => {
+            const values = fields.map((field, i) => {
+                const raw = field.value(field.level === 'crash' ? crash : record);
+                const value = raw === null || raw === undefined || String(raw).trim() === '' ? NOT_STATED : String(raw);
+                totals[i].set(value, (totals[i].get(value) || 0) + 1);
+                return value;
+            });
+            const key = values.join('\u0001');
+            combos.set(key, (combos.get(key) || 0) + 1);
+        });
+    });
+
+    // Categories per dimension, with less common values folded into Other
+    const categories = fields.map((field, i) =>
+        pickCategories(field, totals[i], i === 2 ? CROSSTAB.MAX_LAYERS : CROSSTAB.MAX_CATEGORIES));
+    const indexOf = categories.map(list => new Map(list.map((v, i) => [v, i])));
+    const position = (i, value) => indexOf[i].has(value) ? indexOf[i].get(value) : indexOf[i].get(OTHER);
+
+    const emptyCells = () => categories[0].map(() => categories[1].map(() => 0));
+    const combinedCells = emptyCells();
+    const layerCells = layerKey ? categories[2].map(() => emptyCells()) : [];
+    combos.forEach((count, key) => {
+        const values = key.split('\u0001');
+        const r = position(0, values[0]);
+        const c = position(1, values[1]);
+        combinedCells[r][c] += count;
+        if (layerKey) layerCells[position(2, values[2])][r][c] += count;
+    });
+
+    const layerField = layerKey ? FIELDS[layerKey] : null;
+    return {
+        level,
+        keys: { row: rowKey, column: columnKey, layer: layerKey },
+        rows: categories[0],
+        columns: categories[1],
+        combined: buildTable(layerField ? `All (${layerField.label})` : null, null, combinedCells),
+        layers: layerKey
+            ? categories[2].map((value, i) => buildTable(`${layerField.label}: ${formatCategory(layerField, value)}`, value, layerCells[i]))
+            : []
+    };
+}
+
+/**
+ * Display label for a category value
+ */
+function formatCategory(field, value) {
+    if (value === OTHER || value === NOT_STATED || !field.format) return value;
+    return field.format(value) || value;
+}
+
+// ============================================================================
+// UI
+// ============================================================================
+
+/**
+ * Fill the field selects (grouped by level) on first open
+ */
+function populateFieldSelects() {
+    const rowSelect = document.getElementById('crosstabRow');
+    if (!rowSelect || rowSelect.options.length > 0) return;
+
+    const groups = Object.keys(LEVEL_LABELS).map(level => {
+        const options = Object.entries(FIELDS)
+            .filter(([, field]) => field.level === level)
+            .map(([key, field]) => `<option value="${key}">${escapeHtml(field.label)}</option>`)
+            .join('');
+        return `<optgroup label="${LEVEL_LABELS[level]}">${options}</optgroup>`;
+    }).join('');
+
+    document.getElementById('crosstabRow').innerHTML = groups;
+    document.getElementById('crosstabColumn').innerHTML = groups;
+    document.getElementById('crosstabLayer').innerHTML = '<option value="">None</option>' + groups;
+    document.getElementById('crosstabRow').value = CROSSTAB.DEFAULT_ROW;
+    document.getElementById('crosstabColumn').value = CROSSTAB.DEFAULT_COLUMN;
+}
+
+/**
+ * Open the cross-tab explorer and tabulate the current filtered data
+ */
+export function openCrosstab() {
+    if (!dataState.filteredData || dataState.filteredData.length === 0) {
+        showNotification('No crashes match the current filters.', 'warning');
+        return;
+    }
+    populateFieldSelects();
+    document.getElementById('crosstabModal').style.display = 'flex';
+    runCrosstab();
+}
+
+/**
+ * Close the cross-tab explorer
+ */
+export function closeCrosstab() {
+    document.getElementById('crosstabModal').style.display = 'none';
+    if (crosstabChart) {
+        crosstabChart.destroy();
+        crosstabChart = null;
+    }
+}
+
+/**
+ * Read the field selects, tabulate and render
+ */
+export function runCrosstab() {
+    const layerKey = document.getElementById('crosstabLayer').value || null;
+    try {
+        lastResult = computeCrosstab(
+            dataState.filteredData,
+            document.getElementById('crosstabRow').value,
+            document.getElementById('crosstabColumn').value,
+            layerKey
+        );
+    } catch (error) {
+        lastResult = null;
+        document.getElementById('crosstabResults').innerHTML = '';
+        showNotification(error.message, 'warning');
+        return;
+    }
+    renderCrosstab();
+}
+
+/**
+ * Re-render the last result (e.g. after changing the percentage mode)
+ */
+export function renderCrosstab() {
+    const container = document.getElementById('crosstabResults');
+    if (!container || !lastResult) return;
+
+    const percent = document.getElementById('crosstabPercent').value;
+    const { level, rows, columns, combined, layers } = lastResult;
+    const rowField = FIELDS[lastResult.keys.row];
+    const columnField = FIELDS[lastResult.keys.column];
+
+    let html = `<p class="crosstab-summary">${combined.total.toLocaleString()} ${LEVEL_COUNT_UNITS[level]} in ${dataState.filteredData.length.toLocaleString()} filtered crashes. Click a cell to filter the map to it.</p>`;
+    if (level !== 'crash') {
+        html += `<p class="crosstab-note">⚠ ${getCountUnit(LEVEL_COUNT_UNITS[level]).label} in the same crash aren't independent, so treat the chi-square p-values as approximate.</p>`;
+    }
+    html += '<div class="crosstab-chart-wrap"><canvas id="crosstabChart"></canvas></div>';
+    [combined, ...layers].forEach((table, tableIndex) => {
+        html += renderTable(table, tableIndex - 1, rows, columns, rowField, columnField, percent);
+    });
+    container.innerHTML = html;
+
+    renderChart(combined, rows, columns, rowField, columnField, percent);
+}
+
+/**
+ * HTML for one contingency table and its chi-square result
+ * @param {number} layerIndex - Index into lastResult.layers, or -1 for the combined table
+ */
+function renderTable(table, layerIndex, rows, columns, rowField, columnField, percent) {
+    const pct = (value, base) => base > 0 ? `${(value / base * 100).toFixed(1)}%` : '–';
+    const share = (r, c) => {
+        if (percent === 'row') return pct(table.cells[r][c], table.rowTotals[r]);
+        if (percent === 'column') return pct(table.cells[r][c], table.colTotals[c]);
+        if (percent === 'total') return pct(table.cells[r][c], table.total);
+        return '';
+    };
+    const clickable = value => value !== OTHER && value !== NOT_STATED;
+
+    let html = '<div class="crosstab-table-wrap">';
+    if (table.label) html += `<h4 class="crosstab-table-title">${escapeHtml(table.label)}</h4>`;
+    html += '<table class="crosstab-table"><thead><tr>';
+    html += `<th>${escapeHtml(rowField.label)} \\ ${escapeHtml(columnField.label)}</th>`;
+    columns.forEach(col => { html += `<th>${escapeHtml(formatCategory(columnField, col))}</th>`; });
+    html += '<th>Total</th></tr></thead><tbody>';
+
+    rows.forEach((row, r) => {
+        if (table.rowTotals[r] === 0) return;
+        html += `<tr><th>${escapeHtml(formatCategory(rowField, row))}</th>`;
+        columns.forEach((col, c) => {
+            const count = table.cells[r][c];
+            const expected = table.total > 0 ? table.rowTotals[r] * table.colTotals[c] / table.total : 0;
+            // Shade cells well above or below the count expected under independence
+            const residual = expected > 0 ? (count - expected) / Math.sqrt(expected) : 0;
+            const classes = ['crosstab-cell'];
+            if (residual > 2) classes.push('crosstab-cell--over');
+            if (residual < -2) classes.push('crosstab-cell--under');
+            const canFilter = count > 0 && clickable(row) && clickable(col) &&
+                (layerIndex < 0 || clickable(lastResult.layers[layerIndex].layerValue));
+            if (canFilter) classes.push('crosstab-cell--clickable');
+            const onclick = canFilter ? ` onclick="filterByCrosstabCell(${layerIndex}, ${r}, ${c})"` : '';
+            const percentText = share(r, c);
+            html += `<td class="${classes.join(' ')}" title="Expected ${expected.toFixed(1)}"${onclick}>` +
+                `${count.toLocaleString()}${percentText ? `<small>${percentText}</small>` : ''}</td>`;
+        });
+        html += `<td class="crosstab-total">${table.rowTotals[r].toLocaleString()}</td></tr>`;
+    });
+
+    html += '<tr class="crosstab-total-row"><th>Total</th>';
+    columns.forEach((_, c) => { html += `<td class="crosstab-total">${table.colTotals[c].toLocaleString()}</td>`; });
+    html += `<td class="crosstab-total">${table.total.toLocaleString()}</td></tr>`;
+    html += '</tbody></table>';
+
+    if (table.test) {
+        html += `<p class="crosstab-test">${escapeHtml(describeChiSquare(table.test))}</p>`;
+        if (table.test.lowExpectedShare > 0.2) {
+            html += '<p class="crosstab-note">⚠ More than 20% of cells expect fewer than 5; the chi-square test may be unreliable.</p>';
+        }
+    } else {
+        html += '<p class="crosstab-note">Not enough non-empty rows and columns for a chi-square test.</p>';
+    }
+    return html + '</div>';
+}
+
+/**
+ * Stacked bar chart of the combined table: one bar per row, one segment per column
+ * Shows row percentages (100% bars) in row % mode, otherwise counts.
+ */
+function renderChart(table, rows, columns, rowField, columnField, percent) {
+    const canvas = document.getElementById('crosstabChart');
+    if (!canvas) return;
+    if (crosstabChart) crosstabChart.destroy();
+
+    const asShare = percent === 'row';
+    const shownRows = rows.map((_, r) => r).filter(r => table.rowTotals[r] > 0);
+    const datasets = columns.map((col, c) => ({
+        label: formatCategory(columnField, col),
+        data: shownRows.map(r => asShare ? table.cells[r][c] / table.rowTotals[r] * 100 : table.cells[r][c]),
+        backgroundColor: CROSSTAB.COLORS[c % CROSSTAB.COLORS.length],
+        cellRow: shownRows
+    }));
+
+    canvas.parentElement.style.height = `${Math.max(160, shownRows.length * 26 + 70)}px`;
+    crosstabChart = new Chart(canvas, {
+        type: 'bar',
+        data: { labels: shownRows.map(r => formatCategory(rowField, rows[r])), datasets },
+        options: {
+            responsive: true,
+            maintainAspectRatio: false,
+            indexAxis: 'y',
+            scales: {
+                x: { stacked: true, beginAtZero: true, max: asShare ? 100 : undefined,
+                     ticks: { callback: v => asShare ? `${v}%` : v.toLocaleString() } },
+                y: { stacked: true, ticks: { font: { size: 10 } } }
+            },
+            plugins: {
+                legend: { position: 'bottom', labels: { boxWidth: 12, font: { size: 10 } } },
+                tooltip: {
+                    callbacks: {
+                        label: ctx => {
+                            const r = ctx.dataset.cellRow[ctx.dataIndex];
+                            const count = table.cells[r][ctx.datasetIndex];
+                            return ` ${ctx.dataset.label}: ${count.toLocaleString()}` +
+                                (asShare ? ` (${ctx.parsed.x.toFixed(1)}%)` : '');
+                        }
+                    }
+                }
+            },
+            onHover: (event, elements) => {
+                event.native.target.style.cursor = elements.length > 0 ? 'pointer' : 'default';
+            },
+            onClick: (event, elements) => {
+                if (elements.length === 0) return;
+                const { datasetIndex, index } = elements[0];
+                filterByCrosstabCell(-1, datasets[datasetIndex].cellRow[index], datasetIndex);
+            }
+        }
+    });
+}
+
+/**
+ * Apply a cell's categories as filters (same controls chart click-to-filter uses)
+ * and close the explorer so the map is visible
+ * @param {number} layerIndex - Layer table index, or -1 for the combined table
+ * @param {number} r - Row index
+ * @param {number} c - Column index
+ */
+export function filterByCrosstabCell(layerIndex, r, c) {
+    if (!lastResult) return;
+    const { keys, rows, columns, layers } = lastResult;
+
+    const picks = [[keys.row, rows[r]], [keys.column, columns[c]]];
+    if (layerIndex >= 0) picks.push([keys.layer, layers[layerIndex].layerValue]);
+    if (picks.some(([, value]) => value === OTHER || value === NOT_STATED)) {
+        showNotification('“Other” and “Not stated” cells can\'t be used as filters.', 'warning');
+        return;
+    }
+
+    const selections = picks.map(([key, value]) => ({ id: FIELDS[key].filter, value }));
+    if (!filterBySelections(selections)) {
+        showNotification('This cell\'s values aren\'t available in the filter controls.', 'warning');
+        return;
+    }
+
+    const description = picks.map(([key, value]) => formatCategory(FIELDS[key], value)).join(' × ');
+    closeCrosstab();
+    showNotification(`Filtered to ${description}`, 'success');
+}
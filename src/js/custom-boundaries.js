@@ -0,0 +1,206 @@
+/**
+ * Custom Boundaries Module
+ * Loads user-supplied boundary GeoJSON and assigns crashes to its areas for the choropleth
+ */
+
+import { dataState, filterState, updateDataState, updateFilterState } from './state.js';
+import { CUSTOM_BOUNDARIES } from './config.js';
+import { toWGS84GeoJSON } from './utils.js';
+
+// Boundary Web Worker
+let _boundaryWorker = null;
+let _boundaryRequestId = 0;
+
+// ============================================================================
+// LOADING
+// ============================================================================
+
+/**
+ * Lazily create the boundary worker
+ * @returns {Worker}
+ */
+function getBoundaryWorker() {
+    if (!_boundaryWorker) {
+        _boundaryWorker = new Worker('./src/js/boundary-worker.js');
+    }
+    return _boundaryWorker;
+}
+
+/**
+ * Send a message to the boundary worker and wait for the matching reply
+ * @param {Object} message - Message to post
+ * @param {string} replyType - Expected reply type ('READY' or 'RESULT')
+ * @param {Array} transfer - Transferable buffers
+ * @returns {Promise<Object>} Reply data
+ */
+function requestWorker(message, replyType, transfer = []) {
+    const worker = getBoundaryWorker();
+    return new Promise((resolve, reject) => {
+        function cleanup() {
+            worker.removeEventListener('message', onMessage);
+            worker.removeEventListener('error', onError);
+        }
+
+        function onMessage(e) {
+            if (message.id !== undefined && e.data.id !== message.id) return;
+            if (e.data.type !== replyType && e.data.type !== 'ERROR') return;
+            cleanup();
+            if (e.data.type === 'ERROR') {
+                reject(new Error(e.data.message));
+            } else {
+                resolve(e.data);
+            }
+        }
+
+        function onError(err) {
+            cleanup();
+            reject(err);
+        }
+
+        worker.addEventListener('message', onMessage);
+        worker.addEventListener('error', onError);
+        worker.postMessage(message, transfer);
+    });
+}
+
+/**
+ * Pick the property that best names each area
+ * @param {Array} features - Boundary features
+ * @returns {{labelField: string|null, fields: Array<string>}} Chosen field and all text/number fields
+ */
+function detectLabelFields(features) {
+    const fields = [];
+    features.forEach(f => {
+        Object.entries(f.properties || {}).forEach(([key, value]) => {
+            if ((typeof value === 'string' || typeof value === 'number') && !fields.includes(key)) fields.push(key);
+        });
+    });
+    const labelField = CUSTOM_BOUNDARIES.NAME_PROPERTIES.find(key => fields.includes(key))
+        || fields.find(key => features.some(f => typeof f.properties?.[key] === 'string'))
+        || null;
+    return { labelField, fields };
+}
+
+/**
+ * Load boundary polygons and assign every crash to the area containing it
+ * Sets crash._boundaryIndex (-1 when outside every area) and stores the
+ * boundaries in dataState.customBoundaries.
+ * @param {Object} geojson - FeatureCollection of Polygon / MultiPolygon features
+ * @param {string} name - Display name (e.g. file name)
+ * @returns {Promise<Object>} { boundaries, assigned, reprojected }
+ */
+export async function loadCustomBoundaries(geojson, name) {
+    if (!window.Worker) {
+        throw new Error('Web Workers are not supported in this browser');
+    }
+    if (!geojson || !Array.isArray(geojson.features)) {
+        throw new Error('Boundaries must be a GeoJSON FeatureCollection');
+    }
+
+    const polygons = geojson.features.filter(f =>
+        f && f.geometry && (f.geometry.type === 'Polygon' || f.geometry.type === 'MultiPolygon'));
+    if (polygons.length === 0) {
+        throw new Error('The file contains no Polygon or MultiPolygon features');
+    }
+    if (polygons.length > CUSTOM_BOUNDARIES.MAX_FEATURES) {
+        throw new Error(`The file has ${polygons.length.toLocaleString()} areas; the limit is ${CUSTOM_BOUNDARIES.MAX_FEATURES.toLocaleString()}`);
+    }
+
+    const { geojson: wgs84, reprojected } = toWGS84GeoJSON({ type: 'FeatureCollection', features: polygons });
+    const features = wgs84.features;
+    const { labelField, fields } = detectLabelFields(features);
+
+    await requestWorker({ type: 'INIT', geometries: features.map(f => f.geometry) }, 'READY');
+
+    const crashes = dataState.crashData;
+    const coords = new Float64Array(crashes.length * 2);
+    crashes.forEach((crash, i) => {
+        const c = crash._coords;
+        coords[i * 2] = c ? c[0] : NaN;
+        coords[i * 2 + 1] = c ? c[1] : NaN;
+    });
+
+    const id = ++_boundaryRequestId;
+    const reply = await requestWorker({ type: 'ASSIGN', id, coordsBuffer: coords.buffer }, 'RESULT', [coords.buffer]);
+    if (id !== _boundaryRequestId) return null;
+
+    const assignments = new Int32Array(reply.assignmentsBuffer);
+    let assigned = 0;
+    crashes.forEach((crash, i) => {
+        crash._boundaryIndex = assignments[i];
+        if (assignments[i] >= 0) assigned++;
+    });
+
+    const boundaries = {
+        name: name.replace(/\.(geo)?json$/i, ''),
+        labelField,
+        fields,
+        features,
+        labels: [],
+        areasKm2: features.map(f => turf.area(f) / 1e6)
+    };
+    boundaries.labels = getLabels(boundaries, labelField);
+
+    // Area indices refer to the previous file, so drop any area filter
+    updateFilterState({ boundaryRegion: null });
+    updateDataState({ customBoundaries: boundaries });
+
+    return { boundaries, assigned, reprojected };
+}
+
+/**
+ * Remove the loaded boundaries
+ */
+export function clearCustomBoundaries() {
+    dataState.crashData.forEach(crash => { delete crash._boundaryIndex; });
+    updateFilterState({ boundaryRegion: null });
+    updateDataState({ customBoundaries: null });
+}
+
+// ============================================================================
+// LABELS
+// ============================================================================
+
+/**
+ * Build display labels for each area from a property
+ * @param {Object} boundaries - dataState.customBoundaries
+ * @param {string|null} field - Property name
+ * @returns {Array<string>}
+ */
+function getLabels(boundaries, field) {
+    return boundaries.features.map((f, i) => {
+        const value = field ? f.properties?.[field] : null;
+        return value !== null && value !== undefined && String(value).trim() ? String(value) : `Area ${i + 1}`;
+    });
+}
+
+/**
+ * Change which property labels the areas
+ * @param {string} field - Property name
+ */
+export function setBoundaryLabelField(field) {
+    const boundaries = dataState.customBoundaries;
+    if (!boundaries || !boundaries.fields.includes(field)) return;
+    boundaries.labelField = field;
+    boundaries.labels = getLabels(boundaries, field);
+}
+
+/**
+ * Get the label of an area
+ * @param {number} index - Area index
+ * @returns {string}
+ */
+export function getBoundaryLabel(index) {
+    return dataState.customBoundaries?.labels[index] ?? `Area ${index + 1}`;
+}
+
+/**
+ * Restrict crashes to one area (used by applySpatialFilters)
+ * @param {Array} data - Crash records
+ * @param {number|null} region - Area index (defaults to filterState.boundaryRegion)
+ * @returns {Array} Crashes in the area, or data unchanged when no area is selected
+ */
+export function filterByBoundaryRegion(data, region = filterState.boundaryRegion) {
+    if (region === null || !dataState.customBoundaries) return data;
+    return data.filter(crash => crash._boundaryIndex === region);
+}
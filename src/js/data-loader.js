@@ -7,9 +7,46 @@ import { dataState, updateDataState } from './state.js';
 import { convertCoordinates, normalizeLGAName, getLGAName, showLoading, updateLoadingMessage, hideLoading } from './utils.js';
 import { dbCache, perfMonitor, fetchWithProgress } from './performance.js';
 import { showNotification } from './ui.js';
+import { CHOROPLETH_NORMALIZATION, CRASH_CONFIGURATIONS } from './config.js';
+import { loadCalendar, annotateDayTypes } from './calendar.js';
+
+/**
+ * Helper: Crash configurations (keys of CRASH_CONFIGURATIONS.LABELS) a crash's units describe
+ * Single / two vehicles have no pedestrian or cyclist; multi-vehicle is three or more
+ * motor vehicles; vehicle vs pedestrian / cyclist needs at least one motor vehicle.
+ */
+function getCrashConfigurations(units) {
+    const hasKeyword = (type, keywords) => keywords.some(keyword => type.includes(keyword));
+    let vehicles = 0, pedestrians = 0, cyclists = 0;
+    units.forEach(unit => {
+        const type = (unit['Unit Type'] || '').toLowerCase();
+        if (hasKeyword(type, CRASH_CONFIGURATIONS.PEDESTRIAN_KEYWORDS)) pedestrians++;
+        else if (hasKeyword(type, CRASH_CONFIGURATIONS.CYCLIST_KEYWORDS)) cyclists++;
+        else if (!hasKeyword(type, CRASH_CONFIGURATIONS.NON_VEHICLE_KEYWORDS)) vehicles++;
+    });
+
+    const configurations = [];
+    if (pedestrians === 0 && cyclists === 0 && vehicles === 1) configurations.push('single');
+    if (pedestrians === 0 && cyclists === 0 && vehicles === 2) configurations.push('two');
+    if (vehicles >= 3) configurations.push('multi');
+    if (vehicles > 0 && pedestrians > 0) configurations.push('pedestrian');
+    if (vehicles > 0 && cyclists > 0) configurations.push('cyclist');
+    return configurations;
+}
+
+/**
+ * Helper: Number of casualties in a crash (Total Cas, or killed + injured when missing)
+ */
+function getTotalCasualties(crash) {
+    const total = parseInt(crash['Total Cas']);
+    if (!isNaN(total)) return total;
+    return (parseInt(crash['Total Fats']) || 0) + (parseInt(crash['Total SI']) || 0) + (parseInt(crash['Total MI']) || 0);
+}
 
 /**
  * Link casualty and units data to crashes by REPORT_ID
+ * Also stores the derived crash._configurations and crash._totalCasualties used
+ * by the configuration and casualty count filters (and the filter worker).
  */
 export function linkCrashData() {
     try {
@@ -43,6 +80,8 @@ export function linkCrashData() {
             const reportId = crash.REPORT_ID;
             crash._casualties = casualtyMap[reportId] || [];
             crash._units = unitsMap[reportId] || [];
+            crash._configurations = getCrashConfigurations(crash._units);
+            crash._totalCasualties = getTotalCasualties(crash);
 
             // Pre-convert and cache coordinates to avoid repeated conversions
             crash._coords = convertCoordinates(crash.ACCLOC_X, crash.ACCLOC_Y);
@@ -52,6 +91,9 @@ export function linkCrashData() {
             }
         });
 
+        // Public/school holiday classification (needs the calendar loaded by loadData)
+        annotateDayTypes(dataState.crashData);
+
         // Store the maps in state for future use
         updateDataState({
             casualtyMap: casualtyMap,
@@ -284,6 +326,10 @@ export function loadLGABoundaries() {
                 // Continue anyway - not critical
             }
 
+            // Road length rates need the boundaries if a road network loaded first
+            const { updateRoadLengthDenominators } = await import('./road-network.js');
+            updateRoadLengthDenominators();
+
             // Apply initial filters to display data
             const { applyFilters } = await import('./filters.js');
             applyFilters();
@@ -326,6 +372,75 @@ export function loadSuburbBoundaries(filePath = 'data/sa_suburbs.geojson') {
         });
 }
 
+// Denominators as published in the reference file, and road lengths (km) per LGA
+// summed from the loaded road network (see setRoadLengthDenominators)
+let referenceDenominators = null;
+let networkRoadLengths = {};
+
+/**
+ * Helper: Combine the reference denominators with the network road lengths into dataState
+ * Published road lengths take precedence over the network ones.
+ */
+function updateAreaDenominators() {
+    if (!referenceDenominators) return;
+    const denominators = {};
+    Object.entries(referenceDenominators).forEach(([name, values]) => {
+        denominators[name] = values.roadLengthKm > 0
+            ? values
+            : { ...values, roadLengthKm: networkRoadLengths[name] || null };
+    });
+    updateDataState({ areaDenominators: denominators });
+
+    // Enable each rate option that has at least one usable denominator
+    const select = document.getElementById('choroplethNormalizationSelect');
+    if (select) {
+        Array.from(select.options).forEach(option => {
+            const mode = CHOROPLETH_NORMALIZATION.MODES[option.value];
+            if (!mode || !mode.field) return;
+            const hasValues = Object.values(denominators).some(d => d[mode.field] > 0);
+            option.disabled = !hasValues;
+            option.title = hasValues ? '' : (mode.unavailable || 'No reference data available for this rate');
+        });
+    }
+}
+
+/**
+ * Load per-LGA rate denominators (population, area, road length)
+ * Keys are re-normalised so they always match normalizeLGAName() output.
+ */
+export function loadAreaDenominators(filePath = CHOROPLETH_NORMALIZATION.REFERENCE_FILE) {
+    return fetch(filePath)
+        .then(response => {
+            if (!response.ok) throw new Error(`HTTP ${response.status}`);
+            return response.json();
+        })
+        .then(data => {
+            referenceDenominators = {};
+            Object.entries(data.lgas || {}).forEach(([name, values]) => {
+                referenceDenominators[normalizeLGAName(name)] = values;
+            });
+            updateAreaDenominators();
+            return dataState.areaDenominators;
+        })
+        .catch(error => {
+            console.warn('Could not load area denominators:', error);
+            const select = document.getElementById('choroplethNormalizationSelect');
+            if (select) {
+                select.disabled = true;
+                select.title = 'Rate view unavailable — reference data failed to load';
+            }
+        });
+}
+
+/**
+ * Use road lengths summed from the loaded road network for LGAs the reference file has none for
+ * @param {Object} lengthsKm - { [normalizedLGAName]: road length in km }
+ */
+export function setRoadLengthDenominators(lengthsKm) {
+    networkRoadLengths = lengthsKm;
+    updateAreaDenominators();
+}
+
 /**
  * Pre-compute LGA assignments for crashes without LGA data
  */
@@ -389,13 +504,15 @@ export function precomputeLGAAssignments() {
  */
 export async function loadData() {
     try {
-        // Load all three datasets in parallel for faster performance
+        // Load all three datasets in parallel for faster performance.
+        // The holiday calendar is small and is needed when the data is linked.
         showLoading('Loading crash data (1/3)...');
 
         const [crashDataResult, casualtyDataResult, unitsDataResult] = await Promise.all([
             loadCrashDataOnly(),
             loadCasualtyDataOnly(),
-            loadUnitsDataOnly()
+            loadUnitsDataOnly(),
+            loadCalendar()
         ]);
 
 
@@ -0,0 +1,383 @@
+/**
+ * Filter Expression Module
+ * Boolean filter expressions (AND / OR groups, NOT, comparisons) and the expression builder
+ */
+
+import { dataState, filterState, updateFilterState } from './state.js';
+import { escapeHtml } from './utils.js';
+import { markFiltersChanged } from './filters.js';
+import { EXPRESSION_FIELDS } from './filter-matching.js';
+
+// ============================================================================
+// FIELDS
+// ============================================================================
+// EXPRESSION_FIELDS and compileExpression live in filter-matching.js, which the
+// filter worker shares.
+
+/**
+ * Helper: Number or null for a numeric condition value
+ */
+function toNumber(value) {
+    const number = parseFloat(value);
+    return Number.isFinite(number) ? number : null;
+}
+
+// Comparisons offered for each field type, with their display symbols
+export const EXPRESSION_COMPARISONS = {
+    category: { '=': 'is', '!=': 'is not' },
+    number: { '=': '=', '!=': '≠', '<': '<', '<=': '≤', '>': '>', '>=': '≥' }
+};
+
+// ============================================================================
+// EXPRESSIONS
+// ============================================================================
+// A group is { op: 'and' | 'or', items: [...], not?: true } and a condition is
+// { field, cmp, value, not?: true } where value is an array of strings for
+// category fields and a number for number fields. Expressions are plain JSON so
+// they can be posted to the filter worker and stored in share links.
+
+/**
+ * Create an empty expression group
+ * @param {string} op - 'and' or 'or'
+ * @returns {Object} Group node
+ */
+export function createExpressionGroup(op = 'and') {
+    return { op, items: [] };
+}
+
+/**
+ * Drop incomplete conditions and empty groups, leaving only what can be evaluated
+ * @param {Object} node - Group or condition (may come from a share link)
+ * @returns {Object|null} Clean copy, or null when nothing remains
+ */
+export function normalizeExpression(node) {
+    if (!node || typeof node !== 'object') return null;
+
+    if (Array.isArray(node.items)) {
+        const items = node.items.map(normalizeExpression).filter(Boolean);
+        if (items.length === 0) return null;
+        const group = { op: node.op === 'or' ? 'or' : 'and', items };
+        if (node.not) group.not = true;
+        return group;
+    }
+
+    const field = EXPRESSION_FIELDS[node.field];
+    if (!field || !EXPRESSION_COMPARISONS[field.type][node.cmp]) return null;
+
+    let value;
+    if (field.type === 'number') {
+        value = toNumber(node.value);
+        if (value === null) return null;
+    } else {
+        if (!Array.isArray(node.value)) return null;
+        value = node.value.filter(v => typeof v === 'string');
+        if (value.length === 0) return null;
+    }
+
+    const condition = { field: node.field, cmp: node.cmp, value };
+    if (node.not) condition.not = true;
+    return condition;
+}
+
+/**
+ * Readable form of an expression for the active filters bar and reports
+ * e.g. "(Severity is Fatal or SI) AND Speed Zone ≥ 80 AND NOT DUI Involved is Yes"
+ * @param {Object} node - Normalized group or condition
+ * @param {boolean} ascii - Write comparisons as >=, <= and != (for PDF fonts)
+ * @returns {string}
+ */
+export function describeExpression(node, ascii = false) {
+    return node ? describeNode(node, false, ascii) : '';
+}
+
+/**
+ * Helper: Describe a node, bracketing nested groups and multi-value conditions
+ */
+function describeNode(node, nested, ascii) {
+    let text;
+
+    if (node.items) {
+        text = node.items.map(item => describeNode(item, true, ascii)).join(node.op === 'or' ? ' OR ' : ' AND ');
+        if (nested && (node.items.length > 1 || node.not)) text = `(${text})`;
+    } else {
+        const field = EXPRESSION_FIELDS[node.field];
+        const symbol = ascii && field.type === 'number' ? node.cmp : EXPRESSION_COMPARISONS[field.type][node.cmp];
+        if (field.type === 'number') {
+            text = `${field.label} ${symbol} ${node.value}`;
+        } else {
+            const values = node.value.map(v => field.format ? field.format(v) : v);
+            text = `${field.label} ${symbol} ${values.join(' or ')}`;
+            if (nested && values.length > 1) text = `(${text})`;
+        }
+    }
+
+    return node.not ? `NOT ${text}` : text;
+}
+
+/**
+ * Compact form of an expression for share links (see serializeFilters)
+ * Groups become { o, x, n } and conditions [field, cmp, value, 1 if negated].
+ * @param {Object} node - Normalized group or condition
+ * @returns {Object|Array}
+ */
+export function compactExpression(node) {
+    if (node.items) {
+        const group = { o: node.op === 'or' ? 'or' : 'and', x: node.items.map(compactExpression) };
+        if (node.not) group.n = 1;
+        return group;
+    }
+    return node.not ? [node.field, node.cmp, node.value, 1] : [node.field, node.cmp, node.value];
+}
+
+/**
+ * Rebuild an expression from its compact form
+ * @param {Object|Array} item - Result of compactExpression
+ * @returns {Object|null} Normalized expression, or null when invalid
+ */
+export function expandExpression(item) {
+    const expand = node => {
+        if (Array.isArray(node)) {
+            return { field: node[0], cmp: node[1], value: node[2], not: node[3] === 1 };
+        }
+        if (node && Array.isArray(node.x)) {
+            return { op: node.o, items: node.x.map(expand), not: node.n === 1 };
+        }
+        return null;
+    };
+    return normalizeExpression(expand(item));
+}
+
+// ============================================================================
+// EXPRESSION STATE
+// ============================================================================
+
+/**
+ * Get the expression being edited, ready for filtering
+ * @returns {Object|null} Normalized expression, or null when it has no complete condition
+ */
+export function getActiveExpression() {
+    return normalizeExpression(filterState.expression);
+}
+
+/**
+ * Replace the expression (e.g. from a share link or saved view)
+ * @param {Object|null} expression - Group or condition; null clears it
+ */
+export function setExpression(expression) {
+    let root = normalizeExpression(expression) || createExpressionGroup();
+    if (!root.items) root = { op: 'and', items: [root] };
+    updateFilterState({ expression: root });
+    renderExpressionBuilder();
+}
+
+/**
+ * Remove every condition from the expression
+ */
+export function clearExpression() {
+    setExpression(null);
+}
+
+// ============================================================================
+// EXPRESSION BUILDER
+// ============================================================================
+
+// Category values offered in the builder, gathered from the data on first use
+const fieldOptionsCache = {};
+
+/**
+ * Helper: Sorted distinct values of a category field
+ */
+function getFieldOptions(key) {
+    if (fieldOptionsCache[key]) return fieldOptionsCache[key];
+
+    const field = EXPRESSION_FIELDS[key];
+    const records = field.level === 'casualty' ? dataState.casualtyData
+        : field.level === 'unit' ? dataState.unitsData
+        : dataState.crashData;
+    const values = new Set();
+    (records || []).forEach(record => {
+        const value = field.value(record);
+        if (value !== null && value !== undefined && value !== '') values.add(value);
+    });
+
+    const options = Array.from(values).sort();
+    if (records && records.length > 0) fieldOptionsCache[key] = options;
+    return options;
+}
+
+/**
+ * Helper: Node at a path of item indexes ('' is the root group)
+ */
+function getNodeAtPath(path) {
+    let node = filterState.expression;
+    if (path === '') return node;
+    path.split('.').forEach(index => {
+        node = node && node.items ? node.items[parseInt(index)] : null;
+    });
+    return node;
+}
+
+/**
+ * Helper: Parent group and index of the node at a path
+ */
+function getParentAtPath(path) {
+    const parts = path.split('.');
+    const index = parseInt(parts.pop());
+    return { parent: getNodeAtPath(parts.join('.')), index };
+}
+
+/**
+ * Helper: Builder markup for one condition
+ */
+function renderCondition(node, path) {
+    const field = EXPRESSION_FIELDS[node.field];
+    const fieldOptions = Object.entries(EXPRESSION_FIELDS).map(([key, f]) =>
+        `<option value="${key}"${key === node.field ? ' selected' : ''}>${escapeHtml(f.label)}</option>`).join('');
+    const cmpOptions = Object.entries(EXPRESSION_COMPARISONS[field.type]).map(([cmp, symbol]) =>
+        `<option value="${cmp}"${cmp === node.cmp ? ' selected' : ''}>${escapeHtml(symbol)}</option>`).join('');
+
+    let valueControl;
+    if (field.type === 'number') {
+        const value = node.value === null || node.value === undefined ? '' : node.value;
+        valueControl = `<input type="number" class="expr-value" data-action="value" value="${escapeHtml(String(value))}" aria-label="Value">`;
+    } else {
+        const selected = new Set(node.value || []);
+        const options = getFieldOptions(node.field).map(v =>
+            `<option value="${escapeHtml(v)}"${selected.has(v) ? ' selected' : ''}>${escapeHtml(field.format ? field.format(v) : v)}</option>`).join('');
+        valueControl = `<select class="expr-value" data-action="value" multiple size="3" aria-label="Values (hold Ctrl or Cmd for several)">${options}</select>`;
+    }
+
+    return `<div class="expr-condition" data-path="${path}">
+        <label class="expr-not" title="Negate this condition"><input type="checkbox" data-action="not"${node.not ? ' checked' : ''}> NOT</label>
+        <select class="expr-field" data-action="field" aria-label="Field">${fieldOptions}</select>
+        <select class="expr-cmp" data-action="cmp" aria-label="Comparison">${cmpOptions}</select>
+        ${valueControl}
+        <button class="expr-remove" data-action="remove" title="Remove condition" aria-label="Remove condition">&times;</button>
+    </div>`;
+}
+
+/**
+ * Helper: Builder markup for a group and its items
+ */
+function renderGroup(node, path) {
+    const items = node.items.map((item, i) => {
+        const itemPath = path === '' ? String(i) : `${path}.${i}`;
+        return item.items ? renderGroup(item, itemPath) : renderCondition(item, itemPath);
+    }).join('');
+
+    return `<div class="expr-group${path === '' ? ' expr-root' : ''}" data-path="${path}">
+        <div class="expr-group-header">
+            <label class="expr-not" title="Negate this group"><input type="checkbox" data-action="not"${node.not ? ' checked' : ''}> NOT</label>
+            <select class="expr-op" data-action="op" aria-label="Combine conditions with">
+                <option value="and"${node.op === 'and' ? ' selected' : ''}>All of (AND)</option>
+                <option value="or"${node.op === 'or' ? ' selected' : ''}>Any of (OR)</option>
+            </select>
+            <button class="expr-add" data-action="add-condition">+ Condition</button>
+            <button class="expr-add" data-action="add-group">+ Group</button>
+            ${path === '' ? '' : '<button class="expr-remove" data-action="remove" title="Remove group" aria-label="Remove group">&times;</button>'}
+        </div>
+        <div class="expr-items">${items || '<div class="expr-empty">No conditions</div>'}</div>
+    </div>`;
+}
+
+/**
+ * Render the expression builder and its readable preview
+ */
+export function renderExpressionBuilder() {
+    const container = document.getElementById('expressionBuilder');
+    if (!container) return;
+    if (!filterState.expression) updateFilterState({ expression: createExpressionGroup() });
+
+    container.innerHTML = renderGroup(filterState.expression, '');
+    updateExpressionPreview();
+}
+
+/**
+ * Helper: Show the readable form of the current expression under the builder
+ */
+function updateExpressionPreview() {
+    const preview = document.getElementById('expressionPreview');
+    if (!preview) return;
+    const expression = getActiveExpression();
+    preview.textContent = expression ? describeExpression(expression) : 'No complete conditions — the expression does not filter crashes';
+}
+
+/**
+ * Helper: Apply one builder control change to the expression
+ * @returns {boolean} Whether the builder needs re-rendering
+ */
+function handleBuilderAction(action, path, target) {
+    const node = getNodeAtPath(path);
+    if (!node) return false;
+
+    switch (action) {
+        case 'not':
+            node.not = target.checked;
+            return false;
+        case 'op':
+            node.op = target.value;
+            return false;
+        case 'field': {
+            const field = EXPRESSION_FIELDS[target.value];
+            node.field = target.value;
+            node.cmp = field.type === 'number' ? '>=' : '=';
+            node.value = field.type === 'number' ? null : [];
+            return true;
+        }
+        case 'cmp':
+            node.cmp = target.value;
+            return false;
+        case 'value':
+            node.value = target.multiple
+                ? Array.from(target.selectedOptions).map(opt => opt.value)
+                : toNumber(target.value);
+            return false;
+        case 'add-condition':
+            node.items.push({ field: 'severity', cmp: '=', value: [] });
+            return true;
+        case 'add-group':
+            node.items.push({ op: node.op === 'and' ? 'or' : 'and', items: [{ field: 'severity', cmp: '=', value: [] }] });
+            return true;
+        case 'remove': {
+            const { parent, index } = getParentAtPath(path);
+            if (parent) parent.items.splice(index, 1);
+            return true;
+        }
+    }
+    return false;
+}
+
+/**
+ * Set up the expression builder (event delegation on its container) and render it
+ * Called again once the data is loaded so the value lists are filled.
+ */
+export function initExpressionBuilder() {
+    const container = document.getElementById('expressionBuilder');
+    if (!container) return;
+    if (container._builderAttached) {
+        renderExpressionBuilder();
+        return;
+    }
+
+    const onEvent = e => {
+        const target = e.target;
+        const action = target.dataset && target.dataset.action;
+        if (!action) return;
+        // Buttons act on click, form controls on change
+        if ((e.type === 'click') !== (target.tagName === 'BUTTON')) return;
+
+        const holder = target.closest('[data-path]');
+        if (!holder) return;
+        if (handleBuilderAction(action, holder.dataset.path, target)) {
+            renderExpressionBuilder();
+        } else {
+            updateExpressionPreview();
+        }
+        markFiltersChanged();
+    };
+
+    container.addEventListener('click', onEvent);
+    container.addEventListener('change', onEvent);
+    container._builderAttached = true;
+    renderExpressionBuilder();
+}
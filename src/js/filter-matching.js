@@ -0,0 +1,296 @@
+/**
+ * Filter Matching Module
+ * Crash matching shared by the main thread and the filter worker (no DOM access, loadable as an ES module worker)
+ */
+
+import { FILTER_DEFINITIONS, EXPRESSION_ONLY_FIELDS, compileFilter } from './filter-registry.js';
+
+// ============================================================================
+// REGISTERED FILTERS
+// ============================================================================
+
+// Predicates built from each filter values object, so they are compiled once per
+// filter run rather than per crash. Filter values objects are not changed after
+// they are built, so the object itself is the key.
+const compiledFilters = new WeakMap();
+
+/**
+ * Helper: Predicates of the active registered filters, grouped by the record they read
+ * @returns {{crash: Array<Function>, casualty: Array<Function>, unit: Array<Function>}}
+ */
+function getCompiledFilters(filters) {
+    let compiled = compiledFilters.get(filters);
+    if (!compiled) {
+        compiled = { crash: [], casualty: [], unit: [] };
+        FILTER_DEFINITIONS.forEach(definition => {
+            const test = compileFilter(definition, filters);
+            if (test) compiled[definition.level].push(test);
+        });
+        compiledFilters.set(filters, compiled);
+    }
+    return compiled;
+}
+
+/**
+ * Check if a crash matches the year range and the crash-level filters
+ * @param {Object} row - Crash data row
+ * @param {Object} filters - Filter values object
+ * @returns {boolean} True if crash matches all basic filters
+ */
+export function matchesBasicFilters(row, filters) {
+    const year = parseInt(row.Year);
+    if (year < filters.yearFrom || year > filters.yearTo) return false;
+    return getCompiledFilters(filters).crash.every(test => test(row));
+}
+
+/**
+ * Check if a crash matches date/time filters
+ * @param {Object} row - Crash data row
+ * @param {Object} filters - Filter values object (only dateFrom, dateTo, timeFrom and timeTo are read)
+ * @returns {boolean} True if crash matches date/time filters
+ */
+export function matchesDateTimeFilters(row, filters) {
+    const crashDateTime = row['Crash Date Time'];
+    if (!crashDateTime) return filters.dateFrom || filters.dateTo || filters.timeFrom || filters.timeTo ? false : true;
+
+    const parts = crashDateTime.split(' ');
+
+    // Date filter
+    if (filters.dateFrom || filters.dateTo) {
+        if (parts.length >= 1) {
+            const dateParts = parts[0].split('/');
+            if (dateParts.length === 3) {
+                const crashDate = `${dateParts[2]}-${dateParts[1].padStart(2, '0')}-${dateParts[0].padStart(2, '0')}`;
+                if (filters.dateFrom && crashDate < filters.dateFrom) return false;
+                if (filters.dateTo && crashDate > filters.dateTo) return false;
+            } else {
+                return false;
+            }
+        } else {
+            return false;
+        }
+    }
+
+    // Time filter
+    if (filters.timeFrom || filters.timeTo) {
+        if (parts.length >= 2) {
+            const crashTime = parts[1];
+            if (filters.timeFrom && filters.timeTo) {
+                if (filters.timeFrom <= filters.timeTo) {
+                    // Normal range (e.g., 08:00 to 17:00)
+                    if (crashTime < filters.timeFrom || crashTime > filters.timeTo) return false;
+                } else {
+                    // Crosses midnight (e.g., 22:00 to 02:00)
+                    if (crashTime < filters.timeFrom && crashTime > filters.timeTo) return false;
+                }
+            } else if (filters.timeFrom) {
+                if (crashTime < filters.timeFrom) return false;
+            } else if (filters.timeTo) {
+                if (crashTime > filters.timeTo) return false;
+            }
+        } else {
+            return false;
+        }
+    }
+
+    return true;
+}
+
+// ============================================================================
+// CASUALTY & UNIT FILTERS
+// ============================================================================
+
+/**
+ * Helper: Whether a crash's records pass a set of tests
+ * 'same': one record passes every test; 'any': each test is passed by some
+ * record, not necessarily the same one.
+ */
+function recordsMatch(records, tests, mode) {
+    if (tests.length === 0) return true;
+    if (records.length === 0) return false;
+    if (mode === 'any') return tests.every(test => records.some(test));
+    return records.some(record => tests.every(test => test(record)));
+}
+
+/**
+ * Helper: Records described by a set of tests (see filterMatchingCasualties)
+ */
+function filterRecords(records, tests, mode) {
+    if (tests.length === 0) return records;
+    return mode === 'any'
+        ? records.filter(record => tests.some(test => test(record)))
+        : records.filter(record => tests.every(test => test(record)));
+}
+
+/**
+ * Whether any casualty filter is active
+ * @param {Object} filters - Filter values object
+ * @returns {boolean}
+ */
+export function hasCasualtyFilters(filters) {
+    return getCompiledFilters(filters).casualty.length > 0;
+}
+
+/**
+ * Whether any unit filter is active
+ * @param {Object} filters - Filter values object
+ * @returns {boolean}
+ */
+export function hasUnitFilters(filters) {
+    return getCompiledFilters(filters).unit.length > 0;
+}
+
+/**
+ * Check if crash matches casualty-related filters
+ * In 'same' match mode (the default) ONE casualty must match ALL active filters;
+ * in 'any' mode each filter may be matched by a different casualty of the crash.
+ * @param {Object} row - Crash data row
+ * @param {Object} filters - Filter values object
+ * @returns {boolean} True if crash has matching casualties
+ */
+export function matchesCasualtyFilters(row, filters) {
+    return recordsMatch(row._casualties || [], getCompiledFilters(filters).casualty, filters.casualtyMatch);
+}
+
+/**
+ * Check if crash matches units/vehicle-related filters
+ * In 'same' match mode (the default) ONE unit must match ALL active filters;
+ * in 'any' mode each filter may be matched by a different unit of the crash.
+ * @param {Object} row - Crash data row
+ * @param {Object} filters - Filter values object
+ * @returns {boolean} True if crash has matching units
+ */
+export function matchesUnitsFilters(row, filters) {
+    return recordsMatch(row._units || [], getCompiledFilters(filters).unit, filters.unitMatch);
+}
+
+/**
+ * Casualties of a crash described by the casualty filters
+ * In 'same' mode these pass every active filter; in 'any' mode they pass at least
+ * one, since the crash can match through different casualties.
+ * @param {Array} casualties - Casualty records of one crash
+ * @param {Object} filters - Filter values object
+ * @returns {Array} Matching casualties (all of them when no casualty filter is active)
+ */
+export function filterMatchingCasualties(casualties, filters) {
+    return filterRecords(casualties, getCompiledFilters(filters).casualty, filters.casualtyMatch);
+}
+
+/**
+ * Units of a crash described by the unit filters (see filterMatchingCasualties)
+ * @param {Array} units - Unit records of one crash
+ * @param {Object} filters - Filter values object
+ * @returns {Array} Matching units (all of them when no unit filter is active)
+ */
+export function filterMatchingUnits(units, filters) {
+    return filterRecords(units, getCompiledFilters(filters).unit, filters.unitMatch);
+}
+
+// ============================================================================
+// EXPRESSION FILTER
+// ============================================================================
+
+/**
+ * Fields an expression condition can test, keyed by the expression key of the filter
+ * definitions (FILTER_DEFINITIONS) followed by EXPRESSION_ONLY_FIELDS, crash fields first
+ * level: 'crash' reads the crash itself; 'casualty' / 'unit' conditions match when
+ *     any casualty / unit of the crash meets them
+ * type: 'category' (= / ≠ one of a list of values) or 'number' (comparisons)
+ * value: record → value (category values must be strings)
+ * format: optional display form of a category value
+ */
+export const EXPRESSION_FIELDS = {};
+['crash', 'casualty', 'unit'].forEach(level => {
+    FILTER_DEFINITIONS.filter(def => def.expression && def.level === level).forEach(def => {
+        const { key, ...field } = def.expression;
+        EXPRESSION_FIELDS[key] = { level, type: 'category', value: def.value, ...field };
+    });
+    EXPRESSION_ONLY_FIELDS.filter(field => field.level === level).forEach(({ key, ...field }) => {
+        EXPRESSION_FIELDS[key] = field;
+    });
+});
+
+/**
+ * Helper: Predicate for a single field value
+ */
+function compileComparison(field, cmp, value) {
+    if (field.type === 'category') {
+        const values = new Set(value);
+        return cmp === '=' ? v => values.has(v) : v => v !== null && v !== undefined && v !== '' && !values.has(v);
+    }
+    switch (cmp) {
+        case '=':  return v => v !== null && v === value;
+        case '!=': return v => v !== null && v !== value;
+        case '<':  return v => v !== null && v < value;
+        case '<=': return v => v !== null && v <= value;
+        case '>':  return v => v !== null && v > value;
+        default:   return v => v !== null && v >= value;
+    }
+}
+
+/**
+ * Compile a normalized expression into a crash predicate
+ * Blank values never match a comparison (so "Speed Zone ≠ 60" skips crashes
+ * without a speed zone); NOT inverts the whole condition or group.
+ * @param {Object} node - Normalized group or condition (see normalizeExpression)
+ * @returns {Function} crash → boolean
+ */
+export function compileExpression(node) {
+    let test;
+
+    if (node.items) {
+        const tests = node.items.map(compileExpression);
+        test = node.op === 'or'
+            ? crash => tests.some(t => t(crash))
+            : crash => tests.every(t => t(crash));
+    } else {
+        const field = EXPRESSION_FIELDS[node.field];
+        const matches = compileComparison(field, node.cmp, node.value);
+        if (field.level === 'casualty') {
+            test = crash => (crash._casualties || []).some(p => matches(field.value(p)));
+        } else if (field.level === 'unit') {
+            test = crash => (crash._units || []).some(u => matches(field.value(u)));
+        } else {
+            test = crash => matches(field.value(crash));
+        }
+    }
+
+    return node.not ? crash => !test(crash) : test;
+}
+
+// Compiled form of the last expression matched, so it is built once per filter run
+let compiledExpression = { source: null, test: null };
+
+/**
+ * Check if a crash matches the boolean expression filter
+ * @param {Object} row - Crash data row
+ * @param {Object} filters - Filter values object
+ * @returns {boolean} True if there is no expression or the crash satisfies it
+ */
+export function matchesExpressionFilter(row, filters) {
+    if (!filters.expression) return true;
+    if (compiledExpression.source !== filters.expression) {
+        compiledExpression = { source: filters.expression, test: compileExpression(filters.expression) };
+    }
+    return compiledExpression.test(row);
+}
+
+// ============================================================================
+// ALL FILTERS
+// ============================================================================
+
+/**
+ * Check a crash against every attribute filter
+ * Map-based filters (drawn areas, boundary regions, overlay proximity, GPS radius)
+ * need the main thread and are applied afterwards by their own modules.
+ * @param {Object} row - Crash data row
+ * @param {Object} filters - Filter values object (see getFilterValues)
+ * @returns {boolean}
+ */
+export function matchesFilters(row, filters) {
+    return matchesBasicFilters(row, filters) &&
+        matchesDateTimeFilters(row, filters) &&
+        matchesCasualtyFilters(row, filters) &&
+        matchesUnitsFilters(row, filters) &&
+        matchesExpressionFilter(row, filters);
+}
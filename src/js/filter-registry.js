@@ -0,0 +1,326 @@
+/**
+ * Filter Registry
+ * Declarative definitions of the crash, casualty and unit filters (no DOM access, so the filter worker can load it)
+ */
+
+import { HEAVY_VEHICLE_TYPES, CALENDAR, CRASH_CONFIGURATIONS } from './config.js';
+
+const MONTH_NAMES = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'];
+const DAY_NAMES = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+
+// Age groups and vehicle year bands offered by the filters: value → [min, max]
+const AGE_GROUPS = {
+    '0-17': [0, 17],
+    '18-25': [18, 25],
+    '26-35': [26, 35],
+    '36-50': [36, 50],
+    '51-65': [51, 65],
+    '66+': [66, Infinity]
+};
+const VEHICLE_YEAR_BANDS = {
+    'pre-2000': [-Infinity, 1999],
+    '2000-2010': [2000, 2010],
+    '2011-2020': [2011, 2020],
+    '2021+': [2021, Infinity]
+};
+
+// ============================================================================
+// HELPERS
+// ============================================================================
+
+/**
+ * Helper: 'dd/mm/yyyy' parts of a crash's date, or null without a date
+ */
+function getDateParts(crash) {
+    const dateTime = crash['Crash Date Time'];
+    return dateTime ? dateTime.split(' ')[0].split('/') : null;
+}
+
+/**
+ * Helper: Number or null for a numeric field
+ */
+function toNumber(value) {
+    const number = parseFloat(value);
+    return Number.isFinite(number) ? number : null;
+}
+
+/**
+ * Helper: 'Yes' / 'No' for a 'Y' flag column
+ */
+function yesNo(value) {
+    return (value || '').trim() === 'Y' ? 'Yes' : 'No';
+}
+
+/**
+ * Helper: Test for a select of bands (AGE_GROUPS, VEHICLE_YEAR_BANDS) on a numeric column
+ */
+function bandTest(bands, column) {
+    return selected => record => {
+        const number = parseInt(record[column]);
+        if (isNaN(number)) return false;
+        return selected.some(key => bands[key] && number >= bands[key][0] && number <= bands[key][1]);
+    };
+}
+
+/**
+ * Helper: Test for a Yes / No select on a crash 'Y' flag column
+ */
+function flagTest(column) {
+    return value => crash => {
+        const flagged = (crash[column] || '').trim() === 'Y';
+        return value === 'Yes' ? flagged : value === 'No' ? !flagged : true;
+    };
+}
+
+/**
+ * Helper: Test for a Yes / No select on whether a unit column is filled in
+ */
+function presenceTest(column) {
+    return value => unit => !!(unit[column] && unit[column].trim() !== '') === (value === 'Yes');
+}
+
+// ============================================================================
+// FILTER DEFINITIONS
+// ============================================================================
+// Each definition ties one filter together end to end:
+//   field     key in the filter values object (getFilterValues); range filters use
+//             field + 'Min' / field + 'Max'
+//   control   id of the UI control; range filters use control + 'Min' / 'Max' inputs
+//   type      'options' (multi-select or checkbox dropdown, ['all'] = unfiltered),
+//             'select' (single select, 'all' = unfiltered) or 'range' (whole-number
+//             min / max inputs, null = open end)
+//   urlKey    key in share links and saved views (never reuse or rename one)
+//   label     name in the active filters bar; pdfLabel when the PDF says it differently
+//   level     record the matcher reads: 'crash', or each 'casualty' / 'unit' of a crash
+//   value     record → value, kept when the value is selected (or equal, for selects)
+//   test      filter value → record predicate, instead of value
+//   count     record → number, for range filters
+//   format    optional filter value → display text (otherwise the selected values)
+//   optionsFrom  optional [dataState key, column] the control's options are filled from
+//   numericOptions  optional, sort those options as numbers
+//   query     optional query bar keyword { key, label, numeric, short } (see QUERY_FIELDS)
+//   expression  optional expression builder field { key, label, type, value, format }
+//             (see EXPRESSION_FIELDS); type defaults to 'category' and value to the
+//             definition's own
+//
+// The array order is the order of the active filter chips and PDF lines. The year
+// slider, date and time inputs, match modes, expression and map filters are not
+// listed here; filters.js and filter-matching.js handle them directly. Expression
+// keys are stored in share links and query keys are typed by users, so never rename
+// those either.
+
+export const FILTER_DEFINITIONS = [
+    // Crash
+    { field: 'selectedSeverities', control: 'severity', type: 'options', urlKey: 'sev', label: 'Severity',
+      level: 'crash', value: c => c['CSEF Severity'],
+      query: { key: 'severity', label: 'Crash severity' },
+      expression: { key: 'severity', label: 'Severity', format: v => v.replace(/^\d+:\s*/, '') } },
+    { field: 'selectedCrashTypes', control: 'crashType', type: 'options', urlKey: 'ct', label: 'Crash Type',
+      pdfLabel: 'Crash Types', level: 'crash', value: c => c['Crash Type'], optionsFrom: ['crashData', 'Crash Type'],
+      query: { key: 'type', label: 'Crash type' },
+      expression: { key: 'crashType', label: 'Crash Type' } },
+    { field: 'selectedAreas', control: 'area', type: 'options', urlKey: 'ar', label: 'LGA',
+      level: 'crash', value: c => c.LGA, optionsFrom: ['crashData', 'LGA'],
+      query: { key: 'lga', label: 'Area (LGA)' },
+      expression: { key: 'lga', label: 'LGA' } },
+    { field: 'selectedSuburbs', control: 'suburb', type: 'options', urlKey: 'sub', label: 'Suburb',
+      pdfLabel: 'Suburbs', level: 'crash', value: c => c.Suburb, optionsFrom: ['crashData', 'Suburb'],
+      query: { key: 'suburb', label: 'Suburb' },
+      expression: { key: 'suburb', label: 'Suburb' } },
+
+    // Crash conditions
+    { field: 'weather', control: 'weather', type: 'select', urlKey: 'w', label: 'Weather',
+      level: 'crash', value: c => c['Weather Cond'], optionsFrom: ['crashData', 'Weather Cond'],
+      query: { key: 'weather', label: 'Weather' },
+      expression: { key: 'weather', label: 'Weather' } },
+    { field: 'dayNight', control: 'dayNight', type: 'select', urlKey: 'dn', label: 'Day/Night',
+      level: 'crash', value: c => c.DayNight,
+      query: { key: 'daynight', label: 'Day / night' },
+      expression: { key: 'dayNight', label: 'Day/Night' } },
+    { field: 'duiInvolved', control: 'duiInvolved', type: 'select', urlKey: 'dui', label: 'DUI',
+      pdfLabel: 'DUI Involved', level: 'crash', test: flagTest('DUI Involved'),
+      query: { key: 'dui', label: 'DUI involved' },
+      expression: { key: 'dui', label: 'DUI Involved', value: c => yesNo(c['DUI Involved']) } },
+    { field: 'drugsInvolved', control: 'drugsInvolved', type: 'select', urlKey: 'drg', label: 'Drugs',
+      pdfLabel: 'Drugs Involved', level: 'crash', test: flagTest('Drugs Involved'),
+      query: { key: 'drugs', label: 'Drugs involved' },
+      expression: { key: 'drugs', label: 'Drugs Involved', value: c => yesNo(c['Drugs Involved']) } },
+    { field: 'selectedRoadSurfaces', control: 'roadSurface', type: 'options', urlKey: 'rs', label: 'Road Surface',
+      level: 'crash', value: c => c['Road Surface'], optionsFrom: ['crashData', 'Road Surface'],
+      query: { key: 'surface', label: 'Road surface' },
+      expression: { key: 'roadSurface', label: 'Road Surface' } },
+    { field: 'selectedMoistureConds', control: 'moistureCond', type: 'options', urlKey: 'mc', label: 'Moisture',
+      level: 'crash', value: c => c['Moisture Cond'], optionsFrom: ['crashData', 'Moisture Cond'],
+      query: { key: 'moisture', label: 'Moisture condition' },
+      expression: { key: 'moisture', label: 'Moisture' } },
+    { field: 'selectedSpeedZones', control: 'speedZoneFilter', type: 'options', urlKey: 'sz', label: 'Speed Zone',
+      pdfLabel: 'Speed Zones (km/h)', level: 'crash', value: c => (c['Area Speed'] || '').trim(),
+      optionsFrom: ['crashData', 'Area Speed'], numericOptions: true,
+      query: { key: 'speed', label: 'Speed zone', numeric: true },
+      expression: { key: 'speed', label: 'Speed Zone', type: 'number', value: c => toNumber(c['Area Speed']) } },
+    { field: 'selectedMonths', control: 'monthFilter', type: 'options', urlKey: 'mo', label: 'Month',
+      level: 'crash', format: values => values.map(m => MONTH_NAMES[parseInt(m) - 1]).join(', '),
+      value: c => {
+          const parts = getDateParts(c);
+          return parts && parts.length >= 2 ? String(parseInt(parts[1])) : null;
+      },
+      query: { key: 'month', label: 'Month', numeric: true, short: true },
+      expression: { key: 'month', label: 'Month', type: 'number', value: c => {
+          const parts = getDateParts(c);
+          return parts && parts.length === 3 ? toNumber(parts[1]) : null;
+      } } },
+    // Values are getDay() numbers, 0 = Sunday
+    { field: 'selectedDaysOfWeek', control: 'dayOfWeekFilter', type: 'options', urlKey: 'dw', label: 'Day',
+      pdfLabel: 'Day of Week', level: 'crash', format: values => values.map(d => DAY_NAMES[parseInt(d)]).join(', '),
+      value: c => {
+          const parts = getDateParts(c);
+          if (!parts || parts.length !== 3) return null;
+          return String(new Date(parseInt(parts[2]), parseInt(parts[1]) - 1, parseInt(parts[0])).getDay());
+      },
+      query: { key: 'day', label: 'Day of week', short: true } },
+    // crash._dayType is set from the holiday calendar when the data is linked
+    { field: 'dayType', control: 'dayTypeFilter', type: 'select', urlKey: 'hol', label: 'Holidays',
+      level: 'crash', format: value => CALENDAR.FILTER_LABELS[value] || value,
+      test: value => c => (value === 'holiday' ? c._dayType === 'public' || c._dayType === 'school' : c._dayType === value),
+      query: { key: 'holiday', label: 'Holidays' } },
+
+    // Casualties
+    { field: 'selectedRoadUsers', control: 'roadUserType', type: 'options', urlKey: 'ru', label: 'Road User',
+      pdfLabel: 'Road Users', level: 'casualty', value: p => p['Casualty Type'], optionsFrom: ['casualtyData', 'Casualty Type'],
+      query: { key: 'roaduser', label: 'Road user type' },
+      expression: { key: 'roadUser', label: 'Road User' } },
+    { field: 'selectedAgeGroups', control: 'ageGroup', type: 'options', urlKey: 'ag', label: 'Age',
+      pdfLabel: 'Age Groups', level: 'casualty', test: bandTest(AGE_GROUPS, 'AGE'),
+      query: { key: 'age', label: 'Age group' },
+      expression: { key: 'age', label: 'Casualty Age', type: 'number', value: p => toNumber(p.AGE) } },
+    { field: 'selectedSexes', control: 'casualtySex', type: 'options', urlKey: 'sx', label: 'Casualty Sex',
+      pdfLabel: 'Sex', level: 'casualty', value: p => p.Sex,
+      query: { key: 'sex', label: 'Casualty sex' },
+      expression: { key: 'sex', label: 'Casualty Sex' } },
+    { field: 'selectedInjuries', control: 'injuryExtent', type: 'options', urlKey: 'inj', label: 'Injury',
+      pdfLabel: 'Injury Extent', level: 'casualty', value: p => p['Injury Extent'],
+      query: { key: 'injury', label: 'Injury extent' },
+      expression: { key: 'injury', label: 'Injury Extent' } },
+    { field: 'selectedSeatBelts', control: 'seatBelt', type: 'options', urlKey: 'sb', label: 'Seat Belt',
+      level: 'casualty', value: p => p['Seat Belt'],
+      query: { key: 'seatbelt', label: 'Seat belt' },
+      expression: { key: 'seatBelt', label: 'Seat Belt' } },
+    { field: 'selectedHelmets', control: 'helmet', type: 'options', urlKey: 'hm', label: 'Helmet',
+      level: 'casualty', value: p => p.Helmet,
+      query: { key: 'helmet', label: 'Helmet' },
+      expression: { key: 'helmet', label: 'Helmet' } },
+    // crash._totalCasualties is set when the data is linked
+    { field: 'totalCasualties', control: 'casualtyCount', type: 'range', urlKey: 'tc', label: 'Casualties',
+      pdfLabel: 'Total Casualties', level: 'crash', count: c => c._totalCasualties || 0,
+      query: { key: 'casualties', label: 'Total casualties' } },
+
+    // Vehicles and units (crash._configurations is derived from the units when the data is linked)
+    { field: 'selectedConfigurations', control: 'crashConfiguration', type: 'options', urlKey: 'cf', label: 'Configuration',
+      pdfLabel: 'Crash Configuration', level: 'crash',
+      format: values => values.map(v => CRASH_CONFIGURATIONS.LABELS[v] || v).join(', '),
+      test: selected => c => selected.some(v => (c._configurations || []).includes(v)),
+      query: { key: 'config', label: 'Crash configuration' } },
+    { field: 'unitCount', control: 'unitCount', type: 'range', urlKey: 'uc', label: 'Units',
+      pdfLabel: 'Number of Units', level: 'crash', count: c => (c._units || []).length,
+      query: { key: 'units', label: 'Number of units' } },
+    { field: 'heavyVehicle', control: 'heavyVehicle', type: 'select', urlKey: 'hv', label: 'Heavy Vehicle',
+      level: 'unit', test: value => u => HEAVY_VEHICLE_TYPES.includes(u['Unit Type']) === (value === 'Yes'),
+      query: { key: 'heavy', label: 'Heavy vehicle involved' },
+      expression: { key: 'heavyVehicle', label: 'Heavy Vehicle', value: u => (HEAVY_VEHICLE_TYPES.includes(u['Unit Type']) ? 'Yes' : 'No') } },
+    { field: 'selectedVehicles', control: 'vehicleType', type: 'options', urlKey: 'vt', label: 'Vehicle Type',
+      pdfLabel: 'Vehicle Types', level: 'unit', value: u => u['Unit Type'], optionsFrom: ['unitsData', 'Unit Type'],
+      query: { key: 'vehicle', label: 'Involved entities' },
+      expression: { key: 'unitType', label: 'Unit Type' } },
+    { field: 'selectedVehicleYears', control: 'vehicleYear', type: 'options', urlKey: 'vy', label: 'Vehicle Year',
+      level: 'unit', test: bandTest(VEHICLE_YEAR_BANDS, 'Veh Year'),
+      query: { key: 'vehicleyear', label: 'Vehicle year' },
+      expression: { key: 'vehicleYear', label: 'Vehicle Year', type: 'number', value: u => toNumber(u['Veh Year']) } },
+    // Units with no or zero occupants never match
+    { field: 'selectedOccupants', control: 'occupants', type: 'options', urlKey: 'oc', label: 'Occupants',
+      level: 'unit', test: selected => u => {
+          const occupants = parseInt(u['Number Occupants']);
+          if (isNaN(occupants) || occupants === 0) return false;
+          return selected.some(value => (value === '5+' ? occupants >= 5 : occupants === parseInt(value)));
+      },
+      query: { key: 'occupants', label: 'Occupants', numeric: true } },
+    { field: 'towing', control: 'towing', type: 'select', urlKey: 'tw', label: 'Towing',
+      level: 'unit', test: value => u => {
+          const towing = (u.Towing || '').trim();
+          return (towing !== '' && towing !== 'Not Towing' && towing !== 'Unknown') === (value === 'Yes');
+      },
+      query: { key: 'towing', label: 'Towing' } },
+    { field: 'rollover', control: 'rollover', type: 'select', urlKey: 'ro', label: 'Rollover',
+      level: 'unit', test: presenceTest('Rollover'),
+      query: { key: 'rollover', label: 'Rollover involved' } },
+    { field: 'fire', control: 'fire', type: 'select', urlKey: 'fi', label: 'Fire',
+      level: 'unit', test: presenceTest('Fire'),
+      query: { key: 'fire', label: 'Fire involved' } },
+    { field: 'selectedLicenseTypes', control: 'licenseType', type: 'options', urlKey: 'lt', label: 'License',
+      pdfLabel: 'Licence Type', level: 'unit', value: u => u['Licence Type'], optionsFrom: ['unitsData', 'Licence Type'],
+      query: { key: 'licence', label: 'Licence type' },
+      expression: { key: 'licenceType', label: 'Licence Type' } },
+    { field: 'selectedRegStates', control: 'vehRegState', type: 'options', urlKey: 'rst', label: 'Reg State',
+      level: 'unit', value: u => u['Veh Reg State'], optionsFrom: ['unitsData', 'Veh Reg State'],
+      query: { key: 'regstate', label: 'Vehicle reg state' },
+      expression: { key: 'regState', label: 'Reg. State' } },
+    { field: 'selectedDirections', control: 'directionTravel', type: 'options', urlKey: 'dir', label: 'Direction',
+      level: 'unit', value: u => u['Direction Of Travel'], optionsFrom: ['unitsData', 'Direction Of Travel'],
+      query: { key: 'direction', label: 'Direction of travel' } },
+    { field: 'selectedMovements', control: 'unitMovement', type: 'options', urlKey: 'mv', label: 'Movement',
+      level: 'unit', value: u => u['Unit Movement'], optionsFrom: ['unitsData', 'Unit Movement'],
+      query: { key: 'movement', label: 'Unit movement' },
+      expression: { key: 'movement', label: 'Unit Movement' } }
+];
+
+// Expression builder fields with no filter control of their own (see EXPRESSION_FIELDS)
+export const EXPRESSION_ONLY_FIELDS = [
+    { key: 'year', label: 'Year', level: 'crash', type: 'number', value: c => toNumber(c.Year) },
+    { key: 'hour', label: 'Hour', level: 'crash', type: 'number', value: c => {
+        const time = (c['Crash Date Time'] || '').split(' ')[1];
+        return time ? toNumber(time.split(':')[0]) : null;
+    } },
+    { key: 'fatalities', label: 'Fatalities', level: 'crash', type: 'number', value: c => toNumber(c['Total Fats']) },
+    { key: 'seriousInj', label: 'Serious Injuries', level: 'crash', type: 'number', value: c => toNumber(c['Total SI']) },
+    { key: 'minorInj', label: 'Minor Injuries', level: 'crash', type: 'number', value: c => toNumber(c['Total MI']) }
+];
+
+/**
+ * Whether a filter narrows the data
+ * @param {Object} definition - Entry of FILTER_DEFINITIONS
+ * @param {Object} filters - Filter values object (missing values count as unfiltered)
+ * @returns {boolean}
+ */
+export function isFilterActive(definition, filters) {
+    if (definition.type === 'range') {
+        return typeof filters[`${definition.field}Min`] === 'number' ||
+            typeof filters[`${definition.field}Max`] === 'number';
+    }
+    const value = filters[definition.field];
+    if (definition.type === 'select') return !!value && value !== 'all';
+    return Array.isArray(value) && !value.includes('all');
+}
+
+/**
+ * Record predicate for an active filter
+ * @param {Object} definition - Entry of FILTER_DEFINITIONS
+ * @param {Object} filters - Filter values object
+ * @returns {Function|null} record → boolean, or null when the filter is not active
+ */
+export function compileFilter(definition, filters) {
+    if (!isFilterActive(definition, filters)) return null;
+
+    if (definition.type === 'range') {
+        const min = filters[`${definition.field}Min`];
+        const max = filters[`${definition.field}Max`];
+        return record => {
+            const count = definition.count(record);
+            return (typeof min !== 'number' || count >= min) && (typeof max !== 'number' || count <= max);
+        };
+    }
+
+    const value = filters[definition.field];
+    if (definition.test) return definition.test(value);
+    if (definition.type === 'select') return record => definition.value(record) === value;
+    const selected = new Set(value);
+    return record => selected.has(definition.value(record));
+}
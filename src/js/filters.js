@@ -11,7 +11,7 @@
  * - Filter presets
  */
 
-import { YEAR_RANGE, SEVERITY_COLORS, HEAVY_VEHICLE_TYPES, FILTER_PRESETS } from './config.js';
+import { YEAR_RANGE, SEVERITY_COLORS, FILTER_PRESETS, DRAW_BUFFER } from './config.js';
 import {
     dataState,
     filterState,
@@ -21,10 +21,24 @@ import {
     updateFilterState
 } from './state.js';
 import { updateStatistics } from './analytics.js';
-import { showLoading, hideLoading, updateLoadingMessage, getSearchRadiusKm } from './utils.js';
-import { showNotification } from './ui.js';
+import { showLoading, hideLoading, updateLoadingMessage, getSearchRadiusKm, escapeHtml } from './utils.js';
+import { showNotification, updateMultiSelectDisplay } from './ui.js';
 import { filterCache, perfMonitor, debounce } from './performance.js';
-import { updateMapLayers } from './map-renderer.js';
+import { updateMapLayers, getDrawnAreas, setDrawnAreas, filterByDrawnAreas, describeDrawnAreas } from './map-renderer.js';
+import { filterByBoundaryRegion, getBoundaryLabel } from './custom-boundaries.js';
+import { filterByOverlayProximity, getOverlayProximityLabel, clearOverlayProximity } from './overlays.js';
+import {
+    getActiveExpression,
+    describeExpression,
+    compactExpression,
+    expandExpression,
+    setExpression,
+    clearExpression,
+    initExpressionBuilder
+} from './filter-expression.js';
+import { syncQueryFromFilters, initQueryBar } from './query-language.js';
+import { FILTER_DEFINITIONS, isFilterActive } from './filter-registry.js';
+import { matchesFilters, hasCasualtyFilters, hasUnitFilters } from './filter-matching.js';
 
 // Module-level variables
 let yearRangeSlider = null;
@@ -48,42 +62,32 @@ let _workerRequestId = 0;
 export function captureCurrentFilterState() {
     const state = {
         yearRange: currentYearRange ? [...currentYearRange] : [...YEAR_RANGE.DEFAULT],
-        severities: getCheckboxValues('severityMenu'),
-        crashTypes: getCheckboxValues('crashTypeMenu'),
-        areas: getCheckboxValues('areaMenu'),
-        suburbs: getCheckboxValues('suburbMenu'),
-        weather: document.getElementById('weather')?.value || 'all',
-        dayNight: document.getElementById('dayNight')?.value || 'all',
         timeFrom: document.getElementById('timeFrom')?.value || '',
         timeTo: document.getElementById('timeTo')?.value || '',
         dateFrom: document.getElementById('dateFrom')?.value || '',
         dateTo: document.getElementById('dateTo')?.value || '',
-        duiInvolved: document.getElementById('duiInvolved')?.value || 'all',
-        drugsInvolved: document.getElementById('drugsInvolved')?.value || 'all',
-        roadSurface: getSelectValues('roadSurface'),
-        moistureCond: getSelectValues('moistureCond'),
-        speedZone: getSelectValues('speedZoneFilter'),
-        month: getSelectValues('monthFilter'),
-        roadUserType: getSelectValues('roadUserType'),
-        ageGroup: getSelectValues('ageGroup'),
-        casualtySex: getSelectValues('casualtySex'),
-        injuryExtent: getSelectValues('injuryExtent'),
-        seatBelt: getSelectValues('seatBelt'),
-        helmet: getSelectValues('helmet'),
-        heavyVehicle: document.getElementById('heavyVehicle')?.value || 'all',
-        vehicleType: getSelectValues('vehicleType'),
-        vehicleYear: getSelectValues('vehicleYear'),
-        occupants: getSelectValues('occupants'),
-        towing: document.getElementById('towing')?.value || 'all',
-        rollover: document.getElementById('rollover')?.value || 'all',
-        fire: document.getElementById('fire')?.value || 'all',
-        licenseType: getSelectValues('licenseType'),
-        vehRegState: getSelectValues('vehRegState'),
-        directionTravel: getSelectValues('directionTravel'),
-        unitMovement: getSelectValues('unitMovement'),
+        casualtyMatch: document.getElementById('casualtyMatch')?.value || 'same',
+        unitMatch: document.getElementById('unitMatch')?.value || 'same',
+        expression: JSON.stringify(getActiveExpression()),
         // Capture draw area state for proper change detection
-        drawnArea: drawState.drawnLayer ? JSON.stringify(drawState.drawnLayer.toGeoJSON()) : null
+        drawnAreas: JSON.stringify(getDrawnAreas().map(area => [area.mode, area.geometry])),
+        boundaryRegion: filterState.boundaryRegion,
+        overlayProximity: getOverlayProximityLabel()
     };
+
+    // Registered filters, keyed by control id
+    FILTER_DEFINITIONS.forEach(def => {
+        if (def.type === 'range') {
+            state[`${def.control}Min`] = document.getElementById(`${def.control}Min`)?.value || '';
+            state[`${def.control}Max`] = document.getElementById(`${def.control}Max`)?.value || '';
+        } else if (def.type === 'select') {
+            state[def.control] = document.getElementById(def.control)?.value || 'all';
+        } else {
+            state[def.control] = document.getElementById(`${def.control}Menu`)
+                ? getCheckboxValues(`${def.control}Menu`)
+                : getSelectValues(def.control);
+        }
+    });
     return state;
 }
 
@@ -105,12 +109,7 @@ export function applyFiltersWithCache(crashData, filters) {
     }
 
     // Apply filters (no cache hit)
-    const filteredData = crashData.filter(row => {
-        return matchesBasicFilters(row, filters) &&
-               matchesDateTimeFilters(row, filters) &&
-               matchesCasualtyFilters(row, filters) &&
-               matchesUnitsFilters(row, filters);
-    });
+    const filteredData = crashData.filter(row => matchesFilters(row, filters));
 
     // Cache the results
     filterCache.set(filters, filteredData);
@@ -193,6 +192,7 @@ export function markFiltersChanged() {
 
     updateFilterState({ filtersChanged: hasChanged });
     updateApplyButtonState();
+    syncQueryFromFilters();
 }
 
 /**
@@ -331,25 +331,26 @@ export function updateCheckboxDropdownDisplay(dropdownId, skipMarkChanged = fals
  * Populate all filter dropdowns from loaded data
  */
 export function populateFilterOptions() {
-    // Searchable checkbox dropdowns
-    buildCheckboxDropdown('crashType', uniqueValues(dataState.crashData, 'Crash Type'));
-    buildCheckboxDropdown('area', uniqueValues(dataState.crashData, 'LGA'));
-    buildCheckboxDropdown('suburb', uniqueValues(dataState.crashData, 'Suburb'));
-
-    // Simple select dropdowns
-    populateSelect('weather', uniqueValues(dataState.crashData, 'Weather Cond'));
-    populateSelect('roadUserType', uniqueValues(dataState.casualtyData, 'Casualty Type'));
-    populateSelect('vehicleType', uniqueValues(dataState.unitsData, 'Unit Type'));
-    populateSelect('roadSurface', uniqueValues(dataState.crashData, 'Road Surface'));
-    populateSelect('moistureCond', uniqueValues(dataState.crashData, 'Moisture Cond'));
-    populateSelect('licenseType', uniqueValues(dataState.unitsData, 'Licence Type'));
-    populateSelect('vehRegState', uniqueValues(dataState.unitsData, 'Veh Reg State'));
-    populateSelect('directionTravel', uniqueValues(dataState.unitsData, 'Direction Of Travel'));
-    populateSelect('unitMovement', uniqueValues(dataState.unitsData, 'Unit Movement'));
-
-    // Speed zone filter - sort numerically
-    const speedValues = uniqueValues(dataState.crashData, 'Area Speed').sort((a, b) => parseInt(a) - parseInt(b));
-    populateSelect('speedZoneFilter', speedValues);
+    // Registered filters whose options come from the data: searchable checkbox
+    // dropdowns where the page has a menu for them, otherwise plain selects
+    FILTER_DEFINITIONS.forEach(def => {
+        if (!def.optionsFrom) return;
+        const [dataset, column] = def.optionsFrom;
+        const items = uniqueValues(dataState[dataset], column);
+        if (def.numericOptions) items.sort((a, b) => parseInt(a) - parseInt(b));
+
+        if (document.getElementById(`${def.control}Menu`)) {
+            buildCheckboxDropdown(def.control, items);
+        } else {
+            populateSelect(def.control, items);
+        }
+    });
+
+    // Expression builder value lists come from the same data
+    initExpressionBuilder();
+
+    // Query bar autocomplete reads the options built above
+    initQueryBar();
 }
 
 // ============================================================================
@@ -413,453 +414,153 @@ export function getValue(elementId, defaultValue = 'all') {
     return element ? element.value : defaultValue;
 }
 
+/**
+ * Get a whole number from a min / max input
+ * @param {string} elementId - ID of the number input
+ * @returns {number|null} The number, or null when empty or invalid
+ */
+export function getCountValue(elementId) {
+    const value = parseInt(document.getElementById(elementId)?.value);
+    return isNaN(value) ? null : value;
+}
+
 /**
  * Get all filter values from the DOM
  * @returns {Object} Object containing all current filter values
  */
 export function getFilterValues() {
-    return {
+    const filters = {
         // Year range
         yearFrom: currentYearRange[0],
         yearTo: currentYearRange[1],
 
-        // Basic filters
-        selectedSeverities: getSelectedValues('severity'),
-        crashType: getValue('crashType'),
-        selectedCrashTypes: getSelectedValues('crashType'),
-        weather: getValue('weather'),
-        dayNight: getValue('dayNight'),
-        duiInvolved: getValue('duiInvolved'),
-        selectedAreas: getSelectedValues('area'),
-        selectedSuburbs: getSelectedValues('suburb'),
-
         // Date and time
         dateFrom: getValue('dateFrom', ''),
         dateTo: getValue('dateTo', ''),
         timeFrom: getValue('timeFrom', ''),
         timeTo: getValue('timeTo', ''),
 
-        // Casualty filters
-        selectedRoadUsers: getSelectedValues('roadUserType'),
-        selectedAgeGroups: getSelectedValues('ageGroup'),
-        selectedSexes: getSelectedValues('casualtySex'),
-        selectedInjuries: getSelectedValues('injuryExtent'),
-        selectedSeatBelts: getSelectedValues('seatBelt'),
-        selectedHelmets: getSelectedValues('helmet'),
-
-        // Vehicle/Units filters
-        heavyVehicle: getValue('heavyVehicle'),
-        selectedVehicles: getSelectedValues('vehicleType'),
-        selectedVehicleYears: getSelectedValues('vehicleYear'),
-        selectedOccupants: getSelectedValues('occupants'),
-        towing: getValue('towing'),
-        rollover: getValue('rollover'),
-        fire: getValue('fire'),
-        selectedLicenseTypes: getSelectedValues('licenseType'),
-        selectedRegStates: getSelectedValues('vehRegState'),
-        selectedDirections: getSelectedValues('directionTravel'),
-        selectedMovements: getSelectedValues('unitMovement'),
-
-        // Crash conditions
-        selectedRoadSurfaces: getSelectedValues('roadSurface'),
-        selectedMoistureConds: getSelectedValues('moistureCond'),
-        drugsInvolved: getValue('drugsInvolved'),
-
-        // New filters
-        selectedSpeedZones: getSelectedValues('speedZoneFilter'),
-        selectedMonths: getSelectedValues('monthFilter')
+        // 'same': one casualty matches every casualty filter; 'any': each filter may match a different casualty
+        casualtyMatch: getValue('casualtyMatch', 'same'),
+        // Same as casualtyMatch, for the unit filters
+        unitMatch: getValue('unitMatch', 'same'),
+
+        // Boolean expression from the expression builder (null when empty)
+        expression: getActiveExpression()
     };
-}
 
-// ============================================================================
-// FILTER MATCHING
-// ============================================================================
+    // Crash, casualty and unit filters (see FILTER_DEFINITIONS; range ends are null when open)
+    FILTER_DEFINITIONS.forEach(def => {
+        if (def.type === 'range') {
+            filters[`${def.field}Min`] = getCountValue(`${def.control}Min`);
+            filters[`${def.field}Max`] = getCountValue(`${def.control}Max`);
+        } else {
+            filters[def.field] = def.type === 'select' ? getValue(def.control) : getSelectedValues(def.control);
+        }
+    });
+
+    return filters;
+}
 
 /**
- * Check if a crash matches basic filters
- * @param {Object} row - Crash data row
- * @param {Object} filters - Filter values object
- * @returns {boolean} True if crash matches all basic filters
+ * Helper: Put a registered filter's control back to its unfiltered state
+ * @param {Object} def - Entry of FILTER_DEFINITIONS
+ * @param {boolean} skipMarkChanged - Don't mark the filters as changed (checkbox dropdowns)
  */
-export function matchesBasicFilters(row, filters) {
-    const year = parseInt(row.Year);
-    const severity = row['CSEF Severity'];
-
-    // Year filter
-    if (year < filters.yearFrom || year > filters.yearTo) return false;
-
-    // Severity filter
-    if (!filters.selectedSeverities.includes('all') && !filters.selectedSeverities.includes(severity)) {
-        return false;
-    }
-
-    // Crash type filter - handle both single and multiple selections
-    if (!filters.selectedCrashTypes.includes('all') && !filters.selectedCrashTypes.includes(row['Crash Type'])) {
-        return false;
-    }
-
-    // Weather filter
-    if (filters.weather !== 'all' && row['Weather Cond'] !== filters.weather) return false;
-
-    // Day/Night filter
-    if (filters.dayNight !== 'all' && row.DayNight !== filters.dayNight) return false;
-
-    // DUI filter
-    if (filters.duiInvolved !== 'all') {
-        const duiValue = row['DUI Involved'] ? row['DUI Involved'].trim() : '';
-        if (filters.duiInvolved === 'Yes' && duiValue !== 'Y') return false;
-        if (filters.duiInvolved === 'No' && duiValue === 'Y') return false;
-    }
-
-    // Drugs filter
-    if (filters.drugsInvolved !== 'all') {
-        const drugsValue = row['Drugs Involved'] ? row['Drugs Involved'].trim() : '';
-        if (filters.drugsInvolved === 'Yes' && drugsValue !== 'Y') return false;
-        if (filters.drugsInvolved === 'No' && drugsValue === 'Y') return false;
-    }
-
-    // Area filter (using pre-computed LGA)
-    if (!filters.selectedAreas.includes('all') && !filters.selectedAreas.includes(row['LGA'])) {
-        return false;
-    }
-
-    // Suburb filter
-    if (!filters.selectedSuburbs.includes('all') && !filters.selectedSuburbs.includes(row.Suburb)) {
-        return false;
-    }
-
-    // Road Surface filter
-    if (!filters.selectedRoadSurfaces.includes('all')) {
-        if (!filters.selectedRoadSurfaces.includes(row['Road Surface'])) return false;
-    }
-
-    // Moisture Condition filter
-    if (!filters.selectedMoistureConds.includes('all')) {
-        if (!filters.selectedMoistureConds.includes(row['Moisture Cond'])) return false;
-    }
-
-    // Speed zone filter
-    if (filters.selectedSpeedZones && !filters.selectedSpeedZones.includes('all')) {
-        const speed = (row['Area Speed'] || '').trim();
-        if (!filters.selectedSpeedZones.includes(speed)) return false;
+function resetFilterControl(def, skipMarkChanged = true) {
+    if (def.type === 'range') {
+        ['Min', 'Max'].forEach(suffix => {
+            const el = document.getElementById(def.control + suffix);
+            if (el) el.value = '';
+        });
+        return;
     }
 
-    // Month-of-year filter
-    if (filters.selectedMonths && !filters.selectedMonths.includes('all')) {
-        const dt = row['Crash Date Time'];
-        if (!dt) return false;
-        const datePart = dt.split(' ')[0];
-        const dp = datePart ? datePart.split('/') : [];
-        if (dp.length < 2) return false;
-        const month = String(parseInt(dp[1]));
-        if (!filters.selectedMonths.includes(month)) return false;
+    const menu = document.getElementById(`${def.control}Menu`);
+    if (menu) {
+        menu.querySelectorAll('input[type="checkbox"]').forEach(cb => cb.checked = true);
+        updateCheckboxDropdownDisplay(def.control, skipMarkChanged);
+        return;
     }
 
-    // Draw area filter - point-in-polygon using pre-cached coords + Turf.js
-    if (drawState.drawnLayer) {
-        const coords = row._coords;
-        if (!coords) return false;
-        const pt = turf.point([coords[1], coords[0]]); // Turf: [lng, lat]
-        const poly = drawState.drawnLayer.toGeoJSON();
-        if (!turf.booleanPointInPolygon(pt, poly)) return false;
+    const el = document.getElementById(def.control);
+    if (!el) return;
+    if (el.multiple) {
+        for (const option of el.options) option.selected = (option.value === 'all');
+        updateMultiSelectDisplay(def.control);
+    } else {
+        el.value = 'all';
     }
-
-    return true;
 }
 
+// ============================================================================
+// FILTER WORKER
+// ============================================================================
+
 /**
- * Check if a crash matches date/time filters
- * @param {Object} row - Crash data row
- * @param {Object} filters - Filter values object
- * @returns {boolean} True if crash matches date/time filters
+ * Current spatial filters that are applied after record matching (see applySpatialFilters)
+ * @returns {Object} { boundaryRegion, overlayProximity: { id, distance }, gpsRadius: { lat, lng, radiusKm } | null }
  */
-export function matchesDateTimeFilters(row, filters) {
-    const crashDateTime = row['Crash Date Time'];
-    if (!crashDateTime) return filters.dateFrom || filters.dateTo || filters.timeFrom || filters.timeTo ? false : true;
-
-    const parts = crashDateTime.split(' ');
-
-    // Date filter
-    if (filters.dateFrom || filters.dateTo) {
-        if (parts.length >= 1) {
-            const dateParts = parts[0].split('/');
-            if (dateParts.length === 3) {
-                const crashDate = `${dateParts[2]}-${dateParts[1].padStart(2, '0')}-${dateParts[0].padStart(2, '0')}`;
-                if (filters.dateFrom && crashDate < filters.dateFrom) return false;
-                if (filters.dateTo && crashDate > filters.dateTo) return false;
-            } else {
-                return false;
-            }
-        } else {
-            return false;
-        }
-    }
-
-    // Time filter
-    if (filters.timeFrom || filters.timeTo) {
-        if (parts.length >= 2) {
-            const crashTime = parts[1];
-            if (filters.timeFrom && filters.timeTo) {
-                if (filters.timeFrom <= filters.timeTo) {
-                    // Normal range (e.g., 08:00 to 17:00)
-                    if (crashTime < filters.timeFrom || crashTime > filters.timeTo) return false;
-                } else {
-                    // Crosses midnight (e.g., 22:00 to 02:00)
-                    if (crashTime < filters.timeFrom && crashTime > filters.timeTo) return false;
-                }
-            } else if (filters.timeFrom) {
-                if (crashTime < filters.timeFrom) return false;
-            } else if (filters.timeTo) {
-                if (crashTime > filters.timeTo) return false;
-            }
-        } else {
-            return false;
-        }
-    }
-
-    return true;
+export function getSpatialFilters() {
+    const gps = searchState.gpsLocation;
+    return {
+        boundaryRegion: filterState.boundaryRegion,
+        overlayProximity: { ...filterState.overlayProximity },
+        gpsRadius: gps && mapState.map ? { lat: gps.lat, lng: gps.lng, radiusKm: getSearchRadiusKm() } : null
+    };
 }
 
 /**
- * Check if crash matches casualty-related filters
- * At least ONE casualty must match ALL active filters simultaneously
- * @param {Object} row - Crash data row
- * @param {Object} filters - Filter values object
- * @returns {boolean} True if crash has matching casualty
+ * Restrict crashes to the custom boundary area, overlay proximity and GPS radius
+ * Used by applyFilters and by compare sets, so a set matches the view it was saved from.
+ * Drawn areas are applied separately (filterByDrawnAreas / createAreaMatcher).
+ * @param {Array} data - Crash records that passed the record filters
+ * @param {Object} spatial - Spatial filters from getSpatialFilters()
+ * @returns {Array} Matching crashes
  */
-export function matchesCasualtyFilters(row, filters) {
-    const casualties = row._casualties;
-    if (!casualties || casualties.length === 0) {
-        // Quick path: if no casualties, only pass if no casualty filters active
-        return filters.selectedRoadUsers.includes('all') &&
-               filters.selectedAgeGroups.includes('all') &&
-               filters.selectedSexes.includes('all') &&
-               filters.selectedInjuries.includes('all') &&
-               filters.selectedSeatBelts.includes('all') &&
-               filters.selectedHelmets.includes('all');
-    }
-
-    // Determine which casualty filters are active
-    const hasRoadUserFilter = !filters.selectedRoadUsers.includes('all');
-    const hasAgeFilter = !filters.selectedAgeGroups.includes('all');
-    const hasSexFilter = !filters.selectedSexes.includes('all');
-    const hasInjuryFilter = !filters.selectedInjuries.includes('all');
-    const hasSeatBeltFilter = !filters.selectedSeatBelts.includes('all');
-    const hasHelmetFilter = !filters.selectedHelmets.includes('all');
-
-    const hasAnyCasualtyFilter = hasRoadUserFilter || hasAgeFilter || hasSexFilter ||
-                                 hasInjuryFilter || hasSeatBeltFilter || hasHelmetFilter;
-
-    if (!hasAnyCasualtyFilter) return true;
-
-    // Create Sets for O(1) lookups
-    const roadUserSet = hasRoadUserFilter ? new Set(filters.selectedRoadUsers) : null;
-    const sexSet = hasSexFilter ? new Set(filters.selectedSexes) : null;
-    const injurySet = hasInjuryFilter ? new Set(filters.selectedInjuries) : null;
-    const seatBeltSet = hasSeatBeltFilter ? new Set(filters.selectedSeatBelts) : null;
-    const helmetSet = hasHelmetFilter ? new Set(filters.selectedHelmets) : null;
-
-    // Check if ANY casualty matches ALL active filters
-    return casualties.some(casualty => {
-        // Road User Type filter
-        if (hasRoadUserFilter && !roadUserSet.has(casualty['Casualty Type'])) {
-            return false;
-        }
-
-        // Age Group filter
-        if (hasAgeFilter) {
-            const age = parseInt(casualty.AGE);
-            if (isNaN(age)) return false;
-            const matchesAnyAgeGroup = filters.selectedAgeGroups.some(group => {
-                if (group === '0-17') return age >= 0 && age <= 17;
-                if (group === '18-25') return age >= 18 && age <= 25;
-                if (group === '26-35') return age >= 26 && age <= 35;
-                if (group === '36-50') return age >= 36 && age <= 50;
-                if (group === '51-65') return age >= 51 && age <= 65;
-                if (group === '66+') return age >= 66;
-                return false;
-            });
-            if (!matchesAnyAgeGroup) return false;
-        }
-
-        // Casualty Sex filter
-        if (hasSexFilter && !sexSet.has(casualty.Sex)) {
-            return false;
-        }
-
-        // Injury Extent filter
-        if (hasInjuryFilter && !injurySet.has(casualty['Injury Extent'])) {
-            return false;
-        }
-
-        // Seat Belt filter
-        if (hasSeatBeltFilter && !seatBeltSet.has(casualty['Seat Belt'])) {
-            return false;
-        }
-
-        // Helmet filter
-        if (hasHelmetFilter && !helmetSet.has(casualty.Helmet)) {
-            return false;
-        }
-
-        return true;
-    });
+export function applySpatialFilters(data, spatial = getSpatialFilters()) {
+    let result = filterByBoundaryRegion(data, spatial.boundaryRegion);
+    result = filterByOverlayProximity(result, spatial.overlayProximity);
+    return filterByGpsRadius(result, spatial.gpsRadius);
 }
 
 /**
- * Check if crash matches units/vehicle-related filters
- * At least ONE unit must match ALL active filters simultaneously
- * @param {Object} row - Crash data row
- * @param {Object} filters - Filter values object
- * @returns {boolean} True if crash has matching unit
+ * Helper: Keep crashes within radiusKm of a GPS location
  */
-export function matchesUnitsFilters(row, filters) {
-    const units = row._units || [];
-
-    // Determine which unit filters are active
-    const hasVehicleTypeFilter = !filters.selectedVehicles.includes('all');
-    const hasVehicleYearFilter = !filters.selectedVehicleYears.includes('all');
-    const hasOccupantsFilter = !filters.selectedOccupants.includes('all');
-    const hasLicenseTypeFilter = !filters.selectedLicenseTypes.includes('all');
-    const hasRegStateFilter = !filters.selectedRegStates.includes('all');
-    const hasDirectionFilter = !filters.selectedDirections.includes('all');
-    const hasMovementFilter = !filters.selectedMovements.includes('all');
-    const hasHeavyVehicleFilter = filters.heavyVehicle !== 'all';
-    const hasTowingFilter = filters.towing !== 'all';
-    const hasRolloverFilter = filters.rollover !== 'all';
-    const hasFireFilter = filters.fire !== 'all';
-
-    const hasAnyUnitFilter = hasVehicleTypeFilter || hasVehicleYearFilter ||
-                            hasOccupantsFilter || hasLicenseTypeFilter ||
-                            hasRegStateFilter || hasDirectionFilter || hasMovementFilter ||
-                            hasHeavyVehicleFilter || hasTowingFilter || hasRolloverFilter || hasFireFilter;
-
-    // If no unit filters are active, pass all crashes
-    if (!hasAnyUnitFilter) return true;
-
-    // If filters are active but crash has no units, reject
-    if (units.length === 0) return false;
-
-    // Create Sets for O(1) lookups
-    const vehicleTypeSet = hasVehicleTypeFilter ? new Set(filters.selectedVehicles) : null;
-    const vehicleYearSet = hasVehicleYearFilter ? new Set(filters.selectedVehicleYears) : null;
-    const occupantsSet = hasOccupantsFilter ? new Set(filters.selectedOccupants) : null;
-    const licenseTypeSet = hasLicenseTypeFilter ? new Set(filters.selectedLicenseTypes) : null;
-    const regStateSet = hasRegStateFilter ? new Set(filters.selectedRegStates) : null;
-    const directionSet = hasDirectionFilter ? new Set(filters.selectedDirections) : null;
-    const movementSet = hasMovementFilter ? new Set(filters.selectedMovements) : null;
-
-    // Check if ANY unit matches ALL active filters (including yes/no filters)
-    return units.some(unit => {
-        // Heavy Vehicle filter - must be checked per unit
-        if (hasHeavyVehicleFilter) {
-            const isHeavyVehicle = HEAVY_VEHICLE_TYPES.includes(unit['Unit Type']);
-            if (filters.heavyVehicle === 'Yes' && !isHeavyVehicle) return false;
-            if (filters.heavyVehicle === 'No' && isHeavyVehicle) return false;
-        }
-
-        // Towing filter - must be checked per unit
-        if (hasTowingFilter) {
-            const val = (unit.Towing || '').trim();
-            const hasTowing = val !== '' && val !== 'Not Towing' && val !== 'Unknown';
-            if (filters.towing === 'Yes' && !hasTowing) return false;
-            if (filters.towing === 'No' && hasTowing) return false;
-        }
-
-        // Rollover filter - must be checked per unit
-        if (hasRolloverFilter) {
-            const hasRollover = unit.Rollover && unit.Rollover.trim() !== '';
-            if (filters.rollover === 'Yes' && !hasRollover) return false;
-            if (filters.rollover === 'No' && hasRollover) return false;
-        }
-
-        // Fire filter - must be checked per unit
-        if (hasFireFilter) {
-            const hasFire = unit.Fire && unit.Fire.trim() !== '';
-            if (filters.fire === 'Yes' && !hasFire) return false;
-            if (filters.fire === 'No' && hasFire) return false;
-        }
-
-        // Vehicle Type filter
-        if (hasVehicleTypeFilter && !vehicleTypeSet.has(unit['Unit Type'])) {
-            return false;
-        }
-
-        // Vehicle Year filter
-        if (hasVehicleYearFilter) {
-            const year = parseInt(unit['Veh Year']);
-            if (isNaN(year)) return false;
-            const matchesAnyYear = filters.selectedVehicleYears.some(range => {
-                if (range === 'pre-2000') return year < 2000;
-                if (range === '2000-2010') return year >= 2000 && year <= 2010;
-                if (range === '2011-2020') return year >= 2011 && year <= 2020;
-                if (range === '2021+') return year >= 2021;
-                return false;
-            });
-            if (!matchesAnyYear) return false;
-        }
-
-        // Occupants filter
-        if (hasOccupantsFilter) {
-            const occupantsStr = unit['Number Occupants'];
-            if (occupantsStr !== undefined && occupantsStr !== null) {
-                const occupants = parseInt(occupantsStr);
-                if (!isNaN(occupants)) {
-                    if (occupants === 0) return false;
-                    const matchesAnyValue = filters.selectedOccupants.some(value => {
-                        if (value === '1') return occupants === 1;
-                        if (value === '2') return occupants === 2;
-                        if (value === '3') return occupants === 3;
-                        if (value === '4') return occupants === 4;
-                        if (value === '5+') return occupants >= 5;
-                        return false;
-                    });
-                    if (!matchesAnyValue) return false;
-                } else {
-                    return false;
-                }
-            } else {
-                return false;
-            }
-        }
-
-        // License Type filter
-        if (hasLicenseTypeFilter && !licenseTypeSet.has(unit['Licence Type'])) {
-            return false;
-        }
-
-        // Registration State filter
-        if (hasRegStateFilter && !regStateSet.has(unit['Veh Reg State'])) {
-            return false;
-        }
-
-        // Direction of Travel filter
-        if (hasDirectionFilter && !directionSet.has(unit['Direction Of Travel'])) {
-            return false;
-        }
-
-        // Unit Movement filter
-        if (hasMovementFilter && !movementSet.has(unit['Unit Movement'])) {
-            return false;
-        }
-
-        return true;
+function filterByGpsRadius(data, gpsRadius) {
+    if (!gpsRadius || !mapState.map) return data;
+    const { lat, lng, radiusKm } = gpsRadius;
+    const radiusMeters = radiusKm * 1000;
+
+    // Bounding-box prefilter: cheap lat/lng comparison rejects the far-field
+    // before the expensive per-point Leaflet distance call.
+    const latDelta = radiusMeters / 111320;
+    const lngDelta = radiusMeters / (111320 * Math.cos(lat * Math.PI / 180));
+    const latMin = lat - latDelta;
+    const latMax = lat + latDelta;
+    const lngMin = lng - lngDelta;
+    const lngMax = lng + lngDelta;
+
+    return data.filter(crash => {
+        const coords = crash._coords;
+        if (!coords) return false;
+        const [cLat, cLng] = coords;
+        if (cLat < latMin || cLat > latMax || cLng < lngMin || cLng > lngMax) return false;
+        return mapState.map.distance([lat, lng], coords) <= radiusMeters;
     });
 }
 
-// ============================================================================
-// FILTER WORKER
-// ============================================================================
-
 /**
  * Initialise the filter Web Worker and transfer a copy of the crash data to it.
  * Called once from data-loader after linkCrashData() completes.
  * Subsequent applyFilters() calls will use the worker automatically.
+ * The worker is an ES module worker sharing filter-matching.js with the main thread;
+ * where module workers are unsupported it fails to load and filtering stays inline.
  */
 export function initFilterWorker() {
     if (!window.Worker) return;
     try {
-        _filterWorker = new Worker('./src/js/filter-worker.js');
+        _filterWorker = new Worker('./src/js/filter-worker.js', { type: 'module' });
 
         _filterWorker.onmessage = (e) => {
             if (e.data.type === 'READY') {
@@ -877,8 +578,7 @@ export function initFilterWorker() {
         // clone (one-time cost) so that filter messages carry only filter values.
         _filterWorker.postMessage({
             type: 'INIT',
-            crashData: dataState.crashData,
-            heavyVehicleTypes: HEAVY_VEHICLE_TYPES
+            crashData: dataState.crashData
         });
     } catch (err) {
         console.warn('Could not create filter worker, will use inline filtering:', err);
@@ -947,61 +647,26 @@ export async function applyFilters() {
                 for (let i = 0; i < indices.length; i++) {
                     filteredData.push(dataState.crashData[indices[i]]);
                 }
-
-                // The drawn-area filter needs turf (main-thread global) so it runs here.
-                // toGeoJSON() is called once before the loop, not per record.
-                if (drawState.drawnLayer) {
-                    const poly = drawState.drawnLayer.toGeoJSON();
-                    filteredData = filteredData.filter(row => {
-                        if (!row._coords) return false;
-                        return turf.booleanPointInPolygon(
-                            turf.point([row._coords[1], row._coords[0]]), poly
-                        );
-                    });
-                }
             } catch (workerErr) {
                 console.warn('Filter worker request failed, falling back to inline filtering:', workerErr);
-                filteredData = dataState.crashData.filter(row =>
-                    matchesBasicFilters(row, filters) &&
-                    matchesDateTimeFilters(row, filters) &&
-                    matchesCasualtyFilters(row, filters) &&
-                    matchesUnitsFilters(row, filters)
-                );
+                filteredData = dataState.crashData.filter(row => matchesFilters(row, filters));
             }
         } else {
-            filteredData = dataState.crashData.filter(row =>
-                matchesBasicFilters(row, filters) &&
-                matchesDateTimeFilters(row, filters) &&
-                matchesCasualtyFilters(row, filters) &&
-                matchesUnitsFilters(row, filters)
-            );
+            filteredData = dataState.crashData.filter(row => matchesFilters(row, filters));
         }
 
-        // Apply GPS radius as an additional spatial constraint if active
-        if (searchState.gpsLocation && mapState.map) {
-            const { lat, lng } = searchState.gpsLocation;
-            const radiusKm = getSearchRadiusKm();
-            const radiusMeters = radiusKm * 1000;
-
-            // Bounding-box prefilter: cheap lat/lng comparison rejects the far-field
-            // before the expensive per-point Leaflet distance call.
-            const latDelta = radiusMeters / 111320;
-            const lngDelta = radiusMeters / (111320 * Math.cos(lat * Math.PI / 180));
-            const latMin = lat - latDelta;
-            const latMax = lat + latDelta;
-            const lngMin = lng - lngDelta;
-            const lngMax = lng + lngDelta;
-
-            filteredData = filteredData.filter(crash => {
-                const coords = crash._coords;
-                if (!coords) return false;
-                const [cLat, cLng] = coords;
-                if (cLat < latMin || cLat > latMax || cLng < lngMin || cLng > lngMax) return false;
-                return mapState.map.distance([lat, lng], coords) <= radiusMeters;
-            });
+        // Custom boundary area, overlay proximity and GPS radius (main thread only)
+        const spatial = getSpatialFilters();
+        filteredData = applySpatialFilters(filteredData, spatial);
+
+        // Drawn areas need turf (main-thread global), so they are applied here for
+        // both paths; this also counts the crashes in each area for the area list
+        filteredData = filterByDrawnAreas(filteredData);
+
+        if (spatial.gpsRadius) {
             const resultsEl = document.getElementById('searchResults');
             if (resultsEl) {
-                resultsEl.textContent = `Found ${filteredData.length} crashes within ${radiusKm}km of your location`;
+                resultsEl.textContent = `Found ${filteredData.length} crashes within ${spatial.gpsRadius.radiusKm}km of your location`;
                 resultsEl.dataset.source = 'gps';
                 resultsEl.classList.remove('hidden');
             }
@@ -1016,8 +681,9 @@ export async function applyFilters() {
             }
         }
 
-        // Update filtered data in state
+        // Update filtered data in state (the filters are kept for counting casualties/units)
         dataState.filteredData = filteredData;
+        updateFilterState({ appliedFilters: filters });
 
         // Update statistics
         updateStatistics();
@@ -1182,6 +848,28 @@ export function applyPreset(presetKey) {
         }
     }
 
+    if (filters.daysOfWeek && filters.daysOfWeek.length > 0) {
+        applyMultiSelectFilter('dayOfWeekFilter', filters.daysOfWeek);
+    }
+
+    if (filters.dayType) {
+        const el = document.getElementById('dayTypeFilter');
+        if (el) el.value = filters.dayType;
+    }
+
+    // Crash make-up
+    if (filters.configurations && filters.configurations.length > 0) {
+        applyMultiSelectFilter('crashConfiguration', filters.configurations);
+    }
+
+    if (filters.unitCount) {
+        restoreCountRange('unitCount', filters.unitCount);
+    }
+
+    if (filters.totalCasualties) {
+        restoreCountRange('casualtyCount', filters.totalCasualties);
+    }
+
     // Apply filters (updateActiveFiltersDisplay is called inside applyFilters)
     applyFilters();
 
@@ -1224,38 +912,21 @@ export function clearFilters(skipApply = false) {
     document.getElementById('timeFrom').value = '';
     document.getElementById('timeTo').value = '';
 
-    // Reset checkbox dropdowns
-    const checkboxMenus = ['severityMenu', 'crashTypeMenu', 'areaMenu', 'suburbMenu'];
-    checkboxMenus.forEach(menuId => {
-        const menu = document.getElementById(menuId);
-        if (menu) {
-            menu.querySelectorAll('input[type="checkbox"]').forEach(cb => cb.checked = true);
-            const dropdownId = menuId.replace('Menu', '');
-            updateCheckboxDropdownDisplay(dropdownId, skipApply);
-        }
-    });
+    // Reset the crash, casualty and unit filters
+    FILTER_DEFINITIONS.forEach(def => resetFilterControl(def, skipApply));
 
-    // Reset single-select dropdowns
-    const singleSelects = ['weather', 'dayNight', 'duiInvolved', 'drugsInvolved',
-                           'heavyVehicle', 'towing', 'rollover', 'fire'];
-    singleSelects.forEach(id => {
+    // Reset casualty / unit match modes
+    ['casualtyMatch', 'unitMatch'].forEach(id => {
         const el = document.getElementById(id);
-        if (el) el.value = 'all';
+        if (el) el.value = 'same';
     });
 
-    // Reset multi-select dropdowns
-    const multiSelects = ['roadUserType', 'vehicleType', 'ageGroup', 'casualtySex',
-                          'injuryExtent', 'seatBelt', 'helmet', 'vehicleYear', 'occupants',
-                          'roadSurface', 'moistureCond', 'licenseType', 'vehRegState',
-                          'directionTravel', 'unitMovement', 'speedZoneFilter', 'monthFilter'];
-    multiSelects.forEach(id => {
-        const select = document.getElementById(id);
-        if (select) {
-            for (let option of select.options) {
-                option.selected = (option.value === 'all');
-            }
-        }
-    });
+    // Drop the custom boundary area and overlay proximity filters
+    updateFilterState({ boundaryRegion: null });
+    clearOverlayProximity();
+
+    // Empty the expression builder
+    clearExpression();
 
     // Reset preset filter dropdown to "-- Select an Example --"
     // Only do this when manually clearing (not when called from applyPreset)
@@ -1288,20 +959,6 @@ export function clearFilters(skipApply = false) {
  * @param {string} filterName - Display name of the filter to clear
  */
 export function clearSingleFilter(filterName) {
-    const checkAll = function(menuId, dropdownId) {
-        const menu = document.getElementById(menuId);
-        if (menu) {
-            menu.querySelectorAll('input[type="checkbox"]').forEach(cb => cb.checked = true);
-            updateCheckboxDropdownDisplay(dropdownId);
-        }
-    };
-    const resetSelect = function(id) {
-        const el = document.getElementById(id);
-        if (el) {
-            for (let opt of el.options) opt.selected = (opt.value === 'all');
-        }
-    };
-
     switch (filterName) {
         case 'Year':
             if (yearRangeSlider) yearRangeSlider.set([...YEAR_RANGE.DEFAULT]);
@@ -1314,42 +971,22 @@ export function clearSingleFilter(filterName) {
             document.getElementById('timeFrom').value = '';
             document.getElementById('timeTo').value = '';
             break;
-        case 'Severity': checkAll('severityMenu', 'severity'); break;
-        case 'Crash Type': checkAll('crashTypeMenu', 'crashType'); break;
-        case 'Weather': document.getElementById('weather').value = 'all'; break;
-        case 'Day/Night': document.getElementById('dayNight').value = 'all'; break;
-        case 'DUI': document.getElementById('duiInvolved').value = 'all'; break;
-        case 'Day': checkAll('dayOfWeekMenu', 'dayOfWeek'); break;
-        case 'LGA': checkAll('areaMenu', 'area'); break;
-        case 'Suburb': checkAll('suburbMenu', 'suburb'); break;
-        case 'Road User': resetSelect('roadUserType'); break;
-        case 'Age': resetSelect('ageGroup'); break;
-        case 'Casualty Sex': resetSelect('casualtySex'); break;
-        case 'Injury': resetSelect('injuryExtent'); break;
-        case 'Seat Belt': resetSelect('seatBelt'); break;
-        case 'Helmet': resetSelect('helmet'); break;
-        case 'Heavy Vehicle': document.getElementById('heavyVehicle').value = 'all'; break;
-        case 'Vehicle Type': resetSelect('vehicleType'); break;
-        case 'Vehicle Year': resetSelect('vehicleYear'); break;
-        case 'Occupants': resetSelect('occupants'); break;
-        case 'Towing': document.getElementById('towing').value = 'all'; break;
-        case 'Rollover': document.getElementById('rollover').value = 'all'; break;
-        case 'Fire': document.getElementById('fire').value = 'all'; break;
-        case 'License': resetSelect('licenseType'); break;
-        case 'Reg State': resetSelect('vehRegState'); break;
-        case 'Direction': resetSelect('directionTravel'); break;
-        case 'Movement': resetSelect('unitMovement'); break;
-        case 'Road Surface': resetSelect('roadSurface'); break;
-        case 'Moisture': resetSelect('moistureCond'); break;
-        case 'Drugs': document.getElementById('drugsInvolved').value = 'all'; break;
-        case 'Speed Zone': resetSelect('speedZoneFilter'); break;
-        case 'Month': resetSelect('monthFilter'); break;
+        case 'Casualty Match': document.getElementById('casualtyMatch').value = 'same'; break;
+        case 'Unit Match': document.getElementById('unitMatch').value = 'same'; break;
         case 'Draw Area':
             if (typeof window.clearDrawArea === 'function') {
                 window.clearDrawArea();
                 return;
             }
             break;
+        case 'Boundary': updateFilterState({ boundaryRegion: null }); break;
+        case 'Near Layer': clearOverlayProximity(); break;
+        case 'Expression': clearExpression(); break;
+        default: {
+            // Registered filters are named by their label in the active filters bar
+            const def = FILTER_DEFINITIONS.find(d => d.label === filterName);
+            if (def) resetFilterControl(def);
+        }
     }
 
     if (typeof updateAdvancedFilterBadge === 'function') {
@@ -1358,6 +995,124 @@ export function clearSingleFilter(filterName) {
     applyFilters();
 }
 
+/**
+ * Filter to one day of week and one hour of day (Day × Hour heatmap cells)
+ * Clicking the cell that is already the whole selection clears both filters.
+ * @param {number} day - Day of week (0 = Sunday)
+ * @param {number} hour - Hour of day (0-23)
+ */
+export function filterByDayHour(day, hour) {
+    const timeFromEl = document.getElementById('timeFrom');
+    const timeToEl = document.getElementById('timeTo');
+    if (!timeFromEl || !timeToEl) return;
+
+    const hh = String(hour).padStart(2, '0');
+    const from = `${hh}:00`;
+    const to = `${hh}:59`;
+    const days = getSelectedValues('dayOfWeekFilter');
+    const isCurrent = days.length === 1 && days[0] === String(day) &&
+        timeFromEl.value === from && timeToEl.value === to;
+
+    applyMultiSelectFilter('dayOfWeekFilter', isCurrent ? ['all'] : [String(day)]);
+    timeFromEl.value = isCurrent ? '' : from;
+    timeToEl.value = isCurrent ? '' : to;
+
+    applyFilters();
+}
+
+/**
+ * Filter to a single value in each of several filter controls (cross-tab cells)
+ * Controls that are not listed keep their current selection.
+ * @param {Array<{id: string, value: string}>} selections - Filter control IDs ('year' for
+ *     the year slider) with the value to select
+ * @returns {boolean} False, with nothing changed, if a control doesn't offer its value
+ */
+export function filterBySelections(selections) {
+    if (!selections.every(({ id, value }) => id === 'year' || hasFilterOption(id, value))) {
+        return false;
+    }
+
+    selections.forEach(({ id, value }) => {
+        if (id === 'year') {
+            setYearRange([parseInt(value), parseInt(value)]);
+            return;
+        }
+        const menu = document.getElementById(`${id}Menu`);
+        if (menu) {
+            menu.querySelectorAll('input[type="checkbox"]').forEach(cb => {
+                cb.checked = cb.value === value;
+            });
+            updateCheckboxDropdownDisplay(id, true);
+            return;
+        }
+        const element = document.getElementById(id);
+        if (element.multiple) {
+            applyMultiSelectFilter(id, [value]);
+        } else {
+            element.value = value;
+        }
+    });
+
+    applyFilters();
+    return true;
+}
+
+/**
+ * Options offered by a checkbox dropdown or select (excluding 'all')
+ * @param {string} elementId - Checkbox dropdown base ID or select ID
+ * @returns {Array<{value: string, label: string}>}
+ */
+export function getFilterOptions(elementId) {
+    const menu = document.getElementById(`${elementId}Menu`);
+    if (menu) {
+        return Array.from(menu.querySelectorAll('input[type="checkbox"]')).map(cb => ({
+            value: cb.value,
+            label: cb.nextElementSibling ? cb.nextElementSibling.textContent : cb.value
+        }));
+    }
+    const element = document.getElementById(elementId);
+    if (!element || !element.options) return [];
+    return Array.from(element.options)
+        .filter(opt => opt.value !== 'all')
+        .map(opt => ({ value: opt.value, label: opt.textContent }));
+}
+
+/**
+ * Set a filter control without applying it
+ * @param {string} elementId - Checkbox dropdown base ID, select ID or input ID
+ * @param {Array<string>} values - Values to select; ['all'] selects everything
+ */
+export function setFilterControl(elementId, values) {
+    const menu = document.getElementById(`${elementId}Menu`);
+    if (menu) {
+        menu.querySelectorAll('input[type="checkbox"]').forEach(cb => {
+            cb.checked = values.includes('all') || values.includes(cb.value);
+        });
+        updateCheckboxDropdownDisplay(elementId, true);
+        return;
+    }
+    const element = document.getElementById(elementId);
+    if (!element) return;
+    if (element.multiple) {
+        applyMultiSelectFilter(elementId, values);
+        updateMultiSelectDisplay(elementId);
+    } else {
+        element.value = values[0] ?? 'all';
+    }
+}
+
+/**
+ * Helper: Check whether a checkbox dropdown or select offers a value
+ */
+function hasFilterOption(elementId, value) {
+    const menu = document.getElementById(`${elementId}Menu`);
+    if (menu) {
+        return Array.from(menu.querySelectorAll('input[type="checkbox"]')).some(cb => cb.value === value);
+    }
+    const element = document.getElementById(elementId);
+    return !!element && Array.from(element.options).some(opt => opt.value === value);
+}
+
 // ============================================================================
 // YEAR SLIDER
 // ============================================================================
@@ -1463,105 +1218,77 @@ function getOptimizedFilterValue(elementId, selectedValues) {
     return { values: selectedValues, inverted: false };
 }
 
-function encodeFiltersToURLInternal() {
-    try {
-        const filters = getFilterValues();
-        const state = {};
-
-        // Only include non-default values to minimize compressed size
-        if (filters.yearFrom !== YEAR_RANGE.MIN) state.yf = filters.yearFrom;
-        if (filters.yearTo !== YEAR_RANGE.MAX) state.yt = filters.yearTo;
-
-        // Use optimized encoding for multi-select filters (inverts if most selected)
-        const sev = getOptimizedFilterValue('severity', filters.selectedSeverities);
-        if (sev) {
-            state.sev = sev.inverted ? `!${sev.values.join(',')}` : sev.values;
-        }
-
-        const ct = getOptimizedFilterValue('crashType', filters.selectedCrashTypes);
-        if (ct) {
-            state.ct = ct.inverted ? `!${ct.values.join(',')}` : ct.values;
-        }
-
-        const ar = getOptimizedFilterValue('area', filters.selectedAreas);
-        if (ar) {
-            state.ar = ar.inverted ? `!${ar.values.join(',')}` : ar.values;
-        }
-
-        const sub = getOptimizedFilterValue('suburb', filters.selectedSuburbs);
-        if (sub) {
-            state.sub = sub.inverted ? `!${sub.values.join(',')}` : sub.values;
+/**
+ * Serialize the current filters to the compact form used in share links and saved views
+ * Only non-default values are included; multi-selects may be inverted ('!a,b').
+ * @returns {Object} Compact filter state
+ */
+export function serializeFilters() {
+    const filters = getFilterValues();
+    const state = {};
+
+    // Only include non-default values to minimize compressed size
+    if (filters.yearFrom !== YEAR_RANGE.MIN) state.yf = filters.yearFrom;
+    if (filters.yearTo !== YEAR_RANGE.MAX) state.yt = filters.yearTo;
+
+    if (filters.dateFrom) state.df = filters.dateFrom;
+    if (filters.dateTo) state.dt = filters.dateTo;
+    if (filters.timeFrom) state.tf = filters.timeFrom;
+    if (filters.timeTo) state.tt = filters.timeTo;
+
+    // Registered filters: [min, max] counts (null = open), select values, and
+    // multi-selects in optimized encoding (inverted as '!a,b' if most are selected)
+    FILTER_DEFINITIONS.forEach(def => {
+        if (!isFilterActive(def, filters)) return;
+        if (def.type === 'range') {
+            state[def.urlKey] = [filters[`${def.field}Min`], filters[`${def.field}Max`]];
+        } else if (def.type === 'select') {
+            state[def.urlKey] = filters[def.field];
+        } else {
+            const optimized = getOptimizedFilterValue(def.control, filters[def.field]);
+            if (optimized) {
+                state[def.urlKey] = optimized.inverted ? `!${optimized.values.join(',')}` : optimized.values;
+            }
         }
+    });
 
-        if (filters.weather !== 'all') state.w = filters.weather;
-        if (filters.dayNight !== 'all') state.dn = filters.dayNight;
-        if (filters.duiInvolved !== 'all') state.dui = filters.duiInvolved;
-        if (filters.drugsInvolved !== 'all') state.drg = filters.drugsInvolved;
-
-        if (filters.dateFrom) state.df = filters.dateFrom;
-        if (filters.dateTo) state.dt = filters.dateTo;
-        if (filters.timeFrom) state.tf = filters.timeFrom;
-        if (filters.timeTo) state.tt = filters.timeTo;
-
-        // Include other multi-select filters (optimized with invert logic)
-        const rs = getOptimizedFilterValue('roadSurface', filters.selectedRoadSurfaces);
-        if (rs) state.rs = rs.inverted ? `!${rs.values.join(',')}` : rs.values;
-
-        const mc = getOptimizedFilterValue('moistureCond', filters.selectedMoistureConds);
-        if (mc) state.mc = mc.inverted ? `!${mc.values.join(',')}` : mc.values;
-
-        const sz = getOptimizedFilterValue('speedZoneFilter', filters.selectedSpeedZones);
-        if (sz) state.sz = sz.inverted ? `!${sz.values.join(',')}` : sz.values;
-
-        const mo = getOptimizedFilterValue('monthFilter', filters.selectedMonths);
-        if (mo) state.mo = mo.inverted ? `!${mo.values.join(',')}` : mo.values;
-
-        // Casualty filters (optimized)
-        const ru = getOptimizedFilterValue('roadUserType', filters.selectedRoadUsers);
-        if (ru) state.ru = ru.inverted ? `!${ru.values.join(',')}` : ru.values;
-
-        const ag = getOptimizedFilterValue('ageGroup', filters.selectedAgeGroups);
-        if (ag) state.ag = ag.inverted ? `!${ag.values.join(',')}` : ag.values;
-
-        const sx = getOptimizedFilterValue('casualtySex', filters.selectedSexes);
-        if (sx) state.sx = sx.inverted ? `!${sx.values.join(',')}` : sx.values;
-
-        const inj = getOptimizedFilterValue('injuryExtent', filters.selectedInjuries);
-        if (inj) state.inj = inj.inverted ? `!${inj.values.join(',')}` : inj.values;
-
-        const sb = getOptimizedFilterValue('seatBelt', filters.selectedSeatBelts);
-        if (sb) state.sb = sb.inverted ? `!${sb.values.join(',')}` : sb.values;
-
-        const hm = getOptimizedFilterValue('helmet', filters.selectedHelmets);
-        if (hm) state.hm = hm.inverted ? `!${hm.values.join(',')}` : hm.values;
-
-        // Vehicle filters
-        if (filters.heavyVehicle !== 'all') state.hv = filters.heavyVehicle;
-
-        const vt = getOptimizedFilterValue('vehicleType', filters.selectedVehicles);
-        if (vt) state.vt = vt.inverted ? `!${vt.values.join(',')}` : vt.values;
-
-        const vy = getOptimizedFilterValue('vehicleYear', filters.selectedVehicleYears);
-        if (vy) state.vy = vy.inverted ? `!${vy.values.join(',')}` : vy.values;
-
-        const oc = getOptimizedFilterValue('occupants', filters.selectedOccupants);
-        if (oc) state.oc = oc.inverted ? `!${oc.values.join(',')}` : oc.values;
-
-        if (filters.towing !== 'all') state.tw = filters.towing;
-        if (filters.rollover !== 'all') state.ro = filters.rollover;
-        if (filters.fire !== 'all') state.fi = filters.fire;
-
-        const lt = getOptimizedFilterValue('licenseType', filters.selectedLicenseTypes);
-        if (lt) state.lt = lt.inverted ? `!${lt.values.join(',')}` : lt.values;
-
-        const rst = getOptimizedFilterValue('vehRegState', filters.selectedRegStates);
-        if (rst) state.rst = rst.inverted ? `!${rst.values.join(',')}` : rst.values;
+    if (filters.casualtyMatch === 'any') state.cm = 'any';
+    if (filters.unitMatch === 'any') state.um = 'any';
+
+    // Boolean expression (compact form, see compactExpression)
+    if (filters.expression) state.ex = compactExpression(filters.expression);
+
+    // Drawn areas: name, 'x' for exclude, then the polygon rings, or for a buffer
+    // area its distance and the line / points it was built from (5 dp ≈ 1 m)
+    if (drawState.areas.length > 0) {
+        const round = c => [Math.round(c[0] * 1e5) / 1e5, Math.round(c[1] * 1e5) / 1e5];
+        state.da = getDrawnAreas().map(area => {
+            const item = { n: area.name };
+            if (area.mode === 'exclude') item.m = 'x';
+            if (area.buffer) {
+                const { geometry, distance } = area.buffer;
+                item.d = distance;
+                item.g = {
+                    type: geometry.type,
+                    coordinates: geometry.type === 'MultiLineString'
+                        ? geometry.coordinates.map(line => line.map(round))
+                        : geometry.coordinates.map(round)
+                };
+            } else {
+                item.p = area.geometry.type === 'Polygon'
+                    ? area.geometry.coordinates.map(ring => ring.map(round))
+                    : area.geometry.coordinates.map(rings => rings.map(ring => ring.map(round)));
+            }
+            return item;
+        });
+    }
 
-        const dir = getOptimizedFilterValue('directionTravel', filters.selectedDirections);
-        if (dir) state.dir = dir.inverted ? `!${dir.values.join(',')}` : dir.values;
+    return state;
+}
 
-        const mv = getOptimizedFilterValue('unitMovement', filters.selectedMovements);
-        if (mv) state.mv = mv.inverted ? `!${mv.values.join(',')}` : mv.values;
+function encodeFiltersToURLInternal() {
+    try {
+        const state = serializeFilters();
 
         // If no filters are active, clear URL
         if (Object.keys(state).length === 0) {
@@ -1663,69 +1390,108 @@ function loadCompressedFilters(compressed) {
             return;
         }
 
-        const state = JSON.parse(json);
+        restoreFilters(JSON.parse(json));
+    } catch (error) {
+        console.error('Error loading compressed filters:', error);
+        showNotification('The shared link could not be loaded — it may be corrupted or incomplete.', 'warning');
+    }
+}
 
-        // Year range
-        if (state.yf !== undefined || state.yt !== undefined) {
-            const yearFrom = state.yf || YEAR_RANGE.MIN;
-            const yearTo = state.yt || YEAR_RANGE.MAX;
-            currentYearRange = [yearFrom, yearTo];
-            if (yearRangeSlider) {
-                yearRangeSlider.set([yearFrom, yearTo]);
-            }
+/**
+ * Set the filter controls from a compact filter state (see serializeFilters)
+ * Only the filters present in the state are touched; call clearFilters(true) first for a full restore.
+ * @param {Object} state - Compact filter state
+ */
+export function restoreFilters(state) {
+    // Year range
+    if (state.yf !== undefined || state.yt !== undefined) {
+        const yearFrom = state.yf || YEAR_RANGE.MIN;
+        const yearTo = state.yt || YEAR_RANGE.MAX;
+        currentYearRange = [yearFrom, yearTo];
+        if (yearRangeSlider) {
+            yearRangeSlider.set([yearFrom, yearTo]);
+        }
+    }
+
+    // Date/time filters
+    if (state.df) document.getElementById('dateFrom').value = state.df;
+    if (state.dt) document.getElementById('dateTo').value = state.dt;
+    if (state.tf) document.getElementById('timeFrom').value = state.tf;
+    if (state.tt) document.getElementById('timeTo').value = state.tt;
+
+    // Registered filters (multi-selects with invert support)
+    FILTER_DEFINITIONS.forEach(def => {
+        const value = state[def.urlKey];
+        if (!value) return;
+        if (def.type === 'range') {
+            if (Array.isArray(value)) restoreCountRange(def.control, value);
+        } else if (def.type === 'select') {
+            setSelectValue(def.control, value);
+        } else if (document.getElementById(`${def.control}Menu`)) {
+            applyCheckboxFilter(def.control, decodeFilterValue(def.control, value));
+        } else {
+            applyMultiSelectFilter(def.control, decodeFilterValue(def.control, value));
         }
+    });
 
-        // Apply multi-select filters (with invert support)
-        if (state.sev) applyCheckboxFilter('severity', decodeFilterValue('severity', state.sev));
-        if (state.ct) applyCheckboxFilter('crashType', decodeFilterValue('crashType', state.ct));
-        if (state.ar) applyCheckboxFilter('area', decodeFilterValue('area', state.ar));
-        if (state.sub) applyCheckboxFilter('suburb', decodeFilterValue('suburb', state.sub));
-
-        // Apply simple select filters
-        if (state.w) setSelectValue('weather', state.w);
-        if (state.dn) setSelectValue('dayNight', state.dn);
-        if (state.dui) setSelectValue('duiInvolved', state.dui);
-        if (state.drg) setSelectValue('drugsInvolved', state.drg);
-
-        // Date/time filters
-        if (state.df) document.getElementById('dateFrom').value = state.df;
-        if (state.dt) document.getElementById('dateTo').value = state.dt;
-        if (state.tf) document.getElementById('timeFrom').value = state.tf;
-        if (state.tt) document.getElementById('timeTo').value = state.tt;
-
-        // Advanced filters - crash conditions (with invert support)
-        if (state.rs) applyMultiSelectFilter('roadSurface', decodeFilterValue('roadSurface', state.rs));
-        if (state.mc) applyMultiSelectFilter('moistureCond', decodeFilterValue('moistureCond', state.mc));
-        if (state.sz) applyMultiSelectFilter('speedZoneFilter', decodeFilterValue('speedZoneFilter', state.sz));
-        if (state.mo) applyMultiSelectFilter('monthFilter', decodeFilterValue('monthFilter', state.mo));
-
-        // Casualty filters (with invert support)
-        if (state.ru) applyMultiSelectFilter('roadUserType', decodeFilterValue('roadUserType', state.ru));
-        if (state.ag) applyMultiSelectFilter('ageGroup', decodeFilterValue('ageGroup', state.ag));
-        if (state.sx) applyMultiSelectFilter('casualtySex', decodeFilterValue('casualtySex', state.sx));
-        if (state.inj) applyMultiSelectFilter('injuryExtent', decodeFilterValue('injuryExtent', state.inj));
-        if (state.sb) applyMultiSelectFilter('seatBelt', decodeFilterValue('seatBelt', state.sb));
-        if (state.hm) applyMultiSelectFilter('helmet', decodeFilterValue('helmet', state.hm));
-
-        // Vehicle filters (with invert support)
-        if (state.hv) setSelectValue('heavyVehicle', state.hv);
-        if (state.vt) applyMultiSelectFilter('vehicleType', decodeFilterValue('vehicleType', state.vt));
-        if (state.vy) applyMultiSelectFilter('vehicleYear', decodeFilterValue('vehicleYear', state.vy));
-        if (state.oc) applyMultiSelectFilter('occupants', decodeFilterValue('occupants', state.oc));
-        if (state.tw) setSelectValue('towing', state.tw);
-        if (state.ro) setSelectValue('rollover', state.ro);
-        if (state.fi) setSelectValue('fire', state.fi);
-        if (state.lt) applyMultiSelectFilter('licenseType', decodeFilterValue('licenseType', state.lt));
-        if (state.rst) applyMultiSelectFilter('vehRegState', decodeFilterValue('vehRegState', state.rst));
-        if (state.dir) applyMultiSelectFilter('directionTravel', decodeFilterValue('directionTravel', state.dir));
-        if (state.mv) applyMultiSelectFilter('unitMovement', decodeFilterValue('unitMovement', state.mv));
+    if (state.cm) setSelectValue('casualtyMatch', state.cm);
+    if (state.um) setSelectValue('unitMatch', state.um);
 
-    } catch (error) {
-        console.error('Error loading compressed filters:', error);
-        showNotification('The shared link could not be loaded — it may be corrupted or incomplete.', 'warning');
+    // Boolean expression (invalid conditions are dropped)
+    if (state.ex) setExpression(expandExpression(state.ex));
+
+    // Drawn areas
+    if (Array.isArray(state.da)) {
+        setDrawnAreas(state.da.map(restoreDrawnArea).filter(Boolean));
     }
 }
 
+/**
+ * Helper: Fill a pair of min / max count inputs from a [min, max] share-link value
+ */
+function restoreCountRange(idPrefix, range) {
+    ['Min', 'Max'].forEach((suffix, i) => {
+        const el = document.getElementById(idPrefix + suffix);
+        if (el) el.value = Number.isInteger(range[i]) ? String(range[i]) : '';
+    });
+}
+
+/**
+ * Rebuild a drawn area from its compact form (see serializeFilters)
+ * @param {Object} item - { n: name, m: 'x' for exclude, p: polygon rings } or
+ *     { n, m, d: buffer distance in metres, g: LineString / MultiLineString / MultiPoint geometry }
+ * @returns {Object|null} Area for setDrawnAreas, or null when invalid
+ */
+function restoreDrawnArea(item) {
+    const isPosition = c => Array.isArray(c) && c.length >= 2 && Number.isFinite(c[0]) && Number.isFinite(c[1]);
+    const isRings = rings => Array.isArray(rings) && rings.length > 0 &&
+        rings.every(ring => Array.isArray(ring) && ring.length >= 4 && ring.every(isPosition));
+    const area = {
+        name: item && typeof item.n === 'string' ? item.n : '',
+        mode: item && item.m === 'x' ? 'exclude' : 'include'
+    };
+
+    const rings = item && item.p;
+    if (isRings(rings)) {
+        return { ...area, geometry: { type: 'Polygon', coordinates: rings } };
+    }
+    if (Array.isArray(rings) && rings.length > 0 && rings.every(isRings)) {
+        return { ...area, geometry: { type: 'MultiPolygon', coordinates: rings } };
+    }
+
+    const geometry = item && item.g;
+    const valid = geometry && Array.isArray(geometry.coordinates) && geometry.coordinates.length > 0 && (
+        (geometry.type === 'MultiLineString' && geometry.coordinates.every(line => Array.isArray(line) && line.length > 1 && line.every(isPosition))) ||
+        (geometry.type === 'LineString' && geometry.coordinates.length > 1 && geometry.coordinates.every(isPosition)) ||
+        (geometry.type === 'MultiPoint' && geometry.coordinates.every(isPosition))
+    );
+    if (!valid || !DRAW_BUFFER.DISTANCE_OPTIONS_M.includes(item.d)) {
+        console.warn('Ignoring invalid drawn area in filter state:', item);
+        return null;
+    }
+    return { ...area, buffer: { geometry: { type: geometry.type, coordinates: geometry.coordinates }, distance: item.d } };
+}
+
 /**
  * Load filters from legacy URL parameters (backwards compatibility)
  */
@@ -1875,6 +1641,38 @@ export function getSmartFilterDisplay(elementId, selectedValues) {
     return `${selectedCount} selected`;
 }
 
+/**
+ * Describe a min / max count filter
+ * @param {number|null} min - Lowest count (null for no limit)
+ * @param {number|null} max - Highest count (null for no limit)
+ * @returns {string|null} e.g. '2-4', '3+', 'Up to 2', or null when neither is set
+ */
+export function formatCountRange(min, max) {
+    const hasMin = typeof min === 'number';
+    const hasMax = typeof max === 'number';
+    if (hasMin && hasMax) return min === max ? String(min) : `${min}-${max}`;
+    if (hasMin) return `${min}+`;
+    if (hasMax) return `Up to ${max}`;
+    return null;
+}
+
+/**
+ * Describe the value of a registered filter for the active filters bar and the PDF
+ * @param {Object} definition - Entry of FILTER_DEFINITIONS
+ * @param {Object} filters - Filter values object
+ * @returns {string|null} Display text, or null when the filter is not active
+ */
+export function describeFilterValue(definition, filters) {
+    if (!isFilterActive(definition, filters)) return null;
+    if (definition.type === 'range') {
+        return formatCountRange(filters[`${definition.field}Min`], filters[`${definition.field}Max`]);
+    }
+    const value = filters[definition.field];
+    if (definition.format) return definition.format(value);
+    if (definition.type === 'select') return value;
+    return getSmartFilterDisplay(definition.control, value);
+}
+
 /**
  * Update the active filters display bar
  */
@@ -1911,178 +1709,40 @@ export function updateActiveFiltersDisplay() {
         activeFilters.push({ name: 'Time', value: `${filters.timeFrom || '00:00'}-${filters.timeTo || '23:59'}` });
     }
 
-    // Severity
-    if (filters.selectedSeverities && !filters.selectedSeverities.includes('all')) {
-        const display = getSmartFilterDisplay('severity', filters.selectedSeverities);
-        if (display) activeFilters.push({ name: 'Severity', value: display });
-    }
-
-    // Crash Type
-    if (filters.crashType && filters.crashType !== 'all' && filters.crashType !== 'multiple') {
-        activeFilters.push({ name: 'Crash Type', value: filters.crashType });
-    } else if (filters.crashType === 'multiple' && filters.selectedCrashTypes && !filters.selectedCrashTypes.includes('all')) {
-        const display = getSmartFilterDisplay('crashType', filters.selectedCrashTypes);
-        if (display) activeFilters.push({ name: 'Crash Type', value: display });
-    }
-
-    // Weather
-    if (filters.weather && filters.weather !== 'all') {
-        activeFilters.push({ name: 'Weather', value: filters.weather });
-    }
-
-    // LGA
-    if (filters.selectedAreas && !filters.selectedAreas.includes('all')) {
-        const display = getSmartFilterDisplay('area', filters.selectedAreas);
-        if (display) activeFilters.push({ name: 'LGA', value: display });
-    }
-
-    // Suburb
-    if (filters.selectedSuburbs && !filters.selectedSuburbs.includes('all')) {
-        const display = getSmartFilterDisplay('suburb', filters.selectedSuburbs);
-        if (display) activeFilters.push({ name: 'Suburb', value: display });
-    }
-
-    // Road User Type
-    if (filters.selectedRoadUsers && !filters.selectedRoadUsers.includes('all')) {
-        const display = getSmartFilterDisplay('roadUserType', filters.selectedRoadUsers);
-        if (display) activeFilters.push({ name: 'Road User', value: display });
-    }
-
-    // Age Group
-    if (filters.selectedAgeGroups && !filters.selectedAgeGroups.includes('all')) {
-        const display = getSmartFilterDisplay('ageGroup', filters.selectedAgeGroups);
-        if (display) activeFilters.push({ name: 'Age', value: display });
-    }
-
-    // Day/Night
-    if (filters.dayNight && filters.dayNight !== 'all') {
-        activeFilters.push({ name: 'Day/Night', value: filters.dayNight });
-    }
-
-    // DUI Involved
-    if (filters.duiInvolved && filters.duiInvolved !== 'all') {
-        activeFilters.push({ name: 'DUI', value: filters.duiInvolved });
-    }
-
-    // Drugs Involved
-    if (filters.drugsInvolved && filters.drugsInvolved !== 'all') {
-        activeFilters.push({ name: 'Drugs', value: filters.drugsInvolved });
-    }
-
-    // Road Surface
-    if (filters.selectedRoadSurfaces && !filters.selectedRoadSurfaces.includes('all')) {
-        const display = getSmartFilterDisplay('roadSurface', filters.selectedRoadSurfaces);
-        if (display) activeFilters.push({ name: 'Road Surface', value: display });
-    }
-
-    // Moisture Condition
-    if (filters.selectedMoistureConds && !filters.selectedMoistureConds.includes('all')) {
-        const display = getSmartFilterDisplay('moistureCond', filters.selectedMoistureConds);
-        if (display) activeFilters.push({ name: 'Moisture', value: display });
-    }
-
-    // Speed Zone
-    if (filters.selectedSpeedZones && !filters.selectedSpeedZones.includes('all')) {
-        const display = getSmartFilterDisplay('speedZoneFilter', filters.selectedSpeedZones);
-        if (display) activeFilters.push({ name: 'Speed Zone', value: display });
-    }
-
-    // Month
-    if (filters.selectedMonths && !filters.selectedMonths.includes('all')) {
-        const monthNames = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'];
-        const monthDisplay = filters.selectedMonths.map(m => monthNames[parseInt(m) - 1]).join(', ');
-        activeFilters.push({ name: 'Month', value: monthDisplay });
-    }
-
-    // Casualty Sex
-    if (filters.selectedSexes && !filters.selectedSexes.includes('all')) {
-        const display = getSmartFilterDisplay('casualtySex', filters.selectedSexes);
-        if (display) activeFilters.push({ name: 'Casualty Sex', value: display });
-    }
-
-    // Injury Extent
-    if (filters.selectedInjuries && !filters.selectedInjuries.includes('all')) {
-        const display = getSmartFilterDisplay('injuryExtent', filters.selectedInjuries);
-        if (display) activeFilters.push({ name: 'Injury', value: display });
-    }
-
-    // Seat Belt
-    if (filters.selectedSeatBelts && !filters.selectedSeatBelts.includes('all')) {
-        const display = getSmartFilterDisplay('seatBelt', filters.selectedSeatBelts);
-        if (display) activeFilters.push({ name: 'Seat Belt', value: display });
-    }
-
-    // Helmet
-    if (filters.selectedHelmets && !filters.selectedHelmets.includes('all')) {
-        const display = getSmartFilterDisplay('helmet', filters.selectedHelmets);
-        if (display) activeFilters.push({ name: 'Helmet', value: display });
-    }
-
-    // Heavy Vehicle
-    if (filters.heavyVehicle && filters.heavyVehicle !== 'all') {
-        activeFilters.push({ name: 'Heavy Vehicle', value: filters.heavyVehicle === 'yes' ? 'Yes' : 'No' });
-    }
-
-    // Vehicle Type
-    if (filters.selectedVehicles && !filters.selectedVehicles.includes('all')) {
-        const display = getSmartFilterDisplay('vehicleType', filters.selectedVehicles);
-        if (display) activeFilters.push({ name: 'Vehicle Type', value: display });
-    }
-
-    // Vehicle Year
-    if (filters.selectedVehicleYears && !filters.selectedVehicleYears.includes('all')) {
-        const display = getSmartFilterDisplay('vehicleYear', filters.selectedVehicleYears);
-        if (display) activeFilters.push({ name: 'Vehicle Year', value: display });
-    }
-
-    // Occupants
-    if (filters.selectedOccupants && !filters.selectedOccupants.includes('all')) {
-        const display = getSmartFilterDisplay('occupants', filters.selectedOccupants);
-        if (display) activeFilters.push({ name: 'Occupants', value: display });
-    }
-
-    // Towing
-    if (filters.towing && filters.towing !== 'all') {
-        activeFilters.push({ name: 'Towing', value: filters.towing });
-    }
+    // Registered crash, casualty and unit filters
+    FILTER_DEFINITIONS.forEach(def => {
+        const text = describeFilterValue(def, filters);
+        if (text) activeFilters.push({ name: def.label, value: escapeHtml(text) });
+    });
 
-    // Rollover
-    if (filters.rollover && filters.rollover !== 'all') {
-        activeFilters.push({ name: 'Rollover', value: filters.rollover });
+    // Match modes (only meaningful with casualty / unit filters)
+    if (filters.casualtyMatch === 'any' && hasCasualtyFilters(filters)) {
+        activeFilters.push({ name: 'Casualty Match', value: 'Any casualty per filter' });
     }
-
-    // Fire
-    if (filters.fire && filters.fire !== 'all') {
-        activeFilters.push({ name: 'Fire', value: filters.fire });
+    if (filters.unitMatch === 'any' && hasUnitFilters(filters)) {
+        activeFilters.push({ name: 'Unit Match', value: 'Any unit per filter' });
     }
 
-    // License Type
-    if (filters.selectedLicenseTypes && !filters.selectedLicenseTypes.includes('all')) {
-        const display = getSmartFilterDisplay('licenseType', filters.selectedLicenseTypes);
-        if (display) activeFilters.push({ name: 'License', value: display });
+    // Boolean expression
+    if (filters.expression) {
+        activeFilters.push({ name: 'Expression', value: escapeHtml(describeExpression(filters.expression)) });
     }
 
-    // Vehicle Reg State
-    if (filters.selectedRegStates && !filters.selectedRegStates.includes('all')) {
-        const display = getSmartFilterDisplay('vehRegState', filters.selectedRegStates);
-        if (display) activeFilters.push({ name: 'Reg State', value: display });
-    }
-
-    // Direction of Travel
-    if (filters.selectedDirections && !filters.selectedDirections.includes('all')) {
-        const display = getSmartFilterDisplay('directionTravel', filters.selectedDirections);
-        if (display) activeFilters.push({ name: 'Direction', value: display });
+    // Draw Area
+    const drawnAreasLabel = describeDrawnAreas();
+    if (drawnAreasLabel) {
+        activeFilters.push({ name: 'Draw Area', value: escapeHtml(drawnAreasLabel) });
     }
 
-    // Unit Movement
-    if (filters.selectedMovements && !filters.selectedMovements.includes('all')) {
-        const display = getSmartFilterDisplay('unitMovement', filters.selectedMovements);
-        if (display) activeFilters.push({ name: 'Movement', value: display });
+    // Custom boundary area
+    if (filterState.boundaryRegion !== null && dataState.customBoundaries) {
+        activeFilters.push({ name: 'Boundary', value: escapeHtml(getBoundaryLabel(filterState.boundaryRegion)) });
     }
 
-    // Draw Area
-    if (drawState.drawnLayer) {
-        activeFilters.push({ name: 'Draw Area', value: 'Custom polygon' });
+    // Proximity to a user overlay layer
+    const proximityLabel = getOverlayProximityLabel();
+    if (proximityLabel) {
+        activeFilters.push({ name: 'Near Layer', value: escapeHtml(proximityLabel) });
     }
 
     // Update display
@@ -2107,6 +1767,9 @@ export function updateActiveFiltersDisplay() {
             titleElement.textContent = `${count} filter${count !== 1 ? 's' : ''} active`;
         }
     }
+
+    // Keep the query bar in step with the applied filters
+    syncQueryFromFilters();
 }
 
 // ============================================================================
@@ -2183,6 +1846,8 @@ export function updateAdvancedFilterBadge() {
         if (!selectedAges.includes('all')) count++;
     }
 
+    if (getActiveExpression()) count++;
+
     // Update badge
     const badge = document.getElementById('advancedFilterBadge');
     if (badge) {
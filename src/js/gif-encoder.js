@@ -0,0 +1,211 @@
+/**
+ * GIF Writer Module
+ * Writes looping animated GIFs from RGBA frames using a fixed palette with ordered dithering
+ */
+
+// Fixed palette levels per channel (6 × 7 × 6 = 252 colours); green gets the
+// extra level because the eye is most sensitive to it
+const RED_LEVELS = 6;
+const GREEN_LEVELS = 7;
+const BLUE_LEVELS = 6;
+
+// 4×4 Bayer matrix for ordered dithering, as offsets in [-0.5, 0.5)
+const BAYER_4X4 = [0, 8, 2, 10, 12, 4, 14, 6, 3, 11, 1, 9, 15, 7, 13, 5].map(v => v / 16 - 0.5);
+
+// LZW limits
+const MIN_CODE_SIZE = 8;
+const MAX_CODE = 4096;
+
+// ============================================================================
+// PALETTE
+// ============================================================================
+
+/**
+ * Build the global colour table (padded to 256 entries)
+ * @returns {Uint8Array} 768 bytes of RGB
+ */
+function buildPalette() {
+    const palette = new Uint8Array(256 * 3);
+    let i = 0;
+    for (let r = 0; r < RED_LEVELS; r++) {
+        for (let g = 0; g < GREEN_LEVELS; g++) {
+            for (let b = 0; b < BLUE_LEVELS; b++) {
+                palette[i++] = Math.round(r * 255 / (RED_LEVELS - 1));
+                palette[i++] = Math.round(g * 255 / (GREEN_LEVELS - 1));
+                palette[i++] = Math.round(b * 255 / (BLUE_LEVELS - 1));
+            }
+        }
+    }
+    return palette;
+}
+
+/**
+ * Map RGBA pixels to palette indices
+ * Alpha is ignored; frames are expected to be opaque.
+ * @param {Uint8ClampedArray} rgba - Pixel data
+ * @param {number} width - Frame width
+ * @returns {Uint8Array} One palette index per pixel
+ */
+function quantize(rgba, width) {
+    const count = rgba.length / 4;
+    const indices = new Uint8Array(count);
+    const level = (value, levels, offset) => {
+        const scaled = value * (levels - 1) / 255 + offset;
+        return scaled <= 0 ? 0 : scaled >= levels - 1 ? levels - 1 : Math.round(scaled);
+    };
+
+    for (let p = 0; p < count; p++) {
+        const x = p % width;
+        const y = (p - x) / width;
+        const offset = BAYER_4X4[(y & 3) * 4 + (x & 3)];
+        const r = level(rgba[p * 4], RED_LEVELS, offset);
+        const g = level(rgba[p * 4 + 1], GREEN_LEVELS, offset);
+        const b = level(rgba[p * 4 + 2], BLUE_LEVELS, offset);
+        indices[p] = (r * GREEN_LEVELS + g) * BLUE_LEVELS + b;
+    }
+    return indices;
+}
+
+// ============================================================================
+// LZW
+// ============================================================================
+
+/**
+ * LZW-compress palette indices and split the output into GIF sub-blocks
+ * @param {Uint8Array} indices - Palette index per pixel
+ * @returns {Uint8Array} Sub-blocks including the zero-length terminator
+ */
+function lzwEncode(indices) {
+    const clearCode = 1 << MIN_CODE_SIZE;
+    const endCode = clearCode + 1;
+    const out = [];
+    let codeSize = MIN_CODE_SIZE + 1;
+    let nextCode = endCode + 1;
+    let table = new Map();
+    let bitBuffer = 0;
+    let bitCount = 0;
+
+    const emit = code => {
+        bitBuffer |= code << bitCount;
+        bitCount += codeSize;
+        while (bitCount >= 8) {
+            out.push(bitBuffer & 0xFF);
+            bitBuffer >>>= 8;
+            bitCount -= 8;
+        }
+    };
+
+    emit(clearCode);
+    let prefix = indices[0];
+    for (let i = 1; i < indices.length; i++) {
+        const k = indices[i];
+        const key = prefix * 256 + k;
+        const code = table.get(key);
+        if (code !== undefined) {
+            prefix = code;
+            continue;
+        }
+
+        emit(prefix);
+        if (nextCode === MAX_CODE) {
+            // Table full: start again
+            emit(clearCode);
+            table = new Map();
+            codeSize = MIN_CODE_SIZE + 1;
+            nextCode = endCode + 1;
+        } else {
+            // The decoder lags one entry behind, so widen codes before adding
+            // the first entry that does not fit
+            if (nextCode >= 1 << codeSize) codeSize++;
+            table.set(key, nextCode++);
+        }
+        prefix = k;
+    }
+    emit(prefix);
+    emit(endCode);
+    if (bitCount > 0) out.push(bitBuffer & 0xFF);
+
+    // Sub-blocks of at most 255 bytes, each preceded by its length
+    const blocks = new Uint8Array(out.length + Math.ceil(out.length / 255) + 1);
+    let pos = 0;
+    for (let start = 0; start < out.length; start += 255) {
+        const size = Math.min(255, out.length - start);
+        blocks[pos++] = size;
+        for (let j = 0; j < size; j++) blocks[pos++] = out[start + j];
+    }
+    blocks[pos] = 0;
+    return blocks;
+}
+
+// ============================================================================
+// WRITER
+// ============================================================================
+
+/**
+ * Little-endian 16-bit value as two bytes
+ * @param {number} value
+ * @returns {Array<number>}
+ */
+function uint16(value) {
+    return [value & 0xFF, (value >> 8) & 0xFF];
+}
+
+/**
+ * Start an animated GIF
+ * Frames are compressed as they are added, so only the compressed data is kept.
+ * @param {number} width - Frame width in pixels
+ * @param {number} height - Frame height in pixels
+ * @returns {{addFrame: Function, finish: Function}} addFrame(rgba, delayMs) and finish() → Uint8Array
+ */
+export function createGifWriter(width, height) {
+    const chunks = [];
+
+    // Header, logical screen (global colour table of 256 entries), palette
+    chunks.push(new Uint8Array([
+        ...Array.from('GIF89a', c => c.charCodeAt(0)),
+        ...uint16(width), ...uint16(height),
+        0xF7, 0, 0
+    ]));
+    chunks.push(buildPalette());
+
+    // NETSCAPE2.0 application extension: loop forever
+    chunks.push(new Uint8Array([
+        0x21, 0xFF, 0x0B,
+        ...Array.from('NETSCAPE2.0', c => c.charCodeAt(0)),
+        0x03, 0x01, ...uint16(0), 0x00
+    ]));
+
+    return {
+        /**
+         * Add a frame
+         * @param {Uint8ClampedArray} rgba - width × height RGBA pixels
+         * @param {number} delayMs - How long the frame is shown
+         */
+        addFrame(rgba, delayMs) {
+            const delay = Math.max(2, Math.round(delayMs / 10));
+            chunks.push(new Uint8Array([
+                // Graphic control extension: leave the frame in place, no transparency
+                0x21, 0xF9, 0x04, 0x04, ...uint16(delay), 0x00, 0x00,
+                // Image descriptor covering the whole screen, no local colour table
+                0x2C, ...uint16(0), ...uint16(0), ...uint16(width), ...uint16(height), 0x00,
+                MIN_CODE_SIZE
+            ]));
+            chunks.push(lzwEncode(quantize(rgba, width)));
+        },
+
+        /**
+         * Close the file
+         * @returns {Uint8Array} GIF file contents
+         */
+        finish() {
+            chunks.push(new Uint8Array([0x3B]));
+            const bytes = new Uint8Array(chunks.reduce((sum, chunk) => sum + chunk.length, 0));
+            let pos = 0;
+            chunks.forEach(chunk => {
+                bytes.set(chunk, pos);
+                pos += chunk.length;
+            });
+            return bytes;
+        }
+    };
+}
@@ -0,0 +1,528 @@
+/**
+ * GIS Export Module
+ * Exports the filtered crashes (with nested casualties and units) and the current choropleth as GeoJSON or KML
+ */
+
+import { SEVERITY_COLORS, CHOROPLETH_NORMALIZATION, COORDINATE_SYSTEMS } from './config.js';
+import { mapState, dataState, filterState } from './state.js';
+import { escapeHtml, downloadFile, createZip, normalizeLGAName, getLGAName, showLoading, hideLoading } from './utils.js';
+import { showNotification } from './ui.js';
+import { serializeFilters } from './filters.js';
+import { getColorForCount } from './map-renderer.js';
+import { getNormalizationMode, getAreaRate, getCrashMapWeight, getMapMeasureLabel, isCostWeighted } from './analytics.js';
+import { writeShapefile, writeDbf, SHAPEFILE_PRJ, SHAPEFILE_CPG } from './shapefile.js';
+
+// Coordinates are rounded to 6 decimal places (~0.1 m), well beyond the data's precision
+const COORD_PRECISION = 1e6;
+
+const KML_ICON = 'https://maps.google.com/mapfiles/kml/shapes/placemark_circle.png';
+
+// ============================================================================
+// ATTRIBUTES
+// ============================================================================
+
+/**
+ * Copy a record's attributes, leaving out internal fields (prefixed with "_")
+ * @param {Object} record - Crash, casualty or unit record
+ * @returns {Object} Plain attributes
+ */
+function getAttributes(record) {
+    const attributes = {};
+    Object.keys(record).forEach(key => {
+        if (!key.startsWith('_')) attributes[key] = record[key];
+    });
+    return attributes;
+}
+
+/**
+ * Round a coordinate for output
+ * @param {number} value - Degrees
+ * @returns {number}
+ */
+function roundCoord(value) {
+    return Math.round(value * COORD_PRECISION) / COORD_PRECISION;
+}
+
+/**
+ * Convert a crash's "dd/mm/yyyy hh:mm" date to YYYY-MM-DD
+ * @param {Object} crash - Crash record
+ * @returns {string|null}
+ */
+function getCrashISODate(crash) {
+    const dateTime = crash['Crash Date Time'];
+    if (!dateTime) return null;
+    const dateParts = dateTime.split(' ')[0].split('/');
+    if (dateParts.length !== 3) return null;
+    return `${dateParts[2]}-${dateParts[1].padStart(2, '0')}-${dateParts[0].padStart(2, '0')}`;
+}
+
+// ============================================================================
+// GEOJSON
+// ============================================================================
+
+/**
+ * Build a GeoJSON FeatureCollection of crashes
+ * Each feature carries every crash attribute plus its casualties and units as nested arrays.
+ * Crashes without coordinates keep a null geometry so counts match the table.
+ * @param {Array} crashes - Crash records
+ * @returns {Object} FeatureCollection (WGS84)
+ */
+export function buildCrashGeoJSON(crashes) {
+    return {
+        type: 'FeatureCollection',
+        name: 'sa_crashes',
+        metadata: {
+            source: 'SA Road Crash Map',
+            generated: new Date().toISOString(),
+            crashes: crashes.length,
+            filters: serializeFilters()
+        },
+        features: crashes.map(crash => ({
+            type: 'Feature',
+            geometry: crash._coords
+                ? { type: 'Point', coordinates: [roundCoord(crash._coords[1]), roundCoord(crash._coords[0])] }
+                : null,
+            properties: {
+                ...getAttributes(crash),
+                casualties: (crash._casualties || []).map(getAttributes),
+                units: (crash._units || []).map(getAttributes)
+            }
+        }))
+    };
+}
+
+/**
+ * Build a GeoJSON FeatureCollection of the choropleth as currently shaded
+ * Uses the same counts, cost weights and rates as the map layer.
+ * @returns {Object|null} FeatureCollection, or null if the active boundaries are not loaded
+ */
+export function buildChoroplethGeoJSON() {
+    const byCustom = filterState.choroplethMode === 'custom';
+    const bySuburb = filterState.choroplethMode === 'suburb';
+    const boundaries = byCustom ? dataState.customBoundaries
+        : bySuburb ? dataState.suburbBoundaries
+        : dataState.lgaBoundaries;
+    if (!boundaries || !boundaries.features) return null;
+
+    // Suburbs and custom areas only support area rates (from the boundary geometry), as on the map
+    const byGeometry = bySuburb || byCustom;
+    let mode = getNormalizationMode();
+    if (byGeometry && mode.field && mode.field !== 'areaKm2') mode = CHOROPLETH_NORMALIZATION.MODES.none;
+
+    // Custom areas are keyed by index, as assigned by the boundary worker
+    const getName = byCustom
+        ? (props, index) => boundaries.labels[index]
+        : bySuburb
+            ? props => props.suburb || props.SUBURB || props.name
+            : props => getLGAName(props);
+    const getKey = byGeometry ? name => name : name => normalizeLGAName(name);
+
+    const counts = {};
+    const weights = {};
+    dataState.filteredData.forEach(row => {
+        let key;
+        if (byCustom) {
+            if (row._boundaryIndex === undefined || row._boundaryIndex < 0) return;
+            key = row._boundaryIndex;
+        } else {
+            const name = bySuburb ? row.Suburb : row['LGA'];
+            if (!name || !name.trim()) return;
+            key = getKey(name);
+        }
+        counts[key] = (counts[key] || 0) + 1;
+        weights[key] = (weights[key] || 0) + getCrashMapWeight(row);
+    });
+
+    const costWeighted = isCostWeighted();
+    const areas = boundaries.features.map((feature, index) => {
+        const name = getName(feature.properties || {}, index) || '';
+        const key = byCustom ? index : getKey(name);
+        const weight = weights[key] || 0;
+        let value = weight;
+        if (mode.field) {
+            if (byGeometry) {
+                const areaKm2 = byCustom ? boundaries.areasKm2[index] : turf.area(feature) / 1e6;
+                value = areaKm2 > 0 ? (weight / areaKm2) * mode.per : null;
+            } else {
+                value = getAreaRate(weight, key);
+            }
+        }
+        return { feature, name, crashes: counts[key] || 0, weight, value };
+    });
+
+    const values = areas.map(a => a.value).filter(v => v !== null);
+    const max = values.length > 0 ? Math.max(...values) : 0;
+
+    return {
+        type: 'FeatureCollection',
+        name: byCustom ? 'sa_crashes_by_custom' : bySuburb ? 'sa_crashes_by_suburb' : 'sa_crashes_by_lga',
+        metadata: {
+            source: 'SA Road Crash Map',
+            generated: new Date().toISOString(),
+            areaType: byCustom ? 'Custom' : bySuburb ? 'Suburb' : 'LGA',
+            ...(byCustom && { boundaries: boundaries.name }),
+            measure: getMapMeasureLabel(mode),
+            filters: serializeFilters()
+        },
+        features: areas.map(({ feature, name, crashes, weight, value }) => {
+            const properties = { name, crashes };
+            if (costWeighted) properties.cost = weight;
+            if (mode.field) properties.rate = value;
+            properties.fill = value === null ? null : getColorForCount(value, max);
+            return { type: 'Feature', geometry: feature.geometry, properties };
+        })
+    };
+}
+
+// ============================================================================
+// KML
+// ============================================================================
+
+/**
+ * Convert #rrggbb to KML's aabbggrr colour order
+ * @param {string} hex - CSS hex colour
+ * @param {string} alpha - Two-digit hex alpha
+ * @returns {string}
+ */
+function toKmlColor(hex, alpha = 'ff') {
+    const h = hex.replace('#', '');
+    return `${alpha}${h.slice(4, 6)}${h.slice(2, 4)}${h.slice(0, 2)}`.toLowerCase();
+}
+
+/**
+ * Wrap text in a CDATA section, splitting any "]]>" it contains
+ * @param {string} text
+ * @returns {string}
+ */
+function cdata(text) {
+    return `<![CDATA[${text.replace(/]]>/g, ']]]]><![CDATA[>')}]]>`;
+}
+
+/**
+ * Style id for a severity
+ * @param {string} severity - e.g. "4: Fatal"
+ * @returns {string}
+ */
+function severityStyleId(severity) {
+    return `sev-${String(severity).replace(/[^a-z0-9]+/gi, '-').toLowerCase()}`;
+}
+
+/**
+ * Render records as an HTML table for a KML balloon
+ * @param {string} title - Table caption
+ * @param {Array} records - Casualty or unit records
+ * @returns {string}
+ */
+function recordsTable(title, records) {
+    if (records.length === 0) return '';
+    const columns = [...new Set(records.flatMap(r => Object.keys(getAttributes(r))))]
+        .filter(col => col !== 'REPORT_ID');
+    const header = columns.map(col => `<th>${escapeHtml(col)}</th>`).join('');
+    const rows = records.map(r =>
+        `<tr>${columns.map(col => `<td>${escapeHtml(r[col] ?? '')}</td>`).join('')}</tr>`
+    ).join('');
+    return `<h4>${escapeHtml(title)} (${records.length})</h4><table border="1" cellpadding="2"><tr>${header}</tr>${rows}</table>`;
+}
+
+/**
+ * Build a KML placemark for one crash
+ * @param {Object} crash - Crash record with coordinates
+ * @returns {string}
+ */
+function crashPlacemark(crash) {
+    const attributes = getAttributes(crash);
+    const casualties = crash._casualties || [];
+    const units = crash._units || [];
+    const date = getCrashISODate(crash);
+
+    const summary = ['Crash Date Time', 'CSEF Severity', 'Crash Type', 'Suburb', 'LGA', 'Area Speed']
+        .filter(key => attributes[key] !== undefined && attributes[key] !== '')
+        .map(key => `<b>${escapeHtml(key)}:</b> ${escapeHtml(attributes[key])}`)
+        .join('<br>');
+    const description = summary + recordsTable('Casualties', casualties) + recordsTable('Units', units);
+
+    const data = Object.entries(attributes)
+        .map(([key, value]) => `<Data name="${escapeHtml(key)}"><value>${escapeHtml(value ?? '')}</value></Data>`)
+        .join('');
+
+    return `<Placemark>` +
+        `<name>${escapeHtml(crash.REPORT_ID || '')}</name>` +
+        `<description>${cdata(description)}</description>` +
+        (date ? `<TimeStamp><when>${date}</when></TimeStamp>` : '') +
+        `<styleUrl>#${severityStyleId(crash['CSEF Severity'])}</styleUrl>` +
+        `<ExtendedData>${data}` +
+        `<Data name="Casualties"><value>${casualties.length}</value></Data>` +
+        `<Data name="Units"><value>${units.length}</value></Data>` +
+        `</ExtendedData>` +
+        `<Point><coordinates>${roundCoord(crash._coords[1])},${roundCoord(crash._coords[0])}</coordinates></Point>` +
+        `</Placemark>`;
+}
+
+/**
+ * Convert a GeoJSON polygon ring list to KML
+ * @param {Array} rings - [outer, ...holes] of [lng, lat]
+ * @returns {string}
+ */
+function kmlPolygon(rings) {
+    const ring = coords => `<LinearRing><coordinates>${coords.map(([lng, lat]) => `${roundCoord(lng)},${roundCoord(lat)}`).join(' ')}</coordinates></LinearRing>`;
+    const [outer, ...holes] = rings;
+    return `<Polygon><outerBoundaryIs>${ring(outer)}</outerBoundaryIs>` +
+        holes.map(hole => `<innerBoundaryIs>${ring(hole)}</innerBoundaryIs>`).join('') +
+        `</Polygon>`;
+}
+
+/**
+ * Build a KML placemark for one choropleth area
+ * @param {Object} feature - Feature from buildChoroplethGeoJSON()
+ * @returns {string}
+ */
+function areaPlacemark(feature) {
+    const { geometry, properties } = feature;
+    let shape = '';
+    if (geometry && geometry.type === 'Polygon') {
+        shape = kmlPolygon(geometry.coordinates);
+    } else if (geometry && geometry.type === 'MultiPolygon') {
+        shape = `<MultiGeometry>${geometry.coordinates.map(kmlPolygon).join('')}</MultiGeometry>`;
+    }
+    if (!shape) return '';
+
+    const data = Object.entries(properties)
+        .filter(([key]) => key !== 'fill')
+        .map(([key, value]) => `<Data name="${escapeHtml(key)}"><value>${escapeHtml(value ?? '')}</value></Data>`)
+        .join('');
+    const fill = properties.fill || '#5a5a5a';
+
+    return `<Placemark>` +
+        `<name>${escapeHtml(properties.name)}</name>` +
+        `<Style><LineStyle><color>ffffffff</color><width>1</width></LineStyle>` +
+        `<PolyStyle><color>${toKmlColor(fill, 'a6')}</color></PolyStyle></Style>` +
+        `<ExtendedData>${data}</ExtendedData>` +
+        shape +
+        `</Placemark>`;
+}
+
+/**
+ * Build a KML document with a crashes folder and, optionally, a choropleth folder
+ * Crashes without coordinates cannot be placed and are left out.
+ * @param {Array|null} crashes - Crash records, or null to omit
+ * @param {Object|null} choropleth - Result of buildChoroplethGeoJSON(), or null to omit
+ * @returns {string} KML text
+ */
+export function buildKML(crashes, choropleth = null) {
+    const parts = [
+        '<?xml version="1.0" encoding="UTF-8"?>',
+        '<kml xmlns="http://www.opengis.net/kml/2.2"><Document>',
+        `<name>SA Crash Data Export</name>`,
+        `<description>${escapeHtml(`Generated ${new Date().toLocaleString()} by SA Road Crash Map`)}</description>`
+    ];
+
+    if (crashes) {
+        Object.entries(SEVERITY_COLORS).forEach(([severity, color]) => {
+            parts.push(
+                `<Style id="${severityStyleId(severity)}"><IconStyle><color>${toKmlColor(color)}</color>` +
+                `<scale>0.7</scale><Icon><href>${KML_ICON}</href></Icon></IconStyle></Style>`
+            );
+        });
+
+        const located = crashes.filter(crash => crash._coords);
+        parts.push(`<Folder><name>Crashes (${located.length.toLocaleString()})</name>`);
+        located.forEach(crash => parts.push(crashPlacemark(crash)));
+        parts.push('</Folder>');
+    }
+
+    if (choropleth) {
+        parts.push(`<Folder><name>Crashes by ${escapeHtml(choropleth.metadata.areaType)}</name>`);
+        choropleth.features.forEach(feature => parts.push(areaPlacemark(feature)));
+        parts.push('</Folder>');
+    }
+
+    parts.push('</Document></kml>');
+    return parts.join('\n');
+}
+
+// ============================================================================
+// SHAPEFILE
+// ============================================================================
+
+/**
+ * Get a function that converts WGS84 [lng, lat] to the output coordinate system
+ * @param {string} crs - 'EPSG:3107' (SA Lambert, metres) or 'EPSG:4326'
+ * @returns {Function} [lng, lat] => [x, y]
+ */
+function getProjector(crs) {
+    if (crs === COORDINATE_SYSTEMS.SOURCE) {
+        // Millimetre precision is plenty for projected metres
+        return lngLat => proj4(COORDINATE_SYSTEMS.TARGET, COORDINATE_SYSTEMS.SOURCE, lngLat)
+            .map(v => Math.round(v * 1000) / 1000);
+    }
+    return ([lng, lat]) => [roundCoord(lng), roundCoord(lat)];
+}
+
+/**
+ * Add a layer's files (.shp, .shx, .dbf, .prj, .cpg) to a list of ZIP entries
+ * @param {Array} files - ZIP entries to append to
+ * @param {string} baseName - File name without extension
+ * @param {Object} layer - Result of writeShapefile()
+ * @param {string} crs - Output coordinate system
+ */
+function addShapefileEntries(files, baseName, layer, crs) {
+    files.push(
+        { name: `${baseName}.shp`, data: layer.shp },
+        { name: `${baseName}.shx`, data: layer.shx },
+        { name: `${baseName}.dbf`, data: layer.dbf },
+        { name: `${baseName}.prj`, data: SHAPEFILE_PRJ[crs] },
+        { name: `${baseName}.cpg`, data: SHAPEFILE_CPG }
+    );
+}
+
+/**
+ * Build a zipped shapefile export
+ * Crashes are a point layer; their casualties and units go in separate dBASE
+ * tables that join to it on REPORT_ID. The choropleth is a polygon layer.
+ * Long attribute names are shortened to dBASE's 10 characters.
+ * @param {Array|null} crashes - Crash records, or null to omit
+ * @param {Object|null} choropleth - Result of buildChoroplethGeoJSON(), or null to omit
+ * @param {string} crs - 'EPSG:3107' or 'EPSG:4326'
+ * @returns {Blob} ZIP archive
+ */
+export function buildShapefileZip(crashes, choropleth, crs) {
+    const project = getProjector(crs);
+    const files = [];
+
+    if (crashes) {
+        const points = crashes.map(crash => crash._coords ? project([crash._coords[1], crash._coords[0]]) : null);
+        addShapefileEntries(files, 'sa_crashes', writeShapefile('point', points, crashes.map(getAttributes)), crs);
+
+        files.push(
+            { name: 'sa_casualties.dbf', data: writeDbf(crashes.flatMap(crash => (crash._casualties || []).map(getAttributes))) },
+            { name: 'sa_casualties.cpg', data: SHAPEFILE_CPG },
+            { name: 'sa_units.dbf', data: writeDbf(crashes.flatMap(crash => (crash._units || []).map(getAttributes))) },
+            { name: 'sa_units.cpg', data: SHAPEFILE_CPG }
+        );
+    }
+
+    if (choropleth) {
+        const polygons = choropleth.features.map(({ geometry }) => {
+            if (!geometry) return null;
+            const coords = geometry.type === 'Polygon' ? [geometry.coordinates]
+                : geometry.type === 'MultiPolygon' ? geometry.coordinates : null;
+            return coords ? coords.map(rings => rings.map(ring => ring.map(project))) : null;
+        });
+        const records = choropleth.features.map(feature => feature.properties);
+        const baseName = `sa_crashes_by_${choropleth.metadata.areaType.toLowerCase()}`;
+        addShapefileEntries(files, baseName, writeShapefile('polygon', polygons, records), crs);
+    }
+
+    return createZip(files);
+}
+
+// ============================================================================
+// DIALOG
+// ============================================================================
+
+/**
+ * Open the GIS export dialog
+ */
+export function openGisExport() {
+    if (!dataState.filteredData || dataState.filteredData.length === 0) {
+        showNotification('No data to export. Please apply filters first.', 'warning');
+        return;
+    }
+
+    const crashes = dataState.filteredData;
+    const located = crashes.filter(crash => crash._coords).length;
+    document.getElementById('gisExportCrashCount').textContent =
+        `${crashes.length.toLocaleString()} crashes` +
+        (located < crashes.length ? `, ${(crashes.length - located).toLocaleString()} without coordinates` : '');
+
+    // The choropleth option is only offered while the layer is on the map
+    const choroplethOption = document.getElementById('gisExportChoropleth');
+    const choroplethActive = mapState.activeLayers.choropleth;
+    const areaLabel = filterState.choroplethMode === 'custom' && dataState.customBoundaries ? dataState.customBoundaries.name
+        : filterState.choroplethMode === 'suburb' ? 'Suburb'
+        : 'LGA';
+    choroplethOption.disabled = !choroplethActive;
+    if (!choroplethActive) choroplethOption.checked = false;
+    document.getElementById('gisExportChoroplethNote').textContent = choroplethActive
+        ? `${areaLabel} polygons with their counts`
+        : 'Turn on the Choropleth layer to include it';
+
+    document.getElementById('gisExportModal').style.display = 'flex';
+}
+
+/**
+ * Close the GIS export dialog
+ */
+export function closeGisExport() {
+    document.getElementById('gisExportModal').style.display = 'none';
+}
+
+/**
+ * Show the coordinate system choice only for formats that support it
+ * @param {string} format - 'geojson', 'kml' or 'shapefile'
+ */
+export function setGisExportFormat(format) {
+    document.getElementById('gisExportCrsRow').style.display = format === 'shapefile' ? 'flex' : 'none';
+}
+
+/**
+ * Export the options chosen in the dialog
+ * GeoJSON writes one file per layer; KML and shapefile exports put both layers in one file.
+ */
+export async function runGisExport() {
+    const format = document.querySelector('input[name="gisExportFormat"]:checked')?.value || 'geojson';
+    const includeCrashes = document.getElementById('gisExportCrashes').checked;
+    const includeChoropleth = document.getElementById('gisExportChoropleth').checked;
+
+    if (!includeCrashes && !includeChoropleth) {
+        showNotification('Choose at least one layer to export.', 'warning');
+        return;
+    }
+
+    try {
+        const crashes = includeCrashes ? dataState.filteredData : null;
+        let choropleth = null;
+        if (includeChoropleth) {
+            choropleth = buildChoroplethGeoJSON();
+            if (!choropleth) {
+                showNotification('Boundaries for the current choropleth are not loaded, so it cannot be exported.', 'warning');
+                if (!crashes) return;
+            }
+        }
+
+        const timestamp = new Date().toISOString().slice(0, 10);
+
+        if (format === 'shapefile') {
+            const crs = document.getElementById('gisExportCrs').value;
+            showLoading('Building shapefile...');
+            // Yield so the loading indicator renders before the heavy work
+            await new Promise(resolve => setTimeout(resolve, 0));
+            try {
+                const zip = buildShapefileZip(crashes, choropleth, crs);
+                const suffix = crs === COORDINATE_SYSTEMS.SOURCE ? 'SA_Lambert' : 'WGS84';
+                downloadFile(zip, `SA_Crashes_${timestamp}_${suffix}.zip`);
+            } finally {
+                hideLoading();
+            }
+        } else if (format === 'kml') {
+            downloadFile(buildKML(crashes, choropleth), `SA_Crashes_${timestamp}.kml`, 'application/vnd.google-earth.kml+xml');
+            const skipped = crashes ? crashes.filter(crash => !crash._coords).length : 0;
+            if (skipped > 0) {
+                showNotification(`${skipped.toLocaleString()} crashes without coordinates were left out of the KML.`, 'info');
+            }
+        } else {
+            if (crashes) {
+                downloadFile(JSON.stringify(buildCrashGeoJSON(crashes)), `SA_Crashes_${timestamp}.geojson`, 'application/geo+json');
+            }
+            if (choropleth) {
+                downloadFile(JSON.stringify(choropleth), `SA_Crashes_by_${choropleth.metadata.areaType}_${timestamp}.geojson`, 'application/geo+json');
+            }
+        }
+
+        closeGisExport();
+        showNotification('Export complete', 'success');
+    } catch (error) {
+        console.error('Error exporting GIS data:', error);
+        showNotification('Error exporting data. Please try again.', 'error');
+    }
+}
@@ -0,0 +1,228 @@
+/**
+ * Hotspot Worker
+ * Runs Getis-Ord Gi* hotspot detection off the main thread.
+ *
+ * Protocol:
+ *   DETECT { type:'DETECT', id, coordsBuffer, weightsBuffer, options } → RESULT { type:'RESULT', id, hotspots, summary }
+ *
+ * coordsBuffer is a transferred Float64Array.buffer of [lat0, lng0, lat1, lng1, ...]
+ * and weightsBuffer a Float64Array.buffer with one weight per point (1 for a
+ * plain crash count, or the crash cost when cost weighting is on).
+ *
+ * Crashes are binned into square cells of options.cellSizeM metres. Each
+ * occupied cell is scored with Gi* over its 3×3 neighbourhood, where the study
+ * area is every occupied cell plus its neighbours (so empty cells next to
+ * crashes count as zeros without gridding the whole state). One-tailed
+ * p-values are corrected for multiple testing with Benjamini-Hochberg, and
+ * touching significant cells are merged into a single hotspot.
+ *
+ * Each hotspot carries `indices` into the point arrays it was sent.
+ */
+
+const METRES_PER_DEGREE = 111320;
+
+self.onmessage = function (e) {
+    const { type } = e.data;
+
+    if (type === 'DETECT') {
+        const { id, coordsBuffer, weightsBuffer, options } = e.data;
+        const coords = new Float64Array(coordsBuffer);
+        const weights = new Float64Array(weightsBuffer);
+
+        try {
+            const result = detectHotspots(coords, weights, options);
+            self.postMessage({ type: 'RESULT', id, hotspots: result.hotspots, summary: result.summary });
+        } catch (err) {
+            self.postMessage({ type: 'ERROR', id, message: err.message });
+        }
+    }
+};
+
+// ─── Detection ───────────────────────────────────────────────────────────────
+
+function detectHotspots(coords, weights, options) {
+    const { cellSizeM, confidence, minCrashes, maxResults } = options;
+    const alpha = 1 - confidence;
+    const pointCount = weights.length;
+    const empty = { hotspots: [], summary: { cellsTested: 0, significantCells: 0 } };
+
+    // Local equirectangular projection about the data's extent
+    let minLat = Infinity, maxLat = -Infinity, minLng = Infinity;
+    for (let i = 0; i < pointCount; i++) {
+        const lat = coords[i * 2], lng = coords[i * 2 + 1];
+        if (!isFinite(lat) || !isFinite(lng)) continue;
+        if (lat < minLat) minLat = lat;
+        if (lat > maxLat) maxLat = lat;
+        if (lng < minLng) minLng = lng;
+    }
+    if (minLat === Infinity) return empty;
+
+    const mPerLat = METRES_PER_DEGREE;
+    const mPerLng = METRES_PER_DEGREE * Math.cos(((minLat + maxLat) / 2) * Math.PI / 180);
+
+    // Bin points into cells; origin is offset by one cell so gx/gy - 1 stays >= 0
+    const cells = new Map();
+    const keyOf = (gx, gy) => gx + ',' + gy;
+
+    for (let i = 0; i < pointCount; i++) {
+        const lat = coords[i * 2], lng = coords[i * 2 + 1];
+        if (!isFinite(lat) || !isFinite(lng)) continue;
+
+        const gx = Math.floor(((lng - minLng) * mPerLng) / cellSizeM) + 1;
+        const gy = Math.floor(((lat - minLat) * mPerLat) / cellSizeM) + 1;
+        const key = keyOf(gx, gy);
+
+        let cell = cells.get(key);
+        if (!cell) {
+            cell = { gx, gy, weight: 0, count: 0, indices: [] };
+            cells.set(key, cell);
+        }
+        cell.weight += weights[i];
+        cell.count++;
+        cell.indices.push(i);
+    }
+
+    // Study area: occupied cells plus their neighbours
+    const studyArea = new Set();
+    cells.forEach(cell => {
+        for (let dx = -1; dx <= 1; dx++) {
+            for (let dy = -1; dy <= 1; dy++) {
+                studyArea.add(keyOf(cell.gx + dx, cell.gy + dy));
+            }
+        }
+    });
+
+    const n = studyArea.size;
+    let sum = 0, sumSq = 0;
+    cells.forEach(cell => {
+        sum += cell.weight;
+        sumSq += cell.weight * cell.weight;
+    });
+    const mean = sum / n;
+    const s = Math.sqrt(sumSq / n - mean * mean);
+    if (n < 2 || !(s > 0)) return empty;
+
+    // Binary 3×3 weights including the cell itself (Gi*), so Σw = Σw² = 9
+    const wSum = 9;
+    const denominator = s * Math.sqrt((n * wSum - wSum * wSum) / (n - 1));
+
+    const tested = [];
+    cells.forEach(cell => {
+        let local = 0;
+        for (let dx = -1; dx <= 1; dx++) {
+            for (let dy = -1; dy <= 1; dy++) {
+                const neighbour = cells.get(keyOf(cell.gx + dx, cell.gy + dy));
+                if (neighbour) local += neighbour.weight;
+            }
+        }
+        cell.z = (local - mean * wSum) / denominator;
+        cell.p = 1 - normalCdf(cell.z);
+        tested.push(cell);
+    });
+
+    // Benjamini-Hochberg: largest p(k) with p(k) <= k/m * alpha sets the cut-off
+    const m = tested.length;
+    const byP = tested.slice().sort((a, b) => a.p - b.p);
+    let pThreshold = -1;
+    for (let k = 0; k < m; k++) {
+        if (byP[k].p <= ((k + 1) / m) * alpha) pThreshold = byP[k].p;
+    }
+
+    const significant = new Map();
+    tested.forEach(cell => {
+        if (cell.z > 0 && cell.p <= pThreshold) significant.set(keyOf(cell.gx, cell.gy), cell);
+    });
+
+    // Merge touching significant cells (8-connectivity)
+    const visited = new Set();
+    const hotspots = [];
+    significant.forEach((start, startKey) => {
+        if (visited.has(startKey)) return;
+        visited.add(startKey);
+
+        const group = [];
+        const stack = [start];
+        while (stack.length) {
+            const cell = stack.pop();
+            group.push(cell);
+            for (let dx = -1; dx <= 1; dx++) {
+                for (let dy = -1; dy <= 1; dy++) {
+                    const key = keyOf(cell.gx + dx, cell.gy + dy);
+                    if (!visited.has(key) && significant.has(key)) {
+                        visited.add(key);
+                        stack.push(significant.get(key));
+                    }
+                }
+            }
+        }
+
+        const hotspot = summariseGroup(group, coords, cellSizeM, minLat, minLng, mPerLat, mPerLng);
+        if (hotspot.count >= minCrashes) hotspots.push(hotspot);
+    });
+
+    hotspots.sort((a, b) => b.zScore - a.zScore || b.weight - a.weight);
+
+    return {
+        hotspots: hotspots.slice(0, maxResults),
+        summary: {
+            cellsTested: m,
+            significantCells: significant.size,
+            hotspotsFound: hotspots.length
+        }
+    };
+}
+
+/**
+ * Collapse a group of significant cells into one hotspot record
+ */
+function summariseGroup(group, coords, cellSizeM, minLat, minLng, mPerLat, mPerLng) {
+    const cellBounds = group.map(cell => {
+        const south = minLat + ((cell.gy - 1) * cellSizeM) / mPerLat;
+        const west = minLng + ((cell.gx - 1) * cellSizeM) / mPerLng;
+        return [[south, west], [south + cellSizeM / mPerLat, west + cellSizeM / mPerLng]];
+    });
+
+    let south = Infinity, west = Infinity, north = -Infinity, east = -Infinity;
+    cellBounds.forEach(([[s, w], [n, e]]) => {
+        if (s < south) south = s;
+        if (w < west) west = w;
+        if (n > north) north = n;
+        if (e > east) east = e;
+    });
+
+    const indices = [];
+    let weight = 0, zScore = -Infinity, pValue = 1, latSum = 0, lngSum = 0;
+    group.forEach(cell => {
+        cell.indices.forEach(i => {
+            indices.push(i);
+            latSum += coords[i * 2];
+            lngSum += coords[i * 2 + 1];
+        });
+        weight += cell.weight;
+        if (cell.z > zScore) zScore = cell.z;
+        if (cell.p < pValue) pValue = cell.p;
+    });
+
+    return {
+        indices,
+        count: indices.length,
+        weight,
+        zScore,
+        pValue,
+        center: [latSum / indices.length, lngSum / indices.length],
+        bounds: [[south, west], [north, east]],
+        cells: cellBounds
+    };
+}
+
+// ─── Statistics helpers ──────────────────────────────────────────────────────
+
+/**
+ * Standard normal CDF (Abramowitz & Stegun 7.1.26, |error| < 1.5e-7)
+ */
+function normalCdf(z) {
+    const x = Math.abs(z) / Math.SQRT2;
+    const t = 1 / (1 + 0.3275911 * x);
+    const erf = 1 - (((((1.061405429 * t - 1.453152027) * t) + 1.421413741) * t - 0.284496736) * t + 0.254829592) * t * Math.exp(-x * x);
+    return z >= 0 ? (1 + erf) / 2 : (1 - erf) / 2;
+}
@@ -0,0 +1,335 @@
+/**
+ * Hotspot Detection Module
+ * Finds statistically significant crash clusters (Getis-Ord Gi*) and renders them as a map layer and ranked list
+ */
+
+import { mapState, dataState, filterState, uiState, updateFilterState } from './state.js';
+import { HOTSPOT_CONFIG } from './config.js';
+import { escapeHtml } from './utils.js';
+import { isCostWeighted, getCrashMapWeight, getCostModel, formatCost } from './analytics.js';
+import { showNotification, setDataTableSubset, clearDataTableSubset } from './ui.js';
+
+// Separate canvas renderer so the layer can be captured by leaflet-image
+const hotspotRenderer = L.canvas();
+
+// Fill colours by confidence level (matches the 90/95/99% convention used by GIS tools)
+const CONFIDENCE_COLORS = {
+    99: '#d7191c',
+    95: '#f46d43',
+    90: '#fdae61'
+};
+
+// Hotspot Web Worker
+let _hotspotWorker = null;
+let _hotspotRequestId = 0;
+
+// ============================================================================
+// DETECTION
+// ============================================================================
+
+/**
+ * Lazily create the hotspot worker
+ * @returns {Worker|null}
+ */
+function getHotspotWorker() {
+    if (_hotspotWorker || !window.Worker) return _hotspotWorker;
+    try {
+        _hotspotWorker = new Worker('./src/js/hotspot-worker.js');
+        _hotspotWorker.onerror = (err) => {
+            console.warn('Hotspot worker error:', err);
+            _hotspotWorker = null;
+        };
+    } catch (err) {
+        console.warn('Could not create hotspot worker:', err);
+        _hotspotWorker = null;
+    }
+    return _hotspotWorker;
+}
+
+/**
+ * Run Gi* hotspot detection over a set of crashes in the worker
+ * Stale requests (superseded by a newer call) resolve with null.
+ * @param {Array} data - Crash records to analyse
+ * @returns {Promise<Object|null>} { hotspots, summary } with crashes attached to each hotspot
+ */
+export function runHotspotDetection(data = dataState.filteredData) {
+    const worker = getHotspotWorker();
+    if (!worker) {
+        return Promise.reject(new Error('Web Workers are not supported in this browser'));
+    }
+
+    const id = ++_hotspotRequestId;
+    const coords = new Float64Array(data.length * 2);
+    const weights = new Float64Array(data.length);
+    data.forEach((crash, i) => {
+        const c = crash._coords;
+        coords[i * 2] = c ? c[0] : NaN;
+        coords[i * 2 + 1] = c ? c[1] : NaN;
+        weights[i] = getCrashMapWeight(crash);
+    });
+
+    const options = {
+        cellSizeM: filterState.hotspotCellSize,
+        confidence: filterState.hotspotConfidence,
+        minCrashes: HOTSPOT_CONFIG.MIN_CRASHES,
+        maxResults: HOTSPOT_CONFIG.MAX_RESULTS
+    };
+
+    return new Promise((resolve, reject) => {
+        function cleanup() {
+            worker.removeEventListener('message', onMessage);
+            worker.removeEventListener('error', onError);
+        }
+
+        function onMessage(e) {
+            if (e.data.id !== id) return;
+            cleanup();
+            if (e.data.type === 'ERROR') {
+                reject(new Error(e.data.message));
+                return;
+            }
+            // A newer request has been sent since; drop this result
+            if (id !== _hotspotRequestId) {
+                resolve(null);
+                return;
+            }
+            const hotspots = e.data.hotspots.map((hotspot, i) => ({
+                ...hotspot,
+                rank: i + 1,
+                confidence: getConfidenceLevel(hotspot.pValue),
+                crashes: hotspot.indices.map(idx => data[idx])
+            }));
+            resolve({ hotspots, summary: e.data.summary });
+        }
+
+        function onError(err) {
+            cleanup();
+            reject(err);
+        }
+
+        worker.addEventListener('message', onMessage);
+        worker.addEventListener('error', onError);
+        worker.postMessage(
+            { type: 'DETECT', id, coordsBuffer: coords.buffer, weightsBuffer: weights.buffer, options },
+            [coords.buffer, weights.buffer]
+        );
+    });
+}
+
+/**
+ * Map an (FDR-significant) p-value to the highest confidence level it meets
+ * @param {number} pValue - One-tailed p-value
+ * @returns {number} 99, 95 or 90
+ */
+function getConfidenceLevel(pValue) {
+    if (pValue <= 0.01) return 99;
+    if (pValue <= 0.05) return 95;
+    return 90;
+}
+
+// ============================================================================
+// MAP LAYER
+// ============================================================================
+
+/**
+ * Detect hotspots in the filtered data and draw them on the map
+ * @returns {Promise<void>}
+ */
+export async function addHotspotLayer() {
+    removeHotspotLayer();
+    renderHotspotList(null);
+
+    let result;
+    try {
+        result = await runHotspotDetection(dataState.filteredData);
+    } catch (error) {
+        console.error('Hotspot detection failed:', error);
+        showNotification('Hotspot detection failed. Please try again.', 'error');
+        renderHotspotList([]);
+        return;
+    }
+
+    // Superseded by a newer run, or the layer was switched off meanwhile
+    if (!result || !mapState.activeLayers.hotspots) return;
+
+    dataState.hotspots = result.hotspots;
+
+    const layer = L.featureGroup();
+    result.hotspots.forEach(hotspot => {
+        const color = CONFIDENCE_COLORS[hotspot.confidence];
+        const popup = generateHotspotPopup(hotspot);
+
+        hotspot.cells.forEach(bounds => {
+            L.rectangle(bounds, {
+                renderer: hotspotRenderer,
+                color,
+                weight: 1,
+                opacity: 0.9,
+                fillColor: color,
+                fillOpacity: 0.45
+            }).bindPopup(popup).addTo(layer);
+        });
+
+        L.marker(hotspot.center, {
+            icon: L.divIcon({
+                className: 'hotspot-rank-icon',
+                html: `<span style="background:${color}">${hotspot.rank}</span>`,
+                iconSize: [22, 22]
+            }),
+            keyboard: false
+        }).bindPopup(popup).addTo(layer);
+    });
+
+    mapState.hotspotLayer = layer.addTo(mapState.map);
+    renderHotspotList(result.hotspots, result.summary);
+}
+
+/**
+ * Remove the hotspot layer and forget the last results
+ */
+export function removeHotspotLayer() {
+    if (mapState.hotspotLayer && mapState.map.hasLayer(mapState.hotspotLayer)) {
+        mapState.map.removeLayer(mapState.hotspotLayer);
+    }
+    mapState.hotspotLayer = null;
+    dataState.hotspots = [];
+
+    // A hotspot subset in the table no longer matches anything on the map
+    if (uiState.dtSubset && uiState.dtSubset.source === 'hotspot') {
+        clearDataTableSubset();
+    }
+
+    if (!mapState.activeLayers.hotspots) {
+        const panel = document.getElementById('hotspotPanel');
+        if (panel) panel.style.display = 'none';
+    }
+}
+
+/**
+ * Generate popup HTML for a hotspot
+ * @param {Object} hotspot - Hotspot record
+ * @returns {string} HTML content
+ */
+function generateHotspotPopup(hotspot) {
+    const costLine = isCostWeighted()
+        ? `<p style="margin: 5px 0;"><strong>${escapeHtml(getCostModel().label)}:</strong> ${formatCost(hotspot.weight)}</p>`
+        : '';
+
+    return `
+        <div style="color: #333; font-family: 'Segoe UI', sans-serif;">
+            <h3 style="margin: 0 0 10px 0; color: ${CONFIDENCE_COLORS[hotspot.confidence]};">Hotspot #${hotspot.rank}</h3>
+            <p style="margin: 5px 0;"><strong>Total Crashes:</strong> ${hotspot.count.toLocaleString()}</p>
+            ${costLine}
+            <p style="margin: 5px 0;"><strong>Gi* z-score:</strong> ${hotspot.zScore.toFixed(2)}</p>
+            <p style="margin: 5px 0;"><strong>Confidence:</strong> ${hotspot.confidence}% (p ${formatPValue(hotspot.pValue)})</p>
+            <button class="hotspot-popup-btn" onclick="selectHotspot(${hotspot.rank})">Show crashes in table</button>
+        </div>
+    `;
+}
+
+/**
+ * Format a p-value for display
+ * @param {number} p - p-value
+ * @returns {string}
+ */
+function formatPValue(p) {
+    return p < 0.001 ? '< 0.001' : '= ' + p.toFixed(3);
+}
+
+// ============================================================================
+// RANKED LIST
+// ============================================================================
+
+/**
+ * Render the ranked hotspot list in the sidebar
+ * @param {Array|null} hotspots - Hotspots to list, or null while detection runs
+ * @param {Object} summary - Detection summary from the worker
+ */
+function renderHotspotList(hotspots, summary = null) {
+    const panel = document.getElementById('hotspotPanel');
+    const list = document.getElementById('hotspotList');
+    const info = document.getElementById('hotspotSummary');
+    if (!panel || !list) return;
+
+    panel.style.display = 'block';
+
+    if (hotspots === null) {
+        if (info) info.textContent = 'Detecting hotspots...';
+        list.innerHTML = '';
+        return;
+    }
+
+    if (info) {
+        info.textContent = hotspots.length > 0
+            ? `${summary.hotspotsFound.toLocaleString()} hotspot${summary.hotspotsFound === 1 ? '' : 's'} at ${Math.round(filterState.hotspotConfidence * 100)}% confidence` +
+              (summary.hotspotsFound > hotspots.length ? ` (top ${hotspots.length} shown)` : '')
+            : 'No statistically significant hotspots in the current data.';
+    }
+
+    list.innerHTML = hotspots.map(hotspot => {
+        const suburb = getMostCommon(hotspot.crashes, 'Suburb') || 'Unknown location';
+        const measure = isCostWeighted() ? ` · ${formatCost(hotspot.weight)}` : '';
+        return `
+            <li class="hotspot-item" tabindex="0" role="button"
+                onclick="selectHotspot(${hotspot.rank})"
+                onkeydown="if(event.key==='Enter')selectHotspot(${hotspot.rank})"
+                title="Show these crashes in the data table">
+                <span class="hotspot-rank" style="background:${CONFIDENCE_COLORS[hotspot.confidence]}">${hotspot.rank}</span>
+                <span class="hotspot-name">${escapeHtml(suburb)}</span>
+                <span class="hotspot-meta">${hotspot.count.toLocaleString()} crashes${measure} · z ${hotspot.zScore.toFixed(1)}</span>
+            </li>
+        `;
+    }).join('');
+}
+
+/**
+ * Most common value of a field across crashes
+ * @param {Array} crashes - Crash records
+ * @param {string} field - Field name
+ * @returns {string|null}
+ */
+function getMostCommon(crashes, field) {
+    const counts = {};
+    crashes.forEach(crash => {
+        const value = crash[field];
+        if (value) counts[value] = (counts[value] || 0) + 1;
+    });
+    const top = Object.entries(counts).sort((a, b) => b[1] - a[1])[0];
+    return top ? top[0] : null;
+}
+
+/**
+ * Zoom to a hotspot and filter the data table to its crashes
+ * @param {number} rank - Hotspot rank (1-based)
+ */
+export function selectHotspot(rank) {
+    const hotspot = dataState.hotspots.find(h => h.rank === rank);
+    if (!hotspot) return;
+
+    mapState.map.fitBounds(hotspot.bounds, { padding: [40, 40], maxZoom: 17 });
+    setDataTableSubset(`Hotspot #${rank}`, hotspot.crashes, 'hotspot');
+
+    document.querySelectorAll('.hotspot-item').forEach((item, i) => {
+        item.classList.toggle('active', i === rank - 1);
+    });
+}
+
+/**
+ * Change a hotspot detection setting and re-run detection if the layer is on
+ * @param {string} key - 'cellSize' or 'confidence'
+ * @param {string|number} value - New value
+ */
+export function setHotspotOption(key, value) {
+    const num = parseFloat(value);
+    if (key === 'cellSize' && HOTSPOT_CONFIG.CELL_SIZE_OPTIONS.includes(num)) {
+        updateFilterState({ hotspotCellSize: num });
+    } else if (key === 'confidence' && HOTSPOT_CONFIG.CONFIDENCE_OPTIONS.includes(num)) {
+        updateFilterState({ hotspotConfidence: num });
+    } else {
+        return;
+    }
+
+    if (mapState.activeLayers.hotspots) {
+        addHotspotLayer();
+    }
+}
@@ -4,7 +4,7 @@
  */
 
 // Import all modules
-import { loadData, loadSuburbBoundaries } from './data-loader.js';
+import { loadData, loadSuburbBoundaries, loadAreaDenominators } from './data-loader.js';
 import { LOADING_CONFIG } from './config.js';
 import { initTheme, checkFirstVisit, initMultiSelectEnhancements, initUI, showNotification } from './ui.js';
 import { initMap } from './map-renderer.js';
@@ -41,6 +41,9 @@ async function initializeApp() {
             errorHandler.handleError(err, ERROR_TYPES.DATA_LOAD, 'Suburb Boundaries', false);
         });
 
+        // 5b. Load per-LGA rate denominators (optional - enables choropleth rate shading)
+        loadAreaDenominators();
+
         // 6. Initialize dual-handle year range slider
         initYearRangeSlider();
 
@@ -112,6 +115,9 @@ async function setupGlobalHandlers() {
     window.highlightMarkerFromTable = ui.highlightMarkerFromTable;
     window.unhighlightMarkerFromTable = ui.unhighlightMarkerFromTable;
     window.toggleDataTableMaximize = ui.toggleDataTableMaximize;
+    window.clearDataTableSubset = ui.clearDataTableSubset;
+    window.setDataTableRecordType = ui.setDataTableRecordType;
+    window.setCountUnit = ui.setCountUnit;
 
     const filters = await import('./filters.js');
     window.applyFilters = filters.applyFilters;
@@ -124,6 +130,13 @@ async function setupGlobalHandlers() {
     window.closeAdvancedFilters = filters.closeAdvancedFilters;
     window.switchTab = filters.switchTab;
     window.applyAdvancedFilters = filters.applyAdvancedFilters;
+    window.updateActiveFiltersDisplay = filters.updateActiveFiltersDisplay;
+    window.filterByDayHour = filters.filterByDayHour;
+
+    const queryLanguage = await import('./query-language.js');
+    window.handleQueryInput = queryLanguage.handleQueryInput;
+    window.handleQueryKeydown = queryLanguage.handleQueryKeydown;
+    window.applyQuery = queryLanguage.applyQuery;
 
     const map = await import('./map-renderer.js');
     window.toggleLayer = map.toggleLayer;
@@ -134,12 +147,104 @@ async function setupGlobalHandlers() {
     window.toggleLocationSearch = map.toggleLocationSearch;
     window.searchByLocation = map.searchByLocation;
     window.switchChoroplethMode = map.switchChoroplethMode;
+    window.setChoroplethNormalization = map.setChoroplethNormalization;
+    window.setCostModel = map.setCostModel;
     window.toggleDrawAreaSection = map.toggleDrawAreaSection;
     window.startDrawArea = map.startDrawArea;
     window.cancelDrawMode = map.cancelDrawMode;
     window.clearDrawArea = map.clearDrawArea;
+    window.finishDrawPoints = map.finishDrawPoints;
+    window.setBufferArea = map.setBufferArea;
+    window.setDrawnAreaMode = map.setDrawnAreaMode;
+    window.setDrawnAreaDistance = map.setDrawnAreaDistance;
+    window.renameDrawnArea = map.renameDrawnArea;
+    window.removeDrawnArea = map.removeDrawnArea;
     window.selectSuggestion = map.selectSuggestion;
     window.useMyLocation = map.useMyLocation;
+    window.handleRoadNetworkFile = map.handleRoadNetworkFile;
+    window.setRoadOption = map.setRoadOption;
+    window.showRoadCrashesInTable = map.showRoadCrashesInTable;
+    window.handleCustomBoundaryFile = map.handleCustomBoundaryFile;
+    window.setBoundaryLabelField = map.setBoundaryLabelField;
+    window.filterToBoundaryRegion = map.filterToBoundaryRegion;
+    window.clearCustomBoundaries = map.clearCustomBoundaries;
+
+    const overlays = await import('./overlays.js');
+    window.handleOverlayFile = overlays.handleOverlayFile;
+    window.toggleOverlay = overlays.toggleOverlay;
+    window.setOverlayColor = overlays.setOverlayColor;
+    window.removeOverlay = overlays.removeOverlay;
+    window.setOverlayProximityOption = overlays.setOverlayProximityOption;
+    window.bufferOverlayFeature = overlays.bufferOverlayFeature;
+
+    const hotspots = await import('./hotspots.js');
+    window.selectHotspot = hotspots.selectHotspot;
+    window.setHotspotOption = hotspots.setHotspotOption;
+
+    const compare = await import('./compare.js');
+    window.saveCompareSet = compare.saveCompareSet;
+    window.openCompareView = compare.openCompareView;
+    window.closeCompareView = compare.closeCompareView;
+    window.renameCompareSet = compare.renameCompareSet;
+    window.setCompareMode = compare.setCompareMode;
+    window.setCompareSwipe = compare.setCompareSwipe;
+    window.setCompareShare = compare.setCompareShare;
+
+    const gisExport = await import('./gis-export.js');
+    window.openGisExport = gisExport.openGisExport;
+    window.closeGisExport = gisExport.closeGisExport;
+    window.runGisExport = gisExport.runGisExport;
+    window.setGisExportFormat = gisExport.setGisExportFormat;
+
+    const savedViews = await import('./saved-views.js');
+    window.openSavedViews = savedViews.openSavedViews;
+    window.closeSavedViews = savedViews.closeSavedViews;
+    window.saveCurrentView = savedViews.saveCurrentView;
+    window.applySavedView = savedViews.applySavedView;
+    window.renameSavedView = savedViews.renameSavedView;
+    window.deleteSavedView = savedViews.deleteSavedView;
+    window.exportSavedViews = savedViews.exportSavedViews;
+    window.importSavedViews = savedViews.importSavedViews;
+
+    const treatment = await import('./treatment-evaluation.js');
+    window.openTreatmentEvaluation = treatment.openTreatmentEvaluation;
+    window.closeTreatmentEvaluation = treatment.closeTreatmentEvaluation;
+    window.runTreatmentEvaluation = treatment.runTreatmentEvaluation;
+    window.exportTreatmentEvaluationPdf = treatment.exportTreatmentEvaluationPdf;
+
+    const timelapse = await import('./timelapse.js');
+    window.openTimelapse = timelapse.openTimelapse;
+    window.closeTimelapse = timelapse.closeTimelapse;
+    window.toggleTimelapsePlay = timelapse.toggleTimelapsePlay;
+    window.stepTimelapse = timelapse.stepTimelapse;
+    window.setTimelapseFrame = timelapse.setTimelapseFrame;
+    window.setTimelapseOption = timelapse.setTimelapseOption;
+    window.refreshTimelapse = timelapse.refreshTimelapse;
+    window.recordTimelapse = timelapse.recordTimelapse;
+
+    const crosstab = await import('./crosstab.js');
+    window.openCrosstab = crosstab.openCrosstab;
+    window.closeCrosstab = crosstab.closeCrosstab;
+    window.runCrosstab = crosstab.runCrosstab;
+    window.renderCrosstab = crosstab.renderCrosstab;
+    window.filterByCrosstabCell = crosstab.filterByCrosstabCell;
+
+    // Used by the inline analytics charts (Top Areas rate view, Day × Hour heatmap, holidays,
+    // counting casualties or units)
+    const analytics = await import('./analytics.js');
+    window.getCountUnit = analytics.getCountUnit;
+    window.getCountWeight = analytics.getCountWeight;
+    window.getCountedRecords = analytics.getCountedRecords;
+    window.getNormalizationMode = analytics.getNormalizationMode;
+    window.getCrashRatesByLGA = analytics.getCrashRatesByLGA;
+    window.formatAreaValue = analytics.formatAreaValue;
+    window.getCrashCountsByDayHour = analytics.getCrashCountsByDayHour;
+    window.getCrashRatesByDayType = analytics.getCrashRatesByDayType;
+
+    // Moving averages, trend lines and year-on-year table on the over-time charts
+    const trends = await import('./trends.js');
+    window.getTrendAnalysis = trends.getTrendAnalysis;
+    window.describeTrend = trends.describeTrend;
 }
 
 // Wait for DOM to be ready
@@ -15,7 +15,11 @@ import {
 
 import {
     SEVERITY_COLORS,
-    CRASH_TYPE_PALETTE
+    CRASH_TYPE_PALETTE,
+    CHOROPLETH_NORMALIZATION,
+    CRASH_COST_MODEL,
+    ROAD_NETWORK,
+    DRAW_BUFFER
 } from './config.js';
 
 import {
@@ -25,11 +29,37 @@ import {
     showLoading,
     hideLoading,
     updateLoadingMessage,
-    getSearchRadiusKm
+    getSearchRadiusKm,
+    readJSONFile
 } from './utils.js';
 
-import { updateStatistics } from './analytics.js';
-import { showNotification } from './ui.js';
+import {
+    updateStatistics,
+    getNormalizationMode,
+    getAreaRate,
+    getCostModel,
+    isCostWeighted,
+    getCrashCost,
+    getCrashMapWeight,
+    formatCost,
+    formatMapValue,
+    getMapMeasureLabel
+} from './analytics.js';
+import { showNotification, renderDataTable, setDataTableSubset } from './ui.js';
+import { addHotspotLayer, removeHotspotLayer } from './hotspots.js';
+import {
+    loadDefaultRoadNetwork,
+    loadRoadNetworkFile,
+    rebuildRoadNetwork,
+    snapCrashesToRoads
+} from './road-network.js';
+import {
+    loadCustomBoundaries,
+    clearCustomBoundaries as removeCustomBoundaries,
+    setBoundaryLabelField as applyBoundaryLabelField
+} from './custom-boundaries.js';
+import { OVERLAY_PANE, openOverlay, openOverlayFile } from './overlays.js';
+import { getHolidayName } from './calendar.js';
 
 // ============================================================================
 // CANVAS RENDERER FOR PDF EXPORT
@@ -38,6 +68,36 @@ import { showNotification } from './ui.js';
 // by leaflet-image (which cannot capture SVG layers, only canvas/raster)
 const canvasRenderer = L.canvas();
 
+// Outline style of the drawn filter area
+const DRAWN_AREA_STYLE = {
+    color: '#4a90e2',
+    weight: 2,
+    dashArray: '6 4',
+    fillColor: '#4a90e2',
+    fillOpacity: 0.06
+};
+
+// Outline style of a drawn area whose crashes are removed
+const EXCLUDED_AREA_STYLE = {
+    color: '#e74c3c',
+    weight: 2,
+    dashArray: '2 4',
+    fillColor: '#e74c3c',
+    fillOpacity: 0.12
+};
+
+// Longest name a drawn area can be given
+const DRAWN_AREA_NAME_MAX = 40;
+
+// Centre line / points a buffer area was built from
+const BUFFER_SOURCE_STYLE = {
+    color: '#4a90e2',
+    weight: 2,
+    opacity: 0.9,
+    fillColor: '#4a90e2',
+    fillOpacity: 0.9
+};
+
 // ============================================================================
 // UTILITY FUNCTIONS
 // ============================================================================
@@ -202,16 +262,25 @@ export function initMap() {
 
     // When a shape is finished drawing
     mapState.map.on(L.Draw.Event.CREATED, function(e) {
-        drawState.drawnItems.clearLayers();
-        drawState.drawnLayer = e.layer;
-        drawState.drawnLayer.setStyle({
-            color: '#4a90e2',
-            weight: 2,
-            dashArray: '6 4',
-            fillColor: '#4a90e2',
-            fillOpacity: 0.06
-        });
-        drawState.drawnItems.addLayer(drawState.drawnLayer);
+        // Points for a buffer are collected until the user presses Finish
+        if (e.layerType === 'marker') {
+            addPendingBufferPoint(e.layer.getLatLng());
+            return;
+        }
+
+        // A drawn line becomes a corridor buffered by the chosen distance
+        if (e.layerType === 'polyline') {
+            drawState.activeDrawHandler = null;
+            document.body.classList.remove('draw-mode-active');
+            setBufferArea(e.layer.toGeoJSON().geometry);
+            if (typeof window.markFiltersChanged === 'function') {
+                window.markFiltersChanged();
+            }
+            return;
+        }
+
+        // Each shape is added as another include area
+        addDrawnArea(e.layer);
         drawState.activeDrawHandler = null;
         document.body.classList.remove('draw-mode-active');
         updateDrawAreaUI();
@@ -224,6 +293,16 @@ export function initMap() {
 
     // Cancel draw (Escape key or Cancel button)
     mapState.map.on(L.Draw.Event.DRAWSTOP, function() {
+        // In repeat mode the marker tool stops and restarts after every point,
+        // so only treat it as stopped (e.g. Escape) if it is still off afterwards
+        const handler = drawState.activeDrawHandler;
+        if (handler instanceof L.Draw.Marker) {
+            setTimeout(() => {
+                if (drawState.activeDrawHandler === handler && !handler.enabled()) cancelDrawMode();
+            }, 0);
+            return;
+        }
+
         drawState.activeDrawHandler = null;
         document.body.classList.remove('draw-mode-active');
         updateDrawAreaUI();
@@ -258,6 +337,12 @@ export function initMap() {
     `;
     document.head.appendChild(style);
 
+    // User point / line overlays sit above area layers and below crash markers
+    mapState.map.createPane(OVERLAY_PANE).style.zIndex = 450;
+
+    // Boundary and overlay files can be dropped straight onto the map
+    initFileDrop();
+
     // Re-run GPS filter when the radius selector changes (only when GPS mode is active).
     // Guard against double-binding if init ever runs twice (dataset flag).
     const radiusSelect = document.getElementById('searchRadius');
@@ -337,19 +422,26 @@ export function updateMarkerColorLegend() {
 }
 
 /**
- * Get marker icon based on color mode
+ * Get marker colour based on color mode
+ * @param {Object} row - Crash record
+ * @returns {string} CSS colour
  */
-export function getMarkerIcon(row) {
-    let color;
+export function getMarkerColor(row) {
     if (filterState.markerColorMode === 'crashtype') {
-        color = getCrashTypeColor(row['Crash Type'] || 'Unknown');
+        return getCrashTypeColor(row['Crash Type'] || 'Unknown');
     } else if (filterState.markerColorMode === 'daynight') {
         const dn = row['DayNight'] || '';
-        color = dn === 'Daylight' ? '#4a90e2' : dn === 'Night' ? '#1a237e' : '#808080';
-    } else {
-        // default: severity
-        color = SEVERITY_COLORS[row['CSEF Severity']] || '#808080';
+        return dn === 'Daylight' ? '#4a90e2' : dn === 'Night' ? '#1a237e' : '#808080';
     }
+    // default: severity
+    return SEVERITY_COLORS[row['CSEF Severity']] || '#808080';
+}
+
+/**
+ * Get marker icon based on color mode
+ */
+export function getMarkerIcon(row) {
+    const color = getMarkerColor(row);
 
     if (cacheState.markerIconCache[color]) return cacheState.markerIconCache[color];
 
@@ -478,6 +570,9 @@ export function generatePopupContent(crash) {
         const color = SEVERITY_COLORS[severity] || '#808080';
         const casualties = crash._casualties || [];
         const units = crash._units || [];
+        const holidayName = getHolidayName(crash['Crash Date Time']);
+        const holidayNote = holidayName ? `Public holiday (${holidayName})`
+            : crash._dayType === 'school' ? 'School holidays' : '';
 
         let html = `
             <div style="color: #333; font-family: 'Segoe UI', sans-serif; max-width: 400px;">
@@ -488,6 +583,7 @@ export function generatePopupContent(crash) {
                 <!-- Crash Details -->
                 <div style="margin-bottom: 10px;">
                     <p style="margin: 3px 0; font-size: 12px;"><strong>Date:</strong> ${crash['Crash Date Time'] || crash['Crash Date'] || 'N/A'}</p>
+                    ${holidayNote ? `<p style="margin: 3px 0; font-size: 12px;"><strong>Holiday:</strong> ${holidayNote}</p>` : ''}
                     <p style="margin: 3px 0; font-size: 12px;"><strong>Location:</strong> ${crash.Suburb || 'N/A'}, ${crash.Postcode || 'N/A'}</p>
                     <p style="margin: 3px 0; font-size: 12px;"><strong>Type:</strong> ${crash['Crash Type'] || 'N/A'}</p>
                     <p style="margin: 3px 0; font-size: 12px;"><strong>Weather:</strong> ${crash['Weather Cond'] || 'N/A'} | ${crash.DayNight || 'N/A'}</p>
@@ -654,18 +750,20 @@ export function generatePopupContent(crash) {
 // ============================================================================
 
 /**
- * Add density map layer using Leaflet.heat
+ * Build weighted heat points for the density layer
+ * @param {Array} data - Crash records
+ * @returns {Array<Array<number>>} [lat, lng, weight] per crash with coordinates
  */
-export function addDensityMap() {
-    // Remove any existing zoom listener to prevent accumulation on repeated calls
-    if (mapState.densityZoomListener) {
-        mapState.map.off('zoomend', mapState.densityZoomListener);
-        mapState.densityZoomListener = null;
-    }
-
+export function getDensityPoints(data) {
     const densityData = [];
 
-    dataState.filteredData.forEach(row => {
+    // With a cost model active, map crash costs onto the same 1-4 range on a
+    // log scale so a fatal crash doesn't drown out everything around it
+    const costWeights = isCostWeighted() ? Object.values(getCostModel().weights) : null;
+    const minCost = costWeights ? Math.min(...costWeights) : 0;
+    const costSpan = costWeights ? Math.log(Math.max(...costWeights) / minCost) : 0;
+
+    data.forEach(row => {
         // Use cached coordinates instead of converting each time
         const coords = row._coords;
         if (!coords) return;
@@ -677,9 +775,37 @@ export function addDensityMap() {
         else if (severity === '3: SI') weight = 3;
         else if (severity === '2: MI') weight = 2;
 
+        if (costWeights) {
+            const cost = getCrashCost(row);
+            weight = cost > 0 && costSpan > 0 ? 1 + 3 * Math.log(cost / minCost) / costSpan : 1;
+        }
+
         densityData.push([coords[0], coords[1], weight]);
     });
 
+    return densityData;
+}
+
+/**
+ * Heatmap radius and blur for a zoom level
+ * @param {number} zoom - Map zoom
+ * @returns {{radius: number, blur: number}}
+ */
+export function getDensityRadius(zoom) {
+    let radius = 2, blur = 1;
+    if (zoom >= 13) { radius = 3; blur = 2; }
+    if (zoom >= 16) { radius = 4; blur = 4; }
+    if (zoom >= 17) { radius = 6; blur = 4; }
+    return { radius, blur };
+}
+
+/**
+ * Add a heat layer styled like the density layer to the map
+ * The canvas is created when the layer is added, so adding happens inside the getContext patch.
+ * @param {Array<Array<number>>} densityData - Points from getDensityPoints()
+ * @returns {L.Layer}
+ */
+export function addDensityLayer(densityData) {
     // Fix Canvas2D performance warning before creating heatLayer
     // Patch HTMLCanvasElement to add willReadFrequently attribute
     const originalGetContext = HTMLCanvasElement.prototype.getContext;
@@ -693,7 +819,7 @@ export function addDensityMap() {
         return originalGetContext.call(this, type, attributes);
     };
 
-    mapState.densityLayer = L.heatLayer(densityData, {
+    const layer = L.heatLayer(densityData, {
         radius: 2,
         blur: 1,
         maxZoom: 17,
@@ -714,15 +840,25 @@ export function addDensityMap() {
     // Restore original getContext after heatLayer creation
     HTMLCanvasElement.prototype.getContext = originalGetContext;
 
+    return layer;
+}
+
+/**
+ * Add density map layer using Leaflet.heat
+ */
+export function addDensityMap() {
+    // Remove any existing zoom listener to prevent accumulation on repeated calls
+    if (mapState.densityZoomListener) {
+        mapState.map.off('zoomend', mapState.densityZoomListener);
+        mapState.densityZoomListener = null;
+    }
+
+    mapState.densityLayer = addDensityLayer(getDensityPoints(dataState.filteredData));
+
     // Scale heatmap radius/blur with zoom level; stored so it can be removed later
     mapState.densityZoomListener = function() {
         if (mapState.densityLayer && mapState.map.hasLayer(mapState.densityLayer)) {
-            const zoom = mapState.map.getZoom();
-            let radius = 2, blur = 1;
-            if (zoom >= 13) { radius = 3; blur = 2; }
-            if (zoom >= 16) { radius = 4; blur = 4; }
-            if (zoom >= 17) { radius = 6; blur = 4; }
-            mapState.densityLayer.setOptions({ radius, blur });
+            mapState.densityLayer.setOptions(getDensityRadius(mapState.map.getZoom()));
         }
     };
     mapState.map.on('zoomend', mapState.densityZoomListener);
@@ -732,6 +868,9 @@ export function addDensityMap() {
 // CHOROPLETH LAYERS
 // ============================================================================
 
+// Fill for areas that have no denominator in the reference data
+const NO_RATE_COLOR = '#5a5a5a';
+
 /**
  * Get color for count using logarithmic scale
  */
@@ -796,28 +935,60 @@ export function addChoropleth() {
         addChoroplethBySuburb();
         return;
     }
+    if (filterState.choroplethMode === 'custom') {
+        addChoroplethByCustomBoundary();
+        return;
+    }
 
     // LGA mode (default)
-    // Count crashes by LGA with normalized names
+    // Count crashes by LGA with normalized names; weights are the summed
+    // crash costs when cost weighting is on, otherwise the same as counts
     const lgaCounts = {};
     const lgaCountsNormalized = {};
+    const lgaWeights = {};
+    const lgaWeightsNormalized = {};
 
     dataState.filteredData.forEach(row => {
         // Use pre-computed LGA
         const lga = row['LGA'];
 
         if (lga && lga.trim()) {
+            const weight = getCrashMapWeight(row);
             lgaCounts[lga] = (lgaCounts[lga] || 0) + 1;
+            lgaWeights[lga] = (lgaWeights[lga] || 0) + weight;
 
             // Also count with normalized name
             const normalized = normalizeLGAName(lga);
             lgaCountsNormalized[normalized] = (lgaCountsNormalized[normalized] || 0) + 1;
+            lgaWeightsNormalized[normalized] = (lgaWeightsNormalized[normalized] || 0) + weight;
         }
     });
 
-    // Find max count for color scaling; guard against empty data
-    const lgaValues = Object.values(lgaCountsNormalized);
+    // Convert to rates when a normalisation mode is active
+    // (null = no denominator for that LGA)
+    const lgaValuesNormalized = {};
+    Object.entries(lgaWeightsNormalized).forEach(([name, weight]) => {
+        lgaValuesNormalized[name] = getAreaRate(weight, name);
+    });
+
+    // Find max value for color scaling; guard against empty data
+    const lgaValues = Object.values(lgaValuesNormalized).filter(v => v !== null);
     const maxCount = lgaValues.length > 0 ? Math.max(...lgaValues) : 0;
+    const mode = getNormalizationMode();
+    const costWeighted = isCostWeighted();
+    updateChoroplethLegend(maxCount, 'LGA');
+
+    // Extra popup lines for cost and rate views
+    const measureLines = (weight, value) => {
+        let html = '';
+        if (costWeighted) {
+            html += `<p style="margin: 5px 0;"><strong>${getCostModel().label}:</strong> ${formatCost(weight)}</p>`;
+        }
+        if (mode.field) {
+            html += `<p style="margin: 5px 0;"><strong>${getMapMeasureLabel()}:</strong> ${formatMapValue(value)}</p>`;
+        }
+        return html;
+    };
 
     // Use real LGA boundaries if available
     if (dataState.lgaBoundaries && dataState.lgaBoundaries.features) {
@@ -826,8 +997,9 @@ export function addChoropleth() {
             style: function(feature) {
                 const lgaName = getLGAName(feature.properties);
                 const normalizedName = normalizeLGAName(lgaName);
-                const count = lgaCountsNormalized[normalizedName] || 0;
-                const fillColor = getColorForCount(count, maxCount);
+                const weight = lgaWeightsNormalized[normalizedName] || 0;
+                const value = getAreaRate(weight, normalizedName);
+                const fillColor = value === null ? NO_RATE_COLOR : getColorForCount(value, maxCount);
 
                 return {
                     fillColor: fillColor,
@@ -841,10 +1013,12 @@ export function addChoropleth() {
                 const lgaName = getLGAName(feature.properties);
                 const normalizedName = normalizeLGAName(lgaName);
                 const count = lgaCountsNormalized[normalizedName] || 0;
+                const weight = lgaWeightsNormalized[normalizedName] || 0;
 
                 layer.bindPopup(`
                     <div style="color: #333; font-family: 'Segoe UI', sans-serif;">
                         <h3 style="margin: 0 0 10px 0; color: #00d4ff;">${lgaName}</h3>
+                        ${measureLines(weight, getAreaRate(weight, normalizedName))}
                         <p style="margin: 5px 0;"><strong>Total Crashes:</strong> ${count.toLocaleString()}</p>
                         <p style="margin: 5px 0; font-size: 11px; color: #666;">Click to see details</p>
                     </div>
@@ -894,7 +1068,8 @@ export function addChoropleth() {
             const avgLng = locations.reduce((sum, coord) => sum + coord[1], 0) / locations.length;
 
             const count = lgaCounts[lga];
-            const color = getColorForCount(count, maxCount);
+            const value = getAreaRate(lgaWeights[lga], lga);
+            const color = value === null ? NO_RATE_COLOR : getColorForCount(value, maxCount);
 
             const circle = L.circle([avgLat, avgLng], {
                 radius: Math.sqrt(count) * 500,
@@ -908,6 +1083,7 @@ export function addChoropleth() {
             circle.bindPopup(`
                 <div style="color: #333;">
                     <h3 style="margin: 0 0 10px 0;">${lga}</h3>
+                    ${measureLines(lgaWeights[lga], value)}
                     <p><strong>Total Crashes:</strong> ${count}</p>
                 </div>
             `);
@@ -930,19 +1106,47 @@ export function addChoroplethBySuburb() {
         return;
     }
 
-    // Count crashes by suburb
+    // Count crashes (and cost weights) by suburb
     const suburbCounts = {};
+    const suburbWeights = {};
 
     dataState.filteredData.forEach(row => {
         const suburb = row.Suburb;
         if (suburb && suburb.trim() !== '') {
             suburbCounts[suburb] = (suburbCounts[suburb] || 0) + 1;
+            suburbWeights[suburb] = (suburbWeights[suburb] || 0) + getCrashMapWeight(row);
         }
     });
 
-    // Find max count for color scaling; guard against empty data
-    const suburbValues = Object.values(suburbCounts);
-    const maxCount = suburbValues.length > 0 ? Math.max(...suburbValues) : 0;
+    // Only area rates can be derived for suburbs (from the boundary geometry);
+    // population and road length denominators are only published per LGA
+    const mode = getNormalizationMode();
+    const useAreaRate = mode.field === 'areaKm2';
+    if (mode.field && !useAreaRate) {
+        showNotification(`${mode.label} rates are only available in LGA view. Suburbs are shaded by crash count.`, 'info');
+    }
+
+    const suburbValue = (feature, count) => {
+        if (!useAreaRate) return count;
+        const areaKm2 = turf.area(feature) / 1e6;
+        return areaKm2 > 0 ? (count / areaKm2) * mode.per : null;
+    };
+
+    // Find max value for color scaling; guard against empty data
+    let maxCount = 0;
+    if (useAreaRate) {
+        dataState.suburbBoundaries.features.forEach(feature => {
+            const suburbName = feature.properties.suburb || feature.properties.SUBURB || feature.properties.name;
+            const value = suburbValue(feature, suburbWeights[suburbName] || 0);
+            if (value !== null && value > maxCount) maxCount = value;
+        });
+    } else {
+        const suburbValues = Object.values(suburbWeights);
+        maxCount = suburbValues.length > 0 ? Math.max(...suburbValues) : 0;
+    }
+    const legendMode = useAreaRate ? mode : CHOROPLETH_NORMALIZATION.MODES.none;
+    const costWeighted = isCostWeighted();
+    updateChoroplethLegend(maxCount, 'Suburb', legendMode);
 
     // Render suburb boundaries
     mapState.choroplethLayer = L.geoJSON(dataState.suburbBoundaries, {
@@ -950,8 +1154,8 @@ export function addChoroplethBySuburb() {
         style: function(feature) {
             // Get suburb name from GeoJSON properties (adjust property name as needed)
             const suburbName = feature.properties.suburb || feature.properties.SUBURB || feature.properties.name;
-            const count = suburbCounts[suburbName] || 0;
-            const fillColor = getColorForCount(count, maxCount);
+            const value = suburbValue(feature, suburbWeights[suburbName] || 0);
+            const fillColor = value === null ? NO_RATE_COLOR : getColorForCount(value, maxCount);
 
             return {
                 fillColor: fillColor,
@@ -964,10 +1168,19 @@ export function addChoroplethBySuburb() {
         onEachFeature: function(feature, layer) {
             const suburbName = feature.properties.suburb || feature.properties.SUBURB || feature.properties.name;
             const count = suburbCounts[suburbName] || 0;
+            const weight = suburbWeights[suburbName] || 0;
+            const costLine = costWeighted
+                ? `<p style="margin: 5px 0;"><strong>${getCostModel().label}:</strong> ${formatCost(weight)}</p>`
+                : '';
+            const rateLine = useAreaRate
+                ? `<p style="margin: 5px 0;"><strong>${getMapMeasureLabel(legendMode)}:</strong> ${formatMapValue(suburbValue(feature, weight))}</p>`
+                : '';
 
             layer.bindPopup(`
                 <div style="color: #333; font-family: 'Segoe UI', sans-serif;">
                     <h3 style="margin: 0 0 10px 0; color: #00d4ff;">${suburbName}</h3>
+                    ${costLine}
+                    ${rateLine}
                     <p style="margin: 5px 0;"><strong>Total Crashes:</strong> ${count.toLocaleString()}</p>
                 </div>
             `);
@@ -991,24 +1204,205 @@ export function addChoroplethBySuburb() {
 }
 
 /**
- * Switch choropleth mode between LGA and Suburb
- * @param {string} mode - 'lga' or 'suburb'
+ * Add choropleth layer (by user-loaded custom boundaries)
+ * Crashes were assigned to areas by the boundary worker when the file loaded.
+ */
+export function addChoroplethByCustomBoundary() {
+    const boundaries = dataState.customBoundaries;
+    if (!boundaries) {
+        showNotification('Load a boundary GeoJSON file to use the custom choropleth.', 'warning');
+        return;
+    }
+
+    // Count crashes (and cost weights) by area index
+    const areaCounts = new Array(boundaries.features.length).fill(0);
+    const areaWeights = new Array(boundaries.features.length).fill(0);
+
+    dataState.filteredData.forEach(row => {
+        const index = row._boundaryIndex;
+        if (index === undefined || index < 0) return;
+        areaCounts[index]++;
+        areaWeights[index] += getCrashMapWeight(row);
+    });
+
+    // As with suburbs, only area rates can be derived from the geometry
+    const mode = getNormalizationMode();
+    const useAreaRate = mode.field === 'areaKm2';
+    if (mode.field && !useAreaRate) {
+        showNotification(`${mode.label} rates are only available in LGA view. Areas are shaded by crash count.`, 'info');
+    }
+
+    const areaValue = (index, weight) => {
+        if (!useAreaRate) return weight;
+        const areaKm2 = boundaries.areasKm2[index];
+        return areaKm2 > 0 ? (weight / areaKm2) * mode.per : null;
+    };
+
+    let maxCount = 0;
+    areaWeights.forEach((weight, index) => {
+        const value = areaValue(index, weight);
+        if (value !== null && value > maxCount) maxCount = value;
+    });
+    const legendMode = useAreaRate ? mode : CHOROPLETH_NORMALIZATION.MODES.none;
+    const costWeighted = isCostWeighted();
+    updateChoroplethLegend(maxCount, boundaries.name, legendMode);
+
+    const features = boundaries.features.map((feature, index) => ({ ...feature, id: index }));
+
+    mapState.choroplethLayer = L.geoJSON({ type: 'FeatureCollection', features }, {
+        renderer: canvasRenderer, // Use canvas renderer for PDF export compatibility
+        style: function(feature) {
+            const value = areaValue(feature.id, areaWeights[feature.id]);
+            const selected = filterState.boundaryRegion === feature.id;
+
+            return {
+                fillColor: value === null ? NO_RATE_COLOR : getColorForCount(value, maxCount),
+                fillOpacity: 0.65,
+                color: selected ? '#00d4ff' : '#ffffff',
+                weight: selected ? 3 : 1,
+                opacity: 0.8
+            };
+        },
+        onEachFeature: function(feature, layer) {
+            const index = feature.id;
+            const weight = areaWeights[index];
+            const costLine = costWeighted
+                ? `<p style="margin: 5px 0;"><strong>${getCostModel().label}:</strong> ${formatCost(weight)}</p>`
+                : '';
+            const rateLine = useAreaRate
+                ? `<p style="margin: 5px 0;"><strong>${getMapMeasureLabel(legendMode)}:</strong> ${formatMapValue(areaValue(index, weight))}</p>`
+                : '';
+            const filterLink = filterState.boundaryRegion === index
+                ? `<a href="#" onclick="filterToBoundaryRegion(null); return false;" style="color: #0066cc;">Clear area filter</a>`
+                : `<a href="#" onclick="filterToBoundaryRegion(${index}); return false;" style="color: #0066cc;">Filter to this area →</a>`;
+
+            // Bound lazily so a label field change shows on the next open
+            layer.bindPopup(() => `
+                <div style="color: #333; font-family: 'Segoe UI', sans-serif;">
+                    <h3 style="margin: 0 0 10px 0; color: #00d4ff;">${escapeHtml(boundaries.labels[index])}</h3>
+                    ${costLine}
+                    ${rateLine}
+                    <p style="margin: 5px 0;"><strong>Total Crashes:</strong> ${areaCounts[index].toLocaleString()}</p>
+                    <p style="margin: 8px 0 0 0;">${filterLink}</p>
+                </div>
+            `);
+
+            // Hover effects
+            layer.on('mouseover', function() {
+                this.setStyle({
+                    weight: 2,
+                    opacity: 1,
+                    fillOpacity: 0.8
+                });
+            });
+
+            layer.on('mouseout', function() {
+                mapState.choroplethLayer.resetStyle(this);
+            });
+        }
+    });
+
+    mapState.map.addLayer(mapState.choroplethLayer);
+}
+
+/**
+ * Render the choropleth scale legend below the layer toggles
+ * @param {number} max - Highest count, cost or rate currently shaded
+ * @param {string} areaLabel - 'LGA', 'Suburb' or the custom boundary name
+ * @param {Object} mode - Normalisation mode config (defaults to the active mode)
+ */
+export function updateChoroplethLegend(max, areaLabel, mode = getNormalizationMode()) {
+    const legend = document.getElementById('choroplethLegend');
+    if (!legend) return;
+
+    // Sample the log colour scale at a few points so the legend matches the map
+    const stops = [0.05, 0.25, 0.5, 0.75, 1].map(f => {
+        const value = Math.exp(Math.log(max + 1) * f) - 1;
+        return { value, color: getColorForCount(value, max) };
+    });
+    const gradient = stops.map(s => s.color).join(', ');
+    const format = v => (mode.field || isCostWeighted())
+        ? formatMapValue(v)
+        : Math.round(v).toLocaleString();
+
+    legend.innerHTML = `
+        <div class="choropleth-legend-title">${escapeHtml(`${getMapMeasureLabel(mode)} by ${areaLabel}`)}</div>
+        <div class="choropleth-legend-bar" style="background: linear-gradient(to right, ${gradient});"></div>
+        <div class="choropleth-legend-range"><span>0</span><span>${format(max)}</span></div>
+        ${mode.field ? `<div class="legend-item"><span class="legend-dot" style="background:${NO_RATE_COLOR}"></span>No reference data</div>` : ''}
+    `;
+    legend.style.display = 'block';
+}
+
+/**
+ * Set how choropleth areas are shaded: raw counts or a rate
+ * @param {string} mode - 'none', 'population', 'area' or 'road'
+ */
+export function setChoroplethNormalization(mode) {
+    if (!CHOROPLETH_NORMALIZATION.MODES[mode]) mode = 'none';
+    updateFilterState({ choroplethNormalization: mode });
+
+    const select = document.getElementById('choroplethNormalizationSelect');
+    if (select && select.value !== mode) select.value = mode;
+
+    if (mapState.activeLayers.choropleth) {
+        updateMapLayers('choropleth');
+    }
+
+    // Keep the Top Areas chart in step with the map
+    const analyticsPanel = document.getElementById('analyticsPanel');
+    if (typeof window.updateChartsWithData === 'function' &&
+        analyticsPanel && !analyticsPanel.classList.contains('collapsed')) {
+        window.updateChartsWithData(dataState.filteredData);
+    }
+}
+
+/**
+ * Set the cost model used to weight crashes in statistics and map layers
+ * @param {string} model - 'none' or a CRASH_COST_MODEL.MODELS key
+ */
+export function setCostModel(model) {
+    if (!CRASH_COST_MODEL.MODELS[model]) model = 'none';
+    updateFilterState({ costModel: model });
+
+    const select = document.getElementById('costModelSelect');
+    if (select && select.value !== model) select.value = model;
+
+    updateStatistics();
+
+    if (mapState.activeLayers.density) {
+        updateMapLayers('density');
+    }
+    if (mapState.activeLayers.choropleth) {
+        updateMapLayers('choropleth');
+    }
+    if (mapState.activeLayers.hotspots) {
+        updateMapLayers('hotspots');
+    }
+
+    // The Cost column follows the selected model
+    renderDataTable();
+}
+
+/**
+ * Switch choropleth mode between LGA, Suburb and custom boundaries
+ * @param {string} mode - 'lga', 'suburb' or 'custom'
  */
 export function switchChoroplethMode(mode) {
+    if (mode === 'custom' && !dataState.customBoundaries) mode = 'lga';
+
     // Update choropleth mode in filter state
     updateFilterState({ choroplethMode: mode });
 
     // Update pill toggle active state
-    const lgaBtn = document.getElementById('choroplethModeLGA');
-    const suburbBtn = document.getElementById('choroplethModeSuburb');
-
-    if (mode === 'lga') {
-        lgaBtn?.classList.add('active');
-        suburbBtn?.classList.remove('active');
-    } else {
-        lgaBtn?.classList.remove('active');
-        suburbBtn?.classList.add('active');
-    }
+    const buttons = {
+        lga: document.getElementById('choroplethModeLGA'),
+        suburb: document.getElementById('choroplethModeSuburb'),
+        custom: document.getElementById('choroplethModeCustom')
+    };
+    Object.entries(buttons).forEach(([key, btn]) => {
+        btn?.classList.toggle('active', key === mode);
+    });
 
     // If choropleth is currently active, refresh it
     if (mapState.activeLayers.choropleth) {
@@ -1016,6 +1410,456 @@ export function switchChoroplethMode(mode) {
     }
 }
 
+// ============================================================================
+// CUSTOM BOUNDARIES
+// ============================================================================
+
+/**
+ * Show the loaded boundary file in the choropleth controls
+ */
+function updateCustomBoundaryUI() {
+    const boundaries = dataState.customBoundaries;
+    const status = document.getElementById('customBoundaryStatus');
+    const customBtn = document.getElementById('choroplethModeCustom');
+    const labelSelect = document.getElementById('customBoundaryLabelSelect');
+    const clearBtn = document.getElementById('customBoundaryClearBtn');
+
+    if (status) {
+        status.textContent = boundaries
+            ? `${boundaries.name} (${boundaries.features.length.toLocaleString()} areas)`
+            : 'No custom boundaries';
+    }
+    if (customBtn) {
+        customBtn.style.display = boundaries ? '' : 'none';
+        customBtn.textContent = boundaries ? boundaries.name : 'Custom';
+        customBtn.title = boundaries ? `Shade by areas in ${boundaries.name}` : '';
+    }
+    if (clearBtn) clearBtn.style.display = boundaries ? '' : 'none';
+    if (labelSelect) {
+        labelSelect.style.display = boundaries && boundaries.fields.length > 1 ? '' : 'none';
+        labelSelect.innerHTML = boundaries
+            ? boundaries.fields.map(field =>
+                `<option value="${escapeHtml(field)}"${field === boundaries.labelField ? ' selected' : ''}>${escapeHtml(field)}</option>`).join('')
+            : '';
+    }
+
+    const pdfOption = document.querySelector('#choroplethModeSelect option[value="custom"]');
+    if (pdfOption) {
+        pdfOption.disabled = !boundaries;
+        pdfOption.textContent = boundaries ? `Custom (${boundaries.name})` : 'Custom (none loaded)';
+    }
+}
+
+/**
+ * Load boundary polygons and shade the choropleth by their areas
+ * @param {Object} geojson - Parsed boundary GeoJSON
+ * @param {string} fileName - Source file name
+ */
+async function openCustomBoundaries(geojson, fileName) {
+    const hadRegion = filterState.boundaryRegion !== null;
+    showLoading('Assigning crashes to boundaries...');
+    try {
+        const result = await loadCustomBoundaries(geojson, fileName);
+        if (!result) return;
+
+        const { boundaries, assigned, reprojected } = result;
+        updateCustomBoundaryUI();
+        showNotification(
+            `Loaded ${boundaries.features.length.toLocaleString()} areas from ${fileName}` +
+            `${reprojected ? ' (reprojected from SA Lambert)' : ''}; ` +
+            `${assigned.toLocaleString()} crashes fall inside them`,
+            'success'
+        );
+
+        // Loading drops any area filter from a previous file
+        if (hadRegion && typeof window.applyFilters === 'function') window.applyFilters();
+
+        switchChoroplethMode('custom');
+        if (!mapState.activeLayers.choropleth) toggleLayer('choropleth');
+    } catch (error) {
+        console.error('Error loading custom boundaries:', error);
+        showNotification(`Could not load boundaries: ${error.message}`, 'error');
+    } finally {
+        hideLoading();
+    }
+}
+
+/**
+ * Load a boundary GeoJSON chosen with the file input
+ * @param {HTMLInputElement} input - File input element
+ */
+export async function handleCustomBoundaryFile(input) {
+    const file = input.files && input.files[0];
+    if (!file) return;
+
+    try {
+        await openCustomBoundaries(await readJSONFile(file), file.name);
+    } catch (error) {
+        showNotification(`Could not load boundaries: ${error.message}`, 'error');
+    } finally {
+        input.value = '';
+    }
+}
+
+/**
+ * Change which property names the custom boundary areas
+ * @param {string} field - Property name
+ */
+export function setBoundaryLabelField(field) {
+    applyBoundaryLabelField(field);
+    if (typeof window.updateActiveFiltersDisplay === 'function') window.updateActiveFiltersDisplay();
+}
+
+/**
+ * Restrict the filtered crashes to one custom boundary area
+ * @param {number|null} index - Area index, or null to clear
+ */
+export function filterToBoundaryRegion(index) {
+    updateFilterState({ boundaryRegion: index === null ? null : Number(index) });
+    mapState.map.closePopup();
+    if (typeof window.applyFilters === 'function') window.applyFilters();
+}
+
+/**
+ * Remove the custom boundaries and fall back to the LGA choropleth
+ */
+export function clearCustomBoundaries() {
+    const hadRegion = filterState.boundaryRegion !== null;
+    removeCustomBoundaries();
+    updateCustomBoundaryUI();
+
+    if (filterState.choroplethMode === 'custom') switchChoroplethMode('lga');
+    if (hadRegion && typeof window.applyFilters === 'function') window.applyFilters();
+}
+
+/**
+ * Accept files dropped onto the map
+ * Polygon GeoJSON becomes custom choropleth boundaries; point / line GeoJSON
+ * and CSV files become overlays.
+ */
+function initFileDrop() {
+    const container = mapState.map.getContainer();
+    const hasFiles = e => e.dataTransfer && Array.from(e.dataTransfer.types || []).includes('Files');
+
+    container.addEventListener('dragover', e => {
+        if (!hasFiles(e)) return;
+        e.preventDefault();
+        e.dataTransfer.dropEffect = 'copy';
+        container.classList.add('map-drop-active');
+    });
+
+    container.addEventListener('dragleave', e => {
+        if (!container.contains(e.relatedTarget)) container.classList.remove('map-drop-active');
+    });
+
+    container.addEventListener('drop', async e => {
+        if (!hasFiles(e)) return;
+        e.preventDefault();
+        container.classList.remove('map-drop-active');
+
+        const file = e.dataTransfer.files[0];
+        if (!file) return;
+        if (/\.csv$/i.test(file.name)) {
+            openOverlayFile(file);
+            return;
+        }
+        if (!/\.(geo)?json$/i.test(file.name)) {
+            showNotification('Drop a .geojson, .json or .csv file.', 'warning');
+            return;
+        }
+
+        let geojson;
+        try {
+            geojson = await readJSONFile(file);
+        } catch (error) {
+            showNotification(error.message, 'error');
+            return;
+        }
+        const features = Array.isArray(geojson.features) ? geojson.features : [];
+        const polygons = features.filter(f => f && f.geometry && /Polygon$/.test(f.geometry.type)).length;
+        if (polygons > 0 && polygons === features.filter(f => f && f.geometry).length) {
+            openCustomBoundaries(geojson, file.name);
+        } else {
+            openOverlay(geojson, file.name);
+        }
+    });
+}
+
+// ============================================================================
+// ROAD NETWORK LAYER
+// ============================================================================
+
+// Crashes per drawn segment/intersection, looked up by the popup "Show in table" button
+let roadLayerGroups = new Map();
+
+/**
+ * Snap filtered crashes to the loaded road network and draw segments or
+ * intersections coloured by crash count or severity index
+ * @returns {Promise<void>}
+ */
+export async function addRoadLayer() {
+    removeRoadLayer();
+
+    if (!dataState.roadNetwork) {
+        const loaded = await loadDefaultRoadNetwork();
+        if (!loaded) {
+            showNotification('No road network loaded. Choose a road network GeoJSON file to use this layer.', 'warning');
+            mapState.activeLayers.roads = false;
+            setLayerToggleState('roads', false);
+            return;
+        }
+    }
+
+    let groups;
+    try {
+        groups = await snapCrashesToRoads(dataState.filteredData, filterState.roadAggregation);
+    } catch (error) {
+        console.error('Error snapping crashes to road network:', error);
+        showNotification('Could not match crashes to the road network.', 'error');
+        return;
+    }
+
+    // Superseded by a newer run, or the layer was switched off meanwhile
+    if (!groups || !mapState.activeLayers.roads) return;
+    roadLayerGroups = groups;
+
+    const byIntersection = filterState.roadAggregation === 'intersection';
+    const useSeverity = filterState.roadMetric === 'severity';
+    const valueOf = crashes => useSeverity
+        ? crashes.reduce((sum, crash) => sum + getCrashCost(crash, 'epdo'), 0)
+        : crashes.length;
+
+    const values = new Map();
+    let maxValue = 0;
+    groups.forEach((crashes, index) => {
+        const value = valueOf(crashes);
+        values.set(index, value);
+        if (value > maxValue) maxValue = value;
+    });
+
+    const layer = L.featureGroup();
+    groups.forEach((crashes, index) => {
+        const value = values.get(index);
+        const color = getColorForCount(value, maxValue);
+        const scale = maxValue > 0 ? Math.log(value + 1) / Math.log(maxValue + 1) : 0;
+        const popup = () => generateRoadPopupContent(index, crashes, value);
+
+        if (byIntersection) {
+            const intersection = dataState.roadNetwork.intersections[index];
+            L.circleMarker(intersection.latlng, {
+                renderer: canvasRenderer,
+                radius: 4 + scale * 8,
+                color: '#ffffff',
+                weight: 1,
+                fillColor: color,
+                fillOpacity: 0.9
+            }).bindPopup(popup, { maxWidth: 420 }).addTo(layer);
+        } else {
+            const segment = dataState.roadNetwork.segments[index];
+            L.polyline(segment.coords, {
+                renderer: canvasRenderer,
+                color,
+                weight: 3 + scale * 5,
+                opacity: 0.9
+            }).bindPopup(popup, { maxWidth: 420 }).addTo(layer);
+        }
+    });
+
+    mapState.roadLayer = layer.addTo(mapState.map);
+}
+
+/**
+ * Remove the road network layer
+ */
+export function removeRoadLayer() {
+    if (mapState.roadLayer && mapState.map.hasLayer(mapState.roadLayer)) {
+        mapState.map.removeLayer(mapState.roadLayer);
+    }
+    mapState.roadLayer = null;
+    roadLayerGroups = new Map();
+}
+
+/**
+ * Generate popup HTML with the crash history of a road segment or intersection
+ * @param {number} index - Segment or intersection index in dataState.roadNetwork
+ * @param {Array} crashes - Crashes snapped to it
+ * @param {number} value - Crash count or severity index shown on the map
+ * @returns {string} HTML content
+ */
+export function generateRoadPopupContent(index, crashes, value) {
+    const byIntersection = filterState.roadAggregation === 'intersection';
+    let title, subtitle;
+    if (byIntersection) {
+        const intersection = dataState.roadNetwork.intersections[index];
+        title = intersection.names.length > 0 ? intersection.names.join(' / ') : 'Unnamed intersection';
+        subtitle = 'Intersection';
+    } else {
+        const segment = dataState.roadNetwork.segments[index];
+        title = segment.name || 'Unnamed road';
+        subtitle = `Road segment (${segment.lengthM.toLocaleString()} m)`;
+    }
+
+    // Newest first; colour the header by the worst severity on record
+    const sorted = crashes.slice().sort((a, b) =>
+        String(b['Crash Date Time'] || '').localeCompare(String(a['Crash Date Time'] || '')));
+    const worst = crashes.reduce((max, crash) =>
+        (crash['CSEF Severity'] || '') > max ? crash['CSEF Severity'] : max, '');
+    const color = SEVERITY_COLORS[worst] || '#808080';
+
+    const severityCounts = {};
+    let fatalities = 0, serious = 0, minor = 0;
+    crashes.forEach(crash => {
+        const severity = crash['CSEF Severity'] || 'Unknown';
+        severityCounts[severity] = (severityCounts[severity] || 0) + 1;
+        fatalities += parseInt(crash['Total Fats'] || 0);
+        serious += parseInt(crash['Total SI'] || 0);
+        minor += parseInt(crash['Total MI'] || 0);
+    });
+
+    let html = `
+        <div style="color: #333; font-family: 'Segoe UI', sans-serif; max-width: 400px;">
+            <h3 style="margin: 0 0 10px 0; color: ${color}; font-size: 16px; border-bottom: 2px solid ${color}; padding-bottom: 5px;">
+                ${escapeHtml(title)}
+            </h3>
+
+            <!-- Location Summary -->
+            <div style="margin-bottom: 10px;">
+                <p style="margin: 3px 0; font-size: 12px;"><strong>${subtitle}</strong></p>
+                <p style="margin: 3px 0; font-size: 12px;"><strong>Total Crashes:</strong> ${crashes.length.toLocaleString()}</p>
+                ${filterState.roadMetric === 'severity' ? `<p style="margin: 3px 0; font-size: 12px;"><strong>Severity Index (EPDO):</strong> ${value.toLocaleString()}</p>` : ''}
+                <p style="margin: 3px 0; font-size: 12px;"><strong>Casualties:</strong> ${fatalities} fatal, ${serious} serious, ${minor} minor</p>
+            </div>`;
+
+    // Severity breakdown
+    html += `
+            <div style="margin-top: 12px; padding-top: 10px; border-top: 1px solid #ddd;">
+                <h4 style="margin: 0 0 8px 0; font-size: 13px; color: #ef5350;">
+                    📊 Severity
+                </h4>`;
+    Object.keys(severityCounts).sort().reverse().forEach(severity => {
+        html += `<p style="margin: 2px 0 2px 10px; font-size: 11px;">• ${escapeHtml(severity)}: ${severityCounts[severity]}</p>`;
+    });
+    html += `</div>`;
+
+    // Crash history, with overflow collapsible
+    const limit = ROAD_NETWORK.POPUP_CRASH_LIMIT;
+    const extraCount = sorted.length - limit;
+    const historyExtraId = `road-extra-${byIntersection ? 'i' : 's'}${index}`;
+    const historyLinkId = `road-link-${byIntersection ? 'i' : 's'}${index}`;
+    const historyLine = (crash, n) => {
+        const severity = crash['CSEF Severity'] || 'Unknown';
+        const sevColor = SEVERITY_COLORS[severity] || '#808080';
+        return `<p style="margin: 3px 0 3px 10px;">
+            ${n}. ${escapeHtml(String(crash['Crash Date Time'] || crash['Crash Date'] || 'N/A'))} –
+            <span style="color: ${sevColor}; font-weight: 600;">${escapeHtml(severity)}</span>,
+            ${escapeHtml(crash['Crash Type'] || 'Unknown')}
+        </p>`;
+    };
+
+    html += `
+            <div style="margin-top: 12px; padding-top: 10px; border-top: 1px solid #ddd;">
+                <h4 style="margin: 0 0 8px 0; font-size: 13px; color: #ffa726;">
+                    🕑 Crash History (${sorted.length})
+                </h4>
+                <div style="margin-top: 5px; font-size: 10px; color: #666;">`;
+    sorted.slice(0, limit).forEach((crash, idx) => {
+        html += historyLine(crash, idx + 1);
+    });
+    if (extraCount > 0) {
+        html += `<div id="${historyExtraId}" style="display:none;">`;
+        sorted.slice(limit).forEach((crash, idx) => {
+            html += historyLine(crash, idx + limit + 1);
+        });
+        html += `</div>
+                <p style="margin: 4px 0 3px 10px;">
+                    <a id="${historyLinkId}" href="#" data-expand-label="Show ${extraCount} more ▼"
+                       onclick="togglePopupExpand('${historyExtraId}','${historyLinkId}'); return false;"
+                       style="color:#00d4ff; font-size:11px; text-decoration:none; font-weight:600;">
+                        Show ${extraCount} more ▼
+                    </a>
+                </p>`;
+    }
+    html += `</div>
+            </div>
+            <p style="margin: 10px 0 0 0;">
+                <a href="#" onclick="showRoadCrashesInTable(${index}); return false;"
+                   style="color:#00d4ff; font-size:11px; text-decoration:none; font-weight:600;">
+                    Show these crashes in the data table →
+                </a>
+            </p>
+        </div>`;
+
+    return html;
+}
+
+/**
+ * Filter the data table to the crashes on a road segment or intersection
+ * @param {number} index - Segment or intersection index
+ */
+export function showRoadCrashesInTable(index) {
+    const crashes = roadLayerGroups.get(index);
+    if (!crashes) return;
+
+    const network = dataState.roadNetwork;
+    const label = filterState.roadAggregation === 'intersection'
+        ? (network.intersections[index].names.join(' / ') || 'Intersection')
+        : (network.segments[index].name || 'Road segment');
+    setDataTableSubset(label, crashes, 'road');
+}
+
+/**
+ * Load a road network GeoJSON chosen with the file input and show the layer
+ * @param {HTMLInputElement} input - File input element
+ */
+export async function handleRoadNetworkFile(input) {
+    const file = input.files && input.files[0];
+    if (!file) return;
+
+    try {
+        await loadRoadNetworkFile(file);
+        showNotification(`Loaded road network from ${file.name}`, 'success');
+
+        if (mapState.activeLayers.roads) {
+            updateMapLayers('roads');
+        } else {
+            toggleLayer('roads');
+        }
+    } catch (error) {
+        console.error('Error loading road network:', error);
+        showNotification(`Could not load road network: ${error.message}`, 'error');
+    } finally {
+        input.value = '';
+    }
+}
+
+/**
+ * Change how the road layer aggregates and colours crashes
+ * @param {string} key - 'aggregation', 'metric' or 'segmentLength'
+ * @param {string} value - New value
+ */
+export async function setRoadOption(key, value) {
+    if (key === 'aggregation' && (value === 'segment' || value === 'intersection')) {
+        updateFilterState({ roadAggregation: value });
+    } else if (key === 'metric' && (value === 'count' || value === 'severity')) {
+        updateFilterState({ roadMetric: value });
+    } else if (key === 'segmentLength' && ROAD_NETWORK.SEGMENT_LENGTH_OPTIONS.includes(parseInt(value))) {
+        updateFilterState({ roadSegmentLength: parseInt(value) });
+        try {
+            await rebuildRoadNetwork();
+        } catch (error) {
+            console.error('Error rebuilding road network:', error);
+            showNotification('Could not rebuild road segments.', 'error');
+            return;
+        }
+    } else {
+        return;
+    }
+
+    if (mapState.activeLayers.roads) {
+        updateMapLayers('roads');
+    }
+}
+
 // ============================================================================
 // LAYER MANAGEMENT
 // ============================================================================
@@ -1025,6 +1869,9 @@ export function switchChoroplethMode(mode) {
  */
 export function updateMapLayers(changedLayer = null) {
     try {
+        // The time-lapse player follows the same filtered data and layer toggles
+        if (typeof window.refreshTimelapse === 'function') window.refreshTimelapse();
+
         // If a specific layer changed, only update that layer
         if (changedLayer) {
             if (changedLayer === 'markers') {
@@ -1070,6 +1917,9 @@ export function updateMapLayers(changedLayer = null) {
                     }
                 }
             } else if (changedLayer === 'choropleth') {
+                const legend = document.getElementById('choroplethLegend');
+                if (legend && !mapState.activeLayers.choropleth) legend.style.display = 'none';
+
                 if (mapState.activeLayers.choropleth) {
                     // Clear existing choropleth layer first
                     if (mapState.choroplethLayer && mapState.map.hasLayer(mapState.choroplethLayer)) {
@@ -1090,6 +1940,20 @@ export function updateMapLayers(changedLayer = null) {
                         mapState.choroplethLayer = null;
                     }
                 }
+            } else if (changedLayer === 'roads') {
+                // Snapping runs in a worker, so no loading overlay is needed
+                if (mapState.activeLayers.roads) {
+                    addRoadLayer();
+                } else {
+                    removeRoadLayer();
+                }
+            } else if (changedLayer === 'hotspots') {
+                // Detection runs in a worker, so no loading overlay is needed
+                if (mapState.activeLayers.hotspots) {
+                    addHotspotLayer();
+                } else {
+                    removeHotspotLayer();
+                }
             }
             return;
         }
@@ -1113,6 +1977,16 @@ export function updateMapLayers(changedLayer = null) {
             mapState.map.removeLayer(mapState.choroplethLayer);
             mapState.choroplethLayer = null;
         }
+        removeHotspotLayer();
+        removeRoadLayer();
+
+        // Hotspots and road aggregation run in workers alongside the other layers
+        if (mapState.activeLayers.hotspots) {
+            addHotspotLayer();
+        }
+        if (mapState.activeLayers.roads) {
+            addRoadLayer();
+        }
 
         // Use requestAnimationFrame to ensure loading indicator renders
         requestAnimationFrame(() => {
@@ -1161,20 +2035,44 @@ export function updateMapLayers(changedLayer = null) {
  */
 export function toggleLayer(layerName) {
     mapState.activeLayers[layerName] = !mapState.activeLayers[layerName];
+    setLayerToggleState(layerName, mapState.activeLayers[layerName]);
+
+    // Pass the specific layer that changed to avoid re-rendering all layers
+    updateMapLayers(layerName);
+}
+
+/**
+ * Switch several layers on or off without rendering
+ * Used when restoring a saved view; the caller re-applies filters, which rebuilds every active layer.
+ * @param {Object} layers - Layer key → on/off, e.g. { markers: true, density: false }
+ */
+export function setActiveLayers(layers) {
+    Object.keys(mapState.activeLayers).forEach(layerName => {
+        if (typeof layers[layerName] !== 'boolean') return;
+        mapState.activeLayers[layerName] = layers[layerName];
+        setLayerToggleState(layerName, layers[layerName]);
+    });
 
+    const legend = document.getElementById('choroplethLegend');
+    if (legend && !mapState.activeLayers.choropleth) legend.style.display = 'none';
+}
+
+/**
+ * Reflect a layer's on/off state in its sidebar toggle
+ * @param {string} layerName - Layer key in mapState.activeLayers
+ * @param {boolean} active - Whether the layer is on
+ */
+function setLayerToggleState(layerName, active) {
     const toggle = document.getElementById(`${layerName}Toggle`);
     const status = document.getElementById(`${layerName}Status`);
 
-    if (mapState.activeLayers[layerName]) {
+    if (active) {
         toggle?.classList.add('active');
         if (status) status.textContent = 'ON';
     } else {
         toggle?.classList.remove('active');
         if (status) status.textContent = 'OFF';
     }
-
-    // Pass the specific layer that changed to avoid re-rendering all layers
-    updateMapLayers(layerName);
 }
 
 // ============================================================================
@@ -1749,7 +2647,8 @@ export function toggleDrawAreaSection() {
 }
 
 /**
- * Start drawing area (rectangle or polygon)
+ * Start drawing area (rectangle or polygon), or the line / points of a buffer area
+ * @param {string} type - 'rectangle', 'polygon', 'corridor' or 'points'
  */
 export function startDrawArea(type) {
     if (!mapState.map || typeof L.Draw === 'undefined') return;
@@ -1760,6 +2659,17 @@ export function startDrawArea(type) {
     const shapeOpts = { color: '#4a90e2', weight: 2, dashArray: '6 4', fillColor: '#4a90e2', fillOpacity: 0.06 };
     if (type === 'rectangle') {
         drawState.activeDrawHandler = new L.Draw.Rectangle(mapState.map, { shapeOptions: shapeOpts });
+    } else if (type === 'corridor') {
+        drawState.activeDrawHandler = new L.Draw.Polyline(mapState.map, {
+            shapeOptions: { color: '#4a90e2', weight: 3 },
+            showLength: true
+        });
+    } else if (type === 'points') {
+        // repeatMode keeps the marker tool on so several points can be placed
+        drawState.activeDrawHandler = new L.Draw.Marker(mapState.map, {
+            icon: L.divIcon({ className: 'buffer-point-icon', iconSize: [10, 10] }),
+            repeatMode: true
+        });
     } else {
         drawState.activeDrawHandler = new L.Draw.Polygon(mapState.map, {
             shapeOptions: shapeOpts,
@@ -1772,11 +2682,16 @@ export function startDrawArea(type) {
     // Show hint on map
     const hint = document.getElementById('drawModeHint');
     const hintText = document.querySelector('.draw-mode-hint-text');
+    const hintTexts = {
+        rectangle: 'Click and drag to draw a rectangle',
+        corridor: `Click along the road — double-click to finish (${formatBufferDistance(getBufferDistance())} buffer)`,
+        points: `Click to add points, then press Finish (${formatBufferDistance(getBufferDistance())} buffer)`
+    };
     if (hintText) {
-        hintText.textContent = type === 'rectangle'
-            ? 'Click and drag to draw a rectangle'
-            : 'Click to place vertices — double-click to finish';
+        hintText.textContent = hintTexts[type] || 'Click to place vertices — double-click to finish';
     }
+    const finishBtn = document.getElementById('drawModeFinishBtn');
+    if (finishBtn) finishBtn.style.display = type === 'points' ? '' : 'none';
     if (hint) hint.classList.add('visible');
     document.body.classList.add('draw-mode-active');
 }
@@ -1789,20 +2704,429 @@ export function cancelDrawMode() {
         drawState.activeDrawHandler.disable();
         drawState.activeDrawHandler = null;
     }
+    clearPendingBufferPoints();
     document.body.classList.remove('draw-mode-active');
     const hint = document.getElementById('drawModeHint');
     if (hint) hint.classList.remove('visible');
     updateDrawAreaUI();
 }
 
+// ============================================================================
+// DRAWN AREAS
+// ============================================================================
+
+// Id of the next drawn area; restarts at 1 once every area is cleared
+let nextDrawnAreaId = 1;
+
 /**
- * Clear drawn area
+ * Convert GeoJSON polygon coordinates to L.polygon latlngs
+ * @param {Object} geometry - Polygon or MultiPolygon
+ * @returns {Array} Nested [lat, lng] rings (the closing vertex is implied by L.polygon)
  */
-export function clearDrawArea() {
+function polygonLatLngs(geometry) {
+    const toLatLngs = rings => rings.map(ring => ring.slice(0, -1).map(([lng, lat]) => [lat, lng]));
+    return geometry.type === 'Polygon'
+        ? toLatLngs(geometry.coordinates)
+        : geometry.coordinates.map(toLatLngs);
+}
+
+/**
+ * Add a shape to the drawn areas and show it on the map
+ * @param {L.Polygon} layer - Area outline
+ * @param {Object} options
+ * @param {string} options.name - Display name (defaults to "Area n")
+ * @param {string} options.mode - 'include' or 'exclude'
+ * @param {Object|null} options.buffer - { geometry, distance } when the area buffers a line or points
+ * @returns {Object} The new area
+ */
+function addDrawnArea(layer, { name = '', mode = 'include', buffer = null } = {}) {
+    const id = nextDrawnAreaId++;
+    const area = {
+        id,
+        name: String(name).trim().slice(0, DRAWN_AREA_NAME_MAX) || `Area ${id}`,
+        mode: mode === 'exclude' ? 'exclude' : 'include',
+        kind: buffer
+            ? (buffer.geometry.type === 'MultiPoint' ? 'points' : 'corridor')
+            : (layer instanceof L.Rectangle ? 'rectangle' : 'polygon'),
+        layer,
+        buffer,
+        source: null,
+        stats: null // Crash counts inside the area, filled in by filterByDrawnAreas
+    };
+
+    if (buffer) {
+        area.source = L.geoJSON(buffer.geometry, {
+            pointToLayer: (feature, latlng) => L.circleMarker(latlng, { radius: 4 }),
+            interactive: false
+        });
+        drawState.drawnItems.addLayer(area.source);
+    }
+    drawState.drawnItems.addLayer(layer);
+    styleDrawnArea(area);
+    drawState.areas.push(area);
+    return area;
+}
+
+/**
+ * Colour an area by its mode and label it with its name
+ * @param {Object} area - Drawn area
+ */
+function styleDrawnArea(area) {
+    const style = area.mode === 'exclude' ? EXCLUDED_AREA_STYLE : DRAWN_AREA_STYLE;
+    area.layer.setStyle(style);
+    area.layer.unbindTooltip().bindTooltip(
+        `${escapeHtml(area.name)}${area.mode === 'exclude' ? ' (excluded)' : ''}`,
+        { sticky: true }
+    );
+    if (area.source) {
+        area.source.setStyle({ ...BUFFER_SOURCE_STYLE, color: style.color, fillColor: style.color });
+    }
+}
+
+/**
+ * Take an area off the map
+ * @param {Object} area - Drawn area
+ */
+function removeAreaLayers(area) {
+    if (!drawState.drawnItems) return;
+    drawState.drawnItems.removeLayer(area.layer);
+    if (area.source) drawState.drawnItems.removeLayer(area.source);
+}
+
+/**
+ * Find a drawn area by id
+ * @param {number|string} id - Area id
+ * @returns {Object|undefined}
+ */
+function findDrawnArea(id) {
+    return drawState.areas.find(area => area.id === parseInt(id));
+}
+
+/**
+ * Plain copies of the drawn areas for filtering, sharing and compare sets
+ * @returns {Array<Object>} [{ name, mode, kind, geometry, buffer }] with geometry a Polygon / MultiPolygon
+ */
+export function getDrawnAreas() {
+    return drawState.areas.map(area => ({
+        name: area.name,
+        mode: area.mode,
+        kind: area.kind,
+        geometry: area.layer.toGeoJSON().geometry,
+        buffer: area.buffer
+    }));
+}
+
+/**
+ * Prepare an area for fast point tests (bounding box check before the polygon test)
+ * @param {Object} area - { mode, geometry }
+ * @returns {{exclude: boolean, contains: Function}} contains(lat, lng) → boolean
+ */
+function compileArea({ mode, geometry }) {
+    const feature = { type: 'Feature', geometry, properties: {} };
+    const [minLng, minLat, maxLng, maxLat] = turf.bbox(feature);
+    return {
+        exclude: mode === 'exclude',
+        contains: (lat, lng) => lng >= minLng && lng <= maxLng && lat >= minLat && lat <= maxLat &&
+            turf.booleanPointInPolygon(turf.point([lng, lat]), feature)
+    };
+}
+
+/**
+ * Build a point test for a set of areas
+ * A point passes when it is inside any include area (or there are none)
+ * and outside every exclude area.
+ * @param {Array<Object>} areas - [{ mode, geometry }], e.g. from getDrawnAreas()
+ * @returns {Function|null} (coords: [lat, lng]) → boolean, or null when there are no areas
+ */
+export function createAreaMatcher(areas) {
+    if (!areas || areas.length === 0) return null;
+    const compiled = areas.map(compileArea);
+    const includes = compiled.filter(area => !area.exclude);
+    const excludes = compiled.filter(area => area.exclude);
+
+    return coords => {
+        if (!coords) return false;
+        const [lat, lng] = coords;
+        if (includes.length > 0 && !includes.some(area => area.contains(lat, lng))) return false;
+        return !excludes.some(area => area.contains(lat, lng));
+    };
+}
+
+/**
+ * Keep crashes in the union of the include areas minus the exclude areas (used by applyFilters)
+ * Also counts, for every area, the crashes inside it before the areas are
+ * combined, so areas can be compared side by side.
+ * @param {Array} data - Crash records that passed the other filters
+ * @returns {Array} Crashes inside the drawn areas, or data unchanged when there are none
+ */
+export function filterByDrawnAreas(data) {
+    const areas = drawState.areas;
+    if (areas.length === 0) return data;
+
+    const compiled = getDrawnAreas().map(compileArea);
+    const hasInclude = compiled.some(area => !area.exclude);
+    const stats = areas.map(() => ({ crashes: 0, fatalities: 0, serious: 0, minor: 0 }));
+
+    const result = data.filter(crash => {
+        const coords = crash._coords;
+        if (!coords) return false;
+
+        let included = !hasInclude;
+        let excluded = false;
+        for (let i = 0; i < compiled.length; i++) {
+            if (!compiled[i].contains(coords[0], coords[1])) continue;
+            const s = stats[i];
+            s.crashes++;
+            s.fatalities += parseInt(crash['Total Fats'] || 0);
+            s.serious += parseInt(crash['Total SI'] || 0);
+            s.minor += parseInt(crash['Total MI'] || 0);
+            if (compiled[i].exclude) excluded = true;
+            else included = true;
+        }
+        return included && !excluded;
+    });
+
+    areas.forEach((area, i) => { area.stats = stats[i]; });
+    renderDrawnAreaList();
+    return result;
+}
+
+/**
+ * Replace every drawn area (e.g. when restoring a share link or saved view)
+ * Invalid entries are skipped.
+ * @param {Array<Object>} list - [{ name, mode, geometry }] for drawn shapes or
+ *     [{ name, mode, buffer: { geometry, distance } }] for buffer areas
+ */
+export function setDrawnAreas(list) {
     cancelDrawMode();
-    if (drawState.drawnItems) drawState.drawnItems.clearLayers();
-    drawState.drawnLayer = null;
+    drawState.areas.forEach(removeAreaLayers);
+    drawState.areas = [];
+    nextDrawnAreaId = 1;
+
+    if (drawState.drawnItems) {
+        (list || []).forEach(item => {
+            if (item.buffer) {
+                setBufferArea(item.buffer.geometry, item.buffer.distance, { name: item.name, mode: item.mode });
+            } else if (item.geometry && (item.geometry.type === 'Polygon' || item.geometry.type === 'MultiPolygon')) {
+                addDrawnArea(L.polygon(polygonLatLngs(item.geometry)), { name: item.name, mode: item.mode });
+            }
+        });
+    }
+    updateDrawAreaUI();
+}
+
+/**
+ * Include or exclude an area's crashes
+ * @param {number|string} id - Area id
+ * @param {string} mode - 'include' or 'exclude'
+ */
+export function setDrawnAreaMode(id, mode) {
+    const area = findDrawnArea(id);
+    if (!area || (mode !== 'include' && mode !== 'exclude') || area.mode === mode) return;
+    area.mode = mode;
+    styleDrawnArea(area);
+    updateDrawAreaUI();
+    if (typeof window.markFiltersChanged === 'function') {
+        window.markFiltersChanged();
+    }
+}
+
+/**
+ * Rename an area
+ * @param {number|string} id - Area id
+ * @param {string} name - New name; blank restores the default
+ */
+export function renameDrawnArea(id, name) {
+    const area = findDrawnArea(id);
+    if (!area) return;
+    area.name = String(name || '').trim().slice(0, DRAWN_AREA_NAME_MAX) || `Area ${area.id}`;
+    styleDrawnArea(area);
+    updateDrawAreaUI();
+    if (typeof window.updateActiveFiltersDisplay === 'function') {
+        window.updateActiveFiltersDisplay();
+    }
+}
+
+/**
+ * Remove one area
+ * @param {number|string} id - Area id
+ */
+export function removeDrawnArea(id) {
+    const area = findDrawnArea(id);
+    if (!area) return;
+    removeAreaLayers(area);
+    drawState.areas = drawState.areas.filter(a => a !== area);
+    if (drawState.areas.length === 0) nextDrawnAreaId = 1;
     updateDrawAreaUI();
+    if (typeof window.markFiltersChanged === 'function') {
+        window.markFiltersChanged();
+    }
+}
+
+/**
+ * Describe the drawn areas for the active filters bar
+ * @returns {string|null} e.g. "Main St corridor" or "2 included, 1 excluded", or null when there are none
+ */
+export function describeDrawnAreas() {
+    const areas = drawState.areas;
+    if (areas.length === 0) return null;
+    if (areas.length === 1) {
+        const [area] = areas;
+        const detail = area.buffer ? describeBufferArea(area.buffer) : area.kind;
+        return `${area.mode === 'exclude' ? 'Excluding ' : ''}${area.name} (${detail})`;
+    }
+    const excluded = areas.filter(area => area.mode === 'exclude').length;
+    const included = areas.length - excluded;
+    return [
+        included ? `${included} included` : null,
+        excluded ? `${excluded} excluded` : null
+    ].filter(Boolean).join(', ');
+}
+
+// ============================================================================
+// BUFFER AREA
+// ============================================================================
+
+// Points placed so far in 'points' draw mode, and their preview markers
+let pendingBufferPoints = [];
+let pendingBufferLayer = null;
+
+/**
+ * Read the buffer distance select
+ * @returns {number} Distance in metres
+ */
+function getBufferDistance() {
+    const value = parseInt(document.getElementById('drawBufferDistance')?.value);
+    return DRAW_BUFFER.DISTANCE_OPTIONS_M.includes(value) ? value : DRAW_BUFFER.DEFAULT_DISTANCE_M;
+}
+
+/**
+ * Format a buffer distance for display
+ * @param {number} distance - Metres
+ * @returns {string}
+ */
+export function formatBufferDistance(distance) {
+    return distance >= 1000 ? `${distance / 1000} km` : `${distance} m`;
+}
+
+/**
+ * Describe a buffer area
+ * @param {Object} buffer - { geometry, distance }
+ * @returns {string} e.g. "100 m around a 2.4 km line"
+ */
+export function describeBufferArea({ geometry, distance }) {
+    if (geometry.type === 'MultiPoint') {
+        const n = geometry.coordinates.length;
+        return `${formatBufferDistance(distance)} around ${n} point${n === 1 ? '' : 's'}`;
+    }
+    const km = turf.length({ type: 'Feature', geometry, properties: {} }, { units: 'kilometers' });
+    return `${formatBufferDistance(distance)} around a ${km < 1 ? `${Math.round(km * 1000)} m` : `${km.toFixed(1)} km`} line`;
+}
+
+/**
+ * Buffer a line or set of points into a polygon layer
+ * @param {Object} geometry - LineString, MultiLineString or MultiPoint
+ * @param {number} distance - Buffer distance in metres
+ * @returns {L.Polygon|null}
+ */
+function buildBufferLayer(geometry, distance) {
+    const buffered = turf.buffer({ type: 'Feature', geometry, properties: {} }, distance, { units: 'meters' });
+    if (!buffered || !buffered.geometry) return null;
+    return L.polygon(polygonLatLngs(buffered.geometry));
+}
+
+/**
+ * Add a drawn area that buffers a line or set of points
+ * The buffered polygon is the area's layer, so filtering and every other
+ * drawn-area consumer treats it like a drawn polygon.
+ * @param {Object} geometry - LineString, MultiLineString or MultiPoint (a Point is treated as one point)
+ * @param {number} distance - Buffer distance in metres (defaults to the select value)
+ * @param {Object} options - { name, mode } passed to the new area
+ * @returns {Object|null} The new area
+ */
+export function setBufferArea(geometry, distance = getBufferDistance(), options = {}) {
+    if (!drawState.drawnItems || !geometry) return null;
+    if (geometry.type === 'Point') geometry = { type: 'MultiPoint', coordinates: [geometry.coordinates] };
+
+    const layer = buildBufferLayer(geometry, distance);
+    if (!layer) return null;
+
+    const area = addDrawnArea(layer, { ...options, buffer: { geometry, distance } });
+    updateDrawAreaUI();
+    return area;
+}
+
+/**
+ * Change one buffer area's distance, re-buffering its line or points
+ * @param {number|string} id - Area id
+ * @param {string|number} value - Distance in metres
+ */
+export function setDrawnAreaDistance(id, value) {
+    const area = findDrawnArea(id);
+    const distance = parseInt(value);
+    if (!area || !area.buffer || !DRAW_BUFFER.DISTANCE_OPTIONS_M.includes(distance)) return;
+
+    const layer = buildBufferLayer(area.buffer.geometry, distance);
+    if (!layer) return;
+    drawState.drawnItems.removeLayer(area.layer);
+    area.layer = layer;
+    area.buffer = { geometry: area.buffer.geometry, distance };
+    area.stats = null;
+    drawState.drawnItems.addLayer(layer);
+    styleDrawnArea(area);
+    updateDrawAreaUI();
+    if (typeof window.markFiltersChanged === 'function') {
+        window.markFiltersChanged();
+    }
+}
+
+/**
+ * Add a point placed in 'points' draw mode and preview it
+ * @param {L.LatLng} latlng - Clicked position
+ */
+function addPendingBufferPoint(latlng) {
+    if (!pendingBufferLayer) pendingBufferLayer = L.layerGroup().addTo(mapState.map);
+    pendingBufferPoints.push([latlng.lng, latlng.lat]);
+    L.circleMarker(latlng, { ...BUFFER_SOURCE_STYLE, radius: 4 }).addTo(pendingBufferLayer);
+
+    const hintText = document.querySelector('.draw-mode-hint-text');
+    if (hintText) {
+        const n = pendingBufferPoints.length;
+        hintText.textContent = `${n} point${n === 1 ? '' : 's'} placed — click to add more, then press Finish`;
+    }
+}
+
+/**
+ * Drop points placed in 'points' draw mode
+ */
+function clearPendingBufferPoints() {
+    if (pendingBufferLayer) {
+        mapState.map.removeLayer(pendingBufferLayer);
+        pendingBufferLayer = null;
+    }
+    pendingBufferPoints = [];
+}
+
+/**
+ * Finish 'points' draw mode and buffer the placed points
+ */
+export function finishDrawPoints() {
+    const points = pendingBufferPoints;
+    pendingBufferPoints = [];
+    cancelDrawMode();
+
+    if (points.length === 0) return;
+    setBufferArea({ type: 'MultiPoint', coordinates: points });
+    if (typeof window.markFiltersChanged === 'function') {
+        window.markFiltersChanged();
+    }
+}
+
+/**
+ * Clear every drawn area
+ */
+export function clearDrawArea() {
+    setDrawnAreas([]);
 
     // Mark filters as changed to trigger proper state tracking
     if (typeof window.markFiltersChanged === 'function') {
@@ -1810,30 +3134,112 @@ export function clearDrawArea() {
     }
 }
 
+/**
+ * Format a crash count per km (corridors) or per km² (other areas)
+ * @param {Object} area - Drawn area with stats
+ * @returns {string}
+ */
+function formatAreaDensity(area) {
+    if (area.kind === 'corridor') {
+        const km = turf.length({ type: 'Feature', geometry: area.buffer.geometry, properties: {} }, { units: 'kilometers' });
+        return km > 0 ? `${(area.stats.crashes / km).toFixed(1)}/km` : '—';
+    }
+    const km2 = turf.area(area.layer.toGeoJSON()) / 1e6;
+    return km2 > 0 ? `${(area.stats.crashes / km2).toFixed(1)}/km²` : '—';
+}
+
+/**
+ * Render the drawn area list: name, include/exclude, buffer distance and crash counts
+ */
+function renderDrawnAreaList() {
+    const list = document.getElementById('drawnAreaList');
+    if (!list) return;
+
+    const areas = drawState.areas;
+    if (areas.length === 0) {
+        list.innerHTML = '';
+        list.style.display = 'none';
+        return;
+    }
+
+    const distanceOptions = area => DRAW_BUFFER.DISTANCE_OPTIONS_M.map(d =>
+        `<option value="${d}"${d === area.buffer.distance ? ' selected' : ''}>${formatBufferDistance(d)}</option>`).join('');
+
+    const items = areas.map(area => `
+        <div class="drawn-area-item${area.mode === 'exclude' ? ' drawn-area-excluded' : ''}">
+            <div class="drawn-area-item-row">
+                <input type="text" class="drawn-area-name" value="${escapeHtml(area.name)}" maxlength="${DRAWN_AREA_NAME_MAX}"
+                       aria-label="Area name" onchange="renameDrawnArea(${area.id}, this.value)">
+                <select class="drawn-area-mode" aria-label="Include or exclude" onchange="setDrawnAreaMode(${area.id}, this.value)">
+                    <option value="include"${area.mode === 'include' ? ' selected' : ''}>Include</option>
+                    <option value="exclude"${area.mode === 'exclude' ? ' selected' : ''}>Exclude</option>
+                </select>
+                <button class="drawn-area-remove" onclick="removeDrawnArea(${area.id})" title="Remove area" aria-label="Remove ${escapeHtml(area.name)}">&times;</button>
+            </div>
+            ${area.buffer ? `
+            <div class="drawn-area-item-row drawn-area-buffer">
+                <span>${area.kind === 'points' ? 'Points' : 'Corridor'} buffer</span>
+                <select aria-label="Buffer distance" onchange="setDrawnAreaDistance(${area.id}, this.value)">${distanceOptions(area)}</select>
+            </div>` : ''}
+        </div>`).join('');
+
+    // Side-by-side counts once filters have been applied with the current areas
+    const counted = areas.filter(area => area.stats);
+    const table = counted.length === 0 ? '<p class="drawn-area-stats-note">Apply filters to see crash counts for each area.</p>' : `
+        <table class="drawn-area-stats">
+            <thead><tr><th>Area</th><th>Crashes</th><th>Fatal</th><th>SI</th><th>MI</th><th>Density</th></tr></thead>
+            <tbody>${counted.map(area => `
+                <tr${area.mode === 'exclude' ? ' class="drawn-area-excluded"' : ''}>
+                    <td title="${escapeHtml(area.name)}">${escapeHtml(area.name)}${area.mode === 'exclude' ? ' <span class="drawn-area-tag">excl.</span>' : ''}</td>
+                    <td>${area.stats.crashes.toLocaleString()}</td>
+                    <td>${area.stats.fatalities.toLocaleString()}</td>
+                    <td>${area.stats.serious.toLocaleString()}</td>
+                    <td>${area.stats.minor.toLocaleString()}</td>
+                    <td>${formatAreaDensity(area)}</td>
+                </tr>`).join('')}
+            </tbody>
+        </table>
+        <p class="drawn-area-stats-note">Crashes matching the other filters inside each area, before areas are combined.</p>`;
+
+    list.innerHTML = items + table;
+    list.style.display = 'block';
+}
+
 /**
  * Update draw area UI
  */
 export function updateDrawAreaUI() {
     const statusEl = document.getElementById('drawAreaStatus');
     const clearBtn = document.getElementById('drawAreaClearBtn');
+    const evalBtn  = document.getElementById('treatmentEvalBtn');
     const rectBtn  = document.getElementById('drawRectBtn');
     const polyBtn  = document.getElementById('drawPolyBtn');
+    const corridorBtn = document.getElementById('drawCorridorBtn');
+    const pointsBtn = document.getElementById('drawPointsBtn');
     const isDrawing = !!drawState.activeDrawHandler;
+    const hasAreas = drawState.areas.length > 0;
+    const hasInclude = drawState.areas.some(area => area.mode === 'include');
 
     if (statusEl) {
-        if (drawState.drawnLayer) {
-            statusEl.textContent = 'Area active — crashes filtered to drawn shape';
-            statusEl.style.display = 'block';
-        } else if (isDrawing) {
+        if (isDrawing) {
             statusEl.textContent = 'Drawing… double-click to finish polygon, or drag to finish rectangle';
             statusEl.style.display = 'block';
+        } else if (hasAreas) {
+            statusEl.textContent = hasInclude
+                ? 'Crashes filtered to the included areas, minus any excluded areas'
+                : 'Crashes in the excluded areas are removed';
+            statusEl.style.display = 'block';
         } else {
             statusEl.style.display = 'none';
         }
     }
-    if (clearBtn) clearBtn.style.display = drawState.drawnLayer ? 'block' : 'none';
+    if (clearBtn) clearBtn.style.display = hasAreas ? 'block' : 'none';
+    if (evalBtn)  evalBtn.style.display = hasInclude ? 'block' : 'none';
     if (rectBtn)  rectBtn.classList.toggle('draw-btn-active', isDrawing);
     if (polyBtn)  polyBtn.classList.toggle('draw-btn-active', isDrawing);
+    if (corridorBtn) corridorBtn.classList.toggle('draw-btn-active', isDrawing);
+    if (pointsBtn) pointsBtn.classList.toggle('draw-btn-active', isDrawing);
+    renderDrawnAreaList();
 }
 
 // Make togglePopupExpand available globally for onclick handlers
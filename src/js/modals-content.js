@@ -368,6 +368,8 @@ export const MODAL_CONTENT = {
                                 <li><strong>Markers:</strong> Individual crash points with clustering (default ON)</li>
                                 <li><strong>Density:</strong> Heat map showing crash concentration hotspots</li>
                                 <li><strong>Choropleth:</strong> Color-coded regions by crash count (LGA or Suburb)</li>
+                                <li><strong>⏯️ Time-lapse:</strong> Play the filtered crashes back by year, month or hour of day, one period at a time or cumulatively, and record the playback as a GIF or WebM</li>
+                                <li><strong>🧮 Cross-tab Explorer:</strong> Tabulate the filtered crashes by two fields (plus an optional layer), with row or column percentages, a chi-square test of association and a stacked bar chart. Casualty or vehicle fields count casualties or vehicles; click a cell to filter the map to it</li>
                             </ul>
                             <div class="callout callout-tip"><strong>Tip:</strong> You can have multiple layers active at once!</div>
                         </div>
@@ -396,6 +398,7 @@ export const MODAL_CONTENT = {
                                 <li><strong>Crash Type:</strong> Select specific crash types (e.g., Hit Object, Rear-end)</li>
                                 <li><strong>Area (LGA):</strong> Filter by local government area</li>
                                 <li><strong>Suburb:</strong> Filter by suburb name</li>
+                                <li><strong>Filter Query:</strong> Type filters as text, e.g. <code>year:2020..2024 severity:fatal,si speed&gt;=80</code>, and press Enter; field names and values autocomplete</li>
                             </ul>
                         </div>
 
@@ -406,19 +409,22 @@ export const MODAL_CONTENT = {
                                 <li>Select a radius (0.5 km to 50 km) to filter crashes within that area</li>
                                 <li><strong>✏️ Draw Area:</strong> Click "Draw Rectangle" or "Draw Polygon" to draw a custom area on the map</li>
                                 <li>Only crashes within your drawn area will be shown</li>
+                                <li><strong>Corridor / Points:</strong> Draw a line along a road or place points to keep only crashes within the buffer distance</li>
+                                <li>Draw several shapes to combine them; set any area to <em>Exclude</em> to remove its crashes, and compare the per-area counts in the list</li>
                                 <li>Click "Clear Drawn Area" to remove the spatial filter</li>
                             </ul>
                         </div>
 
                         <div class="tutorial-step">
                             <strong>Advanced Filters</strong>
-                            <p>Click <strong>"Advanced Filters"</strong> to access 3 detailed filter tabs:</p>
+                            <p>Click <strong>"Advanced Filters"</strong> to access 4 detailed filter tabs:</p>
                             <ul>
-                                <li><strong>Crash Conditions:</strong> Weather, Day/Night, Time, Date, DUI, Road Surface, Speed Zone, Month</li>
-                                <li><strong>Casualties:</strong> Road User Type, Age Group, Sex, Injury Extent, Seat Belt, Helmet</li>
-                                <li><strong>Vehicles & Units:</strong> Vehicle Type, Heavy Vehicles, Towing, Rollover, Fire, License Type</li>
+                                <li><strong>Crash Conditions:</strong> Weather, Day/Night, Time, Date, DUI, Road Surface, Speed Zone, Month, Day of Week, Holidays</li>
+                                <li><strong>Casualties:</strong> Road User Type, Age Group, Sex, Injury Extent, Seat Belt, Helmet, Total Casualties; Casualty Match chooses whether one casualty must meet all of them or each may be a different casualty (Unit Match does the same for vehicles)</li>
+                                <li><strong>Vehicles & Units:</strong> Crash Configuration (single vehicle, vehicle vs pedestrian...), Number of Units, Vehicle Type, Heavy Vehicles, Towing, Rollover, Fire, License Type</li>
+                                <li><strong>Expression:</strong> Build OR groups, NOT and comparisons such as (Severity is Fatal or SI) AND Speed Zone &ge; 80</li>
                             </ul>
-                            <div class="callout callout-tip"><strong>Tip:</strong> Multiple filters work together using AND logic (all must match)</div>
+                            <div class="callout callout-tip"><strong>Tip:</strong> Multiple filters work together using AND logic (all must match); use the Expression tab when you need OR or NOT</div>
                         </div>
 
                         <div class="tutorial-step">
@@ -449,16 +455,17 @@ export const MODAL_CONTENT = {
                         <div class="tutorial-step">
                             <strong>Available Charts</strong>
                             <ul>
-                                <li><strong>Crashes Over Time:</strong> Toggle between yearly and monthly views</li>
+                                <li><strong>Crashes Over Time:</strong> Toggle between yearly and monthly views, add a moving average or trend line, and open the year-on-year change table</li>
                                 <li><strong>By Day of Week:</strong> See which days have the most crashes</li>
                                 <li><strong>By Hour of Day:</strong> Identify peak crash times</li>
                                 <li><strong>Severity Distribution:</strong> Pie chart showing crash severity breakdown</li>
                                 <li><strong>Top Crash Types:</strong> Most common crash types in your filtered data</li>
                                 <li><strong>Top Areas/LGAs:</strong> Regions with highest crash counts</li>
                                 <li><strong>Weather Conditions:</strong> Crash distribution by weather</li>
+                                <li><strong>Holidays vs Other Days:</strong> Crashes per day on public holidays, school holidays and other days</li>
                                 <li><strong>Speed Zone Analysis:</strong> Crashes by speed limit</li>
                                 <li><strong>Casualty Demographics:</strong> Age, sex, and road user type distributions</li>
-                                <li><strong>Day × Hour Heatmap:</strong> When crashes happen most frequently</li>
+                                <li><strong>Day × Hour Heatmap:</strong> When crashes happen most frequently; click a cell to filter to that day and hour</li>
                                 <li><strong>And more...</strong></li>
                             </ul>
                         </div>
@@ -472,6 +479,15 @@ export const MODAL_CONTENT = {
                             </ul>
                             <div class="callout callout-tip"><strong>Tip:</strong> Charts update in real-time as you apply filters!</div>
                         </div>
+
+                        <div class="tutorial-step">
+                            <strong>Counting Casualties or Units</strong>
+                            <ul>
+                                <li>Use the <strong>Count</strong> toggle (Statistics panel or top of the Analytics panel) to switch between <strong>Crashes</strong>, <strong>Casualties</strong> and <strong>Units</strong></li>
+                                <li>Casualties and units are counted one by one against the casualty and vehicle filters, so Cyclist + 18-25 counts injured cyclists aged 18-25, not everyone in crashes that involved one</li>
+                                <li>Injury totals then come from the counted casualties, and the data table gains a column with each crash's count</li>
+                            </ul>
+                        </div>
                     </div>
                 </div>
 
@@ -497,6 +513,7 @@ export const MODAL_CONTENT = {
                                 <li>Click column headers to sort (e.g., by date, severity, area)</li>
                                 <li>Use pagination controls to browse through large result sets</li>
                                 <li>Each row shows crash details: date, time, location, severity, type, etc.</li>
+                                <li>Use the <strong>Casualties</strong> and <strong>Units</strong> tabs to list each person or vehicle instead; clicking a row still opens its crash</li>
                             </ul>
                         </div>
 
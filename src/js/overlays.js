@@ -0,0 +1,484 @@
+/**
+ * Map Overlays Module
+ * User-supplied point and line layers (GeoJSON or CSV) drawn over the crash map and used as a proximity filter
+ */
+
+import { mapState, filterState, updateFilterState } from './state.js';
+import { MAP_OVERLAYS } from './config.js';
+import { escapeHtml, parseCSV, readJSONFile, toWGS84GeoJSON, convertCoordinates, showLoading, hideLoading } from './utils.js';
+import { showNotification } from './ui.js';
+
+// Geometry types an overlay can hold; polygons belong in custom boundaries
+const OVERLAY_GEOMETRIES = ['Point', 'MultiPoint', 'LineString', 'MultiLineString'];
+
+// Leaflet pane above the choropleth and density layers, below crash markers
+export const OVERLAY_PANE = 'userOverlays';
+
+let _nextOverlayId = 1;
+
+// Proximity index for the overlay used as a filter, rebuilt when it or the distance changes
+let _proximityIndex = null;
+
+// ============================================================================
+// LOADING
+// ============================================================================
+
+/**
+ * Find a column by case-insensitive name
+ * @param {Array<string>} headers - CSV headers
+ * @param {Array<string>} candidates - Lower-case names to look for
+ * @returns {string|undefined} Matching header
+ */
+function findColumn(headers, candidates) {
+    return candidates.map(c => headers.find(h => h.toLowerCase() === c)).find(Boolean);
+}
+
+/**
+ * Convert CSV rows with coordinate columns to Point features
+ * @param {string} text - CSV text
+ * @returns {Object} FeatureCollection (WGS84)
+ */
+function csvToGeoJSON(text) {
+    const { headers, rows } = parseCSV(text);
+    const latCol = findColumn(headers, MAP_OVERLAYS.LAT_COLUMNS);
+    const lngCol = findColumn(headers, MAP_OVERLAYS.LNG_COLUMNS);
+    const xCol = findColumn(headers, MAP_OVERLAYS.X_COLUMNS);
+    const yCol = findColumn(headers, MAP_OVERLAYS.Y_COLUMNS);
+
+    let toLngLat;
+    if (latCol && lngCol) {
+        toLngLat = row => {
+            const lat = parseFloat(row[latCol]);
+            const lng = parseFloat(row[lngCol]);
+            return isFinite(lat) && isFinite(lng) ? [lng, lat] : null;
+        };
+    } else if (xCol && yCol) {
+        toLngLat = row => {
+            const coords = convertCoordinates(row[xCol], row[yCol]);
+            return coords ? [coords[1], coords[0]] : null;
+        };
+    } else {
+        throw new Error('The CSV needs latitude/longitude (or SA Lambert X/Y) columns');
+    }
+
+    const features = [];
+    rows.forEach(row => {
+        const position = toLngLat(row);
+        if (!position) return;
+        features.push({ type: 'Feature', geometry: { type: 'Point', coordinates: position }, properties: row });
+    });
+    return { type: 'FeatureCollection', features };
+}
+
+/**
+ * Popup listing a feature's properties
+ * @param {Object} overlay - Overlay
+ * @param {Object} feature - GeoJSON feature
+ * @returns {string} HTML
+ */
+function featurePopup(overlay, feature) {
+    const rows = Object.entries(feature.properties || {})
+        .filter(([, value]) => value !== null && value !== undefined && value !== '' && typeof value !== 'object')
+        .slice(0, 20)
+        .map(([key, value]) => `<tr><td style="padding: 2px 8px 2px 0; color: #666;">${escapeHtml(key)}</td><td style="padding: 2px 0;">${escapeHtml(value)}</td></tr>`)
+        .join('');
+
+    return `
+        <div style="color: #333; font-family: 'Segoe UI', sans-serif;">
+            <h3 style="margin: 0 0 8px 0; color: ${overlay.color};">${escapeHtml(overlay.name)}</h3>
+            ${rows ? `<table style="font-size: 12px; border-collapse: collapse;">${rows}</table>` : '<p style="margin: 0; font-size: 12px; color: #666;">No attributes</p>'}
+            <p style="margin: 8px 0 0 0; font-size: 12px;">
+                <a href="#" onclick="bufferOverlayFeature(${overlay.id}, ${overlay.features.indexOf(feature)}); return false;" style="color: #0066cc;">
+                    Filter crashes near this feature →
+                </a>
+            </p>
+        </div>`;
+}
+
+/**
+ * Create the Leaflet layer for an overlay in its current colour
+ * @param {Object} overlay - Overlay
+ * @returns {L.GeoJSON}
+ */
+function createOverlayLayer(overlay) {
+    return L.geoJSON({ type: 'FeatureCollection', features: overlay.features }, {
+        pane: OVERLAY_PANE,
+        pointToLayer: (feature, latlng) => L.circleMarker(latlng, {
+            pane: OVERLAY_PANE,
+            radius: 5,
+            color: '#ffffff',
+            weight: 1,
+            fillColor: overlay.color,
+            fillOpacity: 0.9
+        }),
+        style: feature => feature.geometry.type.includes('Point')
+            ? {}
+            : { color: overlay.color, weight: 3, opacity: 0.9 },
+        onEachFeature: (feature, layer) => {
+            layer.bindPopup(() => featurePopup(overlay, feature));
+        }
+    });
+}
+
+/**
+ * Add a point / line layer to the map
+ * @param {Object} geojson - FeatureCollection, Feature or geometry (WGS84 or SA Lambert)
+ * @param {string} name - Display name (e.g. file name)
+ * @returns {{overlay: Object, skipped: number, reprojected: boolean}}
+ */
+export function addOverlay(geojson, name) {
+    const collection = geojson && geojson.type === 'FeatureCollection' ? geojson
+        : geojson && geojson.type === 'Feature' ? { type: 'FeatureCollection', features: [geojson] }
+        : geojson && geojson.type ? { type: 'FeatureCollection', features: [{ type: 'Feature', geometry: geojson, properties: {} }] }
+        : null;
+    if (!collection || !Array.isArray(collection.features)) {
+        throw new Error('The file is not GeoJSON');
+    }
+
+    const usable = collection.features.filter(f => f && f.geometry && OVERLAY_GEOMETRIES.includes(f.geometry.type));
+    if (usable.length === 0) {
+        throw new Error('The file contains no point or line features');
+    }
+    if (usable.length > MAP_OVERLAYS.MAX_FEATURES) {
+        throw new Error(`The file has ${usable.length.toLocaleString()} features; the limit is ${MAP_OVERLAYS.MAX_FEATURES.toLocaleString()}`);
+    }
+
+    const { geojson: wgs84, reprojected } = toWGS84GeoJSON({ type: 'FeatureCollection', features: usable });
+    const points = wgs84.features.filter(f => f.geometry.type.includes('Point')).length;
+
+    const overlay = {
+        id: _nextOverlayId++,
+        name: name.replace(/\.(geo)?json$|\.csv$/i, ''),
+        color: MAP_OVERLAYS.COLORS[mapState.overlays.length % MAP_OVERLAYS.COLORS.length],
+        features: wgs84.features,
+        points,
+        lines: wgs84.features.length - points,
+        visible: true,
+        layer: null
+    };
+    overlay.layer = createOverlayLayer(overlay);
+    overlay.layer.addTo(mapState.map);
+    mapState.overlays.push(overlay);
+    renderOverlayList();
+
+    return { overlay, skipped: collection.features.length - usable.length, reprojected };
+}
+
+/**
+ * Add an overlay and report the outcome to the user
+ * @param {Object} geojson - Parsed GeoJSON
+ * @param {string} name - File name
+ */
+export function openOverlay(geojson, name) {
+    try {
+        const { overlay, skipped, reprojected } = addOverlay(geojson, name);
+        const parts = [`Added ${overlay.features.length.toLocaleString()} features from ${name}`];
+        if (reprojected) parts.push('reprojected from SA Lambert');
+        if (skipped > 0) parts.push(`${skipped.toLocaleString()} polygon or empty features skipped`);
+        showNotification(parts.join('; '), 'success');
+
+        // Fit the map to the new layer when it is mostly out of view
+        const bounds = overlay.layer.getBounds();
+        if (bounds.isValid() && !mapState.map.getBounds().intersects(bounds)) {
+            mapState.map.fitBounds(bounds, { maxZoom: 14 });
+        }
+    } catch (error) {
+        console.error('Error adding overlay:', error);
+        showNotification(`Could not add layer: ${error.message}`, 'error');
+    }
+}
+
+/**
+ * Read a GeoJSON or CSV file and add it as an overlay
+ * @param {File} file - File chosen or dropped by the user
+ */
+export async function openOverlayFile(file) {
+    showLoading(`Loading ${file.name}...`);
+    try {
+        const geojson = /\.csv$/i.test(file.name)
+            ? csvToGeoJSON(await file.text())
+            : await readJSONFile(file);
+        openOverlay(geojson, file.name);
+    } catch (error) {
+        console.error('Error reading overlay file:', error);
+        showNotification(`Could not add layer: ${error.message}`, 'error');
+    } finally {
+        hideLoading();
+    }
+}
+
+/**
+ * Add the overlay file chosen with the file input
+ * @param {HTMLInputElement} input - File input element
+ */
+export async function handleOverlayFile(input) {
+    const file = input.files && input.files[0];
+    if (!file) return;
+
+    try {
+        await openOverlayFile(file);
+    } finally {
+        input.value = '';
+    }
+}
+
+// ============================================================================
+// LAYER MANAGER
+// ============================================================================
+
+/**
+ * Find an overlay by id
+ * @param {number} id - Overlay id
+ * @returns {Object|undefined}
+ */
+function getOverlay(id) {
+    return mapState.overlays.find(o => o.id === Number(id));
+}
+
+/**
+ * Show or hide an overlay
+ * @param {number} id - Overlay id
+ */
+export function toggleOverlay(id) {
+    const overlay = getOverlay(id);
+    if (!overlay) return;
+
+    overlay.visible = !overlay.visible;
+    if (overlay.visible) {
+        overlay.layer.addTo(mapState.map);
+    } else {
+        mapState.map.removeLayer(overlay.layer);
+    }
+    renderOverlayList();
+}
+
+/**
+ * Change the colour of an overlay
+ * @param {number} id - Overlay id
+ * @param {string} color - CSS colour
+ */
+export function setOverlayColor(id, color) {
+    const overlay = getOverlay(id);
+    if (!overlay) return;
+
+    overlay.color = color;
+    overlay.layer.setStyle(feature => feature.geometry.type.includes('Point')
+        ? { fillColor: color }
+        : { color });
+}
+
+/**
+ * Remove an overlay; drops the proximity filter if it used this layer
+ * @param {number} id - Overlay id
+ */
+export function removeOverlay(id) {
+    const overlay = getOverlay(id);
+    if (!overlay) return;
+
+    mapState.map.removeLayer(overlay.layer);
+    mapState.overlays = mapState.overlays.filter(o => o !== overlay);
+    renderOverlayList();
+
+    if (filterState.overlayProximity.id === overlay.id) {
+        clearOverlayProximity();
+        if (typeof window.applyFilters === 'function') window.applyFilters();
+    }
+}
+
+/**
+ * Render the overlay rows and proximity filter controls in the layer panel
+ */
+export function renderOverlayList() {
+    const list = document.getElementById('overlayList');
+    const proximityRow = document.getElementById('overlayProximityRow');
+    const overlaySelect = document.getElementById('overlayProximitySelect');
+    const distanceSelect = document.getElementById('overlayProximityDistance');
+    if (!list) return;
+
+    list.innerHTML = mapState.overlays.map(overlay => {
+        const counts = [
+            overlay.points ? `${overlay.points.toLocaleString()} pts` : '',
+            overlay.lines ? `${overlay.lines.toLocaleString()} lines` : ''
+        ].filter(Boolean).join(', ');
+        return `
+            <div class="layer-toggle overlay-toggle${overlay.visible ? ' active' : ''}" onclick="toggleOverlay(${overlay.id})" title="Show or hide ${escapeHtml(overlay.name)}">
+                <span class="overlay-label">
+                    <input type="color" class="overlay-color" value="${overlay.color}" onclick="event.stopPropagation()" onchange="setOverlayColor(${overlay.id}, this.value)" title="Layer colour" aria-label="Colour of ${escapeHtml(overlay.name)}">
+                    <span class="overlay-name">${escapeHtml(overlay.name)}</span>
+                    <span class="overlay-count">${counts}</span>
+                </span>
+                <span>${overlay.visible ? 'ON' : 'OFF'}</span>
+                <button type="button" class="overlay-remove" onclick="event.stopPropagation(); removeOverlay(${overlay.id})" title="Remove layer" aria-label="Remove ${escapeHtml(overlay.name)}">×</button>
+            </div>`;
+    }).join('');
+
+    if (proximityRow) proximityRow.style.display = mapState.overlays.length > 0 ? '' : 'none';
+    if (overlaySelect) {
+        overlaySelect.innerHTML = '<option value="">any layer (off)</option>' + mapState.overlays.map(overlay =>
+            `<option value="${overlay.id}"${overlay.id === filterState.overlayProximity.id ? ' selected' : ''}>${escapeHtml(overlay.name)}</option>`
+        ).join('');
+    }
+    if (distanceSelect && !distanceSelect.options.length) {
+        distanceSelect.innerHTML = MAP_OVERLAYS.DISTANCE_OPTIONS_M.map(m =>
+            `<option value="${m}"${m === filterState.overlayProximity.distance ? ' selected' : ''}>${m >= 1000 ? `${m / 1000} km` : `${m} m`}</option>`
+        ).join('');
+    }
+}
+
+/**
+ * Add a buffer area around one overlay feature and apply filters
+ * @param {number} id - Overlay id
+ * @param {number} index - Feature index within the overlay
+ */
+export function bufferOverlayFeature(id, index) {
+    const overlay = getOverlay(id);
+    const feature = overlay && overlay.features[index];
+    if (!feature || typeof window.setBufferArea !== 'function') return;
+
+    mapState.map.closePopup();
+    window.setBufferArea(feature.geometry, undefined, { name: `${overlay.name} #${index + 1}` });
+    if (typeof window.applyFilters === 'function') window.applyFilters();
+}
+
+// ============================================================================
+// PROXIMITY FILTER
+// ============================================================================
+
+/**
+ * Change the proximity filter and re-apply filters
+ * @param {string} key - 'overlay' (overlay id, '' for off) or 'distance' (metres)
+ * @param {string} value - New value
+ */
+export function setOverlayProximityOption(key, value) {
+    const current = filterState.overlayProximity;
+    if (key === 'overlay') {
+        updateFilterState({ overlayProximity: { ...current, id: value === '' ? null : Number(value) } });
+    } else if (key === 'distance' && MAP_OVERLAYS.DISTANCE_OPTIONS_M.includes(parseInt(value))) {
+        updateFilterState({ overlayProximity: { ...current, distance: parseInt(value) } });
+        if (current.id === null) return;
+    } else {
+        return;
+    }
+
+    if (typeof window.applyFilters === 'function') window.applyFilters();
+}
+
+/**
+ * Turn the proximity filter off (keeps the chosen distance)
+ */
+export function clearOverlayProximity() {
+    updateFilterState({ overlayProximity: { ...filterState.overlayProximity, id: null } });
+    const select = document.getElementById('overlayProximitySelect');
+    if (select) select.value = '';
+}
+
+/**
+ * Describe the active proximity filter
+ * @returns {string|null} e.g. "within 200 m of Schools", or null when off
+ */
+export function getOverlayProximityLabel() {
+    const { id, distance } = filterState.overlayProximity;
+    const overlay = id !== null ? getOverlay(id) : null;
+    if (!overlay) return null;
+    return `within ${distance >= 1000 ? `${distance / 1000} km` : `${distance} m`} of ${overlay.name}`;
+}
+
+/**
+ * Build a grid index of an overlay's segments in local metres
+ * Points are stored as zero-length segments. Each segment is listed in every
+ * grid cell its bounding box (grown by the distance) touches, with the cell
+ * size equal to the distance, so a crash only checks its own cell.
+ * @param {Object} overlay - Overlay
+ * @param {number} distance - Distance in metres
+ * @returns {Object} Index
+ */
+function buildProximityIndex(overlay, distance) {
+    const positions = [];
+    overlay.features.forEach(f => turf.coordEach(f, c => positions.push(c)));
+    const lat0 = positions.reduce((sum, c) => sum + c[1], 0) / positions.length;
+    const kx = 111320 * Math.cos(lat0 * Math.PI / 180);
+    const ky = 110574;
+
+    const segments = [];
+    overlay.features.forEach(feature => {
+        const geom = feature.geometry;
+        const parts = geom.type === 'Point' ? [[geom.coordinates]]
+            : geom.type === 'MultiPoint' ? geom.coordinates.map(c => [c])
+            : geom.type === 'LineString' ? [geom.coordinates]
+            : geom.coordinates;
+        parts.forEach(line => {
+            if (line.length === 1) {
+                const x = line[0][0] * kx, y = line[0][1] * ky;
+                segments.push([x, y, x, y]);
+                return;
+            }
+            for (let i = 1; i < line.length; i++) {
+                segments.push([line[i - 1][0] * kx, line[i - 1][1] * ky, line[i][0] * kx, line[i][1] * ky]);
+            }
+        });
+    });
+
+    const cell = Math.max(distance, 50);
+    const grid = new Map();
+    segments.forEach((s, index) => {
+        const x0 = Math.floor((Math.min(s[0], s[2]) - distance) / cell);
+        const x1 = Math.floor((Math.max(s[0], s[2]) + distance) / cell);
+        const y0 = Math.floor((Math.min(s[1], s[3]) - distance) / cell);
+        const y1 = Math.floor((Math.max(s[1], s[3]) + distance) / cell);
+        for (let cx = x0; cx <= x1; cx++) {
+            for (let cy = y0; cy <= y1; cy++) {
+                const key = cx + ',' + cy;
+                let list = grid.get(key);
+                if (!list) {
+                    list = [];
+                    grid.set(key, list);
+                }
+                list.push(index);
+            }
+        }
+    });
+
+    return { overlay, distance, kx, ky, cell, grid, segments };
+}
+
+/**
+ * Whether a point lies within the index distance of any segment
+ * @param {Object} index - From buildProximityIndex()
+ * @param {number} lat - Latitude
+ * @param {number} lng - Longitude
+ * @returns {boolean}
+ */
+function isNearIndex(index, lat, lng) {
+    const px = lng * index.kx, py = lat * index.ky;
+    const candidates = index.grid.get(Math.floor(px / index.cell) + ',' + Math.floor(py / index.cell));
+    if (!candidates) return false;
+
+    const maxSq = index.distance * index.distance;
+    for (let i = 0; i < candidates.length; i++) {
+        const [ax, ay, bx, by] = index.segments[candidates[i]];
+        const dx = bx - ax, dy = by - ay;
+        const lenSq = dx * dx + dy * dy;
+        const t = lenSq > 0 ? Math.max(0, Math.min(1, ((px - ax) * dx + (py - ay) * dy) / lenSq)) : 0;
+        const ex = px - (ax + t * dx), ey = py - (ay + t * dy);
+        if (ex * ex + ey * ey <= maxSq) return true;
+    }
+    return false;
+}
+
+/**
+ * Keep crashes within the chosen distance of the proximity overlay (used by applySpatialFilters)
+ * @param {Array} data - Crash records
+ * @param {Object} proximity - { id, distance } (defaults to filterState.overlayProximity)
+ * @returns {Array} Matching crashes, or data unchanged when the filter is off
+ */
+export function filterByOverlayProximity(data, proximity = filterState.overlayProximity) {
+    const { id, distance } = proximity;
+    const overlay = id !== null ? getOverlay(id) : null;
+    if (!overlay) return data;
+
+    if (!_proximityIndex || _proximityIndex.overlay !== overlay || _proximityIndex.distance !== distance) {
+        _proximityIndex = buildProximityIndex(overlay, distance);
+    }
+    const index = _proximityIndex;
+    return data.filter(crash => crash._coords && isNearIndex(index, crash._coords[0], crash._coords[1]));
+}
@@ -3,10 +3,15 @@
  * Handles PDF export functionality with customizable charts, statistics, and data tables
  */
 
-import { mapState, filterState } from './state.js';
+import { mapState, dataState, filterState } from './state.js';
 import { showNotification } from './ui.js';
-import { getFilterValues } from './filters.js';
+import { getFilterValues, describeFilterValue } from './filters.js';
+import { FILTER_DEFINITIONS, isFilterActive } from './filter-registry.js';
+import { hasCasualtyFilters, hasUnitFilters } from './filter-matching.js';
 import { YEAR_RANGE } from './config.js';
+import { getNormalizationMode, getCostModel, getCrashCost, getCrashCostByLGA, formatCost, getCrashCountsByDayHour } from './analytics.js';
+import { getTrendAnalysis, describeTrend } from './trends.js';
+import { describeExpression } from './filter-expression.js';
 
 // ========================================
 // PDF Configuration Constants
@@ -54,6 +59,11 @@ const PDF_CONFIG = {
     // Chart types that work better with JPEG (photo-like, gradients)
     JPEG_SUITABLE_CHARTS: ['severityTrendChart', 'crashesOverTimeChart'],
 
+    // Day × Hour matrix (drawn directly; the analytics panel shows it as HTML)
+    DAY_HOUR_CANVAS_WIDTH: 1200,
+    DAY_HOUR_CANVAS_HEIGHT: 460,
+    DAY_HOUR_CELL_RGB: [239, 83, 80],
+
     // Colors (RGB)
     COLOR_PRIMARY: [74, 144, 226],
     COLOR_TEXT_DARK: [0, 0, 0],
@@ -99,50 +109,15 @@ const PDF_CONFIG = {
  * @returns {boolean} - True if any filters are active
  */
 function hasActiveFilters(filters) {
-    // Helper to check if an array has active selections (not 'all')
-    const isFiltered = (arr) => Array.isArray(arr) && !arr.includes('all');
-
     return (
         // Year range changed from default
         filters.yearFrom !== YEAR_RANGE.MIN ||
         filters.yearTo !== YEAR_RANGE.MAX ||
-        // Checkbox dropdowns
-        isFiltered(filters.selectedSeverities) ||
-        isFiltered(filters.selectedCrashTypes) ||
-        isFiltered(filters.selectedAreas) ||
-        isFiltered(filters.selectedSuburbs) ||
-        // Single-select dropdowns
-        (filters.weather && filters.weather !== 'all') ||
-        (filters.dayNight && filters.dayNight !== 'all') ||
-        (filters.duiInvolved && filters.duiInvolved !== 'all') ||
-        (filters.drugsInvolved && filters.drugsInvolved !== 'all') ||
-        (filters.heavyVehicle && filters.heavyVehicle !== 'all') ||
-        (filters.towing && filters.towing !== 'all') ||
-        (filters.rollover && filters.rollover !== 'all') ||
-        (filters.fire && filters.fire !== 'all') ||
-        // Multi-select dropdowns
-        isFiltered(filters.selectedRoadSurfaces) ||
-        isFiltered(filters.selectedMoistureConds) ||
-        isFiltered(filters.selectedSpeedZones) ||
-        isFiltered(filters.selectedMonths) ||
-        isFiltered(filters.selectedRoadUsers) ||
-        isFiltered(filters.selectedAgeGroups) ||
-        isFiltered(filters.selectedSexes) ||
-        isFiltered(filters.selectedInjuries) ||
-        isFiltered(filters.selectedSeatBelts) ||
-        isFiltered(filters.selectedHelmets) ||
-        isFiltered(filters.selectedVehicles) ||
-        isFiltered(filters.selectedVehicleYears) ||
-        isFiltered(filters.selectedOccupants) ||
-        isFiltered(filters.selectedLicenseTypes) ||
-        isFiltered(filters.selectedRegStates) ||
-        isFiltered(filters.selectedDirections) ||
-        isFiltered(filters.selectedMovements) ||
         // Date/time filters
-        (filters.dateFrom && filters.dateFrom !== '') ||
-        (filters.dateTo && filters.dateTo !== '') ||
-        (filters.timeFrom && filters.timeFrom !== '') ||
-        (filters.timeTo && filters.timeTo !== '')
+        !!filters.dateFrom || !!filters.dateTo ||
+        !!filters.timeFrom || !!filters.timeTo ||
+        // Crash, casualty and unit filters
+        FILTER_DEFINITIONS.some(def => isFilterActive(def, filters))
     );
 }
 
@@ -153,7 +128,6 @@ function hasActiveFilters(filters) {
  */
 function collectActiveFilters(filters) {
     const activeFilters = [];
-    const isFiltered = (arr) => Array.isArray(arr) && !arr.includes('all');
 
     if (filters.yearFrom !== YEAR_RANGE.MIN || filters.yearTo !== YEAR_RANGE.MAX) {
         activeFilters.push('Year Range: ' + filters.yearFrom + ' - ' + filters.yearTo);
@@ -166,77 +140,18 @@ function collectActiveFilters(filters) {
     if (filters.timeFrom || filters.timeTo) {
         activeFilters.push('Time Range: ' + (filters.timeFrom || '00:00') + ' - ' + (filters.timeTo || '23:59'));
     }
-    if (isFiltered(filters.selectedSeverities)) {
-        activeFilters.push('Severity: ' + filters.selectedSeverities.join(', '));
-    }
-    if (isFiltered(filters.selectedCrashTypes)) {
-        const types = filters.selectedCrashTypes.length <= 3
-            ? filters.selectedCrashTypes.join(', ')
-            : filters.selectedCrashTypes.slice(0, 3).join(', ') + ' +' + (filters.selectedCrashTypes.length - 3) + ' more';
-        activeFilters.push('Crash Types: ' + types);
-    }
-    if (filters.weather !== 'all') {
-        activeFilters.push('Weather: ' + filters.weather);
-    }
-    if (filters.dayNight !== 'all') {
-        activeFilters.push('Day/Night: ' + filters.dayNight);
-    }
-    if (filters.duiInvolved !== 'all') {
-        activeFilters.push('DUI Involved: ' + filters.duiInvolved);
-    }
-    if (filters.drugsInvolved !== 'all') {
-        activeFilters.push('Drugs Involved: ' + filters.drugsInvolved);
-    }
-    if (isFiltered(filters.selectedAreas)) {
-        const areas = filters.selectedAreas.length <= 3
-            ? filters.selectedAreas.join(', ')
-            : filters.selectedAreas.slice(0, 3).join(', ') + ' +' + (filters.selectedAreas.length - 3) + ' more';
-        activeFilters.push('LGA: ' + areas);
-    }
-    if (isFiltered(filters.selectedSuburbs)) {
-        const suburbs = filters.selectedSuburbs.length <= 3
-            ? filters.selectedSuburbs.join(', ')
-            : filters.selectedSuburbs.slice(0, 3).join(', ') + ' +' + (filters.selectedSuburbs.length - 3) + ' more';
-        activeFilters.push('Suburbs: ' + suburbs);
-    }
-    if (isFiltered(filters.selectedRoadUsers)) {
-        activeFilters.push('Road Users: ' + filters.selectedRoadUsers.join(', '));
-    }
-    if (isFiltered(filters.selectedAgeGroups)) {
-        activeFilters.push('Age Groups: ' + filters.selectedAgeGroups.join(', '));
-    }
-    if (isFiltered(filters.selectedSexes)) {
-        activeFilters.push('Sex: ' + filters.selectedSexes.join(', '));
-    }
-    if (isFiltered(filters.selectedInjuries)) {
-        activeFilters.push('Injury Extent: ' + filters.selectedInjuries.join(', '));
-    }
-    if (filters.heavyVehicle !== 'all') {
-        activeFilters.push('Heavy Vehicle: ' + (filters.heavyVehicle === 'yes' ? 'Yes' : 'No'));
-    }
-    if (isFiltered(filters.selectedVehicles)) {
-        const vehicles = filters.selectedVehicles.length <= 3
-            ? filters.selectedVehicles.join(', ')
-            : filters.selectedVehicles.slice(0, 3).join(', ') + ' +' + (filters.selectedVehicles.length - 3) + ' more';
-        activeFilters.push('Vehicle Types: ' + vehicles);
-    }
-    if (filters.selectedSpeedZones && isFiltered(filters.selectedSpeedZones)) {
-        activeFilters.push('Speed Zones: ' + filters.selectedSpeedZones.join(', ') + ' km/h');
-    }
-    if (isFiltered(filters.selectedRoadSurfaces)) {
-        activeFilters.push('Road Surface: ' + filters.selectedRoadSurfaces.join(', '));
-    }
-    if (isFiltered(filters.selectedMoistureConds)) {
-        activeFilters.push('Moisture: ' + filters.selectedMoistureConds.join(', '));
-    }
-    if (filters.towing !== 'all') {
-        activeFilters.push('Towing: ' + filters.towing);
+    FILTER_DEFINITIONS.forEach(def => {
+        const text = describeFilterValue(def, filters);
+        if (text) activeFilters.push(`${def.pdfLabel || def.label}: ${text}`);
+    });
+    if (filters.casualtyMatch === 'any' && hasCasualtyFilters(filters)) {
+        activeFilters.push('Casualty Match: each casualty filter may match a different casualty');
     }
-    if (filters.rollover !== 'all') {
-        activeFilters.push('Rollover: ' + filters.rollover);
+    if (filters.unitMatch === 'any' && hasUnitFilters(filters)) {
+        activeFilters.push('Unit Match: each unit filter may match a different unit');
     }
-    if (filters.fire !== 'all') {
-        activeFilters.push('Fire: ' + filters.fire);
+    if (filters.expression) {
+        activeFilters.push('Expression: ' + describeExpression(filters.expression, true));
     }
 
     return activeFilters;
@@ -622,7 +537,8 @@ export function showPdfPreview() {
             chart5: document.getElementById('pdfChart5').checked,
             chart6: document.getElementById('pdfChart6').checked,
             chart7: document.getElementById('pdfChart7').checked,
-            chart8: document.getElementById('pdfChart8').checked
+            chart8: document.getElementById('pdfChart8').checked,
+            chart9: document.getElementById('pdfChart9').checked
         },
         tableRows: document.querySelector('input[name="pdfTableRows"]:checked')?.value || '50',
         orientation: document.querySelector('input[name="pdfOrientation"]:checked')?.value || 'landscape',
@@ -676,6 +592,7 @@ export function showPdfPreview() {
             if (config.charts.chart6) chartNames.push('Top LGAs');
             if (config.charts.chart7) chartNames.push('Weather');
             if (config.charts.chart8) chartNames.push('Severity Trend');
+            if (config.charts.chart9) chartNames.push('Day × Hour Matrix');
 
             previewHTML += '<ul style="margin-top: 5px; font-size: 13px; color: var(--text-secondary);">';
             chartNames.forEach(name => {
@@ -735,7 +652,7 @@ let pdfExportLayers = {
     density: true,
     markers: false,
     choropleth: false,
-    choroplethMode: 'lga' // 'lga' or 'suburb'
+    choroplethMode: 'lga' // 'lga', 'suburb' or 'custom'
 };
 
 export async function enterMapPositioningMode() {
@@ -1146,6 +1063,27 @@ class PDFGenerator {
             this.doc.text('Average: ' + avgCrashesPerYear + ' crashes/year', PDF_CONFIG.MARGIN + 5, this.yPos);
             this.yPos += PDF_CONFIG.SPACING_SUBSECTION;
 
+            // Year-on-year change
+            const yearOnYear = getTrendAnalysis(this.crashData, { mode: 'yearly', countUnit: 'crashes' }).yearOnYear;
+            if (yearOnYear.length > 1) {
+                this.checkPageSpace(PDF_CONFIG.SPACING_LINE * (yearOnYear.length + 1) + PDF_CONFIG.SPACING_SUBSECTION);
+                this.setFont(PDF_CONFIG.FONT_SIZE_SUBHEADING, 'bold', PDF_CONFIG.COLOR_TEXT_DARK);
+                this.doc.text('Year-on-Year Change', PDF_CONFIG.MARGIN, this.yPos);
+                this.yPos += PDF_CONFIG.SPACING_LINE;
+
+                this.setFont(PDF_CONFIG.FONT_SIZE_BODY, 'normal', PDF_CONFIG.COLOR_TEXT_MEDIUM);
+                yearOnYear.forEach(row => {
+                    let change = '';
+                    if (row.change !== null) {
+                        change = ` (${row.change > 0 ? '+' : ''}${row.change.toLocaleString()}` +
+                            (row.percentChange !== null ? `, ${row.percentChange > 0 ? '+' : ''}${row.percentChange.toFixed(1)}%` : '') + ')';
+                    }
+                    this.doc.text(`${row.year}: ${row.count.toLocaleString()}${change}`, PDF_CONFIG.MARGIN + 5, this.yPos);
+                    this.yPos += PDF_CONFIG.SPACING_LINE;
+                });
+                this.yPos += PDF_CONFIG.SPACING_SUBSECTION;
+            }
+
             // Severity breakdown
             this.setFont(PDF_CONFIG.FONT_SIZE_SUBHEADING, 'bold', PDF_CONFIG.COLOR_TEXT_DARK);
             this.doc.text('Severity Breakdown', PDF_CONFIG.MARGIN, this.yPos);
@@ -1239,6 +1177,12 @@ class PDFGenerator {
         // Total crashes insight
         insights.push(`This report analyzes ${this.crashData.length.toLocaleString()} crash incidents from the dataset.`);
 
+        // Long-term trend (Poisson regression on yearly counts)
+        const trend = getTrendAnalysis(this.crashData, { mode: 'yearly', method: 'poisson', countUnit: 'crashes' }).trend;
+        if (trend) {
+            insights.push(`Yearly crash counts show a ${describeTrend(trend)}`);
+        }
+
         // Severity analysis
         const severityCounts = { '1: PDO': 0, '2: MI': 0, '3: SI': 0, '4: Fatal': 0 };
         this.crashData.forEach(crash => {
@@ -1298,6 +1242,23 @@ class PDFGenerator {
         const totalCasualties = totalFatalities + totalSI + totalMI;
         insights.push(`These incidents resulted in ${totalCasualties.toLocaleString()} total casualties: ${totalFatalities.toLocaleString()} fatalities, ${totalSI.toLocaleString()} serious injuries, and ${totalMI.toLocaleString()} minor injuries.`);
 
+        // Cost insight (uses the default model when weighting is off)
+        const costModel = getCostModel();
+        const totalCost = this.crashData.reduce((sum, crash) => sum + getCrashCost(crash), 0);
+        if (totalCost > 0) {
+            const fsiCost = severityCounts['4: Fatal'] * costModel.weights['4: Fatal'] +
+                severityCounts['3: SI'] * costModel.weights['3: SI'];
+            const fsiPct = ((fsiCost / totalCost) * 100).toFixed(1);
+            insights.push(`Using the ${costModel.label} model, these crashes carry an estimated total of ${formatCost(totalCost)}, with fatal and serious injury crashes accounting for ${fsiPct}% of it.`);
+
+            const lgaCosts = getCrashCostByLGA(this.crashData);
+            if (Object.keys(lgaCosts).length > 0) {
+                const topCostLGA = Object.entries(lgaCosts).sort((a, b) => b[1] - a[1])[0];
+                const costPct = ((topCostLGA[1] / totalCost) * 100).toFixed(1);
+                insights.push(`By estimated cost, ${topCostLGA[0]} ranks highest at ${formatCost(topCostLGA[1])} (${costPct}% of the total).`);
+            }
+        }
+
         return insights;
     }
 
@@ -1619,6 +1580,60 @@ class PDFGenerator {
         });
     }
 
+    /**
+     * Draw the day × hour crash matrix onto a canvas for the PDF
+     * @returns {HTMLCanvasElement}
+     */
+    renderDayHourMatrix() {
+        const matrix = getCrashCountsByDayHour(this.crashData, 'crashes');
+        const dayNames = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+        const [r, g, b] = PDF_CONFIG.DAY_HOUR_CELL_RGB;
+
+        const canvas = document.createElement('canvas');
+        canvas.width = PDF_CONFIG.DAY_HOUR_CANVAS_WIDTH;
+        canvas.height = PDF_CONFIG.DAY_HOUR_CANVAS_HEIGHT;
+        const ctx = canvas.getContext('2d');
+        ctx.fillStyle = '#FFFFFF';
+        ctx.fillRect(0, 0, canvas.width, canvas.height);
+
+        const left = 60, top = 10, bottom = 40;
+        const cellW = (canvas.width - left - 10) / 24;
+        const cellH = (canvas.height - top - bottom) / 7;
+        const max = Math.max(1, ...matrix.map(row => Math.max(...row)));
+
+        ctx.textBaseline = 'middle';
+        matrix.forEach((row, day) => {
+            const y = top + day * cellH;
+            ctx.fillStyle = '#3C3C3C';
+            ctx.font = '16px helvetica, sans-serif';
+            ctx.textAlign = 'right';
+            ctx.fillText(dayNames[day], left - 10, y + cellH / 2);
+
+            row.forEach((count, hour) => {
+                const x = left + hour * cellW;
+                const alpha = count / max;
+                ctx.fillStyle = `rgba(${r}, ${g}, ${b}, ${alpha.toFixed(2)})`;
+                ctx.fillRect(x + 1, y + 1, cellW - 2, cellH - 2);
+                if (count > 0) {
+                    ctx.fillStyle = alpha > 0.55 ? '#FFFFFF' : '#3C3C3C';
+                    ctx.font = '12px helvetica, sans-serif';
+                    ctx.textAlign = 'center';
+                    ctx.fillText(count.toLocaleString(), x + cellW / 2, y + cellH / 2);
+                }
+            });
+        });
+
+        // Hour labels
+        ctx.fillStyle = '#3C3C3C';
+        ctx.font = '14px helvetica, sans-serif';
+        ctx.textAlign = 'center';
+        for (let hour = 0; hour < 24; hour += 2) {
+            ctx.fillText(String(hour).padStart(2, '0') + ':00', left + (hour + 0.5) * cellW, canvas.height - bottom / 2);
+        }
+
+        return canvas;
+    }
+
     async addCharts() {
         if (!this.options.includeCharts) return;
 
@@ -1634,7 +1649,8 @@ class PDFGenerator {
                 'pdfChart5': { id: 'crashTypeChart', include: this.options.charts.crashType, title: 'Top Crash Types' },
                 'pdfChart6': { id: 'topLGAChart', include: this.options.charts.lga, title: 'Top Areas (LGA)' },
                 'pdfChart7': { id: 'weatherChart', include: this.options.charts.weather, title: 'Weather Conditions' },
-                'pdfChart8': { id: 'severityTrendChart', include: this.options.charts.severityTrend, title: 'Severity Trend Over Time' }
+                'pdfChart8': { id: 'severityTrendChart', include: this.options.charts.severityTrend, title: 'Severity Trend Over Time' },
+                'pdfChart9': { id: 'dayHourMatrix', include: this.options.charts.dayHour, title: 'Crashes by Day of Week and Hour', render: () => this.renderDayHourMatrix() }
             };
 
             // Build chart list respecting user-defined order
@@ -1646,7 +1662,7 @@ class PDFGenerator {
                 if (!chartInfo.include) continue;
 
                 try {
-                    const canvas = document.getElementById(chartInfo.id);
+                    const canvas = chartInfo.render ? chartInfo.render() : document.getElementById(chartInfo.id);
                     if (!canvas) {
                         console.warn('Chart canvas not found:', chartInfo.id);
                         continue;
@@ -2000,10 +2016,16 @@ class PDFGenerator {
 
         // Choropleth legend
         if (pdfExportLayers.choropleth) {
-            const mode = pdfExportLayers.choroplethMode === 'suburb' ? 'Suburb' : 'LGA';
+            const mode = pdfExportLayers.choroplethMode === 'suburb' ? 'Suburb'
+                : pdfExportLayers.choroplethMode === 'custom' && dataState.customBoundaries ? dataState.customBoundaries.name
+                : 'LGA';
+            const rateMode = getNormalizationMode();
+            // Suburbs and custom areas can only be shaded by area rate (see addChoroplethBySuburb)
+            const showRate = rateMode.field && (mode === 'LGA' || rateMode.field === 'areaKm2');
+            const title = showRate ? `${rateMode.label} by ${mode}` : `Crashes by ${mode}`;
             legendHTML += `
                 <div style="margin-bottom: 8px;">
-                    <div style="font-weight: 600; font-size: 12px; margin-bottom: 4px;">Crashes by ${mode}</div>
+                    <div style="font-weight: 600; font-size: 12px; margin-bottom: 4px;">${title}</div>
                     <div style="display: grid; grid-template-columns: 1fr 1fr; gap: 3px; font-size: 11px;">
                         <div style="display: flex; align-items: center; gap: 4px;">
                             <div style="width: 14px; height: 14px; background: #FF00FF; border: 1px solid #ccc;"></div>
@@ -2498,7 +2520,8 @@ export async function generatePdfReport() {
                 crashType: document.getElementById('pdfChart5').checked,
                 lga: document.getElementById('pdfChart6').checked,
                 weather: document.getElementById('pdfChart7').checked,
-                severityTrend: document.getElementById('pdfChart8').checked
+                severityTrend: document.getElementById('pdfChart8').checked,
+                dayHour: document.getElementById('pdfChart9').checked
             },
             chartOrder: chartOrder,
             tableRows: document.querySelector('input[name="pdfTableRows"]:checked')?.value || '50',
@@ -2577,3 +2600,95 @@ export async function generatePdfReport() {
         }
     }
 }
+
+/**
+ * Export a before/after treatment evaluation as a standalone PDF
+ * @param {Object} evaluation - Result of evaluateTreatment (treatment-evaluation.js)
+ */
+export async function generateTreatmentEvaluationPdf(evaluation) {
+    const { jsPDF } = window.jspdf;
+    const doc = new jsPDF({
+        orientation: 'portrait',
+        unit: PDF_CONFIG.UNIT,
+        format: PDF_CONFIG.PAGE_FORMAT
+    });
+
+    const generator = new PDFGenerator(doc, [], {});
+    const { MARGIN } = PDF_CONFIG;
+    const textWidth = generator.pageWidth - MARGIN * 2;
+
+    const addParagraph = (text, color = PDF_CONFIG.COLOR_TEXT_MEDIUM) => {
+        generator.setFont(PDF_CONFIG.FONT_SIZE_BODY, 'normal', color);
+        doc.splitTextToSize(text, textWidth).forEach(line => {
+            generator.checkPageSpace(PDF_CONFIG.SPACING_LINE);
+            doc.text(line, MARGIN, generator.yPos);
+            generator.yPos += PDF_CONFIG.SPACING_LINE;
+        });
+    };
+
+    const addHeading = (text) => {
+        generator.checkPageSpace(PDF_CONFIG.SPACING_SECTION + PDF_CONFIG.SPACING_SUBSECTION);
+        generator.setFont(PDF_CONFIG.FONT_SIZE_HEADING, 'bold', PDF_CONFIG.COLOR_TEXT_DARK);
+        doc.text(text, MARGIN, generator.yPos);
+        generator.yPos += PDF_CONFIG.SPACING_SUBSECTION;
+    };
+
+    // Title
+    generator.yPos += 5;
+    generator.setFont(PDF_CONFIG.FONT_SIZE_TITLE, 'bold', PDF_CONFIG.COLOR_PRIMARY);
+    doc.text('Before/After Treatment Evaluation', generator.pageWidth / 2, generator.yPos, { align: 'center' });
+    generator.yPos += 10;
+    generator.setFont(PDF_CONFIG.FONT_SIZE_SMALL, 'normal', PDF_CONFIG.COLOR_TEXT_LIGHT);
+    doc.text('Generated: ' + evaluation.generated.toLocaleString(), generator.pageWidth / 2, generator.yPos, { align: 'center' });
+    generator.yPos += PDF_CONFIG.SPACING_SECTION;
+
+    // Site and parameters
+    const { site, beforeWindow, afterWindow } = evaluation;
+    addHeading('Site and Periods');
+    [
+        `Site: drawn ${site.shape.toLowerCase()}, ${site.areaKm2.toFixed(3)} km² centred on ${site.centre.lat.toFixed(5)}, ${site.centre.lng.toFixed(5)}`,
+        `Treatment date: ${evaluation.treatmentDate}` + (evaluation.settlingMonths ? ` (${evaluation.settlingMonths} month settling period excluded)` : ''),
+        `Before: ${beforeWindow.from} to ${beforeWindow.to} (${beforeWindow.years.toFixed(1)} years)`,
+        `After: ${afterWindow.from} to ${afterWindow.to} (${afterWindow.years.toFixed(1)} years)`,
+        evaluation.applyFilters ? 'Current filters applied (excluding dates and years)' : 'All crashes in the area (filters not applied)'
+    ].forEach(line => addParagraph('• ' + line));
+    generator.yPos += PDF_CONFIG.SPACING_SUBSECTION;
+
+    // Results table
+    addHeading('Results');
+    doc.autoTable({
+        head: [['', 'Before', 'After', 'Change in annual rate']],
+        body: [
+            ...evaluation.rows.map(row => [
+                row.label,
+                row.before.toLocaleString(),
+                row.after.toLocaleString(),
+                row.change === null ? '–' : `${row.change > 0 ? '+' : ''}${row.change.toFixed(0)}%`
+            ]),
+            ['Crashes per year', evaluation.before.perYear.toFixed(1), evaluation.after.perYear.toFixed(1), '']
+        ],
+        startY: generator.yPos,
+        margin: { left: MARGIN, right: MARGIN },
+        styles: { fontSize: PDF_CONFIG.FONT_SIZE_BODY - 1, cellPadding: 2 },
+        headStyles: { fillColor: PDF_CONFIG.COLOR_PRIMARY, fontStyle: 'bold' },
+        alternateRowStyles: { fillColor: PDF_CONFIG.COLOR_TABLE_ALT_ROW },
+        columnStyles: { 1: { halign: 'right' }, 2: { halign: 'right' }, 3: { halign: 'right' } }
+    });
+    generator.yPos = doc.lastAutoTable.finalY + PDF_CONFIG.SPACING_SECTION;
+
+    // Significance
+    addHeading('Significance');
+    evaluation.findings.forEach(finding => {
+        addParagraph(finding, PDF_CONFIG.COLOR_TEXT_DARK);
+        generator.yPos += 2;
+    });
+    addParagraph('Test: exact conditional (binomial) test comparing the before and after Poisson rates, adjusted for period length.');
+    generator.yPos += PDF_CONFIG.SPACING_SUBSECTION;
+
+    // Caveats
+    addHeading('Notes');
+    [...evaluation.notes, evaluation.caveat].forEach(note => addParagraph('• ' + note));
+
+    generator.addPageNumbers();
+    doc.save(`Before_After_Evaluation_${evaluation.treatmentDate}.pdf`);
+}
@@ -60,7 +60,7 @@ export class LRUCache {
  * IndexedDB wrapper for caching large datasets
  */
 class IndexedDBCache {
-    constructor(dbName = 'CrashMapCache', version = 1) {
+    constructor(dbName = 'CrashMapCache', version = 2) {
         this.dbName = dbName;
         this.version = version;
         this.db = null;
@@ -89,6 +89,10 @@ class IndexedDBCache {
                 if (!db.objectStoreNames.contains('metadata')) {
                     db.createObjectStore('metadata');
                 }
+                // User data, not a cache: never emptied by clear()
+                if (!db.objectStoreNames.contains('savedViews')) {
+                    db.createObjectStore('savedViews');
+                }
             };
         });
     }
@@ -125,6 +129,38 @@ class IndexedDBCache {
         });
     }
 
+    /**
+     * Get every value in a store
+     */
+    async getAll(storeName) {
+        if (!this.db) await this.open();
+
+        return new Promise((resolve, reject) => {
+            const transaction = this.db.transaction([storeName], 'readonly');
+            const store = transaction.objectStore(storeName);
+            const request = store.getAll();
+
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+    }
+
+    /**
+     * Delete a key from a store
+     */
+    async delete(storeName, key) {
+        if (!this.db) await this.open();
+
+        return new Promise((resolve, reject) => {
+            const transaction = this.db.transaction([storeName], 'readwrite');
+            const store = transaction.objectStore(storeName);
+            const request = store.delete(key);
+
+            request.onsuccess = () => resolve();
+            request.onerror = () => reject(request.error);
+        });
+    }
+
     /**
      * Check if cache is fresh (less than maxAge milliseconds old)
      */
@@ -0,0 +1,662 @@
+/**
+ * Query Language Module
+ * Text filter queries (e.g. year:2020..2024 severity:fatal,si speed>=80) with autocomplete
+ */
+
+import { YEAR_RANGE } from './config.js';
+import { escapeHtml } from './utils.js';
+import {
+    getFilterValues,
+    getSelectedValues,
+    getValue,
+    getFilterOptions,
+    setFilterControl,
+    setYearRange,
+    applyFilters
+} from './filters.js';
+import { FILTER_DEFINITIONS } from './filter-registry.js';
+
+// ============================================================================
+// FIELDS
+// ============================================================================
+
+/**
+ * Helper: Query field for a filter definition's query keyword (see FILTER_DEFINITIONS)
+ */
+function getDefinitionQueryField(def) {
+    const { key, ...field } = def.query;
+    const control = def.type === 'range'
+        ? { kind: 'count', from: `${def.control}Min`, to: `${def.control}Max` }
+        : { kind: 'option', id: def.control };
+    return [key, { ...field, ...control }];
+}
+
+/**
+ * Query keys and the filter controls they set
+ * kind: 'year' (year slider), 'date' / 'time' / 'count' (from/to inputs) or 'option'
+ * (the control's option list). numeric option fields also take ranges and comparisons;
+ * short fields write the first three letters of the label (jan, mon); fields with a
+ * defaultValue are reset to it rather than to 'all'. The crash, casualty and unit
+ * filter keywords come from the query entries of FILTER_DEFINITIONS.
+ */
+export const QUERY_FIELDS = {
+    year: { label: 'Year', kind: 'year' },
+    date: { label: 'Date (yyyy-mm-dd)', kind: 'date', from: 'dateFrom', to: 'dateTo' },
+    time: { label: 'Time of day (hh:mm)', kind: 'time', from: 'timeFrom', to: 'timeTo' },
+    ...Object.fromEntries(FILTER_DEFINITIONS.filter(def => def.query).map(getDefinitionQueryField)),
+    casualtymatch: { label: 'Casualty match (same / any)', kind: 'option', id: 'casualtyMatch', defaultValue: 'same' },
+    unitmatch: { label: 'Unit match (same / any)', kind: 'option', id: 'unitMatch', defaultValue: 'same' }
+};
+
+// Other spellings accepted for query keys
+const FIELD_ALIASES = {
+    years: 'year',
+    crashtype: 'type',
+    area: 'lga',
+    license: 'licence',
+    speedzone: 'speed',
+    dow: 'day',
+    configuration: 'config',
+    unit: 'units',
+    casualty: 'casualties'
+};
+
+const OPERATORS = ['!=', '>=', '<=', ':', '=', '>', '<'];
+
+/**
+ * Helper: Field for a query key, or null
+ */
+function getField(key) {
+    const name = key.toLowerCase();
+    const resolved = QUERY_FIELDS[name] ? name : FIELD_ALIASES[name];
+    return resolved ? { key: resolved, ...QUERY_FIELDS[resolved] } : null;
+}
+
+/**
+ * Helper: Whether a filter control takes several values (checkbox dropdown or multi-select)
+ */
+function allowsMultiple(elementId) {
+    return !!document.getElementById(`${elementId}Menu`) || !!document.getElementById(elementId)?.multiple;
+}
+
+// ============================================================================
+// PARSING
+// ============================================================================
+
+/**
+ * Split a query into clauses
+ * A clause is key, operator and a comma-separated value list; values with spaces or
+ * commas are double-quoted. Nothing is checked against the filter options here.
+ * @param {string} text - Query text
+ * @returns {{clauses: Array<{key: string, op: string, values: Array<string>, text: string}>,
+ *     errors: Array<string>}}
+ */
+export function parseQuery(text) {
+    const clauses = [];
+    const errors = [];
+    const source = text || '';
+    let pos = 0;
+
+    while (pos < source.length) {
+        while (pos < source.length && /\s/.test(source[pos])) pos++;
+        if (pos >= source.length) break;
+        const start = pos;
+
+        const keyMatch = /^[a-z]+/i.exec(source.slice(pos));
+        const key = keyMatch ? keyMatch[0] : '';
+        pos += key.length;
+        const op = OPERATORS.find(candidate => source.startsWith(candidate, pos));
+
+        if (!key || !op) {
+            while (pos < source.length && !/\s/.test(source[pos])) pos++;
+            errors.push(`"${source.slice(start, pos)}" is not a clause (use key:value)`);
+            continue;
+        }
+        pos += op.length;
+
+        // Values: quoted or bare, separated by commas
+        const values = [];
+        let unclosed = false;
+        for (;;) {
+            if (source[pos] === '"') {
+                const end = source.indexOf('"', pos + 1);
+                if (end === -1) {
+                    errors.push(`Missing closing quote in "${source.slice(start)}"`);
+                    pos = source.length;
+                    unclosed = true;
+                    break;
+                }
+                values.push(source.slice(pos + 1, end));
+                pos = end + 1;
+            } else {
+                const valueStart = pos;
+                while (pos < source.length && source[pos] !== ',' && !/\s/.test(source[pos])) pos++;
+                values.push(source.slice(valueStart, pos));
+            }
+            if (source[pos] !== ',') break;
+            pos++;
+        }
+
+        if (unclosed) continue;
+
+        const clauseText = source.slice(start, pos);
+        if (values.every(value => value === '')) {
+            errors.push(`"${clauseText}" has no value`);
+        } else {
+            clauses.push({ key, op, values: values.filter(value => value !== ''), text: clauseText });
+        }
+    }
+
+    return { clauses, errors };
+}
+
+/**
+ * Helper: Text a value list item is matched against (value, value without its
+ * "n: " prefix, and label), lower case
+ */
+function getOptionNames(option) {
+    const value = option.value.trim().toLowerCase();
+    return [value, value.replace(/^\d+:\s*/, ''), option.label.trim().toLowerCase()];
+}
+
+/**
+ * Helper: Options matching one query value
+ * Exact matches on value or label win; otherwise the value may be part of a single
+ * option's label (jan, mon).
+ */
+function matchOptions(options, token) {
+    const wanted = token.trim().toLowerCase();
+    const exact = options.filter(option => getOptionNames(option).includes(wanted));
+    if (exact.length > 0) return exact;
+    return options.filter(option => getOptionNames(option).some(name => name.includes(wanted)));
+}
+
+/**
+ * Helper: Number for a range end of a numeric option field (a number or an option name)
+ */
+function getRangeNumber(options, token) {
+    if (token === '') return null;
+    if (/^-?\d+(\.\d+)?$/.test(token.trim())) return parseFloat(token);
+    const matches = matchOptions(options, token);
+    return matches.length === 1 ? parseFloat(matches[0].value) : NaN;
+}
+
+/**
+ * Helper: 'a..b' split into its ends, or null for a single value
+ */
+function splitRange(value) {
+    const index = value.indexOf('..');
+    return index === -1 ? null : [value.slice(0, index).trim(), value.slice(index + 2).trim()];
+}
+
+/**
+ * Helper: Option values a clause selects on an option field
+ * @returns {{values: Array<string>}|{error: string}}
+ */
+function resolveOptionClause(field, clause) {
+    const options = getFilterOptions(field.id);
+    if (options.length === 0) return { error: `${field.key} has no values loaded yet` };
+
+    const selected = new Set();
+    const comparison = ['>', '>=', '<', '<='].includes(clause.op);
+    if (comparison && !field.numeric) {
+        return { error: `${field.key} does not support ${clause.op} (use ${field.key}:value)` };
+    }
+
+    for (const token of clause.values) {
+        const range = comparison ? (clause.values.length === 1 ? null : false) : splitRange(token);
+        if (range === false) return { error: `${clause.text}: comparisons take a single value` };
+
+        if (comparison || range) {
+            if (!field.numeric) return { error: `${field.key} does not support ranges` };
+            let low, high;
+            if (comparison) {
+                const number = getRangeNumber(options, token);
+                if (!Number.isFinite(number)) return { error: `${clause.text}: "${token}" is not a number` };
+                low = clause.op.startsWith('>') ? number : -Infinity;
+                high = clause.op.startsWith('<') ? number : Infinity;
+                if (clause.op === '>') low += 1e-9;
+                if (clause.op === '<') high -= 1e-9;
+            } else {
+                low = range[0] === '' ? -Infinity : getRangeNumber(options, range[0]);
+                high = range[1] === '' ? Infinity : getRangeNumber(options, range[1]);
+                if (Number.isNaN(low) || Number.isNaN(high)) {
+                    return { error: `${clause.text}: "${token}" is not a valid range` };
+                }
+            }
+            options.forEach(option => {
+                const number = parseFloat(option.value);
+                if (number >= low && number <= high) selected.add(option.value);
+            });
+            continue;
+        }
+
+        const matches = matchOptions(options, token);
+        if (matches.length === 0) {
+            const examples = options.slice(0, 5).map(option => getOptionToken(field, option)).join(', ');
+            return { error: `No ${field.key} value matches "${token}" (e.g. ${examples})` };
+        }
+        if (matches.length > 1 && !getOptionNames(matches[0]).includes(token.trim().toLowerCase())) {
+            const found = matches.slice(0, 3).map(option => option.label).join(', ');
+            return { error: `"${token}" matches several ${field.key} values (${found}...); be more specific` };
+        }
+        matches.forEach(option => selected.add(option.value));
+    }
+
+    if (selected.size === 0) return { error: `${clause.text} selects no ${field.key} values` };
+
+    let values = options.map(option => option.value).filter(value => selected.has(value));
+    if (clause.op === '!=') values = options.map(option => option.value).filter(value => !selected.has(value));
+    if (values.length === 0) return { error: `${clause.text} excludes every ${field.key} value` };
+
+    if (!allowsMultiple(field.id) && values.length > 1) {
+        return { error: `${field.key} takes a single value` };
+    }
+    return { values };
+}
+
+/**
+ * Helper: [from, to] years a year clause selects
+ */
+function resolveYearClause(clause) {
+    if (clause.values.length !== 1) return { error: 'year takes a single value or range' };
+    const value = clause.values[0];
+    const toYear = text => (text === '' ? null : /^\d{4}$/.test(text) ? parseInt(text) : NaN);
+    let from, to;
+
+    if (clause.op === ':' || clause.op === '=') {
+        const range = splitRange(value) || [value, value];
+        from = toYear(range[0]) ?? YEAR_RANGE.MIN;
+        to = toYear(range[1]) ?? YEAR_RANGE.MAX;
+    } else if (clause.op === '!=') {
+        return { error: 'year does not support != (use a range)' };
+    } else {
+        const year = toYear(value);
+        from = clause.op === '>=' ? year : clause.op === '>' ? year + 1 : YEAR_RANGE.MIN;
+        to = clause.op === '<=' ? year : clause.op === '<' ? year - 1 : YEAR_RANGE.MAX;
+    }
+
+    if (!Number.isFinite(from) || !Number.isFinite(to)) return { error: `${clause.text}: years are yyyy` };
+    from = Math.max(from, YEAR_RANGE.MIN);
+    to = Math.min(to, YEAR_RANGE.MAX);
+    if (from > to) return { error: `${clause.text} is outside ${YEAR_RANGE.MIN}-${YEAR_RANGE.MAX}` };
+    return { values: [from, to] };
+}
+
+// Input format of each from/to field kind, for checking values and error messages
+const RANGE_FORMATS = {
+    date: { pattern: /^\d{4}-\d{2}-\d{2}$/, hint: 'yyyy-mm-dd' },
+    time: { pattern: /^\d{1,2}:\d{2}$/, hint: 'hh:mm' },
+    count: { pattern: /^\d+$/, hint: 'whole numbers' }
+};
+
+/**
+ * Helper: [from, to] inputs a date, time or count clause sets ('' leaves an end open)
+ * Counts also take > and <, which are the same as >= and <= one further in.
+ */
+function resolveRangeClause(field, clause) {
+    if (clause.values.length !== 1) return { error: `${field.key} takes a single value or range` };
+    const format = RANGE_FORMATS[field.kind];
+    const normalize = text => (field.kind === 'time' && text ? text.padStart(5, '0') : text);
+    let value = clause.values[0];
+    let op = clause.op;
+
+    if (field.kind === 'count' && (op === '>' || op === '<') && format.pattern.test(value)) {
+        value = String(parseInt(value) + (op === '>' ? 1 : -1));
+        op += '=';
+        if (value === '-1') return { error: `${clause.text} selects nothing` };
+    }
+
+    let range;
+    if (op === ':' || op === '=') {
+        range = splitRange(value) || [value, value];
+    } else if (op === '>=') {
+        range = [value, ''];
+    } else if (op === '<=') {
+        range = ['', value];
+    } else {
+        const comparisons = field.kind === 'count' ? '>, >=, < and <=' : '>= and <=';
+        return { error: `${field.key} supports ${field.key}:from..to, ${comparisons}` };
+    }
+
+    if (range.some(end => end !== '' && !format.pattern.test(end))) {
+        return { error: `${clause.text}: use ${format.hint}` };
+    }
+    if (field.kind === 'count' && range[0] !== '' && range[1] !== '' && parseInt(range[0]) > parseInt(range[1])) {
+        return { error: `${clause.text}: the range is back to front` };
+    }
+    return { values: range.map(normalize) };
+}
+
+/**
+ * Check a query against the filter options
+ * @param {string} text - Query text
+ * @returns {{settings: Array<{field: Object, values: Array}>, errors: Array<string>}}
+ *     One setting per clause; a later clause on the same field replaces an earlier one
+ */
+export function resolveQuery(text) {
+    const { clauses, errors } = parseQuery(text);
+    const settings = [];
+
+    clauses.forEach(clause => {
+        const field = getField(clause.key);
+        if (!field) {
+            errors.push(`Unknown field "${clause.key}"`);
+            return;
+        }
+        const result = field.kind === 'year' ? resolveYearClause(clause)
+            : field.kind === 'option' ? resolveOptionClause(field, clause)
+            : resolveRangeClause(field, clause);
+        if (result.error) {
+            errors.push(result.error);
+        } else {
+            settings.push({ field, values: result.values });
+        }
+    });
+
+    return { settings, errors };
+}
+
+// ============================================================================
+// APPLYING & WRITING QUERIES
+// ============================================================================
+
+/**
+ * Set the filter controls from a query and apply them
+ * Every control the query language covers is reset first, so the query describes
+ * them completely; drawn areas, boundary regions and the expression are kept.
+ * @param {string} text - Query text
+ * @returns {Object|null} The applied filter values (see getFilterValues), or null when
+ *     the query has errors (nothing is changed)
+ */
+export function applyQuery(text) {
+    const { settings, errors } = resolveQuery(text);
+    if (errors.length > 0) {
+        setQueryStatus(errors.join(' · '), true);
+        return null;
+    }
+
+    setYearRange([...YEAR_RANGE.DEFAULT]);
+    Object.values(QUERY_FIELDS).forEach(field => {
+        if (field.kind === 'option') {
+            setFilterControl(field.id, [field.defaultValue || 'all']);
+        } else if (field.kind !== 'year') {
+            setFilterControl(field.from, ['']);
+            setFilterControl(field.to, ['']);
+        }
+    });
+
+    settings.forEach(({ field, values }) => {
+        if (field.kind === 'year') {
+            setYearRange(values);
+        } else if (field.kind === 'option') {
+            setFilterControl(field.id, values);
+        } else {
+            setFilterControl(field.from, [values[0]]);
+            setFilterControl(field.to, [values[1]]);
+        }
+    });
+
+    setQueryStatus(settings.length > 0 ? '' : 'Empty query: all crashes shown', false);
+    applyFilters();
+    return getFilterValues();
+}
+
+/**
+ * Helper: How a query writes an option
+ */
+function getOptionToken(field, option) {
+    const token = field.short
+        ? option.label.slice(0, 3).toLowerCase()
+        : option.value.trim().replace(/^\d+:\s*/, '');
+    return /[\s,"]|\.\./.test(token) || token === '' ? `"${token.replace(/"/g, '')}"` : token;
+}
+
+/**
+ * Helper: Query clause for an option field, or '' when it is not filtered
+ */
+function describeOptionField(key, field) {
+    const options = getFilterOptions(field.id);
+    const multiple = allowsMultiple(field.id);
+    const selected = multiple ? getSelectedValues(field.id) : [getValue(field.id)];
+    if (selected.includes('all') || selected.includes('multiple')) return '';
+    if (field.defaultValue && selected[0] === field.defaultValue) return '';
+
+    const chosen = options.filter(option => selected.includes(option.value));
+    if (chosen.length === 0) return '';
+    // Mostly-selected lists are shorter written as exclusions (like share links)
+    if (multiple && chosen.length > options.length * 0.7) {
+        const excluded = options.filter(option => !selected.includes(option.value));
+        return `${key}!=${excluded.map(option => getOptionToken(field, option)).join(',')}`;
+    }
+    return `${key}:${chosen.map(option => getOptionToken(field, option)).join(',')}`;
+}
+
+/**
+ * Write the current filter controls as a query
+ * @returns {string} Query text ('' when nothing the query language covers is filtered)
+ */
+export function buildQueryFromFilters() {
+    const filters = getFilterValues();
+    const parts = [];
+
+    Object.entries(QUERY_FIELDS).forEach(([key, field]) => {
+        if (field.kind === 'year') {
+            if (filters.yearFrom !== YEAR_RANGE.MIN || filters.yearTo !== YEAR_RANGE.MAX) {
+                parts.push(filters.yearFrom === filters.yearTo
+                    ? `year:${filters.yearFrom}`
+                    : `year:${filters.yearFrom}..${filters.yearTo}`);
+            }
+        } else if (field.kind === 'option') {
+            const clause = describeOptionField(key, field);
+            if (clause) parts.push(clause);
+        } else {
+            const from = document.getElementById(field.from)?.value || '';
+            const to = document.getElementById(field.to)?.value || '';
+            if (from && to) parts.push(from === to ? `${key}:${from}` : `${key}:${from}..${to}`);
+            else if (from) parts.push(`${key}>=${from}`);
+            else if (to) parts.push(`${key}<=${to}`);
+        }
+    });
+
+    return parts.join(' ');
+}
+
+/**
+ * Show the current filter controls in the query bar
+ * Skipped while the query bar has focus, so typing is never overwritten.
+ */
+export function syncQueryFromFilters() {
+    const input = document.getElementById('filterQuery');
+    if (!input || document.activeElement === input) return;
+    input.value = buildQueryFromFilters();
+    setQueryStatus('', false);
+}
+
+/**
+ * Helper: Show a message (or error) under the query bar
+ */
+function setQueryStatus(message, isError) {
+    const status = document.getElementById('filterQueryStatus');
+    if (!status) return;
+    status.textContent = message;
+    status.classList.toggle('error', !!isError);
+}
+
+// ============================================================================
+// AUTOCOMPLETE
+// ============================================================================
+
+// Suggestions currently shown: { text, label, start, end } where start/end is the
+// part of the query the suggestion replaces
+let querySuggestions = [];
+let selectedQuerySuggestion = -1;
+
+const MAX_QUERY_SUGGESTIONS = 12;
+
+/**
+ * Helper: Suggestions for the clause being typed at the cursor
+ */
+function getQuerySuggestions(text, cursor) {
+    const before = text.slice(0, cursor);
+    // Start of the clause: the last space outside quotes
+    let clauseStart = 0;
+    let quoted = false;
+    for (let i = 0; i < before.length; i++) {
+        if (before[i] === '"') quoted = !quoted;
+        else if (!quoted && /\s/.test(before[i])) clauseStart = i + 1;
+    }
+    const clause = before.slice(clauseStart);
+    const keyMatch = /^([a-z]*)/i.exec(clause);
+    const key = keyMatch[1];
+    const op = OPERATORS.find(candidate => clause.startsWith(candidate, key.length));
+
+    if (!op) {
+        const typed = key.toLowerCase();
+        return Object.entries(QUERY_FIELDS)
+            .filter(([name]) => name.startsWith(typed))
+            .map(([name, field]) => ({
+                text: `${name}:`,
+                label: field.label,
+                start: clauseStart,
+                end: clauseStart + clause.length
+            }));
+    }
+
+    const field = getField(key);
+    if (!field || field.kind !== 'option') return [];
+
+    // Value being typed: after the last comma outside quotes
+    const valuesText = clause.slice(key.length + op.length);
+    let valueStart = 0;
+    quoted = false;
+    for (let i = 0; i < valuesText.length; i++) {
+        if (valuesText[i] === '"') quoted = !quoted;
+        else if (!quoted && valuesText[i] === ',') valueStart = i + 1;
+    }
+    const typed = valuesText.slice(valueStart).replace(/"/g, '').toLowerCase();
+    const start = clauseStart + key.length + op.length + valueStart;
+
+    return getFilterOptions(field.id)
+        .filter(option => getOptionNames(option).some(name => name.includes(typed)))
+        .map(option => ({
+            text: getOptionToken(field, option),
+            label: option.label,
+            start,
+            end: cursor
+        }));
+}
+
+/**
+ * Helper: Render the suggestion list
+ */
+function renderQuerySuggestions() {
+    const list = document.getElementById('filterQuerySuggestions');
+    if (!list) return;
+
+    if (querySuggestions.length === 0) {
+        list.classList.remove('show');
+        list.innerHTML = '';
+        return;
+    }
+    list.innerHTML = querySuggestions.map((suggestion, index) => `
+        <div class="suggestion-item${index === selectedQuerySuggestion ? ' selected' : ''}" data-index="${index}">
+            <span class="match">${escapeHtml(suggestion.text)}</span>
+            <span class="query-suggestion-label">${escapeHtml(suggestion.label)}</span>
+        </div>`).join('');
+    list.classList.add('show');
+}
+
+/**
+ * Helper: Close the suggestion list
+ */
+function hideQuerySuggestions() {
+    querySuggestions = [];
+    selectedQuerySuggestion = -1;
+    renderQuerySuggestions();
+}
+
+/**
+ * Helper: Put a suggestion into the query and suggest again from there
+ */
+function acceptQuerySuggestion(index) {
+    const input = document.getElementById('filterQuery');
+    const suggestion = querySuggestions[index];
+    if (!input || !suggestion) return;
+
+    input.value = input.value.slice(0, suggestion.start) + suggestion.text + input.value.slice(suggestion.end);
+    const cursor = suggestion.start + suggestion.text.length;
+    input.setSelectionRange(cursor, cursor);
+    input.focus();
+    handleQueryInput();
+}
+
+/**
+ * Update the suggestions as the query is typed
+ */
+export function handleQueryInput() {
+    const input = document.getElementById('filterQuery');
+    if (!input) return;
+
+    querySuggestions = getQuerySuggestions(input.value, input.selectionStart ?? input.value.length)
+        .slice(0, MAX_QUERY_SUGGESTIONS);
+    selectedQuerySuggestion = -1;
+    renderQuerySuggestions();
+    setQueryStatus('', false);
+}
+
+/**
+ * Keyboard handling for the query bar
+ * Arrow keys move through the suggestions, Tab or Enter takes one, Enter without a
+ * suggestion applies the query and Escape closes the list.
+ * @param {KeyboardEvent} event - Keyboard event
+ */
+export function handleQueryKeydown(event) {
+    const open = querySuggestions.length > 0;
+
+    if (event.key === 'ArrowDown' && open) {
+        event.preventDefault();
+        selectedQuerySuggestion = Math.min(selectedQuerySuggestion + 1, querySuggestions.length - 1);
+        renderQuerySuggestions();
+    } else if (event.key === 'ArrowUp' && open) {
+        event.preventDefault();
+        selectedQuerySuggestion = Math.max(selectedQuerySuggestion - 1, -1);
+        renderQuerySuggestions();
+    } else if (event.key === 'Tab' && open) {
+        event.preventDefault();
+        acceptQuerySuggestion(Math.max(selectedQuerySuggestion, 0));
+    } else if (event.key === 'Enter') {
+        event.preventDefault();
+        if (selectedQuerySuggestion >= 0) {
+            acceptQuerySuggestion(selectedQuerySuggestion);
+        } else {
+            hideQuerySuggestions();
+            applyQuery(event.target.value);
+        }
+    } else if (event.key === 'Escape') {
+        hideQuerySuggestions();
+    }
+}
+
+/**
+ * Set up the query bar (suggestion clicks via event delegation) and fill it from the
+ * current filters
+ */
+export function initQueryBar() {
+    const input = document.getElementById('filterQuery');
+    const list = document.getElementById('filterQuerySuggestions');
+    if (!input || !list) return;
+
+    if (!list._queryHandlerAttached) {
+        // mousedown rather than click so the input keeps focus
+        list.addEventListener('mousedown', e => {
+            const item = e.target.closest('.suggestion-item');
+            if (!item) return;
+            e.preventDefault();
+            acceptQuerySuggestion(parseInt(item.dataset.index));
+        });
+        input.addEventListener('blur', hideQuerySuggestions);
+        list._queryHandlerAttached = true;
+    }
+    syncQueryFromFilters();
+}
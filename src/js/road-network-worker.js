@@ -0,0 +1,395 @@
+/**
+ * Road Network Worker
+ * Splits a road network into fixed-length segments, finds intersections and
+ * snaps crash points to them off the main thread.
+ *
+ * Protocol:
+ *   INIT { type:'INIT', geojson, segmentLengthM, nameProperties, areas? }
+ *        → READY { type:'READY', segments, intersections, roadLengthsKm }
+ *   ROAD_LENGTHS { type:'ROAD_LENGTHS', areas }
+ *        → ROAD_LENGTHS { type:'ROAD_LENGTHS', roadLengthsKm }
+ *   SNAP { type:'SNAP', id, coordsBuffer, target, maxDistanceM }
+ *        → RESULT { type:'RESULT', id, assignmentsBuffer }
+ *
+ * segments:      [{ coords: [[lat, lng], ...], name, lengthM }]
+ * intersections: [{ latlng: [lat, lng], names: [...] }]
+ * areas:         [{ name, geometry }] - Polygon / MultiPolygon areas (WGS84)
+ * roadLengthsKm: { [name]: km } summed from the source lines, each edge placed by
+ *                its midpoint; null when INIT carried no areas
+ *
+ * coordsBuffer is a transferred Float64Array.buffer of [lat0, lng0, lat1, lng1, ...].
+ * assignmentsBuffer is a transferred Int32Array.buffer holding, for each point,
+ * the index of the nearest segment or intersection (target 'segment' or
+ * 'intersection') within maxDistanceM, or -1 when nothing is close enough.
+ *
+ * Geometry uses a local equirectangular projection, which is accurate to well
+ * under a metre over the distances involved in snapping.
+ */
+
+const METRES_PER_DEGREE = 111320;
+
+// Spatial index cell size; snap distances are capped to this so a 3×3 lookup always suffices
+const INDEX_CELL_M = 100;
+
+// Latitude bands per area polygon, so a point-in-polygon test only visits nearby edges
+const AREA_BANDS = 64;
+
+let projection = null;
+let sourceLines = null;    // Unsplit lines of the current network, kept for ROAD_LENGTHS
+let segmentEdges = null;   // Flat [segmentIndex, x1, y1, x2, y2] per edge
+let segmentGrid = null;    // Map cellKey → edge indices
+let intersectionXY = null; // Flat [x, y] per intersection
+let intersectionGrid = null;
+
+self.onmessage = function (e) {
+    const { type } = e.data;
+
+    if (type === 'INIT') {
+        try {
+            const result = buildNetwork(e.data.geojson, e.data.segmentLengthM, e.data.nameProperties || []);
+            self.postMessage({
+                type: 'READY',
+                segments: result.segments,
+                intersections: result.intersections,
+                roadLengthsKm: e.data.areas ? sumRoadLengths(e.data.areas) : null
+            });
+        } catch (err) {
+            sourceLines = null;
+            self.postMessage({ type: 'ERROR', message: err.message });
+        }
+        return;
+    }
+
+    if (type === 'ROAD_LENGTHS') {
+        self.postMessage({ type: 'ROAD_LENGTHS', roadLengthsKm: sumRoadLengths(e.data.areas || []) });
+        return;
+    }
+
+    if (type === 'SNAP') {
+        const { id, coordsBuffer, target, maxDistanceM } = e.data;
+        const coords = new Float64Array(coordsBuffer);
+        const assignments = new Int32Array(coords.length / 2).fill(-1);
+
+        if (projection) {
+            const maxDist = Math.min(maxDistanceM, INDEX_CELL_M);
+            for (let i = 0; i < assignments.length; i++) {
+                const lat = coords[i * 2], lng = coords[i * 2 + 1];
+                if (!isFinite(lat) || !isFinite(lng)) continue;
+                const [x, y] = project(lng, lat);
+                assignments[i] = target === 'intersection'
+                    ? nearestIntersection(x, y, maxDist)
+                    : nearestSegment(x, y, maxDist);
+            }
+        }
+
+        self.postMessage({ type: 'RESULT', id, assignmentsBuffer: assignments.buffer }, [assignments.buffer]);
+    }
+};
+
+// ─── Network building ────────────────────────────────────────────────────────
+
+function buildNetwork(geojson, segmentLengthM, nameProperties) {
+    const lines = [];
+    (geojson.features || []).forEach(feature => {
+        const geom = feature && feature.geometry;
+        if (!geom) return;
+        const props = feature.properties || {};
+        const nameKey = nameProperties.find(key => props[key]);
+        const name = nameKey ? String(props[nameKey]) : '';
+
+        if (geom.type === 'LineString') {
+            lines.push({ coords: geom.coordinates, name });
+        } else if (geom.type === 'MultiLineString') {
+            geom.coordinates.forEach(coords => lines.push({ coords, name }));
+        }
+    });
+
+    if (lines.length === 0) {
+        throw new Error('No LineString features found in the road network');
+    }
+    sourceLines = lines;
+
+    // Projection origin at the network's centre
+    let minLat = Infinity, maxLat = -Infinity, minLng = Infinity, maxLng = -Infinity;
+    lines.forEach(line => line.coords.forEach(([lng, lat]) => {
+        if (lat < minLat) minLat = lat;
+        if (lat > maxLat) maxLat = lat;
+        if (lng < minLng) minLng = lng;
+        if (lng > maxLng) maxLng = lng;
+    }));
+    const lat0 = (minLat + maxLat) / 2;
+    const lng0 = (minLng + maxLng) / 2;
+    projection = {
+        lat0,
+        lng0,
+        mPerLat: METRES_PER_DEGREE,
+        mPerLng: METRES_PER_DEGREE * Math.cos(lat0 * Math.PI / 180)
+    };
+
+    // Vertex degree: line ends count once, interior vertices twice.
+    // Three or more road ends meeting at a vertex make an intersection.
+    const vertices = new Map();
+    const vertexKey = (lng, lat) => lng.toFixed(6) + ',' + lat.toFixed(6);
+    lines.forEach(line => {
+        const last = line.coords.length - 1;
+        line.coords.forEach(([lng, lat], i) => {
+            const key = vertexKey(lng, lat);
+            let vertex = vertices.get(key);
+            if (!vertex) {
+                vertex = { lng, lat, degree: 0, names: new Set() };
+                vertices.set(key, vertex);
+            }
+            vertex.degree += (i === 0 || i === last) ? 1 : 2;
+            if (line.name) vertex.names.add(line.name);
+        });
+    });
+
+    const intersections = [];
+    intersectionXY = [];
+    intersectionGrid = new Map();
+    vertices.forEach(vertex => {
+        if (vertex.degree < 3) return;
+        const index = intersections.length;
+        const [x, y] = project(vertex.lng, vertex.lat);
+        intersections.push({ latlng: [vertex.lat, vertex.lng], names: [...vertex.names] });
+        intersectionXY.push(x, y);
+        addToGrid(intersectionGrid, cellKey(x, y), index);
+    });
+
+    // Split lines into segments of at most segmentLengthM
+    const segments = [];
+    segmentEdges = [];
+    segmentGrid = new Map();
+
+    lines.forEach(line => {
+        const pts = line.coords.map(([lng, lat]) => project(lng, lat));
+        let current = [pts[0]];
+        let currentLength = 0;
+
+        const finishSegment = () => {
+            if (current.length < 2 || currentLength === 0) return;
+            const index = segments.length;
+            segments.push({
+                coords: current.map(([x, y]) => unproject(x, y)),
+                name: line.name,
+                lengthM: Math.round(currentLength)
+            });
+            for (let i = 0; i < current.length - 1; i++) {
+                addEdge(index, current[i], current[i + 1]);
+            }
+        };
+
+        for (let i = 1; i < pts.length; i++) {
+            let [ax, ay] = current[current.length - 1];
+            const [bx, by] = pts[i];
+            let edgeLength = Math.hypot(bx - ax, by - ay);
+
+            // Cut the edge wherever it crosses a segment boundary
+            while (currentLength + edgeLength > segmentLengthM && edgeLength > 0) {
+                const t = (segmentLengthM - currentLength) / edgeLength;
+                const cut = [ax + (bx - ax) * t, ay + (by - ay) * t];
+                current.push(cut);
+                currentLength = segmentLengthM;
+                finishSegment();
+
+                current = [cut];
+                currentLength = 0;
+                [ax, ay] = cut;
+                edgeLength = Math.hypot(bx - ax, by - ay);
+            }
+
+            current.push(pts[i]);
+            currentLength += edgeLength;
+        }
+        finishSegment();
+    });
+
+    return { segments, intersections };
+}
+
+function addEdge(segmentIndex, a, b) {
+    const edgeIndex = segmentEdges.length / 5;
+    segmentEdges.push(segmentIndex, a[0], a[1], b[0], b[1]);
+
+    // Register the edge in every index cell its bounding box touches
+    const gx1 = Math.floor(Math.min(a[0], b[0]) / INDEX_CELL_M);
+    const gx2 = Math.floor(Math.max(a[0], b[0]) / INDEX_CELL_M);
+    const gy1 = Math.floor(Math.min(a[1], b[1]) / INDEX_CELL_M);
+    const gy2 = Math.floor(Math.max(a[1], b[1]) / INDEX_CELL_M);
+    for (let gx = gx1; gx <= gx2; gx++) {
+        for (let gy = gy1; gy <= gy2; gy++) {
+            addToGrid(segmentGrid, gx + ',' + gy, edgeIndex);
+        }
+    }
+}
+
+// ─── Road length per area ────────────────────────────────────────────────────
+
+function sumRoadLengths(areas) {
+    const lengthsKm = {};
+    if (!sourceLines) return lengthsKm;
+
+    const indexed = areas.map(indexArea).filter(Boolean);
+    const lengthsM = {};
+    let lastArea = null;
+
+    sourceLines.forEach(line => {
+        for (let i = 1; i < line.coords.length; i++) {
+            const [lng1, lat1] = line.coords[i - 1];
+            const [lng2, lat2] = line.coords[i];
+            const lng = (lng1 + lng2) / 2;
+            const lat = (lat1 + lat2) / 2;
+
+            // Consecutive edges are nearly always in the same area, so try the last hit first
+            const area = lastArea && areaContains(lastArea, lng, lat)
+                ? lastArea
+                : indexed.find(candidate => areaContains(candidate, lng, lat));
+            if (!area) continue;
+            lastArea = area;
+
+            const [x1, y1] = project(lng1, lat1);
+            const [x2, y2] = project(lng2, lat2);
+            lengthsM[area.name] = (lengthsM[area.name] || 0) + Math.hypot(x2 - x1, y2 - y1);
+        }
+    });
+
+    Object.keys(lengthsM).forEach(name => {
+        lengthsKm[name] = Math.round(lengthsM[name] / 100) / 10;
+    });
+    return lengthsKm;
+}
+
+function indexArea(area) {
+    const geom = area && area.geometry;
+    if (!geom) return null;
+    const polygons = geom.type === 'Polygon' ? [geom.coordinates]
+        : geom.type === 'MultiPolygon' ? geom.coordinates
+        : [];
+
+    // Flat [lng1, lat1, lng2, lat2] per ring edge; holes are handled by the even-odd rule
+    const edges = [];
+    let minLng = Infinity, minLat = Infinity, maxLng = -Infinity, maxLat = -Infinity;
+    polygons.forEach(rings => rings.forEach(ring => {
+        for (let i = 1; i < ring.length; i++) {
+            const [lng1, lat1] = ring[i - 1];
+            const [lng2, lat2] = ring[i];
+            edges.push(lng1, lat1, lng2, lat2);
+            minLng = Math.min(minLng, lng1, lng2);
+            maxLng = Math.max(maxLng, lng1, lng2);
+            minLat = Math.min(minLat, lat1, lat2);
+            maxLat = Math.max(maxLat, lat1, lat2);
+        }
+    }));
+    if (edges.length === 0) return null;
+
+    const bandHeight = (maxLat - minLat) / AREA_BANDS || 1;
+    const bands = Array.from({ length: AREA_BANDS }, () => []);
+    for (let e = 0; e < edges.length; e += 4) {
+        const b1 = bandOf(Math.min(edges[e + 1], edges[e + 3]), minLat, bandHeight);
+        const b2 = bandOf(Math.max(edges[e + 1], edges[e + 3]), minLat, bandHeight);
+        for (let b = b1; b <= b2; b++) bands[b].push(e);
+    }
+
+    return { name: area.name, minLng, minLat, maxLng, maxLat, bandHeight, bands, edges };
+}
+
+function areaContains(area, lng, lat) {
+    if (lng < area.minLng || lng > area.maxLng || lat < area.minLat || lat > area.maxLat) return false;
+
+    // Ray cast towards +lng over the edges in this latitude band
+    const { edges } = area;
+    let inside = false;
+    area.bands[bandOf(lat, area.minLat, area.bandHeight)].forEach(e => {
+        const lng1 = edges[e], lat1 = edges[e + 1], lng2 = edges[e + 2], lat2 = edges[e + 3];
+        if ((lat1 > lat) !== (lat2 > lat) &&
+            lng < lng1 + (lat - lat1) * (lng2 - lng1) / (lat2 - lat1)) {
+            inside = !inside;
+        }
+    });
+    return inside;
+}
+
+function bandOf(lat, minLat, bandHeight) {
+    return Math.max(0, Math.min(AREA_BANDS - 1, Math.floor((lat - minLat) / bandHeight)));
+}
+
+// ─── Snapping ────────────────────────────────────────────────────────────────
+
+function nearestSegment(x, y, maxDist) {
+    let best = -1;
+    let bestDist = maxDist;
+    const seen = new Set();
+
+    forEachNearbyCell(segmentGrid, x, y, edgeIndex => {
+        if (seen.has(edgeIndex)) return;
+        seen.add(edgeIndex);
+        const o = edgeIndex * 5;
+        const dist = pointToEdgeDistance(x, y, segmentEdges[o + 1], segmentEdges[o + 2], segmentEdges[o + 3], segmentEdges[o + 4]);
+        if (dist <= bestDist) {
+            bestDist = dist;
+            best = segmentEdges[o];
+        }
+    });
+
+    return best;
+}
+
+function nearestIntersection(x, y, maxDist) {
+    let best = -1;
+    let bestDist = maxDist;
+
+    forEachNearbyCell(intersectionGrid, x, y, index => {
+        const dist = Math.hypot(intersectionXY[index * 2] - x, intersectionXY[index * 2 + 1] - y);
+        if (dist <= bestDist) {
+            bestDist = dist;
+            best = index;
+        }
+    });
+
+    return best;
+}
+
+function pointToEdgeDistance(px, py, ax, ay, bx, by) {
+    const dx = bx - ax, dy = by - ay;
+    const lengthSq = dx * dx + dy * dy;
+    let t = lengthSq > 0 ? ((px - ax) * dx + (py - ay) * dy) / lengthSq : 0;
+    t = Math.max(0, Math.min(1, t));
+    return Math.hypot(px - (ax + t * dx), py - (ay + t * dy));
+}
+
+// ─── Helpers ─────────────────────────────────────────────────────────────────
+
+function project(lng, lat) {
+    return [
+        (lng - projection.lng0) * projection.mPerLng,
+        (lat - projection.lat0) * projection.mPerLat
+    ];
+}
+
+function unproject(x, y) {
+    return [
+        projection.lat0 + y / projection.mPerLat,
+        projection.lng0 + x / projection.mPerLng
+    ];
+}
+
+function cellKey(x, y) {
+    return Math.floor(x / INDEX_CELL_M) + ',' + Math.floor(y / INDEX_CELL_M);
+}
+
+function addToGrid(grid, key, value) {
+    const bucket = grid.get(key);
+    if (bucket) bucket.push(value);
+    else grid.set(key, [value]);
+}
+
+function forEachNearbyCell(grid, x, y, callback) {
+    const gx = Math.floor(x / INDEX_CELL_M);
+    const gy = Math.floor(y / INDEX_CELL_M);
+    for (let dx = -1; dx <= 1; dx++) {
+        for (let dy = -1; dy <= 1; dy++) {
+            const bucket = grid.get((gx + dx) + ',' + (gy + dy));
+            if (bucket) bucket.forEach(callback);
+        }
+    }
+}
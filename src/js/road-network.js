@@ -0,0 +1,252 @@
+/**
+ * Road Network Module
+ * Loads a road network GeoJSON and snaps crashes to its segments or intersections
+ */
+
+import { dataState, filterState, updateDataState } from './state.js';
+import { ROAD_NETWORK } from './config.js';
+import { normalizeLGAName, getLGAName } from './utils.js';
+import { setRoadLengthDenominators } from './data-loader.js';
+
+// Road network Web Worker
+let _roadWorker = null;
+let _roadRequestId = 0;
+
+// Source GeoJSON, kept so the network can be re-split at a new segment length
+let _roadGeoJSON = null;
+let _roadNetworkName = '';
+
+// ============================================================================
+// LOADING
+// ============================================================================
+
+/**
+ * Lazily create the road network worker
+ * @returns {Worker}
+ */
+function getRoadWorker() {
+    if (!_roadWorker) {
+        _roadWorker = new Worker('./src/js/road-network-worker.js');
+        _roadWorker.addEventListener('message', e => {
+            if (e.data.type === 'ROAD_LENGTHS') setRoadLengthDenominators(e.data.roadLengthsKm);
+        });
+    }
+    return _roadWorker;
+}
+
+/**
+ * Build segments and intersections from a road network GeoJSON
+ * Stores the result in dataState.roadNetwork.
+ * @param {Object} geojson - FeatureCollection of LineString / MultiLineString roads (WGS84)
+ * @param {string} name - Display name (e.g. file name)
+ * @returns {Promise<Object>} The road network { name, segments, intersections }
+ */
+export function loadRoadNetwork(geojson, name) {
+    return buildRoadNetwork(geojson, name, true);
+}
+
+/**
+ * Helper: Run the worker over a road network GeoJSON
+ * Road length per LGA only depends on the source lines, so it is summed for a
+ * new source but not when the same source is re-split at another segment length.
+ * @param {Object} geojson - FeatureCollection of LineString / MultiLineString roads (WGS84)
+ * @param {string} name - Display name
+ * @param {boolean} isNewSource - Sum road length per LGA for the rate denominators
+ * @returns {Promise<Object>} The road network
+ */
+function buildRoadNetwork(geojson, name, isNewSource) {
+    if (!window.Worker) {
+        return Promise.reject(new Error('Web Workers are not supported in this browser'));
+    }
+    if (!geojson || !Array.isArray(geojson.features)) {
+        return Promise.reject(new Error('Road network must be a GeoJSON FeatureCollection'));
+    }
+
+    _roadGeoJSON = geojson;
+    _roadNetworkName = name;
+    updateDataState({ roadNetwork: null });
+    updateRoadNetworkStatus('Building road segments...');
+    if (isNewSource) setRoadLengthDenominators({});
+
+    const worker = getRoadWorker();
+    return new Promise((resolve, reject) => {
+        function cleanup() {
+            worker.removeEventListener('message', onMessage);
+            worker.removeEventListener('error', onError);
+        }
+
+        function onMessage(e) {
+            if (e.data.type === 'ERROR') {
+                cleanup();
+                updateRoadNetworkStatus('No road network loaded');
+                reject(new Error(e.data.message));
+                return;
+            }
+            if (e.data.type !== 'READY') return;
+            cleanup();
+
+            const network = {
+                name,
+                segments: e.data.segments,
+                intersections: e.data.intersections
+            };
+            updateDataState({ roadNetwork: network });
+            if (e.data.roadLengthsKm) setRoadLengthDenominators(e.data.roadLengthsKm);
+            updateRoadNetworkStatus(
+                `${name}: ${network.segments.length.toLocaleString()} segments, ${network.intersections.length.toLocaleString()} intersections`
+            );
+            resolve(network);
+        }
+
+        function onError(err) {
+            cleanup();
+            updateRoadNetworkStatus('No road network loaded');
+            reject(err);
+        }
+
+        worker.addEventListener('message', onMessage);
+        worker.addEventListener('error', onError);
+        worker.postMessage({
+            type: 'INIT',
+            geojson,
+            segmentLengthM: filterState.roadSegmentLength,
+            nameProperties: ROAD_NETWORK.NAME_PROPERTIES,
+            areas: isNewSource ? getLGAAreas() : null
+        });
+    });
+}
+
+/**
+ * Try to load the bundled road network (ROAD_NETWORK.DEFAULT_FILE)
+ * @returns {Promise<boolean>} True if a network was loaded
+ */
+export async function loadDefaultRoadNetwork() {
+    try {
+        const response = await fetch(ROAD_NETWORK.DEFAULT_FILE);
+        if (!response.ok) return false;
+        const geojson = await response.json();
+        await loadRoadNetwork(geojson, ROAD_NETWORK.DEFAULT_FILE.split('/').pop());
+        return true;
+    } catch (error) {
+        console.warn('Default road network not available:', error);
+        return false;
+    }
+}
+
+/**
+ * Read a road network GeoJSON from a user-selected file
+ * @param {File} file - .geojson / .json file
+ * @returns {Promise<Object>} The road network
+ */
+export async function loadRoadNetworkFile(file) {
+    const text = await file.text();
+    let geojson;
+    try {
+        geojson = JSON.parse(text);
+    } catch (error) {
+        throw new Error(`${file.name} is not valid JSON`);
+    }
+    return loadRoadNetwork(geojson, file.name);
+}
+
+/**
+ * Re-split the loaded network at the current segment length
+ * @returns {Promise<Object|null>} The rebuilt network, or null if none is loaded
+ */
+export function rebuildRoadNetwork() {
+    if (!_roadGeoJSON) return Promise.resolve(null);
+    return buildRoadNetwork(_roadGeoJSON, _roadNetworkName, false);
+}
+
+/**
+ * Sum road length per LGA for the loaded network once the LGA boundaries are available
+ * The worker replies with ROAD_LENGTHS, handled in getRoadWorker().
+ */
+export function updateRoadLengthDenominators() {
+    const areas = getLGAAreas();
+    if (!_roadGeoJSON || !areas) return;
+    getRoadWorker().postMessage({ type: 'ROAD_LENGTHS', areas });
+}
+
+/**
+ * Helper: LGA polygons for the worker's road length sums
+ * @returns {Array|null} [{ name, geometry }] keyed by normalised LGA name, or null until the boundaries are loaded
+ */
+function getLGAAreas() {
+    if (!dataState.lgaBoundaries) return null;
+    return dataState.lgaBoundaries.features
+        .filter(feature => feature.geometry)
+        .map(feature => ({ name: normalizeLGAName(getLGAName(feature.properties)), geometry: feature.geometry }));
+}
+
+/**
+ * Show the loaded network (or progress) under the layer toggle
+ * @param {string} text - Status text
+ */
+function updateRoadNetworkStatus(text) {
+    const status = document.getElementById('roadNetworkStatus');
+    if (status) status.textContent = text;
+}
+
+// ============================================================================
+// SNAPPING
+// ============================================================================
+
+/**
+ * Snap crashes to the nearest road segment or intersection
+ * Stale requests (superseded by a newer call) resolve with null.
+ * @param {Array} data - Crash records
+ * @param {string} target - 'segment' or 'intersection'
+ * @returns {Promise<Map<number, Array>|null>} Segment/intersection index → crashes
+ */
+export function snapCrashesToRoads(data = dataState.filteredData, target = filterState.roadAggregation) {
+    if (!dataState.roadNetwork) return Promise.resolve(new Map());
+
+    const worker = getRoadWorker();
+    const id = ++_roadRequestId;
+    const coords = new Float64Array(data.length * 2);
+    data.forEach((crash, i) => {
+        const c = crash._coords;
+        coords[i * 2] = c ? c[0] : NaN;
+        coords[i * 2 + 1] = c ? c[1] : NaN;
+    });
+
+    const maxDistanceM = target === 'intersection'
+        ? ROAD_NETWORK.INTERSECTION_RADIUS_M
+        : ROAD_NETWORK.SNAP_DISTANCE_M;
+
+    return new Promise((resolve, reject) => {
+        function cleanup() {
+            worker.removeEventListener('message', onMessage);
+            worker.removeEventListener('error', onError);
+        }
+
+        function onMessage(e) {
+            if (e.data.type !== 'RESULT' || e.data.id !== id) return;
+            cleanup();
+            if (id !== _roadRequestId) {
+                resolve(null);
+                return;
+            }
+
+            const assignments = new Int32Array(e.data.assignmentsBuffer);
+            const groups = new Map();
+            for (let i = 0; i < assignments.length; i++) {
+                const index = assignments[i];
+                if (index < 0) continue;
+                if (!groups.has(index)) groups.set(index, []);
+                groups.get(index).push(data[i]);
+            }
+            resolve(groups);
+        }
+
+        function onError(err) {
+            cleanup();
+            reject(err);
+        }
+
+        worker.addEventListener('message', onMessage);
+        worker.addEventListener('error', onError);
+        worker.postMessage({ type: 'SNAP', id, coordsBuffer: coords.buffer, target, maxDistanceM }, [coords.buffer]);
+    });
+}
@@ -0,0 +1,353 @@
+/**
+ * Saved Views Module
+ * Named snapshots of filters, map viewport, layers, marker colours and drawn areas, kept in IndexedDB
+ */
+
+import { mapState, filterState, updateFilterState, updateCacheState } from './state.js';
+import { escapeHtml, downloadFile } from './utils.js';
+import { showNotification } from './ui.js';
+import { serializeFilters, restoreFilters, clearFilters, applyFilters } from './filters.js';
+import { setActiveLayers, setDrawnAreas, updateMarkerColorLegend } from './map-renderer.js';
+import { dbCache } from './performance.js';
+
+const STORE = 'savedViews';
+
+// Identifies exported view libraries so other JSON files are rejected on import
+const EXPORT_TYPE = 'sa-road-crash-map/saved-views';
+const EXPORT_VERSION = 1;
+
+const MARKER_COLOR_MODES = ['severity', 'crashtype', 'daynight'];
+
+// Views as last read from IndexedDB, sorted by name
+let savedViews = [];
+
+// ============================================================================
+// STORAGE
+// ============================================================================
+
+/**
+ * Read all saved views from IndexedDB
+ * @returns {Promise<Array>} Views sorted by name
+ */
+export async function loadSavedViews() {
+    savedViews = (await dbCache.getAll(STORE))
+        .sort((a, b) => a.name.localeCompare(b.name, undefined, { sensitivity: 'base' }));
+    return savedViews;
+}
+
+/**
+ * Store one view
+ * @param {Object} view - View record (keyed by view.id)
+ */
+async function putView(view) {
+    await dbCache.put(STORE, view.id, view);
+}
+
+/**
+ * Create a unique view id
+ * @returns {string}
+ */
+function createViewId() {
+    return `view-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
+}
+
+/**
+ * Snapshot everything a view restores
+ * @returns {Object} View contents (without id/name)
+ */
+function captureView() {
+    const center = mapState.map.getCenter();
+    return {
+        filters: serializeFilters(),
+        viewport: { center: [center.lat, center.lng], zoom: mapState.map.getZoom() },
+        layers: { ...mapState.activeLayers },
+        markerColorMode: filterState.markerColorMode
+    };
+}
+
+/**
+ * Check and normalise a view read from an imported file
+ * @param {Object} raw - Untrusted view object
+ * @returns {Object|null} Clean view contents, or null if unusable
+ */
+function sanitizeView(raw) {
+    if (!raw || typeof raw.name !== 'string' || !raw.name.trim()) return null;
+    if (!raw.filters || typeof raw.filters !== 'object' || Array.isArray(raw.filters)) return null;
+
+    const view = {
+        name: raw.name.trim().slice(0, 100),
+        filters: raw.filters,
+        viewport: null,
+        layers: {},
+        markerColorMode: MARKER_COLOR_MODES.includes(raw.markerColorMode) ? raw.markerColorMode : 'severity'
+    };
+
+    const vp = raw.viewport;
+    if (vp && Array.isArray(vp.center) && vp.center.every(Number.isFinite) && Number.isFinite(vp.zoom)) {
+        view.viewport = { center: [vp.center[0], vp.center[1]], zoom: vp.zoom };
+    }
+    if (raw.layers && typeof raw.layers === 'object') {
+        Object.keys(mapState.activeLayers).forEach(layer => {
+            if (typeof raw.layers[layer] === 'boolean') view.layers[layer] = raw.layers[layer];
+        });
+    }
+    return view;
+}
+
+// ============================================================================
+// VIEW ACTIONS
+// ============================================================================
+
+/**
+ * Save the current view under the name typed in the dialog
+ * An existing view with the same name is replaced after confirmation.
+ */
+export async function saveCurrentView() {
+    const input = document.getElementById('savedViewName');
+    const name = input ? input.value.trim() : '';
+    if (!name) {
+        showNotification('Enter a name for the view.', 'warning');
+        return;
+    }
+
+    const existing = savedViews.find(v => v.name.toLowerCase() === name.toLowerCase());
+    if (existing && !confirm(`Replace the saved view "${existing.name}"?`)) return;
+
+    const now = new Date().toISOString();
+    const view = {
+        id: existing ? existing.id : createViewId(),
+        name,
+        created: existing ? existing.created : now,
+        updated: now,
+        ...captureView()
+    };
+
+    try {
+        await putView(view);
+        if (input) input.value = '';
+        await renderSavedViewsList();
+        showNotification(`Saved view "${name}"`, 'success');
+    } catch (error) {
+        console.error('Error saving view:', error);
+        showNotification('Could not save the view. Browser storage may be unavailable.', 'error');
+    }
+}
+
+/**
+ * Restore a saved view: filters, drawn areas, layers, marker colours and viewport
+ * @param {string} id - View id
+ */
+export async function applySavedView(id) {
+    const view = savedViews.find(v => v.id === id);
+    if (!view) return;
+
+    clearFilters(true);
+    setDrawnAreas([]);
+    restoreFilters(view.filters);
+    setActiveLayers(view.layers || {});
+
+    if (view.markerColorMode && view.markerColorMode !== filterState.markerColorMode) {
+        updateFilterState({ markerColorMode: view.markerColorMode });
+        updateCacheState({ markerIconCache: {} });
+        const select = document.getElementById('markerColorModeSelect');
+        if (select) select.value = view.markerColorMode;
+        updateMarkerColorLegend();
+    }
+
+    if (view.viewport) {
+        mapState.map.setView(view.viewport.center, view.viewport.zoom);
+    }
+
+    closeSavedViews();
+    await applyFilters();
+    showNotification(`Applied view "${view.name}"`, 'success');
+}
+
+/**
+ * Rename a saved view
+ * @param {string} id - View id
+ */
+export async function renameSavedView(id) {
+    const view = savedViews.find(v => v.id === id);
+    if (!view) return;
+
+    const name = (prompt('Rename view:', view.name) || '').trim();
+    if (!name || name === view.name) return;
+    if (savedViews.some(v => v.id !== id && v.name.toLowerCase() === name.toLowerCase())) {
+        showNotification(`A view called "${name}" already exists.`, 'warning');
+        return;
+    }
+
+    try {
+        await putView({ ...view, name, updated: new Date().toISOString() });
+        await renderSavedViewsList();
+    } catch (error) {
+        console.error('Error renaming view:', error);
+        showNotification('Could not rename the view.', 'error');
+    }
+}
+
+/**
+ * Delete a saved view after confirmation
+ * @param {string} id - View id
+ */
+export async function deleteSavedView(id) {
+    const view = savedViews.find(v => v.id === id);
+    if (!view || !confirm(`Delete the saved view "${view.name}"?`)) return;
+
+    try {
+        await dbCache.delete(STORE, id);
+        await renderSavedViewsList();
+    } catch (error) {
+        console.error('Error deleting view:', error);
+        showNotification('Could not delete the view.', 'error');
+    }
+}
+
+// ============================================================================
+// IMPORT / EXPORT
+// ============================================================================
+
+/**
+ * Download all saved views as a JSON file
+ */
+export function exportSavedViews() {
+    if (savedViews.length === 0) {
+        showNotification('There are no saved views to export.', 'warning');
+        return;
+    }
+
+    const library = {
+        type: EXPORT_TYPE,
+        version: EXPORT_VERSION,
+        exported: new Date().toISOString(),
+        views: savedViews.map(({ id, ...view }) => view)
+    };
+    const date = new Date().toISOString().slice(0, 10);
+    downloadFile(JSON.stringify(library, null, 2), `SA_Crash_Map_Views_${date}.json`, 'application/json');
+}
+
+/**
+ * Import views from a JSON file chosen in the dialog
+ * Imported views get new ids; a name that is already taken gets a numbered suffix.
+ * @param {HTMLInputElement} input - File input
+ */
+export async function importSavedViews(input) {
+    const file = input.files && input.files[0];
+    if (!file) return;
+
+    try {
+        let library;
+        try {
+            library = JSON.parse(await file.text());
+        } catch (error) {
+            throw new Error(`${file.name} is not valid JSON`);
+        }
+        if (!library || library.type !== EXPORT_TYPE || !Array.isArray(library.views)) {
+            throw new Error(`${file.name} is not a saved views file`);
+        }
+
+        const taken = new Set(savedViews.map(v => v.name.toLowerCase()));
+        const now = new Date().toISOString();
+        let imported = 0, skipped = 0;
+
+        for (const raw of library.views) {
+            const view = sanitizeView(raw);
+            if (!view) {
+                skipped++;
+                continue;
+            }
+
+            let name = view.name;
+            for (let n = 2; taken.has(name.toLowerCase()); n++) name = `${view.name} (${n})`;
+            taken.add(name.toLowerCase());
+
+            await putView({ ...view, id: createViewId(), name, created: raw.created || now, updated: now });
+            imported++;
+        }
+
+        await renderSavedViewsList();
+        showNotification(
+            `Imported ${imported} view${imported === 1 ? '' : 's'}` + (skipped ? ` (${skipped} skipped as invalid)` : ''),
+            imported > 0 ? 'success' : 'warning'
+        );
+    } catch (error) {
+        console.error('Error importing views:', error);
+        showNotification(`Could not import views: ${error.message}`, 'error');
+    } finally {
+        input.value = '';
+    }
+}
+
+// ============================================================================
+// DIALOG
+// ============================================================================
+
+/**
+ * Open the saved views dialog
+ */
+export async function openSavedViews() {
+    document.getElementById('savedViewsModal').style.display = 'flex';
+    await renderSavedViewsList();
+    document.getElementById('savedViewName')?.focus();
+}
+
+/**
+ * Close the saved views dialog
+ */
+export function closeSavedViews() {
+    document.getElementById('savedViewsModal').style.display = 'none';
+}
+
+/**
+ * Describe a view's drawn areas for the list
+ * @param {Object} view - Saved view
+ * @returns {string|null} e.g. "2 drawn areas", or null when it has none
+ */
+function describeViewAreas(view) {
+    const count = Array.isArray(view.filters.da) ? view.filters.da.length : 0;
+    return count ? `${count} drawn area${count === 1 ? '' : 's'}` : null;
+}
+
+/**
+ * Reload views from storage and render the list
+ */
+async function renderSavedViewsList() {
+    const list = document.getElementById('savedViewsList');
+    if (!list) return;
+
+    try {
+        await loadSavedViews();
+    } catch (error) {
+        console.error('Error reading saved views:', error);
+        list.innerHTML = '<li class="saved-views-empty">Saved views are unavailable: browser storage could not be opened.</li>';
+        return;
+    }
+
+    if (savedViews.length === 0) {
+        list.innerHTML = '<li class="saved-views-empty">No saved views yet. Set up the map and filters, then save them here.</li>';
+        return;
+    }
+
+    list.innerHTML = savedViews.map(view => {
+        const layers = Object.keys(view.layers || {}).filter(layer => view.layers[layer]);
+        const details = [
+            `${Object.keys(view.filters).length} filter${Object.keys(view.filters).length === 1 ? '' : 's'}`,
+            layers.length ? layers.join(', ') : 'no layers',
+            describeViewAreas(view),
+            `updated ${new Date(view.updated).toLocaleDateString()}`
+        ].filter(Boolean).join(' · ');
+        const id = escapeHtml(view.id);
+
+        return `
+            <li class="saved-view-item">
+                <button class="saved-view-apply" onclick="applySavedView('${id}')" title="Apply this view">
+                    <span class="saved-view-name">${escapeHtml(view.name)}</span>
+                    <span class="saved-view-meta">${escapeHtml(details)}</span>
+                </button>
+                <button class="saved-view-action" onclick="renameSavedView('${id}')" title="Rename" aria-label="Rename ${escapeHtml(view.name)}">✏️</button>
+                <button class="saved-view-action" onclick="deleteSavedView('${id}')" title="Delete" aria-label="Delete ${escapeHtml(view.name)}">🗑️</button>
+            </li>
+        `;
+    }).join('');
+}
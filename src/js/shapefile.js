@@ -0,0 +1,315 @@
+/**
+ * Shapefile Writer Module
+ * Writes ESRI shapefiles (.shp, .shx, .dbf) for point and polygon layers, and standalone dBASE tables
+ */
+
+// ESRI WKT for the .prj file of each supported coordinate system
+export const SHAPEFILE_PRJ = {
+    'EPSG:3107': 'PROJCS["GDA_1994_South_Australia_Lambert",GEOGCS["GCS_GDA_1994",DATUM["D_GDA_1994",SPHEROID["GRS_1980",6378137.0,298.257222101]],PRIMEM["Greenwich",0.0],UNIT["Degree",0.0174532925199433]],PROJECTION["Lambert_Conformal_Conic"],PARAMETER["False_Easting",1000000.0],PARAMETER["False_Northing",2000000.0],PARAMETER["Central_Meridian",135.0],PARAMETER["Standard_Parallel_1",-28.0],PARAMETER["Standard_Parallel_2",-36.0],PARAMETER["Latitude_Of_Origin",-32.0],UNIT["Meter",1.0]]',
+    'EPSG:4326': 'GEOGCS["GCS_WGS_1984",DATUM["D_WGS_1984",SPHEROID["WGS_1984",6378137.0,298.257223563]],PRIMEM["Greenwich",0.0],UNIT["Degree",0.0174532925199433]]'
+};
+
+// Contents of the .cpg file: DBF text is written as UTF-8
+export const SHAPEFILE_CPG = 'UTF-8';
+
+const SHAPE_TYPES = { null: 0, point: 1, polygon: 5 };
+
+// dBASE limits
+const DBF_MAX_CHAR_WIDTH = 254;
+const DBF_MAX_NUMERIC_WIDTH = 19;
+const DBF_MAX_DECIMALS = 8;
+
+const encoder = new TextEncoder();
+
+// ============================================================================
+// DBASE TABLES
+// ============================================================================
+
+/**
+ * UTF-8 byte length of a string
+ * @param {string} str
+ * @returns {number}
+ */
+function byteLength(str) {
+    return /^[\x00-\x7f]*$/.test(str) ? str.length : encoder.encode(str).length;
+}
+
+/**
+ * Make dBASE field names (max 10 ASCII characters, unique) from attribute keys
+ * @param {Array<string>} keys - Attribute keys
+ * @returns {Array<string>} Field names in the same order
+ */
+function makeFieldNames(keys) {
+    const used = new Set();
+    return keys.map(key => {
+        const base = String(key).replace(/[^A-Za-z0-9]+/g, '_').replace(/^_+|_+$/g, '').slice(0, 10) || 'FIELD';
+        let name = base;
+        for (let n = 1; used.has(name.toUpperCase()); n++) {
+            const suffix = `_${n}`;
+            name = base.slice(0, 10 - suffix.length) + suffix;
+        }
+        used.add(name.toUpperCase());
+        return name;
+    });
+}
+
+/**
+ * Work out dBASE field definitions from the records
+ * Columns whose values are all numbers become numeric fields; everything else is text.
+ * @param {Array<Object>} records - Attribute objects
+ * @returns {Array<Object>} Fields {key, name, type, width, decimals}
+ */
+function buildDbfFields(records) {
+    const keys = [];
+    const seen = new Set();
+    records.forEach(record => {
+        Object.keys(record).forEach(key => {
+            if (!seen.has(key)) {
+                seen.add(key);
+                keys.push(key);
+            }
+        });
+    });
+
+    const names = makeFieldNames(keys);
+
+    return keys.map((key, i) => {
+        let numeric = true;
+        let decimals = 0;
+        let charWidth = 1;
+
+        records.forEach(record => {
+            const value = record[key];
+            if (value === null || value === undefined || value === '') return;
+            if (typeof value !== 'number' || !Number.isFinite(value)) numeric = false;
+            if (numeric && !Number.isInteger(value)) {
+                const fraction = String(value).split('.')[1] || '';
+                decimals = Math.max(decimals, Math.min(fraction.length, DBF_MAX_DECIMALS));
+            }
+            charWidth = Math.max(charWidth, byteLength(String(value)));
+        });
+
+        if (numeric) {
+            let width = 1;
+            records.forEach(record => {
+                const value = record[key];
+                if (typeof value === 'number') width = Math.max(width, value.toFixed(decimals).length);
+            });
+            if (width <= DBF_MAX_NUMERIC_WIDTH) {
+                return { key, name: names[i], type: 'N', width, decimals };
+            }
+        }
+        return { key, name: names[i], type: 'C', width: Math.min(charWidth, DBF_MAX_CHAR_WIDTH), decimals: 0 };
+    });
+}
+
+/**
+ * Write a dBASE III table
+ * Text longer than 254 bytes is truncated at a character boundary.
+ * @param {Array<Object>} records - Attribute objects, one per row
+ * @returns {Uint8Array} .dbf file contents
+ */
+export function writeDbf(records) {
+    const fields = buildDbfFields(records);
+    const headerLength = 32 + fields.length * 32 + 1;
+    const recordLength = 1 + fields.reduce((sum, f) => sum + f.width, 0);
+    const bytes = new Uint8Array(headerLength + recordLength * records.length + 1);
+    const view = new DataView(bytes.buffer);
+    const now = new Date();
+
+    // Table header
+    bytes[0] = 0x03;
+    bytes[1] = now.getFullYear() - 1900;
+    bytes[2] = now.getMonth() + 1;
+    bytes[3] = now.getDate();
+    view.setUint32(4, records.length, true);
+    view.setUint16(8, headerLength, true);
+    view.setUint16(10, recordLength, true);
+
+    // Field descriptors
+    fields.forEach((field, i) => {
+        const pos = 32 + i * 32;
+        for (let c = 0; c < field.name.length; c++) bytes[pos + c] = field.name.charCodeAt(c);
+        bytes[pos + 11] = field.type.charCodeAt(0);
+        bytes[pos + 16] = field.width;
+        bytes[pos + 17] = field.decimals;
+    });
+    bytes[headerLength - 1] = 0x0D;
+
+    // Records: deletion flag then fixed-width, space-padded fields
+    bytes.fill(0x20, headerLength, bytes.length - 1);
+    records.forEach((record, r) => {
+        let pos = headerLength + r * recordLength + 1;
+        fields.forEach(field => {
+            const value = record[field.key];
+            if (value !== null && value !== undefined && value !== '') {
+                if (field.type === 'N') {
+                    const text = value.toFixed(field.decimals);
+                    const start = pos + field.width - text.length;
+                    for (let c = 0; c < text.length; c++) bytes[start + c] = text.charCodeAt(c);
+                } else {
+                    let encoded = encoder.encode(String(value));
+                    if (encoded.length > field.width) {
+                        let cut = field.width;
+                        while (cut > 0 && (encoded[cut] & 0xC0) === 0x80) cut--;
+                        encoded = encoded.subarray(0, cut);
+                    }
+                    bytes.set(encoded, pos);
+                }
+            }
+            pos += field.width;
+        });
+    });
+    bytes[bytes.length - 1] = 0x1A;
+
+    return bytes;
+}
+
+// ============================================================================
+// SHAPES
+// ============================================================================
+
+/**
+ * Twice the signed area of a ring; positive when clockwise (y up)
+ * @param {Array<Array<number>>} ring - [[x, y], ...]
+ * @returns {number}
+ */
+function ringOrientation(ring) {
+    let sum = 0;
+    for (let i = 0; i < ring.length - 1; i++) {
+        sum += (ring[i + 1][0] - ring[i][0]) * (ring[i + 1][1] + ring[i][1]);
+    }
+    return sum;
+}
+
+/**
+ * Flatten polygons into shapefile parts: outer rings clockwise, holes anticlockwise, all closed
+ * @param {Array} polygons - MultiPolygon-style coordinates [[outer, ...holes], ...]
+ * @returns {Array<Array<Array<number>>>} Rings
+ */
+function polygonParts(polygons) {
+    const parts = [];
+    polygons.forEach(rings => {
+        rings.forEach((ring, i) => {
+            if (ring.length < 3) return;
+            const part = ring.slice();
+            const first = part[0], last = part[part.length - 1];
+            if (first[0] !== last[0] || first[1] !== last[1]) part.push(first);
+            const clockwise = ringOrientation(part) > 0;
+            if ((i === 0) !== clockwise) part.reverse();
+            parts.push(part);
+        });
+    });
+    return parts;
+}
+
+/**
+ * Write the 100-byte header shared by .shp and .shx files
+ * @param {DataView} view - Target
+ * @param {number} shapeType - Shapefile shape type
+ * @param {number} fileBytes - Total file length in bytes
+ * @param {Array<number>} bbox - [xmin, ymin, xmax, ymax]
+ */
+function writeMainHeader(view, shapeType, fileBytes, bbox) {
+    view.setInt32(0, 9994, false);
+    view.setInt32(24, fileBytes / 2, false);
+    view.setInt32(28, 1000, true);
+    view.setInt32(32, shapeType, true);
+    bbox.forEach((value, i) => view.setFloat64(36 + i * 8, value, true));
+}
+
+/**
+ * Write a point or polygon shapefile
+ * Geometries are already in the output coordinate system. A null geometry
+ * is written as a null shape so rows stay aligned with the attribute table.
+ * @param {string} type - 'point' or 'polygon'
+ * @param {Array} geometries - Points as [x, y]; polygons as [[outer, ...holes], ...]; or null
+ * @param {Array<Object>} records - Attribute objects, one per geometry
+ * @returns {{shp: Uint8Array, shx: Uint8Array, dbf: Uint8Array}}
+ */
+export function writeShapefile(type, geometries, records) {
+    const shapeType = SHAPE_TYPES[type];
+    const shapes = geometries.map(geometry => {
+        if (!geometry) return null;
+        if (type === 'point') return [geometry];
+        const parts = polygonParts(geometry);
+        return parts.length > 0 ? parts : null;
+    });
+
+    // Content length and extent of each record, and the layer extent
+    const bbox = [Infinity, Infinity, -Infinity, -Infinity];
+    const extents = [];
+    const sizes = shapes.map((shape, i) => {
+        if (!shape) return 4;
+        const points = type === 'point' ? shape : shape.flat();
+        const extent = [Infinity, Infinity, -Infinity, -Infinity];
+        points.forEach(([x, y]) => {
+            if (x < extent[0]) extent[0] = x;
+            if (y < extent[1]) extent[1] = y;
+            if (x > extent[2]) extent[2] = x;
+            if (y > extent[3]) extent[3] = y;
+        });
+        extents[i] = extent;
+        bbox[0] = Math.min(bbox[0], extent[0]);
+        bbox[1] = Math.min(bbox[1], extent[1]);
+        bbox[2] = Math.max(bbox[2], extent[2]);
+        bbox[3] = Math.max(bbox[3], extent[3]);
+        return type === 'point' ? 20 : 44 + shape.length * 4 + points.length * 16;
+    });
+    if (bbox[0] === Infinity) bbox.fill(0);
+
+    const shpBytes = 100 + sizes.reduce((sum, size) => sum + 8 + size, 0);
+    const shxBytes = 100 + shapes.length * 8;
+    const shp = new DataView(new ArrayBuffer(shpBytes));
+    const shx = new DataView(new ArrayBuffer(shxBytes));
+    writeMainHeader(shp, shapeType, shpBytes, bbox);
+    writeMainHeader(shx, shapeType, shxBytes, bbox);
+
+    let pos = 100;
+    shapes.forEach((shape, i) => {
+        shx.setInt32(100 + i * 8, pos / 2, false);
+        shx.setInt32(104 + i * 8, sizes[i] / 2, false);
+
+        shp.setInt32(pos, i + 1, false);
+        shp.setInt32(pos + 4, sizes[i] / 2, false);
+        pos += 8;
+
+        if (!shape) {
+            shp.setInt32(pos, SHAPE_TYPES.null, true);
+            pos += 4;
+            return;
+        }
+
+        shp.setInt32(pos, shapeType, true);
+        if (type === 'point') {
+            shp.setFloat64(pos + 4, shape[0][0], true);
+            shp.setFloat64(pos + 12, shape[0][1], true);
+            pos += 20;
+            return;
+        }
+
+        const points = shape.flat();
+        extents[i].forEach((value, b) => shp.setFloat64(pos + 4 + b * 8, value, true));
+        shp.setInt32(pos + 36, shape.length, true);
+        shp.setInt32(pos + 40, points.length, true);
+        let cursor = pos + 44;
+        let start = 0;
+        shape.forEach(part => {
+            shp.setInt32(cursor, start, true);
+            cursor += 4;
+            start += part.length;
+        });
+        points.forEach(([x, y]) => {
+            shp.setFloat64(cursor, x, true);
+            shp.setFloat64(cursor + 8, y, true);
+            cursor += 16;
+        });
+        pos = cursor;
+    });
+
+    return {
+        shp: new Uint8Array(shp.buffer),
+        shx: new Uint8Array(shx.buffer),
+        dbf: writeDbf(records)
+    };
+}
@@ -3,7 +3,7 @@
  * Centralized state for the CrashMap application
  */
 
-import { YEAR_RANGE } from './config.js';
+import { YEAR_RANGE, HOTSPOT_CONFIG, ROAD_NETWORK, MAP_OVERLAYS } from './config.js';
 
 // Map state
 export const mapState = {
@@ -12,10 +12,15 @@ export const mapState = {
     densityLayer: null,
     densityZoomListener: null,
     choroplethLayer: null,
+    hotspotLayer: null,
+    roadLayer: null,
+    overlays: [], // User point / line layers: { id, name, color, features, points, lines, visible, layer }
     activeLayers: {
         markers: true,
         density: false,
-        choropleth: false
+        choropleth: false,
+        hotspots: false,
+        roads: false
     }
 };
 
@@ -27,6 +32,11 @@ export const dataState = {
     filteredData: [],
     lgaBoundaries: null,
     suburbBoundaries: null,
+    areaDenominators: null, // { [normalizedLGAName]: { population, areaKm2, roadLengthKm } }
+    hotspots: [], // Ranked results of the last hotspot detection run
+    roadNetwork: null, // { name, segments, intersections } once a road network is loaded
+    customBoundaries: null, // { name, labelField, fields, features, labels, areasKm2 } from a user boundary file
+    calendar: null, // { days: Map(yyyy-mm-dd → day type), holidays, years } from the holiday reference file
     casualtyMap: new Map(),
     unitsMap: new Map()
 };
@@ -34,8 +44,21 @@ export const dataState = {
 // Filter state
 export const filterState = {
     yearRange: [...YEAR_RANGE.DEFAULT],
-    choroplethMode: 'lga', // 'lga' or 'suburb'
+    choroplethMode: 'lga', // 'lga', 'suburb' or 'custom'
+    choroplethNormalization: 'none', // 'none' | 'population' | 'area' | 'road'
+    costModel: 'none', // 'none' (count every crash once) or a CRASH_COST_MODEL.MODELS key
+    countUnit: 'crashes', // COUNT_UNITS key: what statistics, charts and the data table count
+    appliedFilters: null, // getFilterValues() result the filtered data was produced with
+    expression: null, // Expression builder tree (see filter-expression.js), ANDed with the other filters
+    hotspotCellSize: HOTSPOT_CONFIG.CELL_SIZE_M,
+    hotspotConfidence: HOTSPOT_CONFIG.CONFIDENCE,
+    roadAggregation: 'segment', // 'segment' | 'intersection'
+    roadMetric: 'count', // 'count' | 'severity' (EPDO index)
+    roadSegmentLength: ROAD_NETWORK.SEGMENT_LENGTH_M,
     markerColorMode: 'severity', // 'severity' | 'crashtype' | 'daynight'
+    compareSets: { a: null, b: null }, // { label, filters, drawnAreas, spatial } captured for compare mode
+    boundaryRegion: null, // Index of the custom boundary area the crashes are restricted to
+    overlayProximity: { id: null, distance: MAP_OVERLAYS.DEFAULT_DISTANCE_M }, // Keep crashes within distance (m) of overlay id
     filtersChanged: false,
     lastAppliedFilterState: null
 };
@@ -43,7 +66,7 @@ export const filterState = {
 // Draw state
 export const drawState = {
     drawnItems: null,
-    drawnLayer: null,
+    areas: [], // [{ id, name, mode: 'include'|'exclude', kind, layer, buffer, source, stats }]
     activeDrawHandler: null
 };
 
@@ -74,10 +97,19 @@ export const uiState = {
         'Area Speed': true,
         'Total Fats': true,
         'Total SI': true,
-        'Total MI': true
+        'Total MI': true,
+        'Cost': false
+    },
+    dtRecordType: 'crashes', // 'crashes' | 'casualties' | 'units' (key of DATA_TABLE.RECORD_TYPES)
+    dtRecordTables: {
+        casualties: { sortField: 'Year', sortAsc: false, visibleColumns: {} },
+        units: { sortField: 'Year', sortAsc: false, visibleColumns: {} }
     },
     dtHoveredRow: null,
-    dtMaximized: false
+    dtSubset: null, // { label, source, crashes: Set } restricts the table to a subset of filteredData
+    dtMaximized: false,
+    compareMode: 'split', // 'split' | 'swipe'
+    compareShare: true // Compare charts show % of each set rather than counts
 };
 
 // Cache state
@@ -133,6 +165,6 @@ export function clearSearchState() {
 }
 
 export function clearDrawState() {
-    drawState.drawnLayer = null;
+    drawState.areas = [];
     drawState.activeDrawHandler = null;
 }
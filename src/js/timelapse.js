@@ -0,0 +1,677 @@
+/**
+ * Time-lapse Module
+ * Plays the filtered crashes back by year, month or hour of day, and records the playback as GIF or WebM
+ */
+
+import { mapState, dataState } from './state.js';
+import { TIMELAPSE } from './config.js';
+import { downloadFile } from './utils.js';
+import { showNotification } from './ui.js';
+import { getMarkerColor, getDensityPoints, addDensityLayer, getDensityRadius } from './map-renderer.js';
+import { createGifWriter } from './gif-encoder.js';
+
+const MONTH_ABBR = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'];
+
+const STEP_UNITS = {
+    years: ['year', 'years'],
+    months: ['month', 'months'],
+    hours: ['hour', 'hours']
+};
+
+// Pane for the time-lapse points, above the (hidden) marker clusters
+const TIMELAPSE_PANE = 'timelapsePane';
+
+// Fill behind the tiles in recordings (matches the PDF map capture)
+const RECORD_BACKGROUND = '#a0c5e8';
+
+// Playback settings; mode is 'window' (sliding window) or 'cumulative'
+const settings = {
+    step: 'years',
+    mode: 'window',
+    window: 1,
+    speed: TIMELAPSE.DEFAULT_SPEED
+};
+
+// Frames built from dataState.filteredData
+let frames = [];          // Frame keys (year, year * 12 + month, or hour), one per step
+let sortedKeys = null;    // Int32Array of crash keys in ascending order
+let sortedCrashes = [];   // Crashes aligned with sortedKeys
+let framesSource = null;  // The filteredData array the frames were built from
+let frameIndex = 0;
+let caption = '';
+
+let isOpen = false;
+let playTimer = null;
+let recording = null;     // { cancelled, frame } while a recording runs
+let pointLayer = null;
+let heatLayer = null;
+
+// ============================================================================
+// POINT LAYER
+// ============================================================================
+
+/**
+ * Canvas layer that draws the crashes of one frame in their marker colours
+ * Redrawing a single canvas is fast enough to change every frame, unlike the cluster layer.
+ */
+const TimelapsePointLayer = L.Layer.extend({
+    initialize(options) {
+        this._crashes = [];
+        L.setOptions(this, options);
+    },
+
+    onAdd(map) {
+        this._canvas = L.DomUtil.create('canvas', 'timelapse-point-canvas leaflet-zoom-hide');
+        this.getPane().appendChild(this._canvas);
+        map.on('moveend zoomend resize', this._redraw, this);
+        this._redraw();
+    },
+
+    onRemove(map) {
+        map.off('moveend zoomend resize', this._redraw, this);
+        L.DomUtil.remove(this._canvas);
+        this._canvas = null;
+    },
+
+    /**
+     * Replace the crashes shown
+     * @param {Array} crashes - Crash records with _coords
+     */
+    setCrashes(crashes) {
+        this._crashes = crashes;
+        this._redraw();
+    },
+
+    _redraw() {
+        const map = this._map;
+        if (!map || !this._canvas) return;
+
+        const size = map.getSize();
+        const ratio = window.devicePixelRatio || 1;
+        L.DomUtil.setPosition(this._canvas, map.containerPointToLayerPoint([0, 0]));
+        this._canvas.width = size.x * ratio;
+        this._canvas.height = size.y * ratio;
+        this._canvas.style.width = size.x + 'px';
+        this._canvas.style.height = size.y + 'px';
+
+        const ctx = this._canvas.getContext('2d');
+        ctx.setTransform(ratio, 0, 0, ratio, 0, 0);
+        ctx.clearRect(0, 0, size.x, size.y);
+        ctx.globalAlpha = TIMELAPSE.POINT_OPACITY;
+
+        const bounds = map.getBounds().pad(0.05);
+        const south = bounds.getSouth(), north = bounds.getNorth();
+        const west = bounds.getWest(), east = bounds.getEast();
+        const r = TIMELAPSE.POINT_RADIUS;
+
+        // One path per colour keeps the number of fills small
+        const paths = new Map();
+        this._crashes.forEach(crash => {
+            const [lat, lng] = crash._coords;
+            if (lat < south || lat > north || lng < west || lng > east) return;
+            const color = getMarkerColor(crash);
+            let path = paths.get(color);
+            if (!path) {
+                path = new Path2D();
+                paths.set(color, path);
+            }
+            const p = map.latLngToContainerPoint([lat, lng]);
+            path.moveTo(p.x + r, p.y);
+            path.arc(p.x, p.y, r, 0, Math.PI * 2);
+        });
+        paths.forEach((path, color) => {
+            ctx.fillStyle = color;
+            ctx.fill(path);
+        });
+    }
+});
+
+// ============================================================================
+// FRAMES
+// ============================================================================
+
+/**
+ * Frame key of a crash for a step
+ * @param {Object} crash - Crash record
+ * @param {string} step - 'years', 'months' or 'hours'
+ * @returns {number|null} Year, year * 12 + month index, or hour; null when unknown
+ */
+function getFrameKey(crash, step) {
+    if (step === 'years') {
+        const year = parseInt(crash.Year);
+        return isNaN(year) ? null : year;
+    }
+
+    const dt = crash['Crash Date Time'];
+    if (!dt) return null;
+    const [datePart, timePart] = dt.split(' ');
+
+    if (step === 'hours') {
+        const hour = parseInt((timePart || '').split(':')[0]);
+        return hour >= 0 && hour < 24 ? hour : null;
+    }
+
+    const parts = (datePart || '').split('/');
+    if (parts.length !== 3) return null;
+    const month = parseInt(parts[1]);
+    const year = parseInt(parts[2]);
+    return month >= 1 && month <= 12 && year > 0 ? year * 12 + month - 1 : null;
+}
+
+/**
+ * Label for a frame key
+ * @param {number} key - Frame key
+ * @returns {string} e.g. "2019", "Mar 2019" or "14:00"
+ */
+function formatKey(key) {
+    if (settings.step === 'months') return `${MONTH_ABBR[key % 12]} ${Math.floor(key / 12)}`;
+    if (settings.step === 'hours') return `${String(key).padStart(2, '0')}:00`;
+    return String(key);
+}
+
+/**
+ * Label for the span of keys a frame shows
+ * @param {number} from - First key
+ * @param {number} to - Last key
+ * @returns {string}
+ */
+function formatSpan(from, to) {
+    if (settings.step === 'hours') {
+        return `${formatKey(from)}–${String(to).padStart(2, '0')}:59`;
+    }
+    return from === to ? formatKey(to) : `${formatKey(from)} – ${formatKey(to)}`;
+}
+
+/**
+ * Index of the first key that is >= value
+ * @param {Int32Array} keys - Sorted keys
+ * @param {number} value
+ * @returns {number}
+ */
+function lowerBound(keys, value) {
+    let lo = 0, hi = keys.length;
+    while (lo < hi) {
+        const mid = (lo + hi) >> 1;
+        if (keys[mid] < value) lo = mid + 1;
+        else hi = mid;
+    }
+    return lo;
+}
+
+/**
+ * Sort the filtered crashes by frame key and list the frames
+ * Years and months run continuously from the first to the last crash, so
+ * empty periods still get a frame; hours always run 0–23.
+ */
+function buildFrames() {
+    const data = dataState.filteredData;
+    const keyed = [];
+    data.forEach(crash => {
+        if (!crash._coords) return;
+        const key = getFrameKey(crash, settings.step);
+        if (key !== null) keyed.push([key, crash]);
+    });
+    keyed.sort((a, b) => a[0] - b[0]);
+
+    sortedKeys = Int32Array.from(keyed, item => item[0]);
+    sortedCrashes = keyed.map(item => item[1]);
+    framesSource = data;
+
+    frames = [];
+    if (settings.step === 'hours') {
+        for (let hour = 0; hour < 24; hour++) frames.push(hour);
+    } else if (keyed.length > 0) {
+        for (let key = sortedKeys[0]; key <= sortedKeys[sortedKeys.length - 1]; key++) frames.push(key);
+    }
+    frameIndex = Math.min(frameIndex, Math.max(frames.length - 1, 0));
+
+    const slider = document.getElementById('timelapseSlider');
+    if (slider) slider.max = Math.max(frames.length - 1, 0);
+}
+
+/**
+ * Crashes shown in a frame
+ * @param {number} index - Frame index
+ * @returns {{from: number, to: number, crashes: Array}}
+ */
+function getFrame(index) {
+    const to = frames[index];
+    const from = settings.mode === 'cumulative' ? frames[0] : Math.max(frames[0], to - settings.window + 1);
+    return {
+        from,
+        to,
+        crashes: sortedCrashes.slice(lowerBound(sortedKeys, from), lowerBound(sortedKeys, to + 1))
+    };
+}
+
+// ============================================================================
+// RENDERING
+// ============================================================================
+
+/**
+ * Show the current frame on the map
+ * The points stand in for the marker layer and the heat layer for the density
+ * layer; with neither layer on, the points are shown so the map is not empty.
+ */
+function renderFrame() {
+    if (!isOpen) return;
+    if (dataState.filteredData !== framesSource) buildFrames();
+
+    const { crashes, from, to } = frames.length > 0 ? getFrame(frameIndex) : { crashes: [] };
+    const showHeat = !!mapState.activeLayers.density;
+    const showPoints = !!mapState.activeLayers.markers || !showHeat;
+
+    if (showPoints) {
+        if (!pointLayer) pointLayer = new TimelapsePointLayer({ pane: TIMELAPSE_PANE });
+        if (!mapState.map.hasLayer(pointLayer)) pointLayer.addTo(mapState.map);
+        pointLayer.setCrashes(crashes);
+    } else if (pointLayer) {
+        pointLayer.remove();
+    }
+
+    if (showHeat) {
+        const points = getDensityPoints(crashes);
+        if (heatLayer) {
+            heatLayer.setLatLngs(points);
+        } else {
+            heatLayer = addDensityLayer(points);
+            heatLayer.setOptions(getDensityRadius(mapState.map.getZoom()));
+            // Marks the canvas so the CSS that hides the normal density layer skips it
+            heatLayer._canvas.classList.add('timelapse-heat');
+        }
+    } else {
+        removeHeatLayer();
+    }
+
+    caption = frames.length > 0
+        ? `${formatSpan(from, to)} · ${crashes.length.toLocaleString()} crash${crashes.length === 1 ? '' : 'es'}`
+        : 'No dated crashes match the current filters';
+
+    const label = document.getElementById('timelapseLabel');
+    if (label) label.textContent = caption;
+    const slider = document.getElementById('timelapseSlider');
+    if (slider) slider.value = frameIndex;
+}
+
+/**
+ * Remove the time-lapse heat layer
+ */
+function removeHeatLayer() {
+    if (heatLayer) {
+        mapState.map.removeLayer(heatLayer);
+        heatLayer = null;
+    }
+}
+
+/**
+ * Keep the time-lapse heat radius in step with the density layer
+ */
+function onZoomEnd() {
+    if (heatLayer) heatLayer.setOptions(getDensityRadius(mapState.map.getZoom()));
+}
+
+/**
+ * Re-render after the filters or layer toggles change (called from updateMapLayers)
+ */
+export function refreshTimelapse() {
+    if (isOpen) renderFrame();
+}
+
+// ============================================================================
+// PLAYBACK
+// ============================================================================
+
+/**
+ * Fill the sliding window select for the current step
+ */
+function updateWindowOptions() {
+    const select = document.getElementById('timelapseWindow');
+    if (!select) return;
+    const [one, many] = STEP_UNITS[settings.step];
+    select.innerHTML = TIMELAPSE.WINDOW_OPTIONS[settings.step].map(n =>
+        `<option value="${n}"${n === settings.window ? ' selected' : ''}>${n} ${n === 1 ? one : many}</option>`
+    ).join('');
+    select.disabled = settings.mode === 'cumulative';
+}
+
+/**
+ * Update the play and record buttons
+ */
+function updateButtons() {
+    const playBtn = document.getElementById('timelapsePlayBtn');
+    if (playBtn) {
+        playBtn.innerHTML = playTimer ? '&#10074;&#10074;' : '&#9654;';
+        playBtn.title = playTimer ? 'Pause' : 'Play';
+    }
+    const recordBtn = document.getElementById('timelapseRecordBtn');
+    if (recordBtn) {
+        recordBtn.textContent = recording
+            ? `■ Stop (${recording.frame}/${frames.length})`
+            : '● Record';
+        recordBtn.classList.toggle('recording', !!recording);
+    }
+    document.querySelectorAll('.timelapse-bar [data-playback]').forEach(el => {
+        el.disabled = !!recording;
+    });
+}
+
+/**
+ * Stop the playback timer
+ */
+function pausePlayback() {
+    if (playTimer) {
+        clearTimeout(playTimer);
+        playTimer = null;
+    }
+    updateButtons();
+}
+
+/**
+ * Advance one frame and schedule the next, stopping at the end
+ */
+function playNextFrame() {
+    if (frameIndex >= frames.length - 1) {
+        pausePlayback();
+        return;
+    }
+    frameIndex++;
+    renderFrame();
+    playTimer = setTimeout(playNextFrame, TIMELAPSE.SPEEDS_MS[settings.speed]);
+}
+
+/**
+ * Open the time-lapse player
+ */
+export function openTimelapse() {
+    if (!mapState.map) return;
+    if (dataState.filteredData.length === 0) {
+        showNotification('No crashes match the current filters.', 'warning');
+        return;
+    }
+
+    if (!mapState.map.getPane(TIMELAPSE_PANE)) {
+        mapState.map.createPane(TIMELAPSE_PANE).style.zIndex = 620;
+    }
+
+    isOpen = true;
+    frameIndex = 0;
+    document.body.classList.add('timelapse-active');
+    document.getElementById('timelapseBar').style.display = 'flex';
+    mapState.map.on('zoomend', onZoomEnd);
+
+    buildFrames();
+    updateWindowOptions();
+    updateButtons();
+    renderFrame();
+}
+
+/**
+ * Close the player and show the normal layers again
+ */
+export function closeTimelapse() {
+    if (recording) recording.cancelled = true;
+    pausePlayback();
+
+    isOpen = false;
+    if (pointLayer) pointLayer.remove();
+    removeHeatLayer();
+    mapState.map.off('zoomend', onZoomEnd);
+    document.body.classList.remove('timelapse-active');
+    document.getElementById('timelapseBar').style.display = 'none';
+
+    // Release the sorted copy of the data
+    frames = [];
+    sortedKeys = null;
+    sortedCrashes = [];
+    framesSource = null;
+}
+
+/**
+ * Play or pause; playing from the last frame starts again from the first
+ */
+export function toggleTimelapsePlay() {
+    if (recording || !isOpen) return;
+    if (playTimer) {
+        pausePlayback();
+        return;
+    }
+    if (frames.length < 2) return;
+    if (frameIndex >= frames.length - 1) {
+        frameIndex = 0;
+        renderFrame();
+    }
+    playTimer = setTimeout(playNextFrame, TIMELAPSE.SPEEDS_MS[settings.speed]);
+    updateButtons();
+}
+
+/**
+ * Move back or forward by frames
+ * @param {number} delta - Frames to move
+ */
+export function stepTimelapse(delta) {
+    if (recording || !isOpen) return;
+    pausePlayback();
+    frameIndex = Math.min(Math.max(frameIndex + delta, 0), Math.max(frames.length - 1, 0));
+    renderFrame();
+}
+
+/**
+ * Jump to a frame (timeline slider)
+ * @param {string|number} value - Frame index
+ */
+export function setTimelapseFrame(value) {
+    if (recording || !isOpen) return;
+    pausePlayback();
+    const index = parseInt(value);
+    if (isNaN(index)) return;
+    frameIndex = Math.min(Math.max(index, 0), Math.max(frames.length - 1, 0));
+    renderFrame();
+}
+
+/**
+ * Change a playback setting
+ * @param {string} key - 'step', 'mode', 'window' or 'speed'
+ * @param {string} value - New value
+ */
+export function setTimelapseOption(key, value) {
+    if (recording || !isOpen) return;
+
+    if (key === 'step' && STEP_UNITS[value] && value !== settings.step) {
+        settings.step = value;
+        settings.window = TIMELAPSE.WINDOW_OPTIONS[value][0];
+        frameIndex = 0;
+        pausePlayback();
+        buildFrames();
+        updateWindowOptions();
+    } else if (key === 'mode' && (value === 'window' || value === 'cumulative')) {
+        settings.mode = value;
+        updateWindowOptions();
+    } else if (key === 'window' && TIMELAPSE.WINDOW_OPTIONS[settings.step].includes(parseInt(value))) {
+        settings.window = parseInt(value);
+    } else if (key === 'speed' && TIMELAPSE.SPEEDS_MS[value]) {
+        // Takes effect from the next frame
+        settings.speed = value;
+        return;
+    } else {
+        return;
+    }
+    renderFrame();
+}
+
+// ============================================================================
+// RECORDING
+// ============================================================================
+
+/**
+ * WebM type the browser can record, if any
+ * @returns {string|null}
+ */
+function getWebmType() {
+    if (typeof MediaRecorder === 'undefined' || !HTMLCanvasElement.prototype.captureStream) return null;
+    return ['video/webm;codecs=vp9', 'video/webm;codecs=vp8', 'video/webm']
+        .find(type => MediaRecorder.isTypeSupported(type)) || null;
+}
+
+/**
+ * Wait for the browser to paint (leaflet.heat redraws on the next animation frame)
+ * @returns {Promise<void>}
+ */
+function nextPaint() {
+    return new Promise(resolve => requestAnimationFrame(() => requestAnimationFrame(resolve)));
+}
+
+/**
+ * Draw the visible map (tiles and canvas layers) plus the frame caption
+ * SVG layers such as drawn areas are not included.
+ * @param {CanvasRenderingContext2D} ctx - Target, sized to the map times scale
+ * @param {number} scale - Output pixels per map pixel
+ */
+function drawMapFrame(ctx, scale) {
+    const container = mapState.map.getContainer();
+    const origin = container.getBoundingClientRect();
+
+    ctx.setTransform(scale, 0, 0, scale, 0, 0);
+    ctx.globalAlpha = 1;
+    ctx.fillStyle = RECORD_BACKGROUND;
+    ctx.fillRect(0, 0, origin.width, origin.height);
+
+    const drawElement = el => {
+        const style = getComputedStyle(el);
+        if (style.visibility === 'hidden' || style.display === 'none') return;
+        const rect = el.getBoundingClientRect();
+        if (rect.width === 0 || rect.height === 0) return;
+        ctx.drawImage(el, rect.left - origin.left, rect.top - origin.top, rect.width, rect.height);
+    };
+    container.querySelectorAll('.leaflet-tile-pane img.leaflet-tile-loaded').forEach(drawElement);
+    container.querySelectorAll('.leaflet-pane canvas').forEach(drawElement);
+
+    // Caption box, top left
+    ctx.font = 'bold 18px "Segoe UI", sans-serif';
+    const width = ctx.measureText(caption).width;
+    ctx.fillStyle = 'rgba(0, 0, 0, 0.65)';
+    ctx.fillRect(10, 10, width + 20, 34);
+    ctx.fillStyle = '#ffffff';
+    ctx.textBaseline = 'middle';
+    ctx.fillText(caption, 20, 27);
+
+    // Basemap attribution, bottom right
+    const attribution = container.querySelector('.leaflet-control-attribution')?.textContent.trim();
+    if (attribution) {
+        ctx.font = '11px "Segoe UI", sans-serif';
+        const attrWidth = ctx.measureText(attribution).width;
+        ctx.fillStyle = 'rgba(255, 255, 255, 0.8)';
+        ctx.fillRect(origin.width - attrWidth - 12, origin.height - 18, attrWidth + 12, 18);
+        ctx.fillStyle = '#333333';
+        ctx.fillText(attribution, origin.width - attrWidth - 6, origin.height - 9);
+    }
+}
+
+/**
+ * Show a frame and wait until it has been painted
+ * @param {number} index - Frame index
+ */
+async function showFrameForCapture(index) {
+    frameIndex = index;
+    renderFrame();
+    recording.frame = index + 1;
+    updateButtons();
+    await nextPaint();
+}
+
+/**
+ * Record every frame into a GIF
+ * @returns {Promise<Blob|null>} null when cancelled
+ */
+async function recordGif(canvas, ctx, scale, delay) {
+    const writer = createGifWriter(canvas.width, canvas.height);
+    for (let i = 0; i < frames.length; i++) {
+        if (recording.cancelled) return null;
+        await showFrameForCapture(i);
+        drawMapFrame(ctx, scale);
+        writer.addFrame(ctx.getImageData(0, 0, canvas.width, canvas.height).data, delay);
+    }
+    return new Blob([writer.finish()], { type: 'image/gif' });
+}
+
+/**
+ * Record every frame into a WebM video in real time
+ * @returns {Promise<Blob|null>} null when cancelled
+ */
+async function recordWebm(canvas, ctx, scale, delay) {
+    await showFrameForCapture(0);
+    drawMapFrame(ctx, scale);
+
+    const stream = canvas.captureStream(30);
+    const recorder = new MediaRecorder(stream, { mimeType: getWebmType() });
+    const chunks = [];
+    recorder.ondataavailable = e => {
+        if (e.data.size > 0) chunks.push(e.data);
+    };
+    const stopped = new Promise((resolve, reject) => {
+        recorder.onstop = resolve;
+        recorder.onerror = e => reject(e.error || new Error('The video recorder stopped unexpectedly'));
+    });
+
+    recorder.start();
+    for (let i = 0; i < frames.length && !recording.cancelled; i++) {
+        if (i > 0) {
+            await showFrameForCapture(i);
+            drawMapFrame(ctx, scale);
+        }
+        await new Promise(resolve => setTimeout(resolve, delay));
+    }
+    recorder.stop();
+    await stopped;
+    stream.getTracks().forEach(track => track.stop());
+
+    return recording.cancelled ? null : new Blob(chunks, { type: 'video/webm' });
+}
+
+/**
+ * Record the whole time-lapse as a GIF or WebM download, or stop a recording in progress
+ */
+export async function recordTimelapse() {
+    if (recording) {
+        recording.cancelled = true;
+        return;
+    }
+    if (!isOpen || frames.length === 0) return;
+
+    const format = document.getElementById('timelapseFormat')?.value === 'gif' ? 'gif' : 'webm';
+    if (format === 'webm' && !getWebmType()) {
+        showNotification('This browser cannot record WebM video. Choose GIF instead.', 'warning');
+        return;
+    }
+
+    pausePlayback();
+    recording = { cancelled: false, frame: 0 };
+    updateButtons();
+
+    const container = mapState.map.getContainer();
+    const scale = Math.min(1, TIMELAPSE.RECORD_MAX_WIDTH / container.clientWidth);
+    const canvas = document.createElement('canvas');
+    // Even dimensions keep video encoders happy
+    canvas.width = Math.round(container.clientWidth * scale / 2) * 2;
+    canvas.height = Math.round(container.clientHeight * scale / 2) * 2;
+    const ctx = canvas.getContext('2d', { willReadFrequently: format === 'gif' });
+    const delay = TIMELAPSE.SPEEDS_MS[settings.speed];
+
+    try {
+        const blob = format === 'gif'
+            ? await recordGif(canvas, ctx, scale, delay)
+            : await recordWebm(canvas, ctx, scale, delay);
+        if (blob) {
+            const timestamp = new Date().toISOString().slice(0, 10);
+            downloadFile(blob, `SA_Crash_Timelapse_${settings.step}_${timestamp}.${format}`);
+            showNotification(`Time-lapse saved as ${format.toUpperCase()} (${frames.length} frames)`, 'success');
+        }
+    } catch (error) {
+        console.error('Time-lapse recording failed:', error);
+        showNotification(error.name === 'SecurityError'
+            ? 'The basemap cannot be recorded by this browser. Try another basemap.'
+            : `Recording failed: ${error.message}`, 'error');
+    } finally {
+        recording = null;
+        updateButtons();
+    }
+}
@@ -0,0 +1,441 @@
+/**
+ * Treatment Evaluation Module
+ * Before/after comparison of crashes inside the drawn area around a treatment date
+ */
+
+import { dataState, drawState } from './state.js';
+import { YEAR_RANGE } from './config.js';
+import { escapeHtml, logGamma } from './utils.js';
+import { showNotification } from './ui.js';
+import { getFilterValues } from './filters.js';
+import { matchesFilters, matchesDateTimeFilters } from './filter-matching.js';
+import { generateTreatmentEvaluationPdf } from './pdf-generator.js';
+import { getDrawnAreas, createAreaMatcher } from './map-renderer.js';
+
+const SEVERITY_ROWS = [
+    { key: '4: Fatal', label: 'Fatal' },
+    { key: '3: SI', label: 'Serious injury' },
+    { key: '2: MI', label: 'Minor injury' },
+    { key: '1: PDO', label: 'Property damage only' }
+];
+
+// Site description by drawn area kind
+const SITE_SHAPE_LABELS = {
+    rectangle: 'Rectangle',
+    polygon: 'Polygon',
+    corridor: 'Corridor buffer',
+    points: 'Points buffer'
+};
+
+// Shown under every result, on screen and in the PDF
+const TREATMENT_CAVEAT = 'A simple before/after comparison does not control for regression to the mean or area-wide trends; treat the result as indicative.';
+
+// Last evaluation, kept for PDF export
+let lastEvaluation = null;
+
+// ============================================================================
+// DATE HELPERS
+// ============================================================================
+
+/**
+ * Get a crash's date as YYYY-MM-DD (same parsing as matchesDateTimeFilters)
+ * @param {Object} crash - Crash record
+ * @returns {string|null}
+ */
+function getCrashISODate(crash) {
+    const dateTime = crash['Crash Date Time'];
+    if (!dateTime) return null;
+    const dateParts = dateTime.split(' ')[0].split('/');
+    if (dateParts.length !== 3) return null;
+    return `${dateParts[2]}-${dateParts[1].padStart(2, '0')}-${dateParts[0].padStart(2, '0')}`;
+}
+
+/**
+ * Add calendar months (or days) to a YYYY-MM-DD date
+ * @param {string} isoDate - Start date
+ * @param {number} months - Months to add (may be negative)
+ * @param {number} days - Days to add (may be negative)
+ * @returns {string} YYYY-MM-DD
+ */
+function shiftDate(isoDate, months, days = 0) {
+    const [y, m, d] = isoDate.split('-').map(Number);
+    const date = new Date(Date.UTC(y, m - 1 + months, d + days));
+    return date.toISOString().slice(0, 10);
+}
+
+/**
+ * Length of an inclusive date range in years
+ * @param {string} from - YYYY-MM-DD
+ * @param {string} to - YYYY-MM-DD
+ * @returns {number}
+ */
+function yearsBetween(from, to) {
+    return (Date.parse(to) - Date.parse(from) + 86400000) / (365.25 * 86400000);
+}
+
+/**
+ * Earliest and latest crash dates in the loaded dataset
+ * @returns {{min: string, max: string}|null}
+ */
+function getDataDateRange() {
+    let min = null, max = null;
+    dataState.crashData.forEach(crash => {
+        const date = getCrashISODate(crash);
+        if (!date) return;
+        if (!min || date < min) min = date;
+        if (!max || date > max) max = date;
+    });
+    return min ? { min, max } : null;
+}
+
+// ============================================================================
+// STATISTICS
+// ============================================================================
+
+/**
+ * Compare two Poisson counts observed over different exposure periods
+ * Uses the exact conditional binomial test: given n = before + after crashes,
+ * the after count is Binomial(n, tAfter / (tBefore + tAfter)) if the rate is unchanged.
+ * @param {number} before - Crashes in the before period
+ * @param {number} after - Crashes in the after period
+ * @param {number} tBefore - Before period length (years)
+ * @param {number} tAfter - After period length (years)
+ * @returns {Object} { rateRatio, ciLow, ciHigh, pValue }
+ */
+export function comparePoissonRates(before, after, tBefore, tAfter) {
+    const n = before + after;
+
+    // Rate ratio with a log-normal 95% CI (0.5 added to empty cells)
+    const a = after || 0.5, b = before || 0.5;
+    const rateRatio = (a / tAfter) / (b / tBefore);
+    const se = Math.sqrt(1 / a + 1 / b);
+    const ciLow = rateRatio * Math.exp(-1.96 * se);
+    const ciHigh = rateRatio * Math.exp(1.96 * se);
+
+    if (n === 0) return { rateRatio: null, ciLow: null, ciHigh: null, pValue: 1 };
+
+    // Two-sided exact p-value: total probability of outcomes no more likely than the one observed
+    const p = tAfter / (tBefore + tAfter);
+    const logChoose = k => logGamma(n + 1) - logGamma(k + 1) - logGamma(n - k + 1);
+    const logPmf = k => logChoose(k) + k * Math.log(p) + (n - k) * Math.log(1 - p);
+    const observed = logPmf(after);
+    let pValue = 0;
+    for (let k = 0; k <= n; k++) {
+        const lp = logPmf(k);
+        if (lp <= observed + 1e-7) pValue += Math.exp(lp);
+    }
+
+    return { rateRatio, ciLow, ciHigh, pValue: Math.min(1, pValue) };
+}
+
+/**
+ * Summarise crashes in one period
+ * @param {Array} crashes - Crash records
+ * @param {number} years - Period length in years
+ * @returns {Object} Counts by severity, casualties and annual rate
+ */
+function summarisePeriod(crashes, years) {
+    const bySeverity = {};
+    SEVERITY_ROWS.forEach(row => { bySeverity[row.key] = 0; });
+    let fatalities = 0, serious = 0, minor = 0;
+
+    crashes.forEach(crash => {
+        const severity = crash['CSEF Severity'];
+        if (bySeverity[severity] !== undefined) bySeverity[severity]++;
+        fatalities += parseInt(crash['Total Fats'] || 0);
+        serious += parseInt(crash['Total SI'] || 0);
+        minor += parseInt(crash['Total MI'] || 0);
+    });
+
+    return {
+        total: crashes.length,
+        bySeverity,
+        fsi: bySeverity['4: Fatal'] + bySeverity['3: SI'],
+        casualties: fatalities + serious + minor,
+        fatalities,
+        serious,
+        minor,
+        years,
+        perYear: years > 0 ? crashes.length / years : 0
+    };
+}
+
+/**
+ * Percentage change in annual rate between two periods
+ * @returns {number|null} null when the before rate is zero
+ */
+function rateChange(before, after, tBefore, tAfter) {
+    if (before === 0) return null;
+    return ((after / tAfter) / (before / tBefore) - 1) * 100;
+}
+
+// ============================================================================
+// EVALUATION
+// ============================================================================
+
+/**
+ * Run a before/after evaluation for the drawn areas (included areas minus excluded ones)
+ * @param {Object} params
+ * @param {string} params.treatmentDate - YYYY-MM-DD the treatment was completed
+ * @param {number} params.beforeMonths - Before window length
+ * @param {number} params.afterMonths - After window length
+ * @param {number} params.settlingMonths - Months after treatment excluded from the after window
+ * @param {boolean} params.applyFilters - Also apply the current non-date filters
+ * @returns {Object} Evaluation result
+ */
+export function evaluateTreatment({ treatmentDate, beforeMonths, afterMonths, settlingMonths = 0, applyFilters = false }) {
+    if (!hasSiteArea()) throw new Error('Draw an area around the treated site first.');
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(treatmentDate || '')) throw new Error('Enter a treatment date.');
+    if (!(beforeMonths > 0) || !(afterMonths > 0)) throw new Error('Before and after windows must be at least one month.');
+
+    const dataRange = getDataDateRange();
+    if (!dataRange) throw new Error('No dated crash records are loaded.');
+
+    const notes = [];
+
+    // Before: the months up to the day before treatment
+    let beforeFrom = shiftDate(treatmentDate, -beforeMonths);
+    const beforeTo = shiftDate(treatmentDate, 0, -1);
+    // After: starts once the settling period is over
+    const afterFrom = shiftDate(treatmentDate, settlingMonths);
+    let afterTo = shiftDate(afterFrom, afterMonths, -1);
+
+    // Clip windows to the data so missing months don't read as zero crashes
+    if (beforeFrom < dataRange.min) {
+        beforeFrom = dataRange.min;
+        notes.push(`Before window starts at the first available record (${dataRange.min}).`);
+    }
+    if (afterTo > dataRange.max) {
+        afterTo = dataRange.max;
+        notes.push(`After window ends at the last available record (${dataRange.max}).`);
+    }
+    if (beforeTo < beforeFrom) throw new Error(`Treatment date is before the first crash record (${dataRange.min}).`);
+    if (afterTo < afterFrom) throw new Error(`No crash records after the treatment${settlingMonths ? ' and settling period' : ''} (data ends ${dataRange.max}).`);
+
+    // Site filter (point in the drawn areas) plus optional non-date filters
+    const areas = getDrawnAreas();
+    const inSite = createAreaMatcher(areas);
+    const filters = applyFilters
+        ? { ...getFilterValues(), yearFrom: YEAR_RANGE.MIN, yearTo: YEAR_RANGE.MAX, dateFrom: '', dateTo: '' }
+        : null;
+
+    const siteCrashes = dataState.crashData.filter(row => {
+        if (!row._coords) return false;
+        if (filters && !matchesFilters(row, filters)) return false;
+        return inSite(row._coords);
+    });
+
+    const inWindow = (from, to) => siteCrashes.filter(row =>
+        matchesDateTimeFilters(row, { dateFrom: from, dateTo: to, timeFrom: '', timeTo: '' }));
+    const beforeCrashes = inWindow(beforeFrom, beforeTo);
+    const afterCrashes = inWindow(afterFrom, afterTo);
+
+    const tBefore = yearsBetween(beforeFrom, beforeTo);
+    const tAfter = yearsBetween(afterFrom, afterTo);
+    const before = summarisePeriod(beforeCrashes, tBefore);
+    const after = summarisePeriod(afterCrashes, tAfter);
+
+    const rows = [
+        { label: 'All crashes', before: before.total, after: after.total },
+        ...SEVERITY_ROWS.map(row => ({ label: row.label, before: before.bySeverity[row.key], after: after.bySeverity[row.key] })),
+        { label: 'Fatal + serious injury', before: before.fsi, after: after.fsi },
+        { label: 'Casualties', before: before.casualties, after: after.casualties }
+    ].map(row => ({ ...row, change: rateChange(row.before, row.after, tBefore, tAfter) }));
+
+    const test = comparePoissonRates(before.total, after.total, tBefore, tAfter);
+    const fsiTest = comparePoissonRates(before.fsi, after.fsi, tBefore, tAfter);
+
+    if (before.total + after.total < 10) {
+        notes.push('Fewer than 10 crashes in total; the test has little power to detect a change.');
+    }
+
+    lastEvaluation = {
+        site: describeSite(areas),
+        treatmentDate,
+        settlingMonths,
+        applyFilters,
+        beforeWindow: { from: beforeFrom, to: beforeTo, years: tBefore },
+        afterWindow: { from: afterFrom, to: afterTo, years: tAfter },
+        before,
+        after,
+        rows,
+        test,
+        fsiTest,
+        findings: [describeRateTest(test, 'crash'), describeRateTest(fsiTest, 'fatal and serious injury crash')],
+        notes,
+        caveat: TREATMENT_CAVEAT,
+        generated: new Date()
+    };
+    return lastEvaluation;
+}
+
+/**
+ * Whether the drawn areas define a site (at least one include area)
+ * @returns {boolean}
+ */
+function hasSiteArea() {
+    return drawState.areas.some(area => area.mode === 'include');
+}
+
+/**
+ * Summarise the evaluated site for the result and PDF
+ * The area is the union of the include areas minus the exclude areas; if turf
+ * cannot combine the shapes it falls back to the sum of the include areas.
+ * @param {Array<Object>} areas - Drawn areas from getDrawnAreas()
+ * @returns {Object} { shape, areaKm2, centre }
+ */
+function describeSite(areas) {
+    const features = mode => areas
+        .filter(area => area.mode === mode)
+        .map(area => ({ type: 'Feature', geometry: area.geometry, properties: {} }));
+    const includes = features('include');
+    const excludes = features('exclude');
+
+    let areaKm2;
+    try {
+        let site = includes.reduce((acc, f) => acc ? turf.union(acc, f) : f, null);
+        excludes.forEach(f => { if (site) site = turf.difference(site, f); });
+        areaKm2 = site ? turf.area(site) / 1e6 : 0;
+    } catch (err) {
+        console.warn('Could not combine drawn areas, summing include areas instead:', err);
+        areaKm2 = includes.reduce((sum, f) => sum + turf.area(f), 0) / 1e6;
+    }
+
+    const shape = areas.length === 1
+        ? SITE_SHAPE_LABELS[areas[0].kind]
+        : `${areas.length} areas` + (excludes.length ? ` (${excludes.length} excluded)` : '');
+    const [minLng, minLat, maxLng, maxLat] = turf.bbox({ type: 'FeatureCollection', features: includes });
+
+    return {
+        shape,
+        areaKm2,
+        centre: { lat: (minLat + maxLat) / 2, lng: (minLng + maxLng) / 2 }
+    };
+}
+
+/**
+ * One-sentence interpretation of a rate comparison
+ * @param {Object} test - Result of comparePoissonRates
+ * @param {string} subject - What was counted, e.g. 'crash'
+ * @returns {string}
+ */
+export function describeRateTest(test, subject) {
+    if (test.rateRatio === null) return `No ${subject}es in either period.`;
+    const pct = Math.abs((test.rateRatio - 1) * 100).toFixed(0);
+    const direction = test.rateRatio < 1 ? 'lower' : 'higher';
+    const ci = `95% CI ${test.ciLow.toFixed(2)}–${test.ciHigh.toFixed(2)}`;
+    const p = test.pValue < 0.001 ? 'p < 0.001' : `p = ${test.pValue.toFixed(3)}`;
+    const verdict = test.pValue < 0.05
+        ? 'statistically significant at the 5% level'
+        : 'not statistically significant at the 5% level';
+    return `The annual ${subject} rate after treatment is ${pct}% ${direction} (rate ratio ${test.rateRatio.toFixed(2)}, ${ci}, ${p}); this is ${verdict}.`;
+}
+
+// ============================================================================
+// UI
+// ============================================================================
+
+/**
+ * Open the before/after evaluation dialog
+ */
+export function openTreatmentEvaluation() {
+    if (!hasSiteArea()) {
+        showNotification('Draw an area around the treated site first.', 'warning');
+        return;
+    }
+
+    const dateInput = document.getElementById('treatmentDate');
+    const range = getDataDateRange();
+    if (dateInput && range) {
+        dateInput.min = range.min;
+        dateInput.max = range.max;
+    }
+
+    document.getElementById('treatmentEvalModal').style.display = 'flex';
+}
+
+/**
+ * Close the before/after evaluation dialog
+ */
+export function closeTreatmentEvaluation() {
+    document.getElementById('treatmentEvalModal').style.display = 'none';
+}
+
+/**
+ * Read the dialog inputs, run the evaluation and render the results
+ */
+export function runTreatmentEvaluation() {
+    const results = document.getElementById('treatmentEvalResults');
+    const exportBtn = document.getElementById('treatmentEvalExportBtn');
+
+    let evaluation;
+    try {
+        evaluation = evaluateTreatment({
+            treatmentDate: document.getElementById('treatmentDate').value,
+            beforeMonths: parseInt(document.getElementById('treatmentBeforeMonths').value),
+            afterMonths: parseInt(document.getElementById('treatmentAfterMonths').value),
+            settlingMonths: parseInt(document.getElementById('treatmentSettlingMonths').value) || 0,
+            applyFilters: document.getElementById('treatmentApplyFilters').checked
+        });
+    } catch (error) {
+        lastEvaluation = null;
+        if (exportBtn) exportBtn.disabled = true;
+        showNotification(error.message, 'warning');
+        return;
+    }
+
+    const formatChange = change => change === null
+        ? '–'
+        : `<span class="${change < 0 ? 'te-change-down' : change > 0 ? 'te-change-up' : ''}">${change > 0 ? '+' : ''}${change.toFixed(0)}%</span>`;
+
+    const { beforeWindow, afterWindow } = evaluation;
+    results.innerHTML = `
+        <table class="te-table">
+            <thead>
+                <tr>
+                    <th></th>
+                    <th>Before<br><small>${beforeWindow.from} to ${beforeWindow.to}<br>(${beforeWindow.years.toFixed(1)} yrs)</small></th>
+                    <th>After<br><small>${afterWindow.from} to ${afterWindow.to}<br>(${afterWindow.years.toFixed(1)} yrs)</small></th>
+                    <th>Change in<br>annual rate</th>
+                </tr>
+            </thead>
+            <tbody>
+                ${evaluation.rows.map(row => `
+                    <tr>
+                        <td>${escapeHtml(row.label)}</td>
+                        <td>${row.before.toLocaleString()}</td>
+                        <td>${row.after.toLocaleString()}</td>
+                        <td>${formatChange(row.change)}</td>
+                    </tr>`).join('')}
+                <tr class="te-rate-row">
+                    <td>Crashes per year</td>
+                    <td>${evaluation.before.perYear.toFixed(1)}</td>
+                    <td>${evaluation.after.perYear.toFixed(1)}</td>
+                    <td></td>
+                </tr>
+            </tbody>
+        </table>
+        ${evaluation.findings.map(finding => `<p class="te-verdict">${escapeHtml(finding)}</p>`).join('')}
+        ${evaluation.notes.map(note => `<p class="te-note">⚠ ${escapeHtml(note)}</p>`).join('')}
+        <p class="te-note">${TREATMENT_CAVEAT}</p>
+    `;
+    results.style.display = 'block';
+    if (exportBtn) exportBtn.disabled = false;
+}
+
+/**
+ * Export the last evaluation to PDF
+ */
+export async function exportTreatmentEvaluationPdf() {
+    if (!lastEvaluation) {
+        showNotification('Run an evaluation first.', 'warning');
+        return;
+    }
+    try {
+        await generateTreatmentEvaluationPdf(lastEvaluation);
+        showNotification('Evaluation PDF generated successfully!', 'success');
+    } catch (error) {
+        console.error('Error generating evaluation PDF:', error);
+        showNotification('Failed to generate evaluation PDF. Please try again.', 'error');
+    }
+}
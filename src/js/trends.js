@@ -0,0 +1,251 @@
+/**
+ * Trend Analysis Module
+ * Moving averages, regression trend lines and year-on-year change for crash counts
+ */
+
+import { TREND_ANALYSIS } from './config.js';
+import { getCrashCountsByYear, getCrashCountsByYearMonth } from './analytics.js';
+
+// Two-sided 95% Student t critical values for 1-30 degrees of freedom
+// (the normal value is used beyond that)
+const T_CRITICAL_95 = [12.706, 4.303, 3.182, 2.776, 2.571, 2.447, 2.365, 2.306, 2.262, 2.228,
+                       2.201, 2.179, 2.160, 2.145, 2.131, 2.120, 2.110, 2.101, 2.093, 2.086,
+                       2.080, 2.074, 2.069, 2.064, 2.060, 2.056, 2.052, 2.048, 2.045, 2.042];
+
+function tCritical(df) {
+    return df <= T_CRITICAL_95.length ? T_CRITICAL_95[df - 1] : 1.96;
+}
+
+// ============================================================================
+// SERIES
+// ============================================================================
+
+/**
+ * Crash counts as a continuous time series
+ * Periods without crashes between the first and last are filled with zero, so
+ * gaps count as real zeros in the moving averages and trend fits.
+ * @param {Array} data - Crash data array
+ * @param {string} mode - 'yearly' or 'monthly'
+ * @param {Array<number>} [yearSpan] - [from, to] years to cover in yearly mode (defaults to the data's span)
+ * @param {string} [countUnit] - Key in COUNT_UNITS (defaults to the selected counting unit)
+ * @returns {{keys: Array<string>, counts: Array<number>}} Keys are 'yyyy' or 'yyyy-mm'
+ */
+export function getCountSeries(data, mode = 'yearly', yearSpan = null, countUnit) {
+    const counts = mode === 'monthly' ? getCrashCountsByYearMonth(data, countUnit) : getCrashCountsByYear(data, countUnit);
+    const present = Object.keys(counts).sort();
+    const keys = [];
+
+    if (mode === 'monthly') {
+        if (present.length === 0) return { keys, counts: [] };
+        const [lastYear, lastMonth] = present[present.length - 1].split('-').map(Number);
+        let [year, month] = present[0].split('-').map(Number);
+        while (year < lastYear || (year === lastYear && month <= lastMonth)) {
+            keys.push(`${year}-${String(month).padStart(2, '0')}`);
+            if (++month > 12) {
+                month = 1;
+                year++;
+            }
+        }
+    } else {
+        const span = yearSpan || (present.length > 0 ? [parseInt(present[0]), parseInt(present[present.length - 1])] : null);
+        if (!span) return { keys, counts: [] };
+        for (let year = span[0]; year <= span[1]; year++) keys.push(String(year));
+    }
+
+    return { keys, counts: keys.map(key => counts[key] || 0) };
+}
+
+/**
+ * Trailing moving average
+ * @param {Array<number>} values - Counts in time order
+ * @param {number} size - Points per average
+ * @returns {Array<number|null>} Null until a full window is available
+ */
+export function movingAverage(values, size) {
+    let sum = 0;
+    return values.map((value, i) => {
+        sum += value;
+        if (i >= size) sum -= values[i - size];
+        return i >= size - 1 ? sum / size : null;
+    });
+}
+
+/**
+ * Change from the previous year for each year of a yearly series
+ * @param {Array<string>} keys - Years
+ * @param {Array<number>} counts - Crash counts for each year
+ * @returns {Array<{year: string, count: number, change: number|null, percentChange: number|null}>}
+ */
+export function getYearOnYearChanges(keys, counts) {
+    return keys.map((year, i) => {
+        const previous = i > 0 ? counts[i - 1] : null;
+        return {
+            year,
+            count: counts[i],
+            change: previous === null ? null : counts[i] - previous,
+            percentChange: previous ? (counts[i] - previous) / previous * 100 : null
+        };
+    });
+}
+
+// ============================================================================
+// TREND FITTING
+// ============================================================================
+
+/**
+ * Ordinary least squares line through the counts (x = period index)
+ * Change is the slope in crashes per period.
+ */
+function fitLinear(values) {
+    const n = values.length;
+    const xMean = (n - 1) / 2;
+    const yMean = values.reduce((sum, y) => sum + y, 0) / n;
+    let sxx = 0, sxy = 0;
+    values.forEach((y, x) => {
+        sxx += (x - xMean) ** 2;
+        sxy += (x - xMean) * (y - yMean);
+    });
+
+    const slope = sxy / sxx;
+    const intercept = yMean - slope * xMean;
+    const fitted = values.map((_, x) => intercept + slope * x);
+    const sse = values.reduce((sum, y, x) => sum + (y - fitted[x]) ** 2, 0);
+    const s = Math.sqrt(sse / (n - 2));
+    const t = tCritical(n - 2);
+    const margin = x => t * s * Math.sqrt(1 / n + (x - xMean) ** 2 / sxx);
+    const slopeMargin = t * s / Math.sqrt(sxx);
+
+    return {
+        fitted,
+        lower: fitted.map((f, x) => Math.max(0, f - margin(x))),
+        upper: fitted.map((f, x) => f + margin(x)),
+        change: slope,
+        changeLower: slope - slopeMargin,
+        changeUpper: slope + slopeMargin,
+        changeUnit: 'count'
+    };
+}
+
+/**
+ * Log-linear Poisson regression, log(mean) = a + b·x, fitted by IRLS
+ * Standard errors are scaled by the Pearson dispersion when the counts vary more
+ * than Poisson (quasi-Poisson), which crash series usually do. Change is the
+ * percentage change per period, exp(b) - 1.
+ */
+function fitPoisson(values) {
+    const n = values.length;
+    let a = Math.log(values.reduce((sum, y) => sum + y, 0) / n);
+    let b = 0;
+    let cov = null;
+
+    for (let iter = 0; iter < TREND_ANALYSIS.POISSON_MAX_ITERATIONS; iter++) {
+        // Weighted least squares of the working response on x, weights = fitted mean
+        let sw = 0, swx = 0, swxx = 0, swz = 0, swxz = 0;
+        values.forEach((y, x) => {
+            const eta = a + b * x;
+            const mu = Math.exp(eta);
+            const z = eta + (y - mu) / mu;
+            sw += mu;
+            swx += mu * x;
+            swxx += mu * x * x;
+            swz += mu * z;
+            swxz += mu * x * z;
+        });
+        const det = sw * swxx - swx * swx;
+        const nextA = (swxx * swz - swx * swxz) / det;
+        const nextB = (sw * swxz - swx * swz) / det;
+        cov = { aa: swxx / det, bb: sw / det, ab: -swx / det };
+        const converged = Math.abs(nextA - a) + Math.abs(nextB - b) < 1e-9;
+        a = nextA;
+        b = nextB;
+        if (converged) break;
+    }
+
+    const fitted = values.map((_, x) => Math.exp(a + b * x));
+    const pearson = values.reduce((sum, y, x) => sum + (y - fitted[x]) ** 2 / fitted[x], 0);
+    const dispersion = Math.max(1, pearson / (n - 2));
+    const t = tCritical(n - 2);
+    const etaMargin = x => t * Math.sqrt(dispersion * (cov.aa + x * x * cov.bb + 2 * x * cov.ab));
+    const slopeMargin = t * Math.sqrt(dispersion * cov.bb);
+
+    return {
+        fitted,
+        lower: values.map((_, x) => Math.exp(a + b * x - etaMargin(x))),
+        upper: values.map((_, x) => Math.exp(a + b * x + etaMargin(x))),
+        change: (Math.exp(b) - 1) * 100,
+        changeLower: (Math.exp(b - slopeMargin) - 1) * 100,
+        changeUpper: (Math.exp(b + slopeMargin) - 1) * 100,
+        changeUnit: 'percent'
+    };
+}
+
+/**
+ * Fit a trend line with a 95% confidence band to a count series
+ * Monthly series are fitted without a seasonal term, so their bands are only a guide.
+ * @param {Array<number>} values - Counts in time order, one per period
+ * @param {string} method - 'linear' or 'poisson'
+ * @returns {Object|null} { method, fitted, lower, upper, change, changeLower, changeUpper,
+ *     changeUnit ('count' | 'percent'), direction ('decreasing' | 'increasing' | 'none') },
+ *     or null when there are too few points (or only zeros for Poisson)
+ */
+export function fitTrend(values, method = 'poisson') {
+    if (values.length < TREND_ANALYSIS.MIN_POINTS) return null;
+    if (method === 'poisson' && values.every(v => v === 0)) return null;
+
+    const fit = method === 'linear' ? fitLinear(values) : fitPoisson(values);
+    fit.method = method;
+    // Only call it a trend when the whole confidence interval is on one side of zero
+    fit.direction = fit.changeUpper < 0 ? 'decreasing' : fit.changeLower > 0 ? 'increasing' : 'none';
+    return fit;
+}
+
+/**
+ * One-sentence description of a fitted trend, for the chart summary and PDF reports
+ * @param {Object} trend - Result of fitTrend
+ * @param {string} period - 'year' or 'month'
+ * @param {string} noun - What was counted, for linear trends ('crashes', 'casualties' or 'units')
+ * @returns {string}
+ */
+export function describeTrend(trend, period = 'year', noun = 'crashes') {
+    const format = value => {
+        const sign = value > 0 ? '+' : value < 0 ? '-' : '';
+        const abs = Math.abs(value);
+        return trend.changeUnit === 'percent'
+            ? `${sign}${abs.toFixed(1)}%`
+            : `${sign}${abs.toFixed(abs < 10 ? 1 : 0)}`;
+    };
+    const unit = trend.changeUnit === 'percent' ? '' : ` ${noun}`;
+    const verdict = {
+        decreasing: 'a statistically significant decrease',
+        increasing: 'a statistically significant increase',
+        none: 'no statistically clear trend'
+    }[trend.direction];
+
+    return `${TREND_ANALYSIS.METHODS[trend.method]} trend: ${format(trend.change)}${unit} per ${period} ` +
+        `(95% CI ${format(trend.changeLower)} to ${format(trend.changeUpper)}), ${verdict}.`;
+}
+
+/**
+ * Series, moving average, trend and year-on-year table for one dataset
+ * @param {Array} data - Crash data array
+ * @param {Object} options - { mode: 'yearly' | 'monthly', movingAverageYears: 0 | 3 | 5,
+ *     method: 'none' | 'linear' | 'poisson', yearSpan: [from, to], countUnit: COUNT_UNITS key }
+ * @returns {Object} { keys, counts, period, movingAverage, trend, yearOnYear }
+ */
+export function getTrendAnalysis(data, options = {}) {
+    const mode = options.mode === 'monthly' ? 'monthly' : 'yearly';
+    const series = getCountSeries(data, mode, options.yearSpan, options.countUnit);
+    const yearly = mode === 'monthly' ? getCountSeries(data, 'yearly', options.yearSpan, options.countUnit) : series;
+    const periodsPerYear = mode === 'monthly' ? 12 : 1;
+
+    return {
+        keys: series.keys,
+        counts: series.counts,
+        period: mode === 'monthly' ? 'month' : 'year',
+        movingAverage: options.movingAverageYears > 0
+            ? movingAverage(series.counts, options.movingAverageYears * periodsPerYear)
+            : null,
+        trend: options.method && options.method !== 'none' ? fitTrend(series.counts, options.method) : null,
+        yearOnYear: getYearOnYearChanges(yearly.keys, yearly.counts)
+    };
+}
@@ -4,11 +4,12 @@
  */
 
 import { TUTORIAL_TABS, TUTORIAL_TAB_CONTENT_MAP, DATA_TABLE } from './config.js';
-import { uiState, updateUiState, dataState, cacheState, updateCacheState, searchState, updateSearchState } from './state.js';
-import { escapeHtml, escapeCSV } from './utils.js';
+import { uiState, updateUiState, dataState, filterState, updateFilterState, cacheState, updateCacheState, searchState, updateSearchState } from './state.js';
+import { escapeHtml, escapeCSV, downloadFile } from './utils.js';
 import { markFiltersChanged, getFilterValues } from './filters.js';
 import { domCache, batchDOMUpdate, perfMonitor, debounce } from './performance.js';
 import { loadModalContent } from './modals-content.js';
+import { getCrashCost, formatCost, updateStatistics, getCountUnit, getCountWeight, getCountedRecords } from './analytics.js';
 
 // ============================================================================
 // MODAL LAZY LOADING
@@ -505,6 +506,39 @@ export function toggleActiveFilters() {
     }
 }
 
+// ============================================================================
+// COUNTING UNIT
+// ============================================================================
+
+/**
+ * Switch statistics, charts and the data table between counting crashes,
+ * casualties and units
+ * @param {string} unitKey - Key in COUNT_UNITS
+ */
+export function setCountUnit(unitKey) {
+    const unit = getCountUnit(unitKey);
+    updateFilterState({ countUnit: unit.key });
+
+    document.querySelectorAll('.count-unit-btn').forEach(btn => {
+        const active = btn.dataset.unit === unit.key;
+        btn.classList.toggle('active', active);
+        btn.setAttribute('aria-pressed', active);
+    });
+    document.querySelectorAll('.count-unit-label').forEach(el => {
+        el.textContent = unit.label;
+    });
+
+    updateStatistics();
+
+    const analyticsPanel = document.getElementById('analyticsPanel');
+    if (typeof window.updateChartsWithData === 'function' &&
+        analyticsPanel && !analyticsPanel.classList.contains('collapsed')) {
+        window.updateChartsWithData(dataState.filteredData);
+    }
+
+    renderDataTable();
+}
+
 // ============================================================================
 // DATA TABLE
 // ============================================================================
@@ -580,6 +614,20 @@ export function toggleDataTableMaximize() {
  * @param {string} field - Field name to sort by
  */
 export function dtSort(field) {
+    if (uiState.dtRecordType !== 'crashes') {
+        const table = getRecordTableState();
+        if (table.sortField === field) {
+            table.sortAsc = !table.sortAsc;
+        } else {
+            table.sortField = field;
+            table.sortAsc = true;
+        }
+        updateUiState({ dtCurrentPage: 0 });
+        renderDataTable();
+        saveTablePreferences();
+        return;
+    }
+
     if (uiState.dtSortField === field) {
         updateUiState({ dtSortAsc: !uiState.dtSortAsc });
     } else {
@@ -677,10 +725,11 @@ export function toggleColumnPicker() {
     if (picker.style.display === 'none') {
         // Populate checkboxes
         const list = document.getElementById('columnPickerList');
-        list.innerHTML = DATA_TABLE.COLUMNS.map(col => `
+        const columns = uiState.dtRecordType === 'crashes' ? DATA_TABLE.COLUMNS : getRecordColumns();
+        list.innerHTML = columns.map(col => `
             <label class="column-picker-item">
                 <input type="checkbox"
-                       ${uiState.dtVisibleColumns[col.key] ? 'checked' : ''}
+                       ${isDtColumnVisible(col.key) ? 'checked' : ''}
                        onchange="toggleColumnVisibility('${col.key}')">
                 <span>${col.label}</span>
             </label>
@@ -696,11 +745,78 @@ export function toggleColumnPicker() {
  * @param {string} columnKey - Column key to toggle
  */
 export function toggleColumnVisibility(columnKey) {
-    uiState.dtVisibleColumns[columnKey] = !uiState.dtVisibleColumns[columnKey];
+    if (uiState.dtRecordType === 'crashes') {
+        uiState.dtVisibleColumns[columnKey] = !uiState.dtVisibleColumns[columnKey];
+    } else {
+        const visible = getRecordTableState().visibleColumns;
+        visible[columnKey] = visible[columnKey] === false;
+    }
+    renderDataTable();
+    saveTablePreferences();
+}
+
+/**
+ * Helper: Check whether a column of the table being shown is visible
+ * Casualty and unit columns are shown unless switched off in the picker.
+ */
+function isDtColumnVisible(columnKey) {
+    if (uiState.dtRecordType === 'crashes') return !!uiState.dtVisibleColumns[columnKey];
+    return getRecordTableState().visibleColumns[columnKey] !== false;
+}
+
+/**
+ * Helper: Sort and column state of the casualty or unit table being shown
+ */
+function getRecordTableState() {
+    return uiState.dtRecordTables[uiState.dtRecordType];
+}
+
+/**
+ * Helper: Column config of the casualty or unit table
+ */
+function getRecordColumns(recordType = uiState.dtRecordType) {
+    return recordType === 'units' ? DATA_TABLE.UNIT_COLUMNS : DATA_TABLE.CASUALTY_COLUMNS;
+}
+
+/**
+ * Helper: Value of a casualty or unit table column (crash columns come from the parent crash)
+ */
+function getRecordValue(row, col) {
+    return (col.crash ? row.crash : row.record)[col.key] ?? '';
+}
+
+/**
+ * List crashes, casualties or units in the data table
+ * @param {string} recordType - Key in DATA_TABLE.RECORD_TYPES
+ */
+export function setDataTableRecordType(recordType) {
+    if (!DATA_TABLE.RECORD_TYPES[recordType] || recordType === uiState.dtRecordType) return;
+    updateUiState({ dtRecordType: recordType, dtCurrentPage: 0 });
+
+    const picker = document.getElementById('columnPicker');
+    if (picker) picker.style.display = 'none';
+
     renderDataTable();
     saveTablePreferences();
 }
 
+/**
+ * Mark the active record tab and show the matching header row
+ */
+function updateDtRecordTabs() {
+    const recordType = uiState.dtRecordType;
+    document.querySelectorAll('.dt-record-tab').forEach(tab => {
+        const active = tab.dataset.recordType === recordType;
+        tab.classList.toggle('active', active);
+        tab.setAttribute('aria-selected', active ? 'true' : 'false');
+    });
+
+    const crashHeader = document.getElementById('dtCrashHeader');
+    const recordHeader = document.getElementById('dtRecordHeader');
+    if (crashHeader) crashHeader.style.display = recordType === 'crashes' ? '' : 'none';
+    if (recordHeader) recordHeader.style.display = recordType === 'crashes' ? 'none' : '';
+}
+
 /**
  * Show crash details on map from table row click
  * @param {number} crashIndex - Index of crash in filtered data
@@ -816,13 +932,129 @@ function performMarkerHighlight() {
     }
 }
 
+/**
+ * Restrict the data table to a subset of the filtered crashes and open it
+ * @param {string} label - Short description shown in the table header
+ * @param {Array} crashes - Crash records to show
+ * @param {string} source - What set the subset (e.g. 'hotspot')
+ */
+export function setDataTableSubset(label, crashes, source = '') {
+    updateUiState({
+        dtSubset: { label, source, crashes: new Set(crashes) },
+        dtCurrentPage: 0
+    });
+
+    const panel = document.getElementById('dataTablePanel');
+    if (panel && (panel.style.display === 'none' || panel.style.display === '')) {
+        toggleDataTable();
+    } else {
+        renderDataTable();
+    }
+}
+
+/**
+ * Remove the data table subset and show all filtered crashes again
+ */
+export function clearDataTableSubset() {
+    if (!uiState.dtSubset) return;
+    updateUiState({ dtSubset: null, dtCurrentPage: 0 });
+    renderDataTable();
+}
+
+/**
+ * Show or hide the subset chip in the data table header
+ */
+function updateDtSubsetChip() {
+    const chip = document.getElementById('dtSubsetChip');
+    if (!chip) return;
+
+    if (uiState.dtSubset) {
+        chip.innerHTML = escapeHtml(uiState.dtSubset.label) +
+            ' <button class="dt-subset-clear" onclick="clearDataTableSubset()" aria-label="Show all filtered crashes" title="Show all filtered crashes">&#10005;</button>';
+        chip.style.display = '';
+    } else {
+        chip.style.display = 'none';
+    }
+}
+
+// Casualty / unit rows of the filtered crashes; rebuilt when the filtered data changes
+let recordRowsCache = { data: null, filters: null, recordType: null, rows: [] };
+
+/**
+ * Helper: Casualty or unit rows ({ record, crash }) of the filtered crashes
+ * Only records matching the casualty / unit filters are listed, as when counting them.
+ */
+function getRecordRows() {
+    const recordType = uiState.dtRecordType;
+    if (recordRowsCache.data !== dataState.filteredData ||
+        recordRowsCache.filters !== filterState.appliedFilters ||
+        recordRowsCache.recordType !== recordType) {
+        const rows = [];
+        dataState.filteredData.forEach(crash => {
+            getCountedRecords(crash, recordType).forEach(record => rows.push({ record, crash }));
+        });
+        recordRowsCache = { data: dataState.filteredData, filters: filterState.appliedFilters, recordType, rows };
+    }
+    return recordRowsCache.rows;
+}
+
+/**
+ * Helper: Searched and sorted rows of the casualty or unit table
+ */
+function getDtSortedRecords() {
+    const columns = getRecordColumns();
+    const table = getRecordTableState();
+    let rows = getRecordRows().slice();
+
+    if (uiState.dtSubset) {
+        const subset = uiState.dtSubset.crashes;
+        rows = rows.filter(row => subset.has(row.crash));
+    }
+
+    if (uiState.dtSearchTerm) {
+        const term = uiState.dtSearchTerm;
+        rows = rows.filter(row => columns.some(col => String(getRecordValue(row, col)).toLowerCase().includes(term)));
+    }
+
+    const sortCol = columns.find(col => col.key === table.sortField) || columns[0];
+    rows.sort(function(a, b) {
+        let va = getRecordValue(a, sortCol);
+        let vb = getRecordValue(b, sortCol);
+        if (sortCol.numeric) {
+            va = parseFloat(va) || 0;
+            vb = parseFloat(vb) || 0;
+        } else {
+            va = String(va).toLowerCase();
+            vb = String(vb).toLowerCase();
+        }
+
+        if (va < vb) return table.sortAsc ? -1 : 1;
+        if (va > vb) return table.sortAsc ? 1 : -1;
+        return 0;
+    });
+    return rows;
+}
+
 /**
  * Get sorted data for data table
- * @returns {Array} Sorted crash data
+ * @returns {Array} Sorted crash data, or { record, crash } rows when listing casualties or units
  */
 export function getDtSorted() {
+    if (uiState.dtRecordType !== 'crashes') return getDtSortedRecords();
+
     let data = dataState.filteredData.slice();
 
+    // Restrict to a subset (e.g. a hotspot's crashes) when one is set
+    if (uiState.dtSubset) {
+        const subset = uiState.dtSubset.crashes;
+        data = data.filter(row => subset.has(row));
+    }
+
+    // Crashes without a matching casualty or unit add nothing to the count
+    if (filterState.countUnit !== 'crashes') {
+        data = data.filter(row => getCountWeight(row) > 0);
+    }
+
     // Apply search filter
     if (uiState.dtSearchTerm) {
         const term = uiState.dtSearchTerm;
@@ -840,8 +1072,20 @@ export function getDtSorted() {
         let va = a[uiState.dtSortField] ?? '';
         let vb = b[uiState.dtSortField] ?? '';
 
+        // Cost is derived from severity rather than stored on the row
+        if (uiState.dtSortField === 'Cost') {
+            va = getCrashCost(a);
+            vb = getCrashCost(b);
+        }
+
+        // Casualties / units counted in the crash
+        if (uiState.dtSortField === 'Counted') {
+            va = getCountWeight(a);
+            vb = getCountWeight(b);
+        }
+
         // Numeric sort for specific fields
-        const numFields = ['Year', 'Total Fats', 'Total SI', 'Total MI', 'Area Speed'];
+        const numFields = ['Year', 'Total Fats', 'Total SI', 'Total MI', 'Area Speed', 'Cost', 'Counted'];
         if (numFields.includes(uiState.dtSortField)) {
             va = parseFloat(va) || 0;
             vb = parseFloat(vb) || 0;
@@ -889,10 +1133,24 @@ export function renderDataTable() {
     const pageRows = sorted.slice(start, start + pageSize);
 
     // Update info text and nav buttons
+    const recordType = uiState.dtRecordType;
+    const countUnit = getCountUnit();
     if (info) {
         const searchInfo = uiState.dtSearchTerm ? ` (filtered)` : '';
-        info.textContent = total.toLocaleString() + ' crashes' + searchInfo + '  |  Page ' + (currentPage + 1) + ' of ' + (maxPage + 1);
+        let countInfo;
+        if (recordType !== 'crashes') {
+            countInfo = total.toLocaleString() + ' ' + DATA_TABLE.RECORD_TYPES[recordType].label.toLowerCase() +
+                ' in ' + new Set(sorted.map(row => row.crash)).size.toLocaleString() + ' crashes';
+        } else {
+            countInfo = total.toLocaleString() + ' crashes' + (countUnit.key === 'crashes' ? ''
+                : ' with ' + sorted.reduce((sum, row) => sum + getCountWeight(row), 0).toLocaleString() + ' ' + countUnit.plural);
+        }
+        info.textContent = countInfo + searchInfo + '  |  Page ' + (currentPage + 1) + ' of ' + (maxPage + 1);
     }
+    const countedTh = document.getElementById('dt-th-Counted');
+    if (countedTh) countedTh.style.display = countUnit.key === 'crashes' ? 'none' : '';
+    updateDtSubsetChip();
+    updateDtRecordTabs();
     if (prevBtn) prevBtn.disabled = currentPage === 0;
     if (nextBtn) nextBtn.disabled = currentPage >= maxPage;
 
@@ -902,6 +1160,12 @@ export function renderDataTable() {
         jumpInput.max = maxPage + 1;
     }
 
+    if (recordType !== 'crashes') {
+        renderRecordTable(tbody, pageRows);
+        perfMonitor.end('Render data table');
+        return;
+    }
+
     // Only update headers if sort or visibility changed
     const sortChanged = lastRenderState.sortField !== uiState.dtSortField ||
                         lastRenderState.sortAsc !== uiState.dtSortAsc;
@@ -909,13 +1173,14 @@ export function renderDataTable() {
                                JSON.stringify(uiState.dtVisibleColumns);
 
     if (sortChanged || visibilityChanged) {
-        // Update sort icons and column visibility in header
-        DATA_TABLE.COLUMNS.forEach(function(col) {
+        // Update sort icons and column visibility in header (the Counted column
+        // follows the counting unit rather than the column picker)
+        DATA_TABLE.COLUMNS.concat({ key: 'Counted' }).forEach(function(col) {
             const th = document.getElementById('dt-th-' + col.key.replace(/\s+/g, '_'));
             if (!th) return;
 
             // Update visibility only if changed
-            if (visibilityChanged) {
+            if (visibilityChanged && col.key !== 'Counted') {
                 th.style.display = uiState.dtVisibleColumns[col.key] ? '' : 'none';
             }
 
@@ -995,6 +1260,12 @@ export function renderDataTable() {
         if (uiState.dtVisibleColumns['Total MI']) {
             cells.push('<td class="dt-num">' + (mi > 0 ? mi : '–') + '</td>');
         }
+        if (uiState.dtVisibleColumns['Cost']) {
+            cells.push('<td class="dt-num">' + escapeHtml(formatCost(getCrashCost(row))) + '</td>');
+        }
+        if (countUnit.key !== 'crashes') {
+            cells.push('<td class="dt-num">' + getCountWeight(row).toLocaleString() + '</td>');
+        }
 
         return `<tr class="dt-row-clickable"
                     onclick="showCrashDetails(${crashIndex})"
@@ -1013,6 +1284,47 @@ export function renderDataTable() {
     perfMonitor.end('Render data table');
 }
 
+/**
+ * Helper: Render the header and page rows of the casualty or unit table
+ * Each row opens (and highlights) its parent crash on the map.
+ */
+function renderRecordTable(tbody, pageRows) {
+    const recordType = uiState.dtRecordType;
+    const table = getRecordTableState();
+    const columns = getRecordColumns().filter(col => isDtColumnVisible(col.key));
+
+    // Rebuild the header only when the table, sort or columns change
+    const headerRow = document.getElementById('dtRecordHeader');
+    const headerKey = [recordType, table.sortField, table.sortAsc, columns.map(col => col.key).join('|')].join(':');
+    if (headerRow && headerRow.dataset.renderKey !== headerKey) {
+        headerRow.innerHTML = columns.map(col => {
+            const active = col.key === table.sortField;
+            const icon = active ? (table.sortAsc ? ' ↑' : ' ↓') : ' ↕';
+            return `<th onclick="dtSort('${col.key}')" class="dt-sortable${active ? ' dt-active-sort' : ''}" tabindex="0" role="button" aria-label="Sort by ${col.label}">` +
+                `${col.label} <span class="dt-sort-icon">${icon}</span><div class="column-resizer"></div></th>`;
+        }).join('');
+        headerRow.dataset.renderKey = headerKey;
+        initColumnResizing(headerRow);
+    }
+
+    const singular = DATA_TABLE.RECORD_TYPES[recordType].singular;
+    tbody.innerHTML = pageRows.map(function(row) {
+        const crashIndex = dataState.filteredData.indexOf(row.crash);
+        const suburb = escapeHtml(String(row.crash['Suburb'] || 'unknown location'));
+        const cells = columns.map(col => '<td>' + escapeHtml(String(getRecordValue(row, col))) + '</td>');
+
+        return `<tr class="dt-row-clickable"
+                    onclick="showCrashDetails(${crashIndex})"
+                    onmouseenter="highlightMarkerFromTable(${crashIndex})"
+                    onmouseleave="unhighlightMarkerFromTable(${crashIndex})"
+                    role="button"
+                    tabindex="0"
+                    aria-label="View crash in ${suburb} for this ${singular}">
+            ${cells.join('')}
+        </tr>`;
+    }).join('');
+}
+
 // ============================================================================
 // TABLE PREFERENCES & PERSISTENCE
 // ============================================================================
@@ -1027,7 +1339,9 @@ export function saveTablePreferences() {
             visibleColumns: uiState.dtVisibleColumns,
             sortField: uiState.dtSortField,
             sortAsc: uiState.dtSortAsc,
-            maximized: uiState.dtMaximized
+            maximized: uiState.dtMaximized,
+            recordType: uiState.dtRecordType,
+            recordTables: uiState.dtRecordTables
         }));
     } catch (e) {
         console.warn('Failed to save table preferences:', e);
@@ -1051,7 +1365,12 @@ export function loadTablePreferences() {
                 dtVisibleColumns: parsed.visibleColumns || uiState.dtVisibleColumns,
                 dtSortField: parsed.sortField || 'Year',
                 dtSortAsc: parsed.sortAsc !== undefined ? parsed.sortAsc : false,
-                dtMaximized: parsed.maximized || false
+                dtMaximized: parsed.maximized || false,
+                dtRecordType: DATA_TABLE.RECORD_TYPES[parsed.recordType] ? parsed.recordType : 'crashes',
+                dtRecordTables: {
+                    casualties: { ...uiState.dtRecordTables.casualties, ...(parsed.recordTables || {}).casualties },
+                    units: { ...uiState.dtRecordTables.units, ...(parsed.recordTables || {}).units }
+                }
             });
 
             // Update page size select
@@ -1135,12 +1454,13 @@ export function initTableKeyboardNav() {
 
 /**
  * Initialize column resizing functionality
+ * @param {HTMLElement} [container] - Header element to set up (defaults to the whole table header)
  */
-export function initColumnResizing() {
+export function initColumnResizing(container) {
     const table = document.getElementById('dataTable');
     if (!table) return;
 
-    const thead = table.querySelector('thead');
+    const thead = container || table.querySelector('thead');
     if (!thead) return;
 
     thead.querySelectorAll('.column-resizer').forEach(resizer => {
@@ -1216,6 +1536,12 @@ export function exportFilteredData(exportAll = true) {
         return;
     }
 
+    // The table's export button saves the casualty or unit page being shown
+    if (!exportAll && uiState.dtRecordType !== 'crashes') {
+        exportRecordPage();
+        return;
+    }
+
     try {
         // Determine which data to export
         let dataToExport;
@@ -1387,6 +1713,43 @@ export function exportFilteredData(exportAll = true) {
     }
 }
 
+/**
+ * Helper: Export the current page of the casualty or unit table to CSV
+ * Every column is included, with the crash's REPORT_ID to join rows back to a crash export.
+ */
+function exportRecordPage() {
+    const recordType = uiState.dtRecordType;
+    const label = DATA_TABLE.RECORD_TYPES[recordType].label;
+    const pageSize = uiState.dtPageSize;
+    const start = uiState.dtCurrentPage * pageSize;
+    const rows = getDtSorted().slice(start, start + pageSize);
+    if (rows.length === 0) {
+        showNotification(`No ${label.toLowerCase()} to export.`, 'warning');
+        return;
+    }
+
+    try {
+        const columns = getRecordColumns();
+        const timestamp = new Date().toISOString().replace(/[:.]/g, '-').slice(0, -5);
+        let csv = `Export Type: Page ${uiState.dtCurrentPage + 1}\n`;
+        csv += `SA Crash Data Export - ${label}\n`;
+        csv += `Generated: ${new Date().toLocaleString()}\n`;
+        csv += `Total ${label}: ${rows.length}\n`;
+        csv += `\n`;
+
+        csv += ['Report ID'].concat(columns.map(col => col.label)).map(escapeCSV).join(',') + '\n';
+        rows.forEach(row => {
+            csv += [row.crash.REPORT_ID || ''].concat(columns.map(col => getRecordValue(row, col)))
+                .map(escapeCSV).join(',') + '\n';
+        });
+
+        downloadFile(csv, `SA_Crash_${label}_Export_${timestamp}.csv`, 'text/csv;charset=utf-8;');
+    } catch (e) {
+        console.error('Failed to export data:', e);
+        showNotification('Failed to export data. Please try again or reduce the dataset size.', 'error');
+    }
+}
+
 // ============================================================================
 // MULTI-SELECT ENHANCEMENTS
 // ============================================================================
@@ -1627,7 +1990,8 @@ export function initMultiSelectEnhancements() {
         { id: 'licenseType', chips: true },
         { id: 'vehRegState', chips: true },
         { id: 'directionTravel', chips: true },
-        { id: 'unitMovement', chips: true }
+        { id: 'unitMovement', chips: true },
+        { id: 'crashConfiguration', chips: true }
     ];
 
     multiSelects.forEach(({ id, chips }) => {
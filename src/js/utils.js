@@ -47,6 +47,32 @@ export function convertCoordinates(x, y) {
     }
 }
 
+/**
+ * Reproject GeoJSON in SA Lambert (EPSG:3107) to WGS84
+ * GeoJSON should already be WGS84, but exports from desktop GIS are often
+ * left in SA Lambert, which is detected from the first coordinate.
+ * @param {Object} geojson - FeatureCollection
+ * @returns {{geojson: Object, reprojected: boolean}} WGS84 copy (or the input if already WGS84)
+ */
+export function toWGS84GeoJSON(geojson) {
+    const first = turf.coordAll(geojson)[0];
+    if (!first || (Math.abs(first[0]) <= 180 && Math.abs(first[1]) <= 90)) {
+        return { geojson, reprojected: false };
+    }
+
+    if (!convertCoordinates(first[0], first[1])) {
+        throw new Error('Coordinates are projected but not in SA Lambert (EPSG:3107). Please save the file in WGS84 (EPSG:4326).');
+    }
+
+    const copy = turf.clone(geojson);
+    turf.coordEach(copy, coord => {
+        const [lng, lat] = proj4(COORDINATE_SYSTEMS.SOURCE, COORDINATE_SYSTEMS.TARGET, [coord[0], coord[1]]);
+        coord[0] = lng;
+        coord[1] = lat;
+    });
+    return { geojson: copy, reprojected: true };
+}
+
 /**
  * Parse numeric value safely
  * @param {*} value - Value to parse
@@ -57,6 +83,23 @@ export function parseNumeric(value) {
     return isNaN(parsed) ? 0 : parsed;
 }
 
+/**
+ * Natural log of the gamma function (Lanczos approximation)
+ * @param {number} x
+ * @returns {number}
+ */
+export function logGamma(x) {
+    const g = [676.5203681218851, -1259.1392167224028, 771.32342877765313,
+        -176.61502916214059, 12.507343278686905, -0.13857109526572012,
+        9.9843695780195716e-6, 1.5056327351493116e-7];
+    if (x < 0.5) return Math.log(Math.PI / Math.sin(Math.PI * x)) - logGamma(1 - x);
+    x -= 1;
+    let a = 0.99999999999980993;
+    const t = x + 7.5;
+    for (let i = 0; i < g.length; i++) a += g[i] / (x + i + 1);
+    return 0.5 * Math.log(2 * Math.PI) + (x + 0.5) * Math.log(t) - t + Math.log(a);
+}
+
 // Default radius (km) when the #searchRadius select is missing or unreadable.
 // Keep in sync with the `selected` option in index.html.
 const DEFAULT_SEARCH_RADIUS_KM = 2;
@@ -105,6 +148,176 @@ export function escapeCSV(value) {
     return str;
 }
 
+/**
+ * Parse CSV text (RFC 4180: quoted fields, doubled quotes, CRLF or LF)
+ * @param {string} text - CSV text with a header row
+ * @returns {{headers: Array<string>, rows: Array<Object>}} Rows keyed by header
+ */
+export function parseCSV(text) {
+    const records = [];
+    let record = [];
+    let field = '';
+    let quoted = false;
+
+    for (let i = 0; i < text.length; i++) {
+        const ch = text[i];
+        if (quoted) {
+            if (ch === '"' && text[i + 1] === '"') {
+                field += '"';
+                i++;
+            } else if (ch === '"') {
+                quoted = false;
+            } else {
+                field += ch;
+            }
+        } else if (ch === '"') {
+            quoted = true;
+        } else if (ch === ',') {
+            record.push(field);
+            field = '';
+        } else if (ch === '\n' || ch === '\r') {
+            if (ch === '\r' && text[i + 1] === '\n') i++;
+            record.push(field);
+            records.push(record);
+            record = [];
+            field = '';
+        } else {
+            field += ch;
+        }
+    }
+    if (field !== '' || record.length > 0) {
+        record.push(field);
+        records.push(record);
+    }
+
+    const headers = (records.shift() || []).map(h => h.replace(/^\uFEFF/, '').trim());
+    const rows = records
+        .filter(r => r.some(value => value.trim() !== ''))
+        .map(r => Object.fromEntries(headers.map((h, i) => [h, r[i] ?? ''])));
+    return { headers, rows };
+}
+
+/**
+ * Read and parse a JSON file chosen or dropped by the user
+ * @param {File} file - File to read
+ * @returns {Promise<*>} Parsed JSON
+ */
+export async function readJSONFile(file) {
+    const text = await file.text();
+    try {
+        return JSON.parse(text);
+    } catch (error) {
+        throw new Error(`${file.name} is not valid JSON`);
+    }
+}
+
+/**
+ * Save generated content as a file download
+ * @param {string|Blob} content - File content
+ * @param {string} filename - Download file name
+ * @param {string} mimeType - MIME type (ignored when content is already a Blob)
+ */
+export function downloadFile(content, filename, mimeType = 'application/octet-stream') {
+    const blob = content instanceof Blob ? content : new Blob([content], { type: mimeType });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+
+    link.setAttribute('href', url);
+    link.setAttribute('download', filename);
+    link.style.visibility = 'hidden';
+
+    document.body.appendChild(link);
+    link.click();
+    document.body.removeChild(link);
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+// CRC-32 lookup table for ZIP entries, built on first use
+let crcTable = null;
+
+/**
+ * Compute the CRC-32 checksum of a byte array
+ * @param {Uint8Array} bytes - Data
+ * @returns {number} Unsigned CRC-32
+ */
+function crc32(bytes) {
+    if (!crcTable) {
+        crcTable = new Uint32Array(256);
+        for (let n = 0; n < 256; n++) {
+            let c = n;
+            for (let k = 0; k < 8; k++) c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+            crcTable[n] = c >>> 0;
+        }
+    }
+    let crc = 0xFFFFFFFF;
+    for (let i = 0; i < bytes.length; i++) crc = crcTable[(crc ^ bytes[i]) & 0xFF] ^ (crc >>> 8);
+    return (crc ^ 0xFFFFFFFF) >>> 0;
+}
+
+/**
+ * Package files into a ZIP archive, deflated with pako
+ * @param {Array<{name: string, data: string|Uint8Array}>} files - Entries (strings are written as UTF-8)
+ * @returns {Blob} application/zip
+ */
+export function createZip(files) {
+    const encoder = new TextEncoder();
+    const now = new Date();
+    const dosTime = (now.getHours() << 11) | (now.getMinutes() << 5) | (now.getSeconds() >> 1);
+    const dosDate = ((now.getFullYear() - 1980) << 9) | ((now.getMonth() + 1) << 5) | now.getDate();
+
+    const parts = [];
+    const central = [];
+    let offset = 0;
+
+    files.forEach(file => {
+        const name = encoder.encode(file.name);
+        const data = typeof file.data === 'string' ? encoder.encode(file.data) : file.data;
+        const compressed = pako.deflateRaw(data);
+        const crc = crc32(data);
+
+        // Local file header; flag bit 11 marks UTF-8 file names
+        const local = new DataView(new ArrayBuffer(30));
+        local.setUint32(0, 0x04034b50, true);
+        local.setUint16(4, 20, true);
+        local.setUint16(6, 0x0800, true);
+        local.setUint16(8, 8, true);
+        local.setUint16(10, dosTime, true);
+        local.setUint16(12, dosDate, true);
+        local.setUint32(14, crc, true);
+        local.setUint32(18, compressed.length, true);
+        local.setUint32(22, data.length, true);
+        local.setUint16(26, name.length, true);
+        parts.push(local, name, compressed);
+
+        const entry = new DataView(new ArrayBuffer(46));
+        entry.setUint32(0, 0x02014b50, true);
+        entry.setUint16(4, 20, true);
+        entry.setUint16(6, 20, true);
+        entry.setUint16(8, 0x0800, true);
+        entry.setUint16(10, 8, true);
+        entry.setUint16(12, dosTime, true);
+        entry.setUint16(14, dosDate, true);
+        entry.setUint32(16, crc, true);
+        entry.setUint32(20, compressed.length, true);
+        entry.setUint32(24, data.length, true);
+        entry.setUint16(28, name.length, true);
+        entry.setUint32(42, offset, true);
+        central.push(entry, name);
+
+        offset += 30 + name.length + compressed.length;
+    });
+
+    const centralSize = central.reduce((sum, part) => sum + part.byteLength, 0);
+    const end = new DataView(new ArrayBuffer(22));
+    end.setUint32(0, 0x06054b50, true);
+    end.setUint16(8, files.length, true);
+    end.setUint16(10, files.length, true);
+    end.setUint32(12, centralSize, true);
+    end.setUint32(16, offset, true);
+
+    return new Blob([...parts, ...central, end], { type: 'application/zip' });
+}
+
 /**
  * Get unique values from data array for a specific column
  * @param {Array} data - Data array